@@ -11,18 +11,58 @@ const API_BASE =
   (location.hostname === '127.0.0.1' || location.hostname === 'localhost')
     ? 'http://127.0.0.1:8000'
     : 'https://api.iwannasun.com';
+// Calendar feed handler (scripts/sun-feed.js). Subscribe links are hidden
+// wherever no feed is deployed.
+const SUN_FEED_BASE =
+  (location.hostname === '127.0.0.1' || location.hostname === 'localhost')
+    ? 'http://127.0.0.1:8787'
+    : '';
 const DEFAULT_THRESHOLD = 70;
 const SUN_BREAK_THRESHOLD = 65;
-const DAYS = 2;
+const DAYS = 7;
 const COORD_STATE_DECIMALS = 3;
 const COORD_CACHE_KEY_DECIMALS = 3;
 const MEANINGFUL_WINDOW_MINUTES = 20;
 const SUN_BREAK_MINIMUM_MINUTES = 15;
 const SHARE_NOTICE_DURATION_MS = 3000;
+// Cached forecasts younger than this render without a revalidation request;
+// older ones render immediately with a staleness badge while we refetch.
+const FORECAST_CACHE_FRESH_MS = 5 * 60 * 1000;
+const FORECAST_CACHE_MAX_AGE_MS = DAYS * 24 * 60 * 60 * 1000;
 const SHARE_VIEW_LAT_PARAM = 'lat';
 const SHARE_VIEW_LON_PARAM = 'lon';
 const SHARE_VIEW_LABEL_PARAM = 'label';
 const SHARE_VIEW_DAY_PARAM = 'day';
+const SHARE_VIEW_THRESHOLD_PARAM = 'threshold';
+const SHARE_VIEW_MIN_MINUTES_PARAM = 'min_minutes';
+
+const SETTINGS_DEFAULTS = Object.freeze({
+  threshold: SUN_BREAK_THRESHOLD,
+  minMinutes: SUN_BREAK_MINIMUM_MINUTES,
+  alertLeads: Object.freeze({}),
+  chartMode: 'sun',
+  // '' follows the browser language (see resolveLocale).
+  locale: '',
+  timeFormat: '24',
+  timeZoneMode: 'location',
+  // 'auto' follows prefers-color-scheme (see resolvedColorScheme).
+  colorScheme: 'auto',
+});
+
+// Message keys for the chart title and canvas label per chart mode
+// (see render/chart.js and i18n.js).
+const CHART_MODE_TEXT = {
+  sun: {
+    axis: 'chart.sunAxis',
+    legend: 'chart.sunLegend',
+    aria: 'chart.sunAria',
+  },
+  score: {
+    axis: 'chart.scoreAxis',
+    legend: 'chart.scoreLegend',
+    aria: 'chart.scoreAria',
+  },
+};
 
 // Timeline limits
 const TIMELINE_MAX_ROWS = 84;
@@ -32,6 +72,14 @@ const RL_STORAGE_KEY = 'iwannasun_rate_limit_until';
 const RL_PROVIDER_DEFAULT_COOLDOWN_S = 15; // Open-Meteo / forecast provider
 const RL_USER_DEFAULT_COOLDOWN_S = 10;     // your API (slow down)
 
+// Compare mode
+const COMPARE_MAX_LOCATIONS = 4;
+const COMPARE_FETCH_CONCURRENCY = 2;
+
+// Sun finder
+const SUN_FINDER_TOP_SPOTS = 5;
+const SUN_FINDER_FETCH_CONCURRENCY = 2;
+
 // ===== DOM =====
 const $ = (id) => document.getElementById(id);
 
@@ -41,6 +89,10 @@ const els = {
   cityInput: $('cityInput'),
   cityResults: $('cityResults'),
   btnClearLocation: $('btnClearLocation'),
+  btnFavourite: $('btnFavourite'),
+  btnFavourites: $('btnFavourites'),
+  favouritesPanel: $('favouritesPanel'),
+  favouritesList: $('favouritesList'),
   errBox: $('errBox'),
   modelModeNote: $('modelModeNote'),
   loadingOverlay: $('loadingOverlay'),
@@ -48,6 +100,19 @@ const els = {
   btnHere: $('btnHere'),
   btnRefresh: $('btnRefresh'),
   btnShare: $('btnShare'),
+  btnSettings: $('btnSettings'),
+  settingsPanel: $('settingsPanel'),
+  settingThreshold: $('settingThreshold'),
+  settingThresholdValue: $('settingThresholdValue'),
+  settingMinMinutes: $('settingMinMinutes'),
+  settingLanguage: $('settingLanguage'),
+  settingTimeZone: $('settingTimeZone'),
+  settingTimeFormat: $('settingTimeFormat'),
+  settingColorScheme: $('settingColorScheme'),
+  btnSettingsReset: $('btnSettingsReset'),
+  updatePrompt: $('updatePrompt'),
+  btnUpdateReload: $('btnUpdateReload'),
+  btnUpdateDismiss: $('btnUpdateDismiss'),
   daySelect: $('daySelect'),
 
   decisionWrap: $('decisionWrap'),
@@ -55,6 +120,7 @@ const els = {
   decisionText: $('decisionText'),
   decisionContext: $('decisionContext'),
   whyInline: $('whyInline'),
+  staleBadge: $('staleBadge'),
 
   labelScore: $('labelScore'),
   labelConf: $('labelConf'),
@@ -69,16 +135,60 @@ const els = {
   nextWindow: $('nextWindow'),
   nextWindowHeading: $('nextWindowHeading'),
   nextWindowSub: $('nextWindowSub'),
+  sunWindowList: $('sunWindowList'),
+  lightHourList: $('lightHourList'),
+  sunCompass: $('sunCompass'),
+  sunCompassCaption: $('sunCompassCaption'),
   sunriseTime: $('sunriseTime'),
   sunsetTime: $('sunsetTime'),
 
+  weekStrip: $('weekStrip'),
   timeline: $('timeline'),
+  chartModeToggle: $('chartModeToggle'),
+  chartAxisLabel: $('chartAxisLabel'),
+  chartLegend: $('chartLegend'),
   yAxis: $('yAxis'),
+  scoreAxis: $('scoreAxis'),
   xAxis: $('xAxis'),
+  chartLive: $('chartLive'),
+  skyPreview: $('skyPreview'),
+  skyPreviewTime: $('skyPreviewTime'),
+  btnSkyPreviewNow: $('btnSkyPreviewNow'),
+  chartTableBody: $('chartTableBody'),
   canvas: $('sunChart'),
+  cloudCanvas: $('cloudChart'),
+
+  btnCompare: $('btnCompare'),
+  compareCard: $('compareCard'),
+  compareCandidateList: $('compareCandidateList'),
+  btnCompareRun: $('btnCompareRun'),
+  btnCompareClose: $('btnCompareClose'),
+  compareStatus: $('compareStatus'),
+  compareDayLabel: $('compareDayLabel'),
+  compareCanvas: $('compareChart'),
+  compareYAxis: $('compareYAxis'),
+  compareXAxis: $('compareXAxis'),
+  compareTableBody: $('compareTableBody'),
+
+  sunFinderRadius: $('sunFinderRadius'),
+  sunFinderFrom: $('sunFinderFrom'),
+  sunFinderTo: $('sunFinderTo'),
+  btnSunFinder: $('btnSunFinder'),
+  sunFinderStatus: $('sunFinderStatus'),
+  sunFinderResults: $('sunFinderResults'),
+
+  sunAlertToggle: $('sunAlertToggle'),
+  sunAlertLead: $('sunAlertLead'),
+  sunAlertStatus: $('sunAlertStatus'),
+  btnIcsWindow: $('btnIcsWindow'),
+  btnIcsDay: $('btnIcsDay'),
+  exportScope: $('exportScope'),
+  btnExportCsv: $('btnExportCsv'),
+  btnExportJson: $('btnExportJson'),
 };
 
 const ctx = els.canvas ? els.canvas.getContext('2d') : null;
+const cloudCtx = els.cloudCanvas ? els.cloudCanvas.getContext('2d') : null;
 const IWS_SELECTOR_TEST_MODE = Boolean(
   typeof window !== 'undefined' && window.IWS_SELECTOR_TEST_MODE === true
 );
@@ -93,16 +203,31 @@ const state = {
   tzName: null,
   geometryMode: null,
   rayFallbackActive: false,
+  // Message keys (i18n.js), translated at render time.
   rayFallbackReason: '',
   isBusy: false,
   rateLimitUntil: 0,
-  rateLimitMsg: '',
+  rateLimitMsgKey: '',
+  dataFetchedAt: 0,
+  isRevalidating: false,
+  isOffline: false,
 };
 
 let _lastRenderSnapshot = null;
 let _chartAxisKey = '';
+// Rows last drawn on the sun chart; keyboard exploration announces from these.
+let _chartRows = [];
 let locationController = null;
 let interactionController = null;
+let settingsController = null;
+let favouritesController = null;
+let compareController = null;
+let sunFinderController = null;
+let dataExportController = null;
+let calendarController = null;
+let compassController = null;
+let sunAlertsController = null;
+let serviceWorkerController = null;
 
 // ===== Request control =====
 let _dayAbort = null;
@@ -111,6 +236,18 @@ let _activeFetchDaySeq = 0;
 let _shareNoticeTimer = null;
 let _shareNoticeEl = null;
 
+// ===== Localization =====
+const i18nModule = window.IWSI18n;
+if (!i18nModule) {
+  throw new Error('IWS i18n module failed to load.');
+}
+let i18n = i18nModule.createTranslator(i18nModule.DEFAULT_LOCALE);
+// Stable lookup handed to selectors, renderers and controllers; it always
+// reads the active catalogue, so a language switch needs no re-wiring.
+function t(key, params) {
+  return i18n.t(key, params);
+}
+
 // ===== Helpers =====
 const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
 function roundCoord(x, decimals = 3) {
@@ -142,10 +279,21 @@ const SUN_SCORE_RGB_STOPS = Object.freeze({
   gold: Object.freeze({ r: 246, g: 186, b: 62 }),
 });
 
+// On dark surfaces the cloudy end sinks toward slate so sunny scores still
+// stand out; the warm end is shared.
+const SUN_SCORE_RGB_STOPS_DARK = Object.freeze({
+  ...SUN_SCORE_RGB_STOPS,
+  mutedLow: Object.freeze({ r: 104, g: 112, b: 122 }),
+  muted: Object.freeze({ r: 150, g: 144, b: 118 }),
+});
+
+// Resolved 'light' | 'dark'; set by applyColorScheme.
+let activeColorScheme = 'light';
+
 function sunScoreRgb(t) {
   const u = clamp(Number(t || 0), 0, 1);
   // Shared score palette used by chart, title, timeline, and atmospheric source glow.
-  const stops = SUN_SCORE_RGB_STOPS;
+  const stops = activeColorScheme === 'dark' ? SUN_SCORE_RGB_STOPS_DARK : SUN_SCORE_RGB_STOPS;
 
   if (u >= 0.9) return blendRgb(stops.warm, stops.gold, (u - 0.9) / 0.1);
   if (u >= 0.7) return blendRgb(stops.pale, stops.warm, (u - 0.7) / 0.2);
@@ -223,7 +371,7 @@ function currentDayIndex() {
 }
 
 function normalizedShareDayIndex(value = currentDayIndex()) {
-  return clamp(Math.trunc(Number(value || 0)), 0, 1);
+  return clamp(Math.trunc(Number(value || 0)), 0, DAYS - 1);
 }
 
 function normalizedShareLabel() {
@@ -247,6 +395,7 @@ function buildShareUrl({
   lon = state.lon,
   label = normalizedShareLabel(),
   dayIndex = normalizedShareDayIndex(),
+  settings = settingsController ? settingsController.getSettings() : null,
 } = {}) {
   const url = new URL(window.location.href);
   url.search = '';
@@ -265,6 +414,12 @@ function buildShareUrl({
     if (dayIndex > 0) {
       url.searchParams.set(SHARE_VIEW_DAY_PARAM, String(dayIndex));
     }
+
+    // Only customized rules travel in the link so default shares stay short.
+    if (settings && settingsController && !settingsController.isDefaultSettings(settings)) {
+      url.searchParams.set(SHARE_VIEW_THRESHOLD_PARAM, String(settings.threshold));
+      url.searchParams.set(SHARE_VIEW_MIN_MINUTES_PARAM, String(settings.minMinutes));
+    }
   }
 
   return url.toString();
@@ -290,6 +445,11 @@ function readViewStateFromUrl() {
   const label = String(url.searchParams.get(SHARE_VIEW_LABEL_PARAM) || '').trim();
   const dayIndex = normalizedShareDayIndex(url.searchParams.get(SHARE_VIEW_DAY_PARAM));
   const hasLocation = hasMeaningfulShareLocation(lat, lon);
+  const thresholdRaw = url.searchParams.get(SHARE_VIEW_THRESHOLD_PARAM);
+  const minMinutesRaw = url.searchParams.get(SHARE_VIEW_MIN_MINUTES_PARAM);
+  const settings = {};
+  if (thresholdRaw) settings.threshold = Number(thresholdRaw);
+  if (minMinutesRaw) settings.minMinutes = Number(minMinutesRaw);
 
   return {
     dayIndex,
@@ -297,6 +457,7 @@ function readViewStateFromUrl() {
     lat,
     lon,
     label,
+    settings: Object.keys(settings).length ? settings : null,
   };
 }
 
@@ -328,7 +489,7 @@ async function handleShareClick() {
   const shareUrl = buildShareUrl();
   const payload = {
     title: document.title,
-    text: 'Check out the sun forecast here:',
+    text: t('share.text'),
     url: shareUrl,
   };
 
@@ -344,7 +505,7 @@ async function handleShareClick() {
   try {
     if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
       await navigator.clipboard.writeText(payload.url);
-      showShareNotice('Link copied');
+      showShareNotice(t('share.copied'));
       return;
     }
   } catch {
@@ -363,14 +524,14 @@ async function handleShareClick() {
     const copied = document.execCommand('copy');
     document.body.removeChild(input);
     if (copied) {
-      showShareNotice('Link copied');
+      showShareNotice(t('share.copied'));
       return;
     }
   } catch {
     // No-op.
   }
 
-  showShareNotice('Copy failed', { isError: true });
+  showShareNotice(t('share.copyFailed'), { isError: true });
 }
 
 function setLabelLeadText(el, text) {
@@ -395,6 +556,7 @@ function clearForecastUi() {
   resetAtmosphericTheme();
   _lastRenderSnapshot = null;
   _chartAxisKey = '';
+  _chartRows = [];
 
   if (els.timePill) {
     setTimePillValue('—');
@@ -402,8 +564,8 @@ function clearForecastUi() {
   }
 
   if (els.decisionLead) els.decisionLead.textContent = '';
-  if (els.labelScore) els.labelScore.textContent = 'Sun score now';
-  if (els.labelConf) setLabelLeadText(els.labelConf, 'Confidence now ');
+  if (els.labelScore) els.labelScore.textContent = t('kpi.scoreNow');
+  if (els.labelConf) setLabelLeadText(els.labelConf, `${t('kpi.confidenceNow')} `);
   if (els.decisionText) els.decisionText.textContent = '—';
   if (els.decisionWrap) els.decisionWrap.style.color = '';
   if (els.scoreNow) els.scoreNow.textContent = '—';
@@ -419,13 +581,23 @@ function clearForecastUi() {
   setMeter(els.meterScore, 0, PUBLIC_RUNTIME_COLORS.meterFillEmpty);
   setMeter(els.meterConf, 0, PUBLIC_RUNTIME_COLORS.meterFillEmpty);
 
-  if (els.nextWindowHeading) els.nextWindowHeading.textContent = 'Your next sun break';
+  if (els.nextWindowHeading) els.nextWindowHeading.textContent = t('side.nextBreak');
   if (els.nextWindow) {
     els.nextWindow.textContent = '—';
     els.nextWindow.classList.add('big');
     els.nextWindow.classList.remove('good', 'bad');
   }
   if (els.nextWindowSub) els.nextWindowSub.textContent = '—';
+  if (els.staleBadge) {
+    els.staleBadge.hidden = true;
+    els.staleBadge.textContent = '';
+  }
+  if (calendarController) calendarController.renderButtons(null);
+  if (dataExportController) dataExportController.renderButtons(false);
+  if (els.sunWindowList) {
+    els.sunWindowList.style.display = 'none';
+    els.sunWindowList.innerHTML = '';
+  }
 
   if (els.sunriseTime) {
     els.sunriseTime.textContent = '—';
@@ -435,13 +607,24 @@ function clearForecastUi() {
     els.sunsetTime.textContent = '—';
     els.sunsetTime.title = '';
   }
+  renderLightHours([]);
+  if (compassController) compassController.render(null);
 
   if (els.timeline) {
     els.timeline.style.display = 'none';
     els.timeline.innerHTML = '';
   }
 
+  if (els.weekStrip) {
+    els.weekStrip.style.display = 'none';
+    els.weekStrip.innerHTML = '';
+  }
+
   renderChart([], null);
+  renderChartTable([]);
+  renderSkyPreviewControl();
+  if (els.chartLive) els.chartLive.textContent = '';
+  renderDayOptions();
 
   if (els.modelModeNote) {
     els.modelModeNote.style.display = 'none';
@@ -469,39 +652,96 @@ function setBusy(isBusy) {
   for (const el of fade) el.style.opacity = isBusy ? '0.65' : '1';
 }
 
-// Format times in the location timezone
+// Clock and zone preferences from the settings panel. Times follow the
+// forecast location's zone unless the visitor picks their device's zone.
+function timeDisplay() {
+  return settingsController
+    ? settingsController.getTimeDisplay()
+    : { timeFormat: SETTINGS_DEFAULTS.timeFormat, timeZoneMode: SETTINGS_DEFAULTS.timeZoneMode };
+}
+
+function uses12HourClock() {
+  return timeDisplay().timeFormat === '12';
+}
+
+// Theme from the settings panel; 'auto' follows the system. Selector tests
+// render in the light scheme unless a test picks one.
+const prefersDarkQuery = (!IWS_SELECTOR_TEST_MODE && window.matchMedia)
+  ? window.matchMedia('(prefers-color-scheme: dark)')
+  : null;
+
+function resolvedColorScheme() {
+  const pref = settingsController ? settingsController.getColorScheme() : SETTINGS_DEFAULTS.colorScheme;
+  if (pref === 'light' || pref === 'dark') return pref;
+  return prefersDarkQuery?.matches ? 'dark' : 'light';
+}
+
+// The CSS tokens follow `data-color-scheme` on <html>; the sky, canvas charts,
+// and score colours are painted from `activeColorScheme`, so they re-render.
+function applyColorScheme({ rerender = true } = {}) {
+  activeColorScheme = resolvedColorScheme();
+  document.documentElement.dataset.colorScheme = activeColorScheme;
+  resetAtmosphericTheme();
+  if (rerender) rerenderDisplayedText();
+}
+
+// Zone used to display times for a location; '' means the device's zone.
+function displayTimeZone(tzName = state.tzName) {
+  return timeDisplay().timeZoneMode === 'device' ? '' : (tzName || '');
+}
+
+// Format times in the given zone (the display zone by default), in the
+// active language's format and the chosen clock. Cached per language, clock
+// and zone.
 const _fmtCache = new Map();
 const _hourFmtCache = new Map();
+// Hour parsing (localHourForDate) reads numeric parts, so it keeps one
+// fixed locale and a 24-hour clock regardless of the display preferences.
 const TIME_FORMAT_LOCALE = 'en-GB';
-function getFormatters() {
-  const tz = state.tzName || '';
-  if (_fmtCache.has(tz)) return _fmtCache.get(tz);
+function getFormatters(tzName = displayTimeZone()) {
+  const tz = tzName || '';
+  const timeLocale = i18n.timeLocale;
+  const hour12 = uses12HourClock();
+  const cacheKey = `${timeLocale}|${hour12 ? 12 : 24}|${tz}`;
+  if (_fmtCache.has(cacheKey)) return _fmtCache.get(cacheKey);
 
   const make = (opts) => {
-    try { return new Intl.DateTimeFormat(TIME_FORMAT_LOCALE, tz ? { ...opts, timeZone: tz } : opts); }
-    catch { return new Intl.DateTimeFormat(TIME_FORMAT_LOCALE, opts); }
+    try { return new Intl.DateTimeFormat(timeLocale, tz ? { ...opts, timeZone: tz } : opts); }
+    catch { return new Intl.DateTimeFormat(timeLocale, opts); }
   };
 
   const f = {
-    hm: make({ hour: '2-digit', minute: '2-digit', hour12: false }),
-    h: make({ hour: '2-digit', hour12: false }),
+    hm: make({ hour: '2-digit', minute: '2-digit', hour12 }),
+    h: make({ hour: '2-digit', hour12 }),
     full: make({
       year: 'numeric',
       month: '2-digit',
       day: '2-digit',
       hour: '2-digit',
       minute: '2-digit',
-      hour12: false,
+      hour12,
     }),
+    dayShort: make({ weekday: 'short', day: 'numeric', month: 'short' }),
+    weekday: make({ weekday: 'long' }),
   };
-  _fmtCache.set(tz, f);
+  _fmtCache.set(cacheKey, f);
   return f;
 }
 const fmtTime = (v) => getFormatters().hm.format(v instanceof Date ? v : new Date(v));
+const fmtTimeInZone = (v, tzName) => getFormatters(displayTimeZone(tzName)).hm.format(v instanceof Date ? v : new Date(v));
 const fmtDateTime = (v) => getFormatters().full.format(v instanceof Date ? v : new Date(v));
+// Day names follow the forecast's own calendar days, whatever the display zone.
+const fmtDayShort = (v) => getFormatters(state.tzName).dayShort.format(v instanceof Date ? v : new Date(v));
+const fmtWeekday = (v) => getFormatters(state.tzName).weekday.format(v instanceof Date ? v : new Date(v));
+
+// Wall-clock hour labels for hour pickers, in the chosen clock.
+function fmtHour(hour) {
+  if (!uses12HourClock()) return `${String(hour).padStart(2, '0')}:00`;
+  return getFormatters('UTC').hm.format(Date.UTC(2000, 0, 1, hour % 24));
+}
 
 function getHourFormatter() {
-  const tz = state.tzName || '';
+  const tz = displayTimeZone();
   if (_hourFmtCache.has(tz)) return _hourFmtCache.get(tz);
   let f = null;
   try {
@@ -543,6 +783,31 @@ const forecastModel = window.IWSForecastModel;
 if (!forecastModel) {
   throw new Error('IWS forecast model module failed to load.');
 }
+const forecastCacheModule = window.IWSForecastCache;
+if (!forecastCacheModule) {
+  throw new Error('IWS forecast cache module failed to load.');
+}
+const forecastCache = forecastCacheModule.createForecastCache();
+const icsExport = window.IWSIcsExport;
+if (!icsExport) {
+  throw new Error('IWS calendar export module failed to load.');
+}
+const taskPool = window.IWSTaskPool;
+if (!taskPool) {
+  throw new Error('IWS task pool module failed to load.');
+}
+const fileDownload = window.IWSFileDownload;
+if (!fileDownload) {
+  throw new Error('IWS file download module failed to load.');
+}
+const dataExport = window.IWSDataExport;
+if (!dataExport) {
+  throw new Error('IWS data export module failed to load.');
+}
+const sunFinderGrid = window.IWSSunFinderGrid;
+if (!sunFinderGrid) {
+  throw new Error('IWS sun finder grid module failed to load.');
+}
 const chartRenderer = window.IWSRenderChart;
 if (!chartRenderer) {
   throw new Error('IWS chart render module failed to load.');
@@ -551,6 +816,26 @@ const timelineRenderer = window.IWSRenderTimeline;
 if (!timelineRenderer) {
   throw new Error('IWS timeline render module failed to load.');
 }
+const weekRenderer = window.IWSRenderWeek;
+if (!weekRenderer) {
+  throw new Error('IWS week render module failed to load.');
+}
+const windowsRenderer = window.IWSRenderWindows;
+if (!windowsRenderer) {
+  throw new Error('IWS windows render module failed to load.');
+}
+const compareRenderer = window.IWSRenderCompare;
+if (!compareRenderer) {
+  throw new Error('IWS compare render module failed to load.');
+}
+const sunFinderRenderer = window.IWSRenderSunFinder;
+if (!sunFinderRenderer) {
+  throw new Error('IWS sun finder render module failed to load.');
+}
+const compassRenderer = window.IWSRenderCompass;
+if (!compassRenderer) {
+  throw new Error('IWS compass render module failed to load.');
+}
 const atmosphereTheme = window.IWSAtmosphereTheme;
 if (!atmosphereTheme) {
   throw new Error('IWS atmosphere theme module failed to load.');
@@ -563,6 +848,42 @@ const interactionControllerModule = window.IWSInteractionController;
 if (!interactionControllerModule) {
   throw new Error('IWS interaction controller module failed to load.');
 }
+const settingsControllerModule = window.IWSSettingsController;
+if (!settingsControllerModule) {
+  throw new Error('IWS settings controller module failed to load.');
+}
+const favouritesControllerModule = window.IWSFavouritesController;
+if (!favouritesControllerModule) {
+  throw new Error('IWS favourites controller module failed to load.');
+}
+const compareControllerModule = window.IWSCompareController;
+if (!compareControllerModule) {
+  throw new Error('IWS compare controller module failed to load.');
+}
+const sunFinderControllerModule = window.IWSSunFinderController;
+if (!sunFinderControllerModule) {
+  throw new Error('IWS sun finder controller module failed to load.');
+}
+const calendarControllerModule = window.IWSCalendarController;
+if (!calendarControllerModule) {
+  throw new Error('IWS calendar controller module failed to load.');
+}
+const dataExportControllerModule = window.IWSDataExportController;
+if (!dataExportControllerModule) {
+  throw new Error('IWS data export controller module failed to load.');
+}
+const compassControllerModule = window.IWSCompassController;
+if (!compassControllerModule) {
+  throw new Error('IWS compass controller module failed to load.');
+}
+const sunAlertsControllerModule = window.IWSSunAlertsController;
+if (!sunAlertsControllerModule) {
+  throw new Error('IWS sun alerts controller module failed to load.');
+}
+const serviceWorkerControllerModule = window.IWSServiceWorkerController;
+if (!serviceWorkerControllerModule) {
+  throw new Error('IWS service worker controller module failed to load.');
+}
 
 const {
   ForecastNormalizationError,
@@ -574,15 +895,57 @@ const {
   normalizeTimelineRow,
   normalizeForecastPayload,
   bucketForecastRowsByDay,
+  shiftForecastDays,
 } = forecastModel;
 const {
   chartAxisKeyForRows: chartAxisKeyForRowsRenderer,
+  chartPointText: chartPointTextModule,
+  confidenceBandForRows: confidenceBandForRowsRenderer,
   renderChart: renderChartModule,
+  renderChartTable: renderChartTableModule,
+  renderCloudLayers: renderCloudLayersModule,
+  CHART_MODE_SCORE,
 } = chartRenderer;
 const {
   renderTimeline: renderTimelineModule,
   renderTimelineState: renderTimelineStateModule,
+  scrollTimelineToWindow: scrollTimelineToWindowModule,
 } = timelineRenderer;
+const {
+  renderWeekStrip: renderWeekStripModule,
+  setWeekStripSelection: setWeekStripSelectionModule,
+} = weekRenderer;
+const {
+  renderLightHourList: renderLightHourListModule,
+  renderSunWindowList: renderSunWindowListModule,
+  setSunWindowListFocus: setSunWindowListFocusModule,
+} = windowsRenderer;
+const {
+  compareSeriesColor,
+  renderCompareChart: renderCompareChartModule,
+  renderCompareTable: renderCompareTableModule,
+} = compareRenderer;
+const {
+  renderSunFinderResults: renderSunFinderResultsModule,
+} = sunFinderRenderer;
+const {
+  renderSunCompass,
+} = compassRenderer;
+const {
+  compassLabel,
+  sampleSunFinderGrid,
+} = sunFinderGrid;
+
+const {
+  buildSunWindowsIcs,
+  sunWindowsIcsFilename,
+} = icsExport;
+const {
+  buildForecastCsv,
+  buildForecastJson,
+  forecastExportFilename,
+  forecastExportHeader,
+} = dataExport;
 const {
   computeAtmosphericTheme: computeAtmosphericThemeModule,
   applyAtmosphericTheme: applyAtmosphericThemeModule,
@@ -595,6 +958,9 @@ const forecastSelectors = window.IWSForecastSelectors?.createForecastSelectors?.
   tUtc,
   tMs,
   localHourForDate,
+  dayNameForDate: fmtWeekday,
+  t,
+  getSunBreakRule: () => (settingsController ? settingsController.getSettings() : null),
   config: {
     DEFAULT_THRESHOLD,
     MEANINGFUL_WINDOW_MINUTES,
@@ -620,20 +986,56 @@ const {
   selectChartViewState,
   visibleTimelineRows,
   selectTimelineViewState,
+  selectWeekStripViewState,
+  selectCompareViewState,
+  selectSunFinderRanking,
+  selectCompassViewState,
+  pickSideWindowState,
+  sunBreakRule,
+  sunBreakWindows,
+  rankedSunBreakWindows,
+  lightHourWindows,
+  sunCompassPoint,
   deriveForecastRenderState,
+  sunQualityBand,
 } = forecastSelectors;
 
+// Day select: Today/Tomorrow are static in the shell, later days are labelled
+// by forecast-local date once we know the timezone (device date until then).
+function dayOptionLabel(dayIndex, nowMs = Date.now()) {
+  if (dayIndex === 0) return t('day.today');
+  if (dayIndex === 1) return t('day.tomorrow');
+  const dayRows = state.days?.[dayIndex];
+  const anchor = dayRows?.length ? nearestRowToLocalHour(dayRows, 12) : null;
+  return fmtDayShort(anchor ? tUtc(anchor) : new Date(nowMs + dayIndex * 86400000));
+}
+
+function renderDayOptions(nowMs = Date.now()) {
+  if (!els.daySelect) return;
+  const selected = els.daySelect.value;
+  for (let i = 0; i < DAYS; i += 1) {
+    let option = els.daySelect.options[i];
+    if (!option) {
+      option = document.createElement('option');
+      option.value = String(i);
+      els.daySelect.appendChild(option);
+    }
+    const label = dayOptionLabel(i, nowMs);
+    if (option.textContent !== label) option.textContent = label;
+    option.disabled = Boolean(state.days) && i > 0 && !state.days[i]?.length;
+  }
+  if (selected && els.daySelect.value !== selected) els.daySelect.value = selected;
+}
+
 // Day bucketing
+function dayBucketsForPayload(data) {
+  if (!data) return null;
+  if (isPlainObject(data.days)) return data.days;
+  return bucketForecastRowsByDay(data.timeline || []);
+}
+
 function prepareDayBuckets(data) {
-  if (!data) {
-    state.days = null;
-    return;
-  }
-  if (isPlainObject(data.days)) {
-    state.days = data.days;
-    return;
-  }
-  state.days = bucketForecastRowsByDay(data.timeline || []);
+  state.days = dayBucketsForPayload(data);
 }
 
 // Color mix: 0 = cloudy, 1 = sunny
@@ -644,11 +1046,11 @@ function mixSunColor(t, alpha = 1) {
 }
 
 function computeAtmosphericTheme(row, twilightContext = null) {
-  return computeAtmosphericThemeModule(row, twilightContext, { tUtc });
+  return computeAtmosphericThemeModule(row, twilightContext, { tUtc, colorScheme: activeColorScheme });
 }
 
 function applyAtmosphericTheme(row, twilightContext = null) {
-  applyAtmosphericThemeModule(row, twilightContext, { tUtc });
+  applyAtmosphericThemeModule(row, twilightContext, { tUtc, colorScheme: activeColorScheme });
 }
 
 function resetAtmosphericTheme() {
@@ -692,15 +1094,15 @@ function saveRateLimitUntil(ts) {
 }
 function clearRateLimit() {
   state.rateLimitUntil = 0;
-  state.rateLimitMsg = '';
+  state.rateLimitMsgKey = '';
   saveRateLimitUntil(0);
   if (_rlTimer) { clearInterval(_rlTimer); _rlTimer = null; }
   applyRateLimitUi();
 }
-function startRateLimitCooldown(seconds, message = '') {
+function startRateLimitCooldown(seconds, messageKey = '') {
   const s = clamp(Number(seconds || 0), 5, 15 * 60);
   state.rateLimitUntil = Date.now() + s * 1000;
-  state.rateLimitMsg = String(message || '').trim();
+  state.rateLimitMsgKey = String(messageKey || '').trim();
   saveRateLimitUntil(state.rateLimitUntil);
 
   ensureRateLimitTimer();
@@ -718,62 +1120,116 @@ function applyRateLimitUi() {
     const shouldDisable = active || state.isBusy;
     els.btnRefresh.disabled = !!shouldDisable;
     els.btnRefresh.title = active
-      ? `Rate limited. Try again in ${Math.ceil(remMs / 1000)}s.`
-      : 'Refresh data';
+      ? t('refresh.rateLimitedTitle', { seconds: Math.ceil(remMs / 1000) })
+      : t('refresh.title');
   }
 
   if (active) {
     const secs = Math.ceil(remMs / 1000);
-    const msg = state.rateLimitMsg || 'Please wait a moment before trying again.';
-    showError(`${msg} Try again in ${secs}s.`);
+    const message = t(state.rateLimitMsgKey || 'error.wait');
+    showError(t('error.tryAgainIn', { message, seconds: secs }));
+  }
+}
+
+// Which cooldown (if any) an error response from `/day` asks for.
+function rateLimitKindForResponse(res, msg = '', errCode = '') {
+  // Provider rate limit (Open-Meteo). Backend returns 503 and should include Retry-After.
+  if (res.status === 503 && (errCode === 'UPSTREAM_RATE_LIMIT' || msg.toLowerCase().includes('rate limit'))) {
+    return 'provider';
+  }
+  // Your API limiter (user spamming). Backend returns 429 and should include Retry-After.
+  if (res.status === 429) return 'user';
+  return '';
+}
+
+function startCooldownForResponse(res, kind) {
+  if (kind === 'provider') {
+    handleCooldownResponse(res, RL_PROVIDER_DEFAULT_COOLDOWN_S, 15 * 60, 'error.providerRateLimit');
+  } else if (kind === 'user') {
+    handleCooldownResponse(res, RL_USER_DEFAULT_COOLDOWN_S, 60, 'error.userRateLimit');
   }
 }
 
-function handleCooldownResponse(res, defaultSeconds, maxSeconds, message) {
+async function readApiError(res) {
+  let msg = '';
+  try {
+    const errBody = await res.json();
+    msg = (typeof errBody?.detail === 'string') ? errBody.detail : '';
+  } catch {}
+  const errCode = (res.headers?.get?.('X-IWS-Error-Code') || '').trim();
+  return { msg, errCode };
+}
+
+function handleCooldownResponse(res, defaultSeconds, maxSeconds, messageKey) {
   const ra = res.headers?.get?.('Retry-After');
   let cooldown = defaultSeconds;
   if (ra && /^\d+$/.test(ra)) {
     cooldown = clamp(Number(ra), 5, maxSeconds);
   }
-  startRateLimitCooldown(cooldown, message);
+  startRateLimitCooldown(cooldown, messageKey);
 }
 
 // ===== Cache =====
 function cacheKey(lat, lon) {
-  const rlat = Number(lat).toFixed(COORD_CACHE_KEY_DECIMALS);
-  const rlon = Number(lon).toFixed(COORD_CACHE_KEY_DECIMALS);
-  return `iwannasun_day_v2_${rlat}_${rlon}`;
+  return forecastCacheModule.forecastCacheKey(lat, lon, COORD_CACHE_KEY_DECIMALS);
 }
 
-function loadCached(lat, lon, maxAgeMs = 5 * 60 * 1000) {
-  try {
-    const key = cacheKey(lat, lon);
-    const raw = sessionStorage.getItem(key);
-    if (!raw) return null;
-    const obj = JSON.parse(raw);
-    if (!obj || !obj.ts || !obj.data) return null;
-    if (Date.now() - obj.ts > maxAgeMs) return null;
-    return obj.data;
-  } catch {
-    return null;
-  }
+function loadCached(lat, lon, maxAgeMs = FORECAST_CACHE_MAX_AGE_MS) {
+  return forecastCache.get(cacheKey(lat, lon)).then((record) => {
+    if (!record || !record.ts || !record.data) return null;
+    if (Date.now() - record.ts > maxAgeMs) return null;
+    return record;
+  });
 }
 
 function clearCached(lat, lon) {
+  forecastCache.remove(cacheKey(lat, lon));
+}
+
+function saveCached(lat, lon, data, ts = Date.now()) {
+  forecastCache.put(cacheKey(lat, lon), data, ts)
+    .then(() => forecastCache.prune(FORECAST_CACHE_MAX_AGE_MS));
+}
+
+// Forecast-local calendar days between two instants (0 on the same day).
+function forecastDaysElapsed(fromMs, toMs, tzName = state.tzName) {
+  const opts = { year: 'numeric', month: 'numeric', day: 'numeric' };
+  let fmt;
   try {
-    sessionStorage.removeItem(cacheKey(lat, lon));
+    fmt = new Intl.DateTimeFormat('en-US', tzName ? { ...opts, timeZone: tzName } : opts);
   } catch {
-    // ignore privacy mode / quota behavior
+    fmt = new Intl.DateTimeFormat('en-US', opts);
   }
+  const dayNumber = (ms) => {
+    const parts = fmt.formatToParts(new Date(ms));
+    const part = (type) => Number(parts.find((p) => p.type === type)?.value);
+    return Date.UTC(part('year'), part('month') - 1, part('day')) / 86400000;
+  };
+  return Math.max(0, Math.round(dayNumber(toMs) - dayNumber(fromMs)));
 }
 
-function saveCached(lat, lon, data) {
+// Normalizes a cached record, renumbers its days onto today, and applies it.
+// Returns false when the record is malformed or no longer covers today.
+function applyCachedForecast(lat, lon, record, nowMs = Date.now()) {
+  let normalized = null;
   try {
-    const key = cacheKey(lat, lon);
-    sessionStorage.setItem(key, JSON.stringify({ ts: Date.now(), data }));
-  } catch {
-    // ignore quota / privacy mode
+    normalized = normalizeForecastPayload(record.data, { lat, lon });
+  } catch (e) {
+    if (!(e instanceof ForecastNormalizationError)) throw e;
+    clearCached(lat, lon);
+    console.warn('IWS_MALFORMED_CACHED_FORECAST', e);
+    return false;
   }
+
+  const dayOffset = forecastDaysElapsed(record.ts, nowMs, normalized.meta?.tz_name);
+  const rebased = shiftForecastDays(normalized, dayOffset);
+  if (!rebased.days?.[0]?.length) return false;
+
+  applyForecastPayload(rebased, {
+    fallbackReason: 'model.fallbackCached',
+  });
+  state.dataFetchedAt = record.ts;
+  return true;
 }
 
 // ===== API =====
@@ -785,13 +1241,14 @@ function buildDayUrl(lat, lon) {
   const url = new URL(apiUrl('/day'));
   url.searchParams.set('lat', String(lat));
   url.searchParams.set('lon', String(lon));
+  url.searchParams.set('days', String(DAYS));
   return url.toString();
 }
 
 function applyForecastPayload(data, {
   usedModel = '',
   fallbackFromRay = null,
-  fallbackReason = 'Using local geometry fallback (ray unavailable).',
+  fallbackReason = 'model.fallback',
 } = {}) {
   state.data = data;
   state.tzName = data?.meta?.tz_name || null;
@@ -819,6 +1276,8 @@ async function fetchDay(force = false) {
     return;
   }
 
+  state.isRevalidating = false;
+  state.isOffline = false;
   setBusy(true);
   await nextPaint();
   if (!isCurrent()) return;
@@ -829,7 +1288,7 @@ async function fetchDay(force = false) {
   if (lat == null || lon == null) {
     if (isCurrent()) {
       if (!state.data) clearForecastUi();
-      showError('No location set');
+      showError(t('error.noLocation'));
       setBusy(false);
     }
     return;
@@ -838,27 +1297,19 @@ async function fetchDay(force = false) {
   const url = buildDayUrl(lat, lon);
 
   if (!force) {
-    const cached = loadCached(lat, lon, 5 * 60 * 1000);
-    if (cached) {
-      let normalizedCached = null;
-      try {
-        normalizedCached = normalizeForecastPayload(cached);
-      } catch (e) {
-        if (!(e instanceof ForecastNormalizationError)) throw e;
-        clearCached(lat, lon);
-        console.warn('IWS_MALFORMED_CACHED_FORECAST', e);
-        normalizedCached = null;
-      }
-
-      if (normalizedCached) {
-        if (!isCurrent()) return;
-        applyForecastPayload(normalizedCached, {
-          fallbackReason: 'Using local geometry fallback (ray unavailable on last successful fetch).',
-        });
-        render();
-        if (isCurrent()) setBusy(false);
+    const cached = await loadCached(lat, lon);
+    if (!isCurrent()) return;
+    if (cached && applyCachedForecast(lat, lon, cached)) {
+      render();
+      if (Date.now() - cached.ts <= FORECAST_CACHE_FRESH_MS) {
+        setBusy(false);
         return;
       }
+      // Stale-while-revalidate: keep the cached forecast on screen and let
+      // the request below replace it without the loading overlay.
+      state.isRevalidating = true;
+      setBusy(false);
+      renderStaleBadge();
     }
   }
 
@@ -871,30 +1322,14 @@ async function fetchDay(force = false) {
     if (!isCurrent()) return;
 
     if (!res.ok) {
-      let msg = '';
-      try {
-        const errBody = await res.json();
-        msg = (typeof errBody?.detail === 'string') ? errBody.detail : '';
-      } catch {}
-      const errCode = (res.headers?.get?.('X-IWS-Error-Code') || '').trim();
-
-      // Provider rate limit (Open-Meteo). Backend returns 503 and should include Retry-After.
-      if (res.status === 503 && (errCode === 'UPSTREAM_RATE_LIMIT' || msg.toLowerCase().includes('rate limit'))) {
-        if (isCurrent()) {
-          handleCooldownResponse(res, RL_PROVIDER_DEFAULT_COOLDOWN_S, 15 * 60, 'Rate limited by forecast provider. Please wait.');
-        }
-        return;
-      }
-
-      // Your API limiter (user spamming). Backend returns 429 and should include Retry-After.
-      if (res.status === 429) {
-        if (isCurrent()) {
-          handleCooldownResponse(res, RL_USER_DEFAULT_COOLDOWN_S, 60, 'Slow down, too many requests to our service.');
-        }
+      const { msg, errCode } = await readApiError(res);
+      const limitKind = rateLimitKindForResponse(res, msg, errCode);
+      if (limitKind) {
+        if (isCurrent()) startCooldownForResponse(res, limitKind);
         return;
       }
 
-      let apiMsg = `API error ${res.status}`;
+      let apiMsg = t('error.api', { status: res.status });
       if (msg) apiMsg = msg;
       if (isCurrent()) {
         if (!state.data) clearForecastUi();
@@ -905,9 +1340,24 @@ async function fetchDay(force = false) {
 
     const rawData = await res.json();
     if (!isCurrent()) return;
-    const data = normalizeForecastPayload(rawData);
+
+    // The service worker answers offline `/day` requests from the forecast
+    // cache; treat those like our own cache hits instead of fresh data.
+    const cachedAt = Number(res.headers?.get?.('X-IWS-Cached-At') || 0);
+    if (cachedAt > 0) {
+      if (applyCachedForecast(lat, lon, { ts: cachedAt, data: rawData })) render();
+      if (state.data) {
+        state.isOffline = true;
+      } else {
+        clearForecastUi();
+        showError(t('error.network'));
+      }
+      return;
+    }
+
+    const data = normalizeForecastPayload(rawData, { lat, lon });
     applyForecastPayload(data, {
-      fallbackReason: 'Using local geometry fallback (ray unavailable).',
+      fallbackReason: 'model.fallback',
     });
     if (state.rayFallbackActive) {
       console.info('IWS_MODEL_FALLBACK', {
@@ -917,24 +1367,107 @@ async function fetchDay(force = false) {
       });
     }
 
-    saveCached(lat, lon, rawData);
+    state.dataFetchedAt = Date.now();
+    state.isOffline = false;
+    saveCached(lat, lon, rawData, state.dataFetchedAt);
     render();
   } catch (e) {
     if (e && (e.name === 'AbortError' || e.code === 20)) return;
+    const isNetworkError = !(e instanceof ForecastNormalizationError);
+    if (isCurrent() && isNetworkError && !state.data) {
+      // Offline with nothing on screen (e.g. a forced refresh): fall back to
+      // the last known forecast for this location, whatever its age.
+      const cached = await loadCached(lat, lon);
+      if (isCurrent() && cached && applyCachedForecast(lat, lon, cached)) render();
+    }
     if (isCurrent()) {
-      if (!state.data) clearForecastUi();
-      showError(
-        e instanceof ForecastNormalizationError
-          ? 'Received malformed forecast data. Please try again.'
-          : 'Network error (could not reach API).'
-      );
+      if (isNetworkError && state.data) {
+        state.isOffline = true;
+      } else {
+        if (!state.data) clearForecastUi();
+        showError(
+          isNetworkError
+            ? t('error.network')
+            : t('error.malformed')
+        );
+      }
     }
     console.error(e);
   } finally {
-    if (isCurrent()) setBusy(false);
+    if (isCurrent()) {
+      state.isRevalidating = false;
+      setBusy(false);
+      renderStaleBadge();
+    }
+  }
+}
+
+// ===== Forecasts for other locations =====
+function forecastEntryFromPayload(data) {
+  return {
+    status: 'ready',
+    data,
+    days: dayBucketsForPayload(data),
+    tzName: data?.meta?.tz_name || null,
+  };
+}
+
+// Loads a forecast for a location other than the main fetch (compare mode,
+// sun finder): the on-screen forecast when it matches, then a fresh cache
+// record, then `/day`. Rate-limit responses start the same shared cooldown as
+// the main view. Resolves null when aborted.
+async function fetchForecastForLocation({ lat, lon }, { signal } = {}) {
+  if (state.data && state.lat === lat && state.lon === lon) {
+    return forecastEntryFromPayload(state.data);
+  }
+
+  const cached = await loadCached(lat, lon, FORECAST_CACHE_FRESH_MS);
+  if (cached) {
+    try {
+      const normalized = normalizeForecastPayload(cached.data, { lat, lon });
+      const dayOffset = forecastDaysElapsed(cached.ts, Date.now(), normalized.meta?.tz_name);
+      const rebased = shiftForecastDays(normalized, dayOffset);
+      if (rebased.days?.[0]?.length) return forecastEntryFromPayload(rebased);
+    } catch (e) {
+      if (!(e instanceof ForecastNormalizationError)) throw e;
+    }
+  }
+
+  if (rateLimitRemainingMs() > 0) return { status: 'rate_limited' };
+
+  try {
+    const res = await fetch(buildDayUrl(lat, lon), { signal });
+    if (!res.ok) {
+      const { msg, errCode } = await readApiError(res);
+      const limitKind = rateLimitKindForResponse(res, msg, errCode);
+      if (limitKind) {
+        startCooldownForResponse(res, limitKind);
+        return { status: 'rate_limited' };
+      }
+      return { status: 'error' };
+    }
+    const rawData = await res.json();
+    const data = normalizeForecastPayload(rawData, { lat, lon });
+    if (!res.headers?.get?.('X-IWS-Cached-At')) saveCached(lat, lon, rawData);
+    return forecastEntryFromPayload(data);
+  } catch (e) {
+    if (e && (e.name === 'AbortError' || e.code === 20)) return null;
+    console.error(e);
+    return { status: 'error' };
   }
 }
 
+// ===== Sun alerts =====
+// Alerts only target today's upcoming window, whatever day is on screen.
+function nextSunAlertWindow(nowMs = Date.now()) {
+  if (!state.data) return null;
+  ensurePreparedDays();
+  const days = state.days || [];
+  const intervalMinutesHint = Number(state.data?.meta?.interval_minutes || 0);
+  const side = pickSideWindowState(days[0] || [], days[1] || [], nowMs, intervalMinutesHint);
+  return side.mode === 'next_today' ? side.win : null;
+}
+
 // ===== Rendering =====
 function setMeter(fillEl, pct, color) {
   if (!fillEl) return;
@@ -943,93 +1476,29 @@ function setMeter(fillEl, pct, color) {
   fillEl.style.background = color || PUBLIC_RUNTIME_COLORS.meterFillNeutral;
 }
 
+// Label and support copy per quality band (`sunQualityBand` in
+// forecast-selectors.js) live in i18n.js under `quality.*`, `qualityNow.*`
+// and `qualityDay.*`.
 function sunQualityFromScore(score, isNight) {
-  if (isNight) {
-    return {
-      label: 'No sun',
-      emoji: '🌙',
-      support: 'Sun is below the horizon.',
-    };
-  }
-
-  const s = clamp(Number(score || 0), 0, 100);
-  if (s <= 20) {
-    return {
-      label: 'Very weak sun',
-      emoji: '☁️',
-      support: 'Sunlight is mostly blocked right now.',
-    };
-  }
-  if (s <= 40) {
-    return {
-      label: 'Weak sun',
-      emoji: '🌥️',
-      support: 'Only brief or faint sunlight possible.',
-    };
-  }
-  if (s <= 60) {
-    return {
-      label: 'Limited sun',
-      emoji: '⛅',
-      support: 'Sunlight is faint or appears briefly.',
-    };
-  }
-  if (s <= 80) {
-    return {
-      label: 'Good sun',
-      emoji: '🌤️',
-      support: 'Sunlight is mostly clear, but slightly faint or briefly blocked.',
-    };
-  }
+  const { key, emoji } = sunQualityBand(score, isNight);
   return {
-    label: 'Excellent sun',
-    emoji: '☀️',
-    support: 'Strong, uninterrupted sunlight.',
+    label: t(`quality.${key}`),
+    emoji,
+    support: t(`qualityNow.${key}`),
   };
 }
 
-function sunQualityFromScoreTomorrow(score, isNight) {
-  if (isNight) {
-    return {
-      label: 'No sun',
-      emoji: '🌙',
-      support: 'The sun stays below the horizon tomorrow.',
-    };
-  }
-
-  const s = clamp(Number(score || 0), 0, 100);
-  if (s <= 20) {
-    return {
-      label: 'Very weak sun',
-      emoji: '☁️',
-      support: 'Direct sunlight looks limited for most of tomorrow.',
-    };
-  }
-  if (s <= 40) {
-    return {
-      label: 'Weak sun',
-      emoji: '🌥️',
-      support: 'Only brief or faint sunlight for most of tomorrow.',
-    };
-  }
-  if (s <= 60) {
-    return {
-      label: 'Limited sun',
-      emoji: '⛅',
-      support: 'Sunlight is faint or appears briefly tomorrow.',
-    };
-  }
-  if (s <= 80) {
-    return {
-      label: 'Good sun',
-      emoji: '🌤️',
-      support: 'Sunlight is mostly clear for much of tomorrow, but slightly faint.',
-    };
-  }
+// Summary copy for any non-today day. `dayPhrase` is "tomorrow" or a weekday
+// name; the catalogue picks between the bare phrase and its "on …" form.
+function sunQualityFromScoreForDay(score, isNight, dayPhrase = 'tomorrow') {
+  const { key, emoji } = sunQualityBand(score, isNight);
+  const isTomorrow = dayPhrase === 'tomorrow';
+  const day = isTomorrow ? t('day.tomorrowPhrase') : dayPhrase;
+  const onDay = isTomorrow ? day : t('day.onWeekday', { day: dayPhrase });
   return {
-    label: 'Excellent sun',
-    emoji: '☀️',
-    support: 'Strong sunlight for most of tomorrow.',
+    label: t(`quality.${key}`),
+    emoji,
+    support: t(`qualityDay.${key}`, { day, onDay }),
   };
 }
 
@@ -1048,19 +1517,24 @@ function renderDecision(focusRow, context = { label: 'now' }) {
 
   const label = String(context?.label || '');
   const isNow = label === 'now';
-  const isTomorrow = label.toLowerCase().startsWith('tomorrow');
+  const isSummary = Boolean(context?.isSummary);
   const isAvg = label.toLowerCase().includes('average');
-  if (els.labelScore) els.labelScore.textContent = isNow ? 'Sun score now' : (isAvg ? 'Sun score (avg)' : 'Sun score');
+  if (els.labelScore) {
+    els.labelScore.textContent = t(isNow ? 'kpi.scoreNow' : (isAvg ? 'kpi.scoreAvg' : 'kpi.score'));
+  }
   // Confidence label text adjusts depending on context (now vs average)
-  if (els.labelConf) setLabelLeadText(els.labelConf, isNow ? 'Confidence now ' : (isAvg ? 'Confidence (avg) ' : 'Confidence '));
+  if (els.labelConf) {
+    const confKey = isNow ? 'kpi.confidenceNow' : (isAvg ? 'kpi.confidenceAvg' : 'kpi.confidence');
+    setLabelLeadText(els.labelConf, `${t(confKey)} `);
+  }
 
   const s = Number(focusRow.sun_score || 0);
   const c = Number(focusRow.confidence || 0);
   const chartMaxElevation = Number(context?.chartMaxElevation);
   const isNightByRow = Number(focusRow.elevation || 0) <= 0;
   // Today: hard below-horizon override from current/nearest-now row.
-  // Tomorrow: keep day-level guard from chart dataset.
-  const isNight = isTomorrow
+  // Later days: keep day-level guard from chart dataset.
+  const isNight = isSummary
     ? (Number.isFinite(chartMaxElevation) ? (chartMaxElevation <= 0) : isNightByRow)
     : isNightByRow;
 
@@ -1073,23 +1547,21 @@ function renderDecision(focusRow, context = { label: 'now' }) {
   if (!isDaylightRow(focusRow)) {
     if (els.confNow) {
       els.confNow.textContent = '—';
-      els.confNow.title = 'Sun below horizon (confidence not applicable).';
+      els.confNow.title = t('kpi.confidenceNightTitle');
     }
     setMeter(els.meterConf, 0, PUBLIC_RUNTIME_COLORS.meterFillEmpty);
   } else {
     const cp = Math.round(c * 100);
     if (els.confNow) {
       els.confNow.textContent = cp + '%';
-      els.confNow.title = isAvg
-        ? 'Confidence average across daylight hours (higher = more stable conditions).'
-        : 'Confidence = how reliable the sun score estimate is (higher = more stable conditions).';
+      els.confNow.title = t(isAvg ? 'kpi.confidenceAvgTitle' : 'kpi.confidenceTitle');
     }
     // Confidence uses a neutral ink color (not the sunny color) so it feels distinct
     setMeter(els.meterConf, cp, PUBLIC_RUNTIME_COLORS.meterFillStrong);
   }
 
-  const quality = isTomorrow
-    ? sunQualityFromScoreTomorrow(s, isNight)
+  const quality = isSummary
+    ? sunQualityFromScoreForDay(s, isNight, context?.dayPhrase || 'tomorrow')
     : sunQualityFromScore(s, isNight);
 
   if (els.decisionText) els.decisionText.textContent = `${quality.label} ${quality.emoji}`;
@@ -1104,9 +1576,13 @@ function renderDecision(focusRow, context = { label: 'now' }) {
   }
 
   if (els.decisionLead) {
-    els.decisionLead.innerHTML = isTomorrow
-      ? '<span class="decisionContext decisionContextSubtle">Based on daylight sun score average.</span>'
-      : '';
+    els.decisionLead.innerHTML = '';
+    if (isSummary) {
+      const lead = document.createElement('span');
+      lead.className = 'decisionContext decisionContextSubtle';
+      lead.textContent = t('decision.summaryLead');
+      els.decisionLead.appendChild(lead);
+    }
   }
 
   // Primary support line: deterministic by horizon/score band only.
@@ -1116,7 +1592,7 @@ function renderDecision(focusRow, context = { label: 'now' }) {
   if (els.whyInline) {
     const secondary = [];
     if (Number(focusRow.cloud?.precip_mm ?? 0) > 0.2) {
-      secondary.push('Rain may reduce direct sunlight.');
+      secondary.push(t('decision.rain'));
     }
     els.whyInline.textContent = secondary.join(' ');
     els.whyInline.classList.toggle('secondaryLine', secondary.length > 0);
@@ -1130,11 +1606,11 @@ function renderNextWindow(win, opts = {}) {
   }
 
   if (!win) {
-    els.nextWindow.textContent = 'No sunny window';
+    els.nextWindow.textContent = t('side.noWindow');
     els.nextWindow.classList.add('big');
     els.nextWindow.classList.remove('good');
     els.nextWindow.classList.add('bad');
-    els.nextWindowSub.textContent = opts.emptySub || 'Try again later.';
+    els.nextWindowSub.textContent = opts.emptySub || t('side.tryLater');
     return;
   }
 
@@ -1145,7 +1621,7 @@ function renderNextWindow(win, opts = {}) {
     : Math.max(0, Math.round((new Date(win.end) - new Date(win.start)) / 60000));
 
   if (opts.activeNow) {
-    els.nextWindow.textContent = `Until ${b}`;
+    els.nextWindow.textContent = t('side.until', { time: b });
   } else {
     els.nextWindow.textContent = `${a} – ${b}`;
   }
@@ -1160,9 +1636,9 @@ function renderNextWindow(win, opts = {}) {
 
   if (opts.activeNow) {
     const rem = Math.max(0, Math.round((new Date(win.end).getTime() - Date.now()) / 60000));
-    els.nextWindowSub.textContent = `${rem} minutes likely remaining`;
+    els.nextWindowSub.textContent = t('side.minutesRemaining', { count: rem });
   } else {
-    els.nextWindowSub.textContent = `${mins} minutes above threshold`;
+    els.nextWindowSub.textContent = t('side.minutesAbove', { count: mins });
   }
 }
 
@@ -1175,22 +1651,43 @@ function renderTimeline(visibleRows) {
     isDaylightRow,
     mixSunColor,
     clamp,
+    t,
   });
 }
 
-function renderChart(dayRows, win = null, rowsOverride = null) {
+function currentChartMode() {
+  return settingsController ? settingsController.getChartMode() : SETTINGS_DEFAULTS.chartMode;
+}
+
+function syncChartModeText(mode = currentChartMode()) {
+  const keys = CHART_MODE_TEXT[mode] || CHART_MODE_TEXT.sun;
+  if (els.chartAxisLabel) els.chartAxisLabel.textContent = t(keys.axis);
+  if (els.chartLegend) els.chartLegend.textContent = t(keys.legend);
+  if (els.canvas) els.canvas.setAttribute('aria-label', t(keys.aria));
+}
+
+function renderChart(dayRows, win = null, rowsOverride = null, windows = [], lightHours = []) {
   const chartHover = interactionController?.getChartHover?.() || { active: false, idx: -1 };
+  const focusedWindow = interactionController?.getFocusedWindow?.() || null;
   const result = renderChartModule({
     canvas: els.canvas,
     ctx,
     yAxisEl: els.yAxis,
+    scoreAxisEl: els.scoreAxis,
     xAxisEl: els.xAxis,
     dayRows,
     win,
     rowsOverride,
     prevAxisKey: _chartAxisKey,
     hover: chartHover,
-    tzName: state.tzName,
+    windows,
+    lightHours,
+    focusedWindowStart: focusedWindow?.start || '',
+    tzName: displayTimeZone(),
+    hour12: uses12HourClock(),
+    mode: currentChartMode(),
+    threshold: currentChartMode() === CHART_MODE_SCORE ? sunBreakRule().threshold : null,
+    colorScheme: activeColorScheme,
     daylightWindow,
     chartRowsForWindow,
     maxElevationFromRows,
@@ -1198,10 +1695,87 @@ function renderChart(dayRows, win = null, rowsOverride = null) {
     clamp,
     fmtTime,
     tUtc,
+    t,
   });
   if (!result) return;
   _chartAxisKey = result?.axisKey || '';
+  _chartRows = result.rows || [];
   if (interactionController) interactionController.setChartGeom(result?.geom || null);
+  renderCloudLayersModule({
+    canvas: els.cloudCanvas,
+    ctx: cloudCtx,
+    rows: result.rows || [],
+    hover: chartHover,
+    colorScheme: activeColorScheme,
+    clamp,
+    fmtTime,
+    tUtc,
+    t,
+  });
+}
+
+function renderChartTable(rows) {
+  renderChartTableModule({
+    tableBodyEl: els.chartTableBody,
+    rows,
+    fmtTime,
+    tUtc,
+  });
+}
+
+// The sky follows the forecast's "now" row unless a chart column is hovered or
+// picked on the preview slider; then it shows that column with the day's
+// twilight, so 17:30 can be seen before it happens.
+function applySkyTheme(renderState) {
+  const { theme } = renderState;
+  const previewIdx = interactionController?.getSkyPreviewIdx?.() ?? -1;
+  const previewRow = chartFocusRow();
+  if (previewRow) {
+    const twilight = theme.dayWin ? { sunrise: theme.dayWin.start, sunset: theme.dayWin.end } : null;
+    applyAtmosphericTheme(previewRow, twilight);
+  } else {
+    applyAtmosphericTheme(theme.themeRow, theme.twilightContext);
+  }
+  renderSkyPreviewControl(previewIdx, theme);
+}
+
+// The chart column the sky and the compass follow: the hovered one, else the
+// one picked on the preview slider, else none.
+function chartFocusRow() {
+  const hover = interactionController?.getChartHover?.() || { active: false, idx: -1 };
+  const idx = hover.active ? hover.idx : (interactionController?.getSkyPreviewIdx?.() ?? -1);
+  return idx >= 0 ? (_chartRows[idx] || null) : null;
+}
+
+function nearestChartRowIdx(row) {
+  if (!row || !_chartRows.length) return 0;
+  const targetMs = tMs(row);
+  let best = 0;
+  _chartRows.forEach((candidate, idx) => {
+    if (Math.abs(tMs(candidate) - targetMs) < Math.abs(tMs(_chartRows[best]) - targetMs)) best = idx;
+  });
+  return best;
+}
+
+// Without a preview the thumb rests on the row the sky is showing.
+function renderSkyPreviewControl(previewIdx = -1, theme = null) {
+  if (!els.skyPreview) return;
+  const last = _chartRows.length - 1;
+  const row = previewIdx >= 0 ? _chartRows[previewIdx] : null;
+  const text = row
+    ? fmtTime(tUtc(row))
+    : t(theme?.mode === 'summary_static' ? 'preview.summary' : 'preview.now');
+  els.skyPreview.disabled = last < 1;
+  els.skyPreview.max = String(Math.max(0, last));
+  els.skyPreview.value = String(row ? previewIdx : nearestChartRowIdx(theme?.themeRow));
+  els.skyPreview.setAttribute('aria-valuetext', text);
+  if (els.skyPreviewTime) els.skyPreviewTime.textContent = text;
+  if (els.btnSkyPreviewNow) els.btnSkyPreviewNow.hidden = !row;
+}
+
+function announceChartPoint(idx) {
+  if (!els.chartLive) return;
+  els.chartLive.textContent = chartPointTextModule({ row: _chartRows[idx], t, fmtTime, tUtc });
 }
 
 function ensurePreparedDays() {
@@ -1226,19 +1800,50 @@ function getCurrentForecastRenderState(nowMs = Date.now()) {
 function redrawChartOnly(nowMs = Date.now()) {
   const renderState = getCurrentForecastRenderState(nowMs);
   if (!renderState) return false;
-  renderChart(renderState.chart.dayRows, renderState.chart.dayWin30, renderState.chart.chartRows);
+  renderChart(
+    renderState.chart.dayRows,
+    renderState.chart.dayWin30,
+    renderState.chart.chartRows,
+    renderState.sideCard.windows,
+    renderState.lightHours
+  );
+  applySkyTheme(renderState);
+  if (compassController) compassController.render(renderState, chartFocusRow());
   return true;
 }
 
-function updateTimePill() {
+function deviceTimeZoneName() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+  } catch {
+    return '';
+  }
+}
+
+// The pill shows the display zone's clock first and, when the location and
+// device clocks differ, the other one after it.
+function updateTimePill(nowMs = Date.now()) {
   if (!els.timePill) return;
-  if (state.tzName) {
-    setTimePillValue(fmtTime(new Date()));
-    els.timePill.title = `Local time (${state.tzName})`;
-  } else {
+  if (!state.tzName) {
     setTimePillValue('—');
     els.timePill.title = '';
+    return;
   }
+  const locationTime = getFormatters(state.tzName).hm.format(nowMs);
+  const deviceTime = getFormatters('').hm.format(nowMs);
+  const locationTitle = t('shell.localTimeIn', { tz: state.tzName });
+  if (locationTime === deviceTime) {
+    setTimePillValue(locationTime);
+    els.timePill.title = locationTitle;
+    return;
+  }
+  const deviceFirst = timeDisplay().timeZoneMode === 'device';
+  const other = deviceFirst
+    ? t('shell.otherZoneLocation', { time: locationTime })
+    : t('shell.otherZoneDevice', { time: deviceTime });
+  setTimePillValue(`${deviceFirst ? deviceTime : locationTime} · ${other}`);
+  const deviceTitle = t('shell.deviceTimeIn', { tz: deviceTimeZoneName() });
+  els.timePill.title = deviceFirst ? `${deviceTitle} · ${locationTitle}` : `${locationTitle} · ${deviceTitle}`;
 }
 
 function renderSunriseSunset(dayWin) {
@@ -1246,8 +1851,8 @@ function renderSunriseSunset(dayWin) {
   if (!dayWin) {
     els.sunriseTime.textContent = '—';
     els.sunsetTime.textContent = '—';
-    els.sunriseTime.title = 'No sunrise (sun stays below horizon)';
-    els.sunsetTime.title = 'No sunset (sun stays below horizon)';
+    els.sunriseTime.title = t('side.noSunrise');
+    els.sunsetTime.title = t('side.noSunset');
     return;
   }
   els.sunriseTime.textContent = fmtTime(dayWin.start);
@@ -1256,6 +1861,15 @@ function renderSunriseSunset(dayWin) {
   els.sunsetTime.title = fmtDateTime(dayWin.end);
 }
 
+function renderLightHours(lightHours) {
+  renderLightHourListModule({
+    listEl: els.lightHourList,
+    lightHours,
+    fmtTime,
+    t,
+  });
+}
+
 function renderTimelineState(timelineState) {
   renderTimelineStateModule({
     timelineEl: els.timeline,
@@ -1265,14 +1879,83 @@ function renderTimelineState(timelineState) {
     isDaylightRow,
     mixSunColor,
     clamp,
+    t,
+  });
+}
+
+function renderWeekStrip(weekState) {
+  renderWeekStripModule({
+    stripEl: els.weekStrip,
+    weekState,
+    selectedIndex: currentDayIndex(),
+    dayLabel: (dayIndex) => dayOptionLabel(dayIndex),
+    fmtTime,
+    mixSunColor,
+    clamp,
+    t,
+  });
+}
+
+function renderSunWindowList(windows) {
+  const focusedWindow = interactionController?.getFocusedWindow?.() || null;
+  renderSunWindowListModule({
+    listEl: els.sunWindowList,
+    windows,
+    focusedStart: focusedWindow?.start || '',
+    fmtTime,
+    mixSunColor,
+    clamp,
+    t,
   });
 }
 
+// Side-card window picks highlight the chart band and bring the matching
+// timeline rows into view.
+function focusSunWindow(win) {
+  setSunWindowListFocusModule(els.sunWindowList, win?.start || '');
+  redrawChartOnly();
+  scrollTimelineToWindowModule(els.timeline, win);
+}
+
+// Fetch times are shown in device time: they describe when this device last
+// heard from the API, not anything about the forecast location.
+function fmtFetchedAt(ms, nowMs = Date.now()) {
+  const d = new Date(ms);
+  const sameDay = d.toDateString() === new Date(nowMs).toDateString();
+  const opts = sameDay
+    ? { hour: '2-digit', minute: '2-digit', hour12: uses12HourClock() }
+    : { weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: uses12HourClock() };
+  return new Intl.DateTimeFormat(i18n.timeLocale, opts).format(d);
+}
+
+function renderStaleBadge(nowMs = Date.now()) {
+  if (!els.staleBadge) return;
+  const fetchedAt = Number(state.dataFetchedAt || 0);
+  const isStale = Boolean(state.data) && fetchedAt > 0
+    && (state.isOffline || state.isRevalidating || nowMs - fetchedAt > FORECAST_CACHE_FRESH_MS);
+  if (!isStale) {
+    els.staleBadge.hidden = true;
+    els.staleBadge.textContent = '';
+    els.staleBadge.classList.remove('isOffline');
+    return;
+  }
+
+  const when = fmtFetchedAt(fetchedAt, nowMs);
+  let text = t('stale.data', { when });
+  if (state.isOffline) text = t('stale.offline', { when });
+  else if (state.isRevalidating) text = t('stale.updating', { when });
+
+  els.staleBadge.hidden = false;
+  els.staleBadge.textContent = text;
+  els.staleBadge.title = t('stale.title', { when: new Date(fetchedAt).toLocaleString(i18n.timeLocale) });
+  els.staleBadge.classList.toggle('isOffline', state.isOffline);
+}
+
 function renderModelModeNote() {
   if (!els.modelModeNote) return;
   if (state.rayFallbackActive) {
     els.modelModeNote.style.display = 'block';
-    els.modelModeNote.textContent = state.rayFallbackReason;
+    els.modelModeNote.textContent = t(state.rayFallbackReason);
   } else {
     els.modelModeNote.style.display = 'none';
     els.modelModeNote.textContent = '';
@@ -1305,11 +1988,29 @@ function rowsSnapshotKey(rows) {
   return (rows || []).map((row) => rowSnapshotKey(row)).join('||');
 }
 
-function chartAxisKeyForRows(rows, tzName = state.tzName, maxElevOverride = null) {
+// Selection is deliberately left out: picking a day only moves the marker.
+function weekStripSnapshotKey(weekState, tzName = state.tzName) {
+  const tiles = weekState?.tiles || [];
+  return [
+    tzName || '',
+    ...tiles.map((tile) => [
+      tile.dayIndex,
+      tile.hasDaylight ? 1 : 0,
+      Math.round(Number(tile.avgScore || 0)),
+      Math.round(Number(tile.avgConf || 0) * 100),
+      windowSnapshotKey(tile.bestWindow),
+      tile.dayWin ? `${tile.dayWin.start.toISOString()}-${tile.dayWin.end.toISOString()}` : 'none',
+    ].join(':')),
+  ].join('|');
+}
+
+function chartAxisKeyForRows(rows, tzName = displayTimeZone(), maxElevOverride = null) {
   return chartAxisKeyForRowsRenderer(rows, {
     tzName,
+    hour12: uses12HourClock(),
     maxElevOverride,
     maxElevationFromRows,
+    mode: currentChartMode(),
   });
 }
 
@@ -1337,14 +2038,28 @@ function buildRenderSnapshot(renderState, nowMs = Date.now()) {
       renderState.sideCard.opts?.emptySub || '',
       renderState.sideCard.opts?.activeNow ? 1 : 0,
       activeRemainingMinutes == null ? '' : activeRemainingMinutes,
+      ...(renderState.sideCard.windows || []).map((win) => [
+        windowSnapshotKey(win),
+        Math.round(Number(win.meanScore || 0)),
+        win.isActive ? 1 : 0,
+        win.isPast ? 1 : 0,
+      ].join(':')),
     ].join('|'),
     sunriseSunsetKey: renderState.theme.dayWin
       ? `${renderState.theme.dayWin.start.toISOString()}|${renderState.theme.dayWin.end.toISOString()}`
       : 'none',
+    lightHoursKey: (renderState.lightHours || []).map((item) => [
+      item.kind,
+      windowSnapshotKey(item),
+      item.outlook || '',
+      item.isActive ? 1 : 0,
+      item.isPast ? 1 : 0,
+    ].join(':')).join('|'),
     timelineKey: [
       renderState.timeline.hasDaylightAhead ? 1 : 0,
       rowsSnapshotKey(renderState.timeline.visibleRows),
     ].join('|'),
+    weekStripKey: weekStripSnapshotKey(renderState.weekStrip),
     chartDataKey: rowsSnapshotKey(renderState.chart.chartRows),
     chartAxisKey: chartAxisKeyForRows(renderState.chart.chartRows),
   };
@@ -1361,8 +2076,11 @@ function computeRenderPlan(snapshot, prevSnapshot = null, {
     updateTheme: full || snapshot.themeKey !== prevSnapshot?.themeKey,
     updateSideCard: full || snapshot.sideCardKey !== prevSnapshot?.sideCardKey,
     updateSunriseSunset: full || snapshot.sunriseSunsetKey !== prevSnapshot?.sunriseSunsetKey,
+    updateLightHours: full || snapshot.lightHoursKey !== prevSnapshot?.lightHoursKey,
     redrawChart: true,
+    updateChartTable: full || snapshot.chartDataKey !== prevSnapshot?.chartDataKey,
     updateTimeline: full || snapshot.timelineKey !== prevSnapshot?.timelineKey,
+    updateWeekStrip: snapshot.weekStripKey !== prevSnapshot?.weekStripKey,
     updateRateLimitUi: includeRateLimitUi,
     updateModelModeNote: includeModelModeNote,
   };
@@ -1384,30 +2102,56 @@ function applyRenderState(renderState, snapshot, prevSnapshot = null, {
   if (plan.updateDecision) {
     renderDecision(renderState.decision.decisionRow, {
       label: renderState.decision.contextLabel,
+      isSummary: !renderState.decision.isToday,
+      dayPhrase: renderState.decision.dayPhrase,
       chartMaxElevation: renderState.decision.chartMaxElevation,
     });
   }
 
-  if (plan.updateTheme) {
-    applyAtmosphericTheme(renderState.theme.themeRow, renderState.theme.twilightContext);
-  }
-
   if (plan.updateSideCard) {
     renderNextWindow(renderState.sideCard.win, renderState.sideCard.opts);
+    renderSunWindowList(renderState.sideCard.windows);
+    if (calendarController) calendarController.renderButtons(renderState.sideCard);
   }
 
   if (plan.updateSunriseSunset) {
     renderSunriseSunset(renderState.theme.dayWin);
   }
 
+  if (plan.updateLightHours) {
+    renderLightHours(renderState.lightHours);
+  }
+
   if (plan.redrawChart) {
-    renderChart(renderState.chart.dayRows, renderState.chart.dayWin30, renderState.chart.chartRows);
+    renderChart(
+      renderState.chart.dayRows,
+      renderState.chart.dayWin30,
+      renderState.chart.chartRows,
+      renderState.sideCard.windows,
+      renderState.lightHours
+    );
+  }
+
+  // After the chart, so a sky preview reads the columns just drawn.
+  if (plan.updateTheme || plan.redrawChart) applySkyTheme(renderState);
+  if (compassController && (plan.updateTheme || plan.redrawChart || plan.updateSideCard)) {
+    compassController.render(renderState, chartFocusRow());
+  }
+
+  if (plan.updateChartTable) {
+    renderChartTable(renderState.chart.chartRows);
   }
 
   if (plan.updateTimeline) {
     renderTimelineState(renderState.timeline);
   }
 
+  if (plan.updateWeekStrip) {
+    renderWeekStrip(renderState.weekStrip);
+  } else {
+    setWeekStripSelectionModule(els.weekStrip, renderState.dayIndex);
+  }
+
   if (plan.updateRateLimitUi) applyRateLimitUi();
   if (plan.updateModelModeNote) renderModelModeNote();
 }
@@ -1436,6 +2180,7 @@ if (IWS_SELECTOR_TEST_MODE && typeof window !== 'undefined') {
   function resetSelectorTestRenderState() {
     _lastRenderSnapshot = null;
     _chartAxisKey = '';
+    _chartRows = [];
     if (interactionController) interactionController.reset();
   }
 
@@ -1447,6 +2192,7 @@ if (IWS_SELECTOR_TEST_MODE && typeof window !== 'undefined') {
       chartAxisKey: _chartAxisKey,
       chartHover: { active: chartHover.active, idx: chartHover.idx },
       chartGeom: chartGeom ? { ...chartGeom } : null,
+      focusedWindow: interactionController?.getFocusedWindow?.() || null,
     };
   }
 
@@ -1459,6 +2205,27 @@ if (IWS_SELECTOR_TEST_MODE && typeof window !== 'undefined') {
     interactionController.setSelectorTestChartHover({ active, idx, geom });
   }
 
+  function getSelectorTestFavouritesController() {
+    return favouritesController;
+  }
+
+  function setSelectorTestSettings(next = null) {
+    if (!settingsController) return;
+    settingsController.setSettings(next || SETTINGS_DEFAULTS, { persist: false, notify: false });
+  }
+
+  // '' goes back to the default language.
+  function setSelectorTestLocale(locale = '') {
+    if (!settingsController) return;
+    settingsController.setLocale(String(locale || ''));
+  }
+
+  function setSelectorTestColorScheme(colorScheme = 'auto') {
+    if (!settingsController) return '';
+    settingsController.setColorScheme(colorScheme);
+    return activeColorScheme;
+  }
+
   // Keep the browser selector test surface stable even as app internals move
   // behind dedicated modules.
   window.IWS_SELECTOR_TEST_API = {
@@ -1468,6 +2235,15 @@ if (IWS_SELECTOR_TEST_MODE && typeof window !== 'undefined') {
     selectThemeViewState,
     selectChartViewState,
     selectTimelineViewState,
+    selectWeekStripViewState,
+    selectCompareViewState,
+    selectSunFinderRanking,
+    sampleSunFinderGrid,
+    sunBreakRule,
+    rankedSunBreakWindows,
+    lightHourWindows,
+    selectCompassViewState,
+    sunCompassPoint,
     visibleTimelineRows,
     meaningfulWindows,
     nearestRowToLocalHour,
@@ -1478,6 +2254,7 @@ if (IWS_SELECTOR_TEST_MODE && typeof window !== 'undefined') {
     normalizeTimelineRow,
     normalizeForecastWindow,
     bucketForecastRowsByDay,
+    shiftForecastDays,
     buildRenderSnapshot,
     computeRenderPlan,
     chartAxisKeyForRows,
@@ -1489,6 +2266,21 @@ if (IWS_SELECTOR_TEST_MODE && typeof window !== 'undefined') {
     resetSelectorTestRenderState,
     getSelectorTestInternals,
     setSelectorTestChartHover,
+    setSelectorTestSettings,
+    setSelectorTestLocale,
+    setSelectorTestColorScheme,
+    getSelectorTestFavouritesController,
+    nextSunAlertWindow,
+    planSunAlert: sunAlertsControllerModule.planSunAlert,
+    sunAlertMessage: (opts) => sunAlertsControllerModule.sunAlertMessage({ t, ...opts }),
+    calendarWindowsForDay: (dayIndex) => calendarController.windowsForDay(dayIndex),
+    buildSunWindowsIcs,
+    exportRowsForScope: (scope) => dataExportController.exportRowsForScope(scope),
+    forecastExportHeader,
+    buildForecastCsv,
+    buildForecastJson,
+    renderCloudLayers: (opts) => renderCloudLayersModule({ t, ...opts }),
+    confidenceBandForRows: (rows) => confidenceBandForRowsRenderer(rows, clamp),
   };
 }
 
@@ -1498,6 +2290,8 @@ function render() {
     return;
   }
   const nowMs = Date.now();
+  renderDayOptions(nowMs);
+  if (dataExportController) dataExportController.renderButtons();
   const renderState = getCurrentForecastRenderState(nowMs);
   if (!renderState) {
     clearForecastUi();
@@ -1511,6 +2305,8 @@ function render() {
   });
   _lastRenderSnapshot = snapshot;
   _lastUiMinute = Math.floor(nowMs / 60000);
+  renderStaleBadge(nowMs);
+  if (sunAlertsController) sunAlertsController.reschedule(nowMs);
 }
 
 function refreshTimeSensitiveUi(force = false) {
@@ -1529,11 +2325,51 @@ function refreshTimeSensitiveUi(force = false) {
     includeModelModeNote: false,
   });
   _lastRenderSnapshot = snapshot;
+  renderStaleBadge(nowMs);
+  if (sunAlertsController) sunAlertsController.reschedule(nowMs);
 }
 
 // Keep UI fresh (time pill + “now” marker)
 let _lastUiMinute = null;
 
+// ===== Language =====
+// A language picked in settings wins, then the browser's preferences. Tests
+// stay on the default so copy assertions don't depend on the runner.
+function resolveLocale() {
+  const picked = settingsController ? settingsController.getLocale() : '';
+  if (picked) return picked;
+  if (IWS_SELECTOR_TEST_MODE) return i18nModule.DEFAULT_LOCALE;
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  return i18nModule.detectLocale(preferred);
+}
+
+// Swaps the catalogue and redraws every piece of copy on screen: static
+// shell text, then everything the render path and controllers produce.
+function applyLocale(locale = resolveLocale()) {
+  i18n = i18nModule.createTranslator(locale);
+  document.documentElement.lang = i18n.locale;
+  i18nModule.applyStaticTranslations(document, t);
+  syncChartModeText();
+  rerenderDisplayedText();
+}
+
+// Language, clock and time-zone changes rewrite text across the page without
+// touching the data, so snapshots can't tell; drop them and render in full.
+function rerenderDisplayedText() {
+  renderDayOptions();
+  _lastRenderSnapshot = null;
+  _chartAxisKey = '';
+  if (state.data) render();
+  else clearForecastUi();
+  applyRateLimitUi();
+  if (favouritesController) favouritesController.sync();
+  if (compareController) compareController.refresh();
+  if (sunFinderController) {
+    sunFinderController.relabelHours();
+    sunFinderController.refresh();
+  }
+}
+
 locationController = locationControllerModule.createLocationController({
   els,
   state,
@@ -1544,7 +2380,10 @@ locationController = locationControllerModule.createLocationController({
   showError,
   setBusy,
   nextPaint,
-  onLocationStateChange: syncShareableUrlState,
+  t,
+  getLanguage: () => i18n.locale,
+  onLocationStateChange: handleLocationStateChange,
+  getFavouriteMatches: (query) => (favouritesController ? favouritesController.matchFavourites(query) : []),
 });
 interactionController = interactionControllerModule.createInteractionController({
   els,
@@ -1557,7 +2396,165 @@ interactionController = interactionControllerModule.createInteractionController(
   redrawChartOnly,
   fetchDay,
   refreshTimeSensitiveUi,
+  focusSunWindow,
+  announceChartPoint,
+  t,
+});
+settingsController = settingsControllerModule.createSettingsController({
+  els,
+  defaults: SETTINGS_DEFAULTS,
+  testMode: IWS_SELECTOR_TEST_MODE,
+  clamp,
+  t,
+  locales: i18nModule.SUPPORTED_LOCALES,
+  onChange: () => {
+    // Rules only change derived windows, so re-render from the loaded payload.
+    if (state.data) render();
+    if (compareController) compareController.refresh();
+    if (sunFinderController) sunFinderController.refresh();
+    syncShareableUrlState();
+  },
+  onChartModeChange: (mode) => {
+    syncChartModeText(mode);
+    redrawChartOnly();
+  },
+  onLocaleChange: () => applyLocale(),
+  onTimeDisplayChange: () => rerenderDisplayedText(),
+  onColorSchemeChange: () => applyColorScheme(),
+});
+calendarController = calendarControllerModule.createCalendarController({
+  els,
+  state,
+  feedBase: SUN_FEED_BASE,
+  ensurePreparedDays,
+  currentDayIndex,
+  getCurrentRenderState: () => getCurrentForecastRenderState(),
+  sunBreakWindows,
+  normalizeForecastWindow,
+  hasMeaningfulLocation: hasMeaningfulShareLocation,
+  getLabel: normalizedShareLabel,
+  getShareUrl: () => buildShareUrl({ dayIndex: 0 }),
+  roundCoord,
+  coordStateDecimals: COORD_STATE_DECIMALS,
+  getLocale: () => i18n.locale,
+  defaultLocale: i18nModule.DEFAULT_LOCALE,
+  // Feeds only carry the sun-break rule when it differs from the defaults.
+  getFeedRule: () => {
+    const settings = settingsController ? settingsController.getSettings() : null;
+    return (settings && !settingsController.isDefaultSettings(settings)) ? settings : null;
+  },
+  buildSunWindowsIcs,
+  sunWindowsIcsFilename,
+  downloadTextFile: fileDownload.downloadTextFile,
+  locationDateKey: fileDownload.locationDateKey,
+  showNotice: showShareNotice,
+  t,
+});
+favouritesController = favouritesControllerModule.createFavouritesController({
+  els,
+  state,
+  testMode: IWS_SELECTOR_TEST_MODE,
+  roundCoord,
+  coordStateDecimals: COORD_STATE_DECIMALS,
+  setLocation,
+  fetchDay,
+  feedUrlFor: calendarController.feedUrl,
+  t,
+});
+compareController = compareControllerModule.createCompareController({
+  els,
+  maxLocations: COMPARE_MAX_LOCATIONS,
+  concurrency: COMPARE_FETCH_CONCURRENCY,
+  debounce,
+  runWithConcurrency: taskPool.runWithConcurrency,
+  fetchForecast: fetchForecastForLocation,
+  isRateLimited: () => rateLimitRemainingMs() > 0,
+  state,
+  roundCoord,
+  coordStateDecimals: COORD_STATE_DECIMALS,
+  getFavourites: () => (favouritesController ? favouritesController.getFavourites() : []),
+  currentDayIndex,
+  dayLabel: dayOptionLabel,
+  selectCompareViewState,
+  compareSeriesColor,
+  renderCompareChart: renderCompareChartModule,
+  renderCompareTable: renderCompareTableModule,
+  getColorScheme: () => activeColorScheme,
+  clamp,
+  fmtTime: fmtTimeInZone,
+  tMs,
+  mixSunColor,
+  t,
+});
+sunFinderController = sunFinderControllerModule.createSunFinderController({
+  els,
+  state,
+  concurrency: SUN_FINDER_FETCH_CONCURRENCY,
+  runWithConcurrency: taskPool.runWithConcurrency,
+  sampleGrid: sampleSunFinderGrid,
+  fetchForecast: fetchForecastForLocation,
+  isRateLimited: () => rateLimitRemainingMs() > 0,
+  topSpots: SUN_FINDER_TOP_SPOTS,
+  currentDayIndex,
+  selectRanking: selectSunFinderRanking,
+  renderResults: renderSunFinderResultsModule,
+  compassLabel,
+  mixSunColor,
+  clamp,
+  fmtTime,
+  setLocation,
+  fetchDay,
+  fmtHour,
+  t,
+});
+dataExportController = dataExportControllerModule.createDataExportController({
+  els,
+  state,
+  ensurePreparedDays,
+  currentDayIndex,
+  getLabel: normalizedShareLabel,
+  showNotice: showShareNotice,
+  buildForecastCsv,
+  buildForecastJson,
+  forecastExportHeader,
+  forecastExportFilename,
+  downloadTextFile: fileDownload.downloadTextFile,
+  locationDateKey: fileDownload.locationDateKey,
+  tMs,
+  t,
+});
+compassController = compassControllerModule.createCompassController({
+  els,
+  sunCompassPoint,
+  renderSunCompass,
+  compassLabel,
+  fmtTime,
+  t,
+});
+sunAlertsController = sunAlertsControllerModule.createSunAlertsController({
+  els,
+  state,
+  testMode: IWS_SELECTOR_TEST_MODE,
+  roundCoord,
+  coordStateDecimals: COORD_STATE_DECIMALS,
+  getAlertLeads: () => settingsController.getAlertLeads(),
+  setAlertLeads: (leads) => settingsController.setAlertLeads(leads),
+  getNextWindow: nextSunAlertWindow,
+  fmtTime,
+  t,
 });
+serviceWorkerController = serviceWorkerControllerModule.createServiceWorkerController({
+  els,
+  testMode: IWS_SELECTOR_TEST_MODE,
+});
+
+function handleLocationStateChange() {
+  syncShareableUrlState();
+  if (favouritesController) favouritesController.sync();
+  if (compareController) compareController.refresh();
+  if (sunFinderController) sunFinderController.reset();
+  if (sunAlertsController) sunAlertsController.reschedule();
+}
 
 function setLocation(lat, lon, label = '') {
   if (!locationController) return;
@@ -1571,9 +2568,27 @@ function useHere(opts = {}) {
 
 locationController.attach();
 interactionController.attach();
+settingsController.attach();
+favouritesController.attach();
+compareController.attach();
+sunFinderController.attach();
+dataExportController.attach();
+calendarController.attach();
+sunAlertsController.attach();
+serviceWorkerController.attach();
+// applyLocale renders the page, so the scheme only needs setting first.
+applyColorScheme({ rerender: false });
+applyLocale();
+if (prefersDarkQuery?.addEventListener) {
+  prefersDarkQuery.addEventListener('change', () => {
+    if (settingsController.getColorScheme() === 'auto') applyColorScheme();
+  });
+}
 if (els.daySelect) {
   els.daySelect.addEventListener('change', () => {
     syncShareableUrlState();
+    compareController.refresh();
+    sunFinderController.refresh();
   });
 }
 if (els.btnShare) {
@@ -1581,6 +2596,10 @@ if (els.btnShare) {
     handleShareClick();
   });
 }
+window.addEventListener('online', () => {
+  if (!state.isOffline || state.isBusy) return;
+  fetchDay(true);
+});
 updateClearLocationButton();
 
 // ===== Init =====
@@ -1602,6 +2621,9 @@ window.addEventListener('DOMContentLoaded', () => {
   if (els.daySelect) {
     els.daySelect.value = String(sharedView.dayIndex);
   }
+  if (sharedView.settings) {
+    settingsController.setSettings(sharedView.settings, { persist: false, notify: false });
+  }
 
   if (sharedView.hasLocation) {
     setLocation(sharedView.lat, sharedView.lon, sharedView.label);
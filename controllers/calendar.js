@@ -0,0 +1,121 @@
+'use strict';
+
+(function registerCalendarController(global) {
+  function createCalendarController(opts) {
+    const {
+      els,
+      state,
+      feedBase = '',
+      ensurePreparedDays,
+      currentDayIndex,
+      getCurrentRenderState,
+      sunBreakWindows,
+      normalizeForecastWindow,
+      hasMeaningfulLocation,
+      getLabel,
+      getShareUrl,
+      roundCoord,
+      coordStateDecimals,
+      getLocale,
+      defaultLocale,
+      getFeedRule,
+      buildSunWindowsIcs,
+      sunWindowsIcsFilename,
+      downloadTextFile,
+      locationDateKey,
+      showNotice,
+      t,
+    } = opts;
+
+    let attached = false;
+
+    function windowsForDay(dayIndex = currentDayIndex()) {
+      if (!state.data) return [];
+      ensurePreparedDays();
+      const dayRows = state.days?.[dayIndex] || [];
+      const intervalMinutesHint = Number(state.data?.meta?.interval_minutes || 0);
+      return sunBreakWindows(dayRows, intervalMinutesHint);
+    }
+
+    function exportWindows(windows) {
+      const list = (windows || []).map(normalizeForecastWindow).filter(Boolean);
+      if (!list.length || !hasMeaningfulLocation()) {
+        showNotice(t('calendar.nothing'), { isError: true });
+        return;
+      }
+      const label = getLabel();
+      const dateKey = locationDateKey(list[0].start, state.tzName);
+      const ics = buildSunWindowsIcs({
+        windows: list,
+        label,
+        lat: state.lat,
+        lon: state.lon,
+        url: getShareUrl(),
+        t,
+      });
+      downloadTextFile(sunWindowsIcsFilename(label, dateKey), ics, 'text/calendar;charset=utf-8');
+      showNotice(t('calendar.downloaded', { count: list.length }));
+    }
+
+    function renderButtons(sideCard = null) {
+      if (els.btnIcsWindow) els.btnIcsWindow.disabled = !sideCard?.win;
+      if (els.btnIcsDay) els.btnIcsDay.disabled = !(sideCard?.windows || []).length;
+    }
+
+    // webcal:// so calendar apps offer to subscribe instead of downloading once.
+    function feedUrl({ lat, lon, label = '' } = {}) {
+      if (!feedBase || !hasMeaningfulLocation(lat, lon)) return '';
+      const url = new URL('/feed.ics', `${feedBase}/`);
+      url.searchParams.set('lat', String(roundCoord(Number(lat), coordStateDecimals)));
+      url.searchParams.set('lon', String(roundCoord(Number(lon), coordStateDecimals)));
+      if (label) url.searchParams.set('label', label);
+      const locale = getLocale();
+      if (locale !== defaultLocale) url.searchParams.set('lang', locale);
+      const rule = getFeedRule();
+      if (rule) {
+        url.searchParams.set('threshold', String(rule.threshold));
+        url.searchParams.set('min_minutes', String(rule.minMinutes));
+      }
+      return url.toString().replace(/^https?:/, 'webcal:');
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+
+      if (els.btnIcsWindow) {
+        els.btnIcsWindow.addEventListener('click', () => {
+          const renderState = getCurrentRenderState();
+          exportWindows(renderState?.sideCard?.win ? [renderState.sideCard.win] : []);
+        });
+      }
+      if (els.btnIcsDay) {
+        els.btnIcsDay.addEventListener('click', () => {
+          exportWindows(windowsForDay());
+        });
+      }
+      if (els.sunWindowList) {
+        els.sunWindowList.addEventListener('click', (e) => {
+          const button = e.target.closest('.sunWindowIcs');
+          if (!button || !state.data) return;
+          exportWindows([{
+            start: button.getAttribute('data-start'),
+            end: button.getAttribute('data-end'),
+          }]);
+        });
+      }
+    }
+
+    return {
+      attach,
+      exportWindows,
+      feedUrl,
+      renderButtons,
+      windowsForDay,
+    };
+  }
+
+  global.IWSCalendarController = {
+    createCalendarController,
+  };
+})(window);
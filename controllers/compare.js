@@ -0,0 +1,283 @@
+'use strict';
+
+(function registerCompareController(global) {
+  const esc = global.IWSI18n.escapeHtml;
+
+  const MIN_COMPARE_LOCATIONS = 2;
+
+  function createCompareController(opts) {
+    const {
+      els,
+      state,
+      maxLocations = 4,
+      concurrency = 2,
+      debounce,
+      runWithConcurrency,
+      fetchForecast,
+      isRateLimited,
+      roundCoord,
+      coordStateDecimals,
+      getFavourites,
+      currentDayIndex,
+      dayLabel,
+      selectCompareViewState,
+      compareSeriesColor,
+      renderCompareChart,
+      renderCompareTable,
+      getColorScheme,
+      clamp,
+      fmtTime,
+      tMs,
+      mixSunColor,
+      t,
+    } = opts;
+
+    const compareCtx = els.compareCanvas ? els.compareCanvas.getContext('2d') : null;
+
+    let attached = false;
+    let selectedIds = [];
+    let entries = [];
+    let runSeq = 0;
+    let abort = null;
+
+    function isOpen() {
+      return Boolean(els.compareCard && !els.compareCard.hidden);
+    }
+
+    // Current location first, then favourites, deduped by rounded coordinates.
+    function candidates() {
+      const out = [];
+      const seen = new Set();
+      const push = (lat, lon, label) => {
+        const id = `${roundCoord(lat, coordStateDecimals)},${roundCoord(lon, coordStateDecimals)}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+        out.push({ id, lat, lon, label });
+      };
+      if (state.lat != null && state.lon != null) {
+        const label = (state.label && state.label !== 'My location') ? state.label : t('location.this');
+        push(state.lat, state.lon, label);
+      }
+      for (const fav of (getFavourites() || [])) {
+        push(fav.lat, fav.lon, fav.label);
+      }
+      return out;
+    }
+
+    function setStatus(text) {
+      if (els.compareStatus) els.compareStatus.textContent = text || '';
+    }
+
+    function syncRunButton() {
+      if (!els.btnCompareRun) return;
+      els.btnCompareRun.disabled = selectedIds.length < MIN_COMPARE_LOCATIONS;
+    }
+
+    function renderCandidates() {
+      if (!els.compareCandidateList) return;
+      const list = candidates();
+      const known = new Set(list.map((c) => c.id));
+      selectedIds = selectedIds.filter((id) => known.has(id));
+
+      if (list.length < MIN_COMPARE_LOCATIONS) {
+        els.compareCandidateList.innerHTML = `<div class="muted small">${t('compare.needMore')}</div>`;
+        syncRunButton();
+        return;
+      }
+
+      const full = selectedIds.length >= maxLocations;
+      els.compareCandidateList.innerHTML = list.map((c) => {
+        const checked = selectedIds.includes(c.id);
+        const disabled = !checked && full;
+        return `<label class="compareCandidate${disabled ? ' isDisabled' : ''}">`
+          + `<input type="checkbox" value="${esc(c.id)}"${checked ? ' checked' : ''}${disabled ? ' disabled' : ''} />`
+          + `<span>${esc(c.label)}</span>`
+          + '</label>';
+      }).join('');
+      syncRunButton();
+    }
+
+    function getEntries() {
+      return entries.map((entry) => ({ ...entry }));
+    }
+
+    function render(list) {
+      const dayIndex = currentDayIndex();
+      const ready = list.filter((entry) => entry.status === 'ready');
+      const view = selectCompareViewState(ready, dayIndex);
+      const byId = new Map(view.locations.map((loc) => [loc.id, loc]));
+      const rows = list.map((entry, idx) => ({
+        id: entry.id,
+        label: entry.label,
+        status: entry.status,
+        color: compareSeriesColor(idx),
+        location: byId.get(entry.id) || null,
+      }));
+
+      if (els.compareDayLabel) els.compareDayLabel.textContent = dayLabel(dayIndex);
+      renderCompareChart({
+        canvas: els.compareCanvas,
+        ctx: compareCtx,
+        yAxisEl: els.compareYAxis,
+        xAxisEl: els.compareXAxis,
+        rows,
+        range: view.range,
+        colorScheme: getColorScheme(),
+        clamp,
+        fmtTime,
+        tMs,
+      });
+      renderCompareTable({
+        tableBodyEl: els.compareTableBody,
+        rows,
+        bestId: view.bestId,
+        fmtTime,
+        mixSunColor,
+        clamp,
+        t,
+      });
+    }
+
+    function emit() {
+      render(getEntries());
+    }
+
+    async function run() {
+      const list = candidates();
+      const picked = selectedIds
+        .map((id) => list.find((c) => c.id === id))
+        .filter(Boolean)
+        .slice(0, maxLocations);
+      if (picked.length < MIN_COMPARE_LOCATIONS) {
+        setStatus(t('compare.pickRange', { min: MIN_COMPARE_LOCATIONS, max: maxLocations }));
+        return;
+      }
+
+      const seq = ++runSeq;
+      if (abort) abort.abort();
+      abort = new AbortController();
+      const { signal } = abort;
+
+      entries = picked.map((c) => ({
+        id: c.id,
+        label: c.label,
+        lat: c.lat,
+        lon: c.lon,
+        status: 'loading',
+        data: null,
+        days: null,
+        tzName: null,
+      }));
+      setStatus(t('compare.comparing', { count: entries.length }));
+      emit();
+
+      const tasks = entries.map((entry, idx) => async () => {
+        if (seq !== runSeq) return;
+        // Once a cooldown starts, queued locations wait for the next run
+        // instead of hitting the API again.
+        if (typeof isRateLimited === 'function' && isRateLimited()) {
+          entries[idx] = { ...entry, status: 'rate_limited' };
+          emit();
+          return;
+        }
+        const result = await fetchForecast(entry, { signal });
+        if (seq !== runSeq || !result) return;
+        entries[idx] = { ...entry, ...result };
+        emit();
+      });
+
+      await runWithConcurrency(tasks, concurrency);
+      if (seq !== runSeq) return;
+
+      const failed = entries.filter((entry) => entry.status !== 'ready').length;
+      setStatus(failed ? t('compare.someFailed', { failed, count: entries.length }) : '');
+    }
+
+    function open() {
+      if (!els.compareCard) return;
+      els.compareCard.hidden = false;
+      if (els.btnCompare) els.btnCompare.setAttribute('aria-expanded', 'true');
+      if (!selectedIds.length) {
+        selectedIds = candidates().slice(0, MIN_COMPARE_LOCATIONS).map((c) => c.id);
+      }
+      renderCandidates();
+      setStatus('');
+      if (entries.length) emit();
+    }
+
+    function close() {
+      if (!els.compareCard) return;
+      runSeq += 1;
+      if (abort) abort.abort();
+      abort = null;
+      els.compareCard.hidden = true;
+      if (els.btnCompare) els.btnCompare.setAttribute('aria-expanded', 'false');
+    }
+
+    // Day or layout changes only re-derive from the payloads already loaded.
+    function refresh() {
+      if (!isOpen()) return;
+      renderCandidates();
+      if (entries.length) emit();
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+
+      if (els.btnCompare) {
+        els.btnCompare.addEventListener('click', () => {
+          if (isOpen()) close();
+          else {
+            open();
+            els.compareCard.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+          }
+        });
+      }
+
+      if (els.btnCompareClose) {
+        els.btnCompareClose.addEventListener('click', () => {
+          close();
+          els.btnCompare?.focus();
+        });
+      }
+
+      if (els.btnCompareRun) {
+        els.btnCompareRun.addEventListener('click', () => run());
+      }
+
+      if (typeof debounce === 'function') {
+        global.addEventListener('resize', debounce(() => {
+          if (isOpen() && entries.length) emit();
+        }, 160));
+      }
+
+      if (els.compareCandidateList) {
+        els.compareCandidateList.addEventListener('change', (e) => {
+          const input = e.target.closest('input[type="checkbox"]');
+          if (!input) return;
+          const id = String(input.value || '');
+          if (input.checked) {
+            if (!selectedIds.includes(id) && selectedIds.length < maxLocations) selectedIds = [...selectedIds, id];
+          } else {
+            selectedIds = selectedIds.filter((x) => x !== id);
+          }
+          renderCandidates();
+        });
+      }
+    }
+
+    return {
+      attach,
+      close,
+      getEntries,
+      open,
+      refresh,
+      run,
+    };
+  }
+
+  global.IWSCompareController = {
+    createCompareController,
+  };
+})(window);
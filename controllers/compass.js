@@ -0,0 +1,36 @@
+'use strict';
+
+(function registerCompassController(global) {
+  function createCompassController(opts) {
+    const {
+      els,
+      sunCompassPoint,
+      renderSunCompass,
+      compassLabel,
+      fmtTime,
+      t,
+    } = opts;
+
+    // `focusRow` is the chart column the sky follows too; without one the
+    // marker shows the sun now.
+    function render(renderState, focusRow = null) {
+      renderSunCompass({
+        svgEl: els.sunCompass,
+        captionEl: els.sunCompassCaption,
+        compass: renderState?.compass || null,
+        focus: sunCompassPoint(focusRow),
+        t,
+        fmtTime,
+        directionLabel: (deg) => t(`compass.${compassLabel(deg)}`),
+      });
+    }
+
+    return {
+      render,
+    };
+  }
+
+  global.IWSCompassController = {
+    createCompassController,
+  };
+})(window);
@@ -0,0 +1,90 @@
+'use strict';
+
+(function registerDataExportController(global) {
+  function createDataExportController(opts) {
+    const {
+      els,
+      state,
+      ensurePreparedDays,
+      currentDayIndex,
+      getLabel,
+      showNotice,
+      buildForecastCsv,
+      buildForecastJson,
+      forecastExportHeader,
+      forecastExportFilename,
+      downloadTextFile,
+      locationDateKey,
+      tMs,
+      t,
+    } = opts;
+
+    let attached = false;
+
+    function exportRowsForScope(scope = 'day') {
+      if (!state.data) return [];
+      ensurePreparedDays();
+      const days = state.days || {};
+      if (scope !== 'all') return days[currentDayIndex()] || [];
+      return Object.keys(days)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .flatMap((dayIndex) => days[dayIndex] || []);
+    }
+
+    function exportForecastData(format, scope = els.exportScope?.value) {
+      const exportScope = scope === 'all' ? 'all' : 'day';
+      const rows = exportRowsForScope(exportScope);
+      if (!rows.length) {
+        showNotice(t('export.nothing'), { isError: true });
+        return;
+      }
+      const label = getLabel();
+      const header = forecastExportHeader({
+        label,
+        lat: state.lat,
+        lon: state.lon,
+        model: state.data.model || state.geometryMode,
+        meta: state.data.meta,
+        scope: exportScope,
+        dayIndex: currentDayIndex(),
+      });
+      const dateKey = exportScope === 'all' ? 'all-days' : locationDateKey(tMs(rows[0]), state.tzName);
+      if (format === 'json') {
+        downloadTextFile(forecastExportFilename(label, dateKey, 'json'), buildForecastJson({ rows, header }), 'application/json;charset=utf-8');
+      } else {
+        downloadTextFile(forecastExportFilename(label, dateKey, 'csv'), buildForecastCsv({ rows, header }), 'text/csv;charset=utf-8');
+      }
+      showNotice(t('export.downloaded', { count: rows.length }));
+    }
+
+    function renderButtons(hasData = Boolean(state.data)) {
+      const disabled = !hasData;
+      if (els.btnExportCsv) els.btnExportCsv.disabled = disabled;
+      if (els.btnExportJson) els.btnExportJson.disabled = disabled;
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+
+      if (els.btnExportCsv) {
+        els.btnExportCsv.addEventListener('click', () => exportForecastData('csv'));
+      }
+      if (els.btnExportJson) {
+        els.btnExportJson.addEventListener('click', () => exportForecastData('json'));
+      }
+    }
+
+    return {
+      attach,
+      exportForecastData,
+      exportRowsForScope,
+      renderButtons,
+    };
+  }
+
+  global.IWSDataExportController = {
+    createDataExportController,
+  };
+})(window);
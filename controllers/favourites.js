@@ -0,0 +1,309 @@
+'use strict';
+
+(function registerFavouritesController(global) {
+  const esc = global.IWSI18n.escapeHtml;
+
+  const FAVOURITES_STORAGE_KEY = 'iwannasun_favourites_v1';
+  const MAX_FAVOURITES = 20;
+
+  function createFavouritesController(opts) {
+    const {
+      els,
+      state,
+      testMode,
+      roundCoord,
+      coordStateDecimals,
+      setLocation,
+      fetchDay,
+      feedUrlFor,
+      t,
+    } = opts;
+
+    let attached = false;
+    let favourites = [];
+    let renamingId = '';
+
+    function favouriteId(lat, lon) {
+      return `${roundCoord(lat, coordStateDecimals)},${roundCoord(lon, coordStateDecimals)}`;
+    }
+
+    function normalizeFavourite(raw) {
+      if (!raw || typeof raw !== 'object') return null;
+      const lat = Number(raw.lat);
+      const lon = Number(raw.lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+      if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+      return {
+        id: favouriteId(lat, lon),
+        lat: roundCoord(lat, coordStateDecimals),
+        lon: roundCoord(lon, coordStateDecimals),
+        label: String(raw.label || '').trim() || `${roundCoord(lat, 2)}, ${roundCoord(lon, 2)}`,
+      };
+    }
+
+    function loadStoredFavourites() {
+      try {
+        const raw = JSON.parse(global.localStorage.getItem(FAVOURITES_STORAGE_KEY) || '[]');
+        if (!Array.isArray(raw)) return [];
+        const seen = new Set();
+        return raw.map(normalizeFavourite).filter((fav) => {
+          if (!fav || seen.has(fav.id)) return false;
+          seen.add(fav.id);
+          return true;
+        }).slice(0, MAX_FAVOURITES);
+      } catch {
+        return [];
+      }
+    }
+
+    function saveStoredFavourites() {
+      if (testMode) return;
+      try {
+        const out = favourites.map(({ lat, lon, label }) => ({ lat, lon, label }));
+        global.localStorage.setItem(FAVOURITES_STORAGE_KEY, JSON.stringify(out));
+      } catch {
+        // ignore quota / privacy mode
+      }
+    }
+
+    function getFavourites() {
+      return favourites.slice();
+    }
+
+    function currentFavourite() {
+      if (state.lat == null || state.lon == null) return null;
+      const id = favouriteId(state.lat, state.lon);
+      return favourites.find((fav) => fav.id === id) || null;
+    }
+
+    // Favourites whose label contains the query, shaped like geocoding rows so
+    // the location controller can list them ahead of Open-Meteo results.
+    function matchFavourites(query) {
+      const q = String(query || '').trim().toLowerCase();
+      if (!q) return [];
+      return favourites
+        .filter((fav) => fav.label.toLowerCase().includes(q))
+        .map((fav) => ({
+          name: fav.label,
+          latitude: fav.lat,
+          longitude: fav.lon,
+          isFavourite: true,
+        }));
+    }
+
+    function commit() {
+      saveStoredFavourites();
+      syncFavouriteButton();
+      renderFavouritesList();
+    }
+
+    function addFavourite(lat, lon, label) {
+      const fav = normalizeFavourite({ lat, lon, label });
+      if (!fav || favourites.some((f) => f.id === fav.id)) return;
+      favourites = [...favourites, fav].slice(-MAX_FAVOURITES);
+      commit();
+    }
+
+    function removeFavourite(id) {
+      favourites = favourites.filter((fav) => fav.id !== id);
+      if (renamingId === id) renamingId = '';
+      commit();
+    }
+
+    function renameFavourite(id, label) {
+      const next = String(label || '').trim();
+      renamingId = '';
+      if (next) {
+        favourites = favourites.map((fav) => (fav.id === id ? { ...fav, label: next } : fav));
+      }
+      commit();
+    }
+
+    function moveFavourite(id, delta) {
+      const from = favourites.findIndex((fav) => fav.id === id);
+      const to = from + Number(delta || 0);
+      if (from < 0 || to < 0 || to >= favourites.length) return;
+      const next = favourites.slice();
+      const [fav] = next.splice(from, 1);
+      next.splice(to, 0, fav);
+      favourites = next;
+      commit();
+    }
+
+    function toggleCurrentFavourite() {
+      if (state.lat == null || state.lon == null) return;
+      const current = currentFavourite();
+      if (current) {
+        removeFavourite(current.id);
+        return;
+      }
+      const label = (state.label && state.label !== 'My location') ? state.label : '';
+      addFavourite(state.lat, state.lon, label);
+    }
+
+    function switchTo(id) {
+      const fav = favourites.find((f) => f.id === id);
+      if (!fav) return;
+      setPanelOpen(false);
+      setLocation(fav.lat, fav.lon, fav.label);
+      fetchDay(false);
+    }
+
+    function syncFavouriteButton() {
+      if (els.btnFavourite) {
+        const hasLocation = state.lat != null && state.lon != null;
+        const saved = Boolean(currentFavourite());
+        els.btnFavourite.disabled = !hasLocation;
+        els.btnFavourite.classList.toggle('isSaved', saved);
+        els.btnFavourite.setAttribute('aria-pressed', saved ? 'true' : 'false');
+        const title = saved ? t('favourites.remove') : t('favourites.save');
+        els.btnFavourite.title = title;
+        els.btnFavourite.setAttribute('aria-label', title);
+        els.btnFavourite.textContent = saved ? '★' : '☆';
+      }
+      if (els.btnFavourites) {
+        els.btnFavourites.hidden = favourites.length === 0;
+      }
+    }
+
+    function feedLink(fav) {
+      const href = (typeof feedUrlFor === 'function') ? feedUrlFor(fav) : '';
+      if (!href) return '';
+      const label = esc(fav.label);
+      return `<a class="btn favouriteAction favouriteFeed" href="${esc(href)}" aria-label="${t('favourites.subscribe', { label })}"`
+        + ` title="${t('favourites.subscribeTitle')}">📅</a>`;
+    }
+
+    function renderFavouritesList() {
+      if (!els.favouritesList) return;
+      if (!favourites.length) {
+        els.favouritesList.innerHTML = `<li class="favouritesEmpty muted small">${t('favourites.empty')}</li>`;
+        if (els.favouritesPanel && !els.favouritesPanel.hidden) setPanelOpen(false);
+        return;
+      }
+
+      const currentId = currentFavourite()?.id || '';
+      els.favouritesList.innerHTML = favourites.map((fav, idx) => {
+        const id = esc(fav.id);
+        const label = esc(fav.label);
+        const name = fav.id === renamingId
+          ? `<input class="favouriteRename" type="text" value="${label}" aria-label="${t('favourites.rename', { label })}" data-action="rename-input" data-id="${id}" />`
+          : `<button type="button" class="favouriteName${fav.id === currentId ? ' isCurrent' : ''}" data-action="switch" data-id="${id}">${label}</button>`;
+        return `<li class="favouriteItem">${name}`
+          + `<button type="button" class="favouriteAction" data-action="up" data-id="${id}" aria-label="${t('favourites.moveUp', { label })}"${idx === 0 ? ' disabled' : ''}>↑</button>`
+          + `<button type="button" class="favouriteAction" data-action="down" data-id="${id}" aria-label="${t('favourites.moveDown', { label })}"${idx === favourites.length - 1 ? ' disabled' : ''}>↓</button>`
+          + feedLink(fav)
+          + `<button type="button" class="favouriteAction" data-action="rename" data-id="${id}" aria-label="${t('favourites.rename', { label })}">✎</button>`
+          + `<button type="button" class="favouriteAction" data-action="delete" data-id="${id}" aria-label="${t('favourites.delete', { label })}">×</button>`
+          + '</li>';
+      }).join('');
+
+      const input = els.favouritesList.querySelector('.favouriteRename');
+      if (input) {
+        input.focus();
+        input.select();
+      }
+    }
+
+    function setPanelOpen(open) {
+      if (!els.favouritesPanel) return;
+      els.favouritesPanel.hidden = !open;
+      if (els.btnFavourites) els.btnFavourites.setAttribute('aria-expanded', open ? 'true' : 'false');
+      if (!open) renamingId = '';
+    }
+
+    function sync() {
+      syncFavouriteButton();
+      if (els.favouritesPanel && !els.favouritesPanel.hidden) renderFavouritesList();
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+
+      if (!testMode) favourites = loadStoredFavourites();
+      syncFavouriteButton();
+
+      if (els.btnFavourite) {
+        els.btnFavourite.addEventListener('click', () => toggleCurrentFavourite());
+      }
+
+      if (els.btnFavourites) {
+        els.btnFavourites.addEventListener('click', () => {
+          const open = Boolean(els.favouritesPanel?.hidden);
+          if (open) renderFavouritesList();
+          setPanelOpen(open);
+        });
+      }
+
+      if (els.favouritesList) {
+        els.favouritesList.addEventListener('click', (e) => {
+          const target = e.target.closest('[data-action]');
+          if (!target) return;
+          const id = String(target.getAttribute('data-id') || '');
+          const action = target.getAttribute('data-action');
+          if (action === 'switch') switchTo(id);
+          else if (action === 'up') moveFavourite(id, -1);
+          else if (action === 'down') moveFavourite(id, 1);
+          else if (action === 'delete') removeFavourite(id);
+          else if (action === 'rename') {
+            renamingId = id;
+            renderFavouritesList();
+          }
+        });
+
+        els.favouritesList.addEventListener('keydown', (e) => {
+          const input = e.target.closest('.favouriteRename');
+          if (!input) return;
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            renameFavourite(input.getAttribute('data-id'), input.value);
+          } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            renamingId = '';
+            renderFavouritesList();
+          }
+        });
+
+        els.favouritesList.addEventListener('focusout', (e) => {
+          const input = e.target.closest?.('.favouriteRename');
+          if (!input || renamingId !== input.getAttribute('data-id')) return;
+          renameFavourite(renamingId, input.value);
+        });
+      }
+
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && els.favouritesPanel && !els.favouritesPanel.hidden) {
+          setPanelOpen(false);
+          els.btnFavourites?.focus();
+        }
+      });
+
+      // The list re-renders inside its own click handler, so by the time the
+      // click reaches the document `e.target` is detached; the event path
+      // still records that it started inside the panel.
+      document.addEventListener('click', (e) => {
+        if (!els.favouritesPanel || els.favouritesPanel.hidden) return;
+        const path = e.composedPath();
+        if (path.includes(els.favouritesPanel) || (els.btnFavourites && path.includes(els.btnFavourites))) return;
+        setPanelOpen(false);
+      });
+    }
+
+    return {
+      addFavourite,
+      attach,
+      getFavourites,
+      matchFavourites,
+      moveFavourite,
+      removeFavourite,
+      renameFavourite,
+      sync,
+      toggleCurrentFavourite,
+    };
+  }
+
+  global.IWSFavouritesController = {
+    createFavouritesController,
+  };
+})(window);
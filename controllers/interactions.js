@@ -13,10 +13,16 @@
       redrawChartOnly,
       fetchDay,
       refreshTimeSensitiveUi,
+      focusSunWindow,
+      announceChartPoint,
+      t,
     } = opts;
 
     let attached = false;
     let chartHover = { active: false, idx: -1 };
+    // Chart column the sky previews from the slider; -1 follows "now".
+    let skyPreviewIdx = -1;
+    let focusedWindow = null;
     let chartGeom = null;
     let chartResizeObserver = null;
     let uiTick = null;
@@ -25,6 +31,25 @@
       return chartHover;
     }
 
+    function getSkyPreviewIdx() {
+      return skyPreviewIdx;
+    }
+
+    function setSkyPreviewIdx(idx = -1) {
+      const next = Number.isInteger(idx) && idx >= 0 ? idx : -1;
+      if (next === skyPreviewIdx) return;
+      skyPreviewIdx = next;
+      redrawChartOnly();
+    }
+
+    function getFocusedWindow() {
+      return focusedWindow;
+    }
+
+    function setFocusedWindow(win = null) {
+      focusedWindow = (win && win.start && win.end) ? { start: win.start, end: win.end } : null;
+    }
+
     function getChartGeom() {
       return chartGeom;
     }
@@ -41,7 +66,9 @@
 
     function reset() {
       chartHover = { active: false, idx: -1 };
+      skyPreviewIdx = -1;
       chartGeom = null;
+      focusedWindow = null;
     }
 
     function setSelectorTestChartHover({
@@ -76,22 +103,51 @@
       redrawChartOnly();
     }
 
-    function attachCanvasHover() {
-      if (!els.canvas) return;
+    // Keyboard equivalent of hover: arrows step one column, Home/End jump to
+    // sunrise/sunset, and each move is announced for screen readers.
+    function attachCanvasKeyboard(canvasEl) {
+      if (!canvasEl) return;
+
+      canvasEl.addEventListener('keydown', (e) => {
+        if (!state.data || state.isBusy || !chartGeom || chartGeom.ptsLen < 1) return;
+        const last = chartGeom.ptsLen - 1;
+        const from = chartHover.active ? chartHover.idx : -1;
+        let idx;
+        if (e.key === 'ArrowRight') idx = from < 0 ? chartGeom.firstDaylightIdx : from + 1;
+        else if (e.key === 'ArrowLeft') idx = from < 0 ? chartGeom.lastDaylightIdx : from - 1;
+        else if (e.key === 'Home') idx = chartGeom.firstDaylightIdx;
+        else if (e.key === 'End') idx = chartGeom.lastDaylightIdx;
+        else return;
+
+        e.preventDefault();
+        idx = clamp(idx, 0, last);
+        if (chartHover.active && chartHover.idx === idx) return;
+        chartHover = { active: true, idx };
+        redrawChartOnly();
+        if (typeof announceChartPoint === 'function') announceChartPoint(idx);
+      });
+
+      canvasEl.addEventListener('blur', () => clearChartHover());
+    }
+
+    // The cloud-layer panel shares the chart's x geometry, so either canvas
+    // drives the same hover index.
+    function attachCanvasHover(canvasEl) {
+      if (!canvasEl) return;
 
       let touchPointerId = null;
 
-      els.canvas.addEventListener('pointerdown', (e) => {
+      canvasEl.addEventListener('pointerdown', (e) => {
         if (e.pointerType !== 'touch') return;
         if (!state.data || state.isBusy) return;
         touchPointerId = e.pointerId;
         try {
-          els.canvas.setPointerCapture(e.pointerId);
+          canvasEl.setPointerCapture(e.pointerId);
         } catch {}
         updateChartHoverFromClientX(e.clientX);
       });
 
-      els.canvas.addEventListener('pointermove', (e) => {
+      canvasEl.addEventListener('pointermove', (e) => {
         if (!state.data || state.isBusy) return;
 
         if (e.pointerType === 'touch') {
@@ -103,28 +159,28 @@
         updateChartHoverFromClientX(e.clientX);
       });
 
-      els.canvas.addEventListener('pointerup', (e) => {
+      canvasEl.addEventListener('pointerup', (e) => {
         if (e.pointerType !== 'touch') return;
         if (touchPointerId != null && e.pointerId === touchPointerId) {
           touchPointerId = null;
           clearChartHover();
           try {
-            els.canvas.releasePointerCapture(e.pointerId);
+            canvasEl.releasePointerCapture(e.pointerId);
           } catch {}
         }
       });
 
-      els.canvas.addEventListener('pointerleave', (e) => {
+      canvasEl.addEventListener('pointerleave', (e) => {
         if (e.pointerType === 'touch') return;
         clearChartHover();
       });
 
-      els.canvas.addEventListener('pointercancel', (e) => {
+      canvasEl.addEventListener('pointercancel', (e) => {
         if (e.pointerType === 'touch' && touchPointerId != null && e.pointerId === touchPointerId) {
           touchPointerId = null;
           clearChartHover();
           try {
-            els.canvas.releasePointerCapture(e.pointerId);
+            canvasEl.releasePointerCapture(e.pointerId);
           } catch {}
           return;
         }
@@ -143,7 +199,7 @@
 
       const indicator = document.createElement('div');
       indicator.className = 'ptrIndicator';
-      indicator.textContent = 'Pull to refresh';
+      indicator.textContent = t('refresh.pull');
       document.body.appendChild(indicator);
 
       const THRESHOLD_PX = 72;
@@ -204,7 +260,7 @@
         startY = touch.clientY;
         isPulling = true;
         isArmed = false;
-        indicator.textContent = 'Pull to refresh';
+        indicator.textContent = t('refresh.pull');
         if (document.body) {
           document.body.classList.remove('ptrSettling');
           document.body.classList.remove('ptrPulling');
@@ -233,7 +289,7 @@
         indicator.classList.add('active');
         isArmed = pull >= THRESHOLD_PX;
         indicator.classList.toggle('armed', isArmed);
-        indicator.textContent = isArmed ? 'Release to refresh' : 'Pull to refresh';
+        indicator.textContent = isArmed ? t('refresh.release') : t('refresh.pull');
       }, { passive: false });
 
       const endPull = (touchList) => {
@@ -253,7 +309,7 @@
         beginSettling();
         indicator.classList.remove('armed');
         indicator.classList.add('active', 'loading');
-        indicator.textContent = 'Refreshing…';
+        indicator.textContent = t('refresh.refreshing');
         Promise.resolve(fetchDay(true)).finally(() => {
           global.setTimeout(() => hideIndicator(), 260);
         });
@@ -289,12 +345,49 @@
       if (els.daySelect) {
         els.daySelect.addEventListener('change', async () => {
           if (!state.data) return;
+          focusedWindow = null;
+          skyPreviewIdx = -1;
           clearChartHover();
           await nextPaint();
           renderSoon();
         });
       }
 
+      if (els.skyPreview) {
+        els.skyPreview.addEventListener('input', () => {
+          if (!state.data || state.isBusy) return;
+          setSkyPreviewIdx(Number(els.skyPreview.value));
+        });
+      }
+
+      if (els.btnSkyPreviewNow) {
+        els.btnSkyPreviewNow.addEventListener('click', () => setSkyPreviewIdx(-1));
+      }
+
+      if (els.weekStrip && els.daySelect) {
+        // Tiles drive the same select so share-URL sync and render stay on one path.
+        els.weekStrip.addEventListener('click', (e) => {
+          const tile = e.target.closest('.weekTile');
+          if (!tile || state.isBusy) return;
+          const dayValue = String(tile.getAttribute('data-day') || '');
+          if (!dayValue || els.daySelect.value === dayValue) return;
+          els.daySelect.value = dayValue;
+          els.daySelect.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+      }
+
+      if (els.sunWindowList) {
+        els.sunWindowList.addEventListener('click', (e) => {
+          const item = e.target.closest('.sunWindowItem');
+          if (!item || !state.data || state.isBusy) return;
+          const start = String(item.getAttribute('data-start') || '');
+          const end = String(item.getAttribute('data-end') || '');
+          if (!start || !end) return;
+          setFocusedWindow({ start, end });
+          if (typeof focusSunWindow === 'function') focusSunWindow(focusedWindow);
+        });
+      }
+
       const onResize = debounce(() => {
         if (!state.data || state.isBusy) return;
         renderSoon();
@@ -319,7 +412,9 @@
         // Ignore ResizeObserver setup failures.
       }
 
-      attachCanvasHover();
+      attachCanvasHover(els.canvas);
+      attachCanvasHover(els.cloudCanvas);
+      attachCanvasKeyboard(els.canvas);
 
       if (!testMode) initMobilePullToRefresh();
       if (!testMode) startUiTick();
@@ -330,9 +425,13 @@
       clearChartHover,
       getChartGeom,
       getChartHover,
+      getFocusedWindow,
+      getSkyPreviewIdx,
       reset,
       setChartGeom,
+      setFocusedWindow,
       setSelectorTestChartHover,
+      setSkyPreviewIdx,
     };
   }
 
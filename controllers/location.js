@@ -1,6 +1,8 @@
 'use strict';
 
 (function registerLocationController(global) {
+  const esc = global.IWSI18n.escapeHtml;
+
   function createLocationController(opts) {
     const {
       els,
@@ -13,6 +15,10 @@
       setBusy,
       nextPaint,
       onLocationStateChange,
+      getFavouriteMatches,
+      t,
+      // Place names come back in the UI language where the geocoders have one.
+      getLanguage = () => 'en',
     } = opts;
 
     let attached = false;
@@ -24,14 +30,8 @@
     let citySearchSeq = 0;
     let activeCitySearchSeq = 0;
 
-    function esc(s) {
-      return String(s ?? '').replace(/[&<>"']/g, (c) => ({
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#39;',
-      }[c]));
+    function coordKey(lat, lon) {
+      return `${roundCoord(lat, coordStateDecimals)},${roundCoord(lon, coordStateDecimals)}`;
     }
 
     function resetTimePill() {
@@ -88,9 +88,11 @@
         const country = row.country ? `, ${esc(row.country)}` : '';
         let meta = `${admin}${country}`;
         if (meta.startsWith(', ')) meta = meta.slice(2);
+        if (row.isFavourite) meta = t('favourites.suggestionMeta');
 
         const active = idx === cityActiveIndex ? ' active' : '';
-        return `<div class="item${active}" role="option" aria-selected="${idx === cityActiveIndex}" data-idx="${idx}">
+        const favourite = row.isFavourite ? ' isFavourite' : '';
+        return `<div class="item${favourite}${active}" role="option" aria-selected="${idx === cityActiveIndex}" data-idx="${idx}">
       <div class="name">${name}</div>
       <div class="meta">${meta}</div>
     </div>`;
@@ -110,18 +112,30 @@
       if (query === lastCityQuery) return;
       lastCityQuery = query;
 
-      const url = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(query)}&count=6&language=en&format=json`;
+      // Saved favourites lead the list and stay available when geocoding fails.
+      const favourites = (typeof getFavouriteMatches === 'function') ? getFavouriteMatches(query) : [];
+      const favouriteKeys = new Set(favourites.map((row) => coordKey(row.latitude, row.longitude)));
+
+      const url = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(query)}&count=6&language=${encodeURIComponent(getLanguage())}&format=json`;
       try {
         const res = await fetch(url);
         if (!isCurrent()) return;
         if (!res.ok) throw new Error('geocoding failed');
         const data = await res.json();
         if (!isCurrent()) return;
-        lastCityResults = data?.results || [];
+        const geocoded = (data?.results || [])
+          .filter((row) => !favouriteKeys.has(coordKey(row.latitude, row.longitude)));
+        lastCityResults = [...favourites, ...geocoded];
         cityActiveIndex = -1;
         renderCityResults(lastCityResults);
       } catch {
         if (!isCurrent()) return;
+        if (favourites.length) {
+          lastCityResults = favourites;
+          cityActiveIndex = -1;
+          renderCityResults(lastCityResults);
+          return;
+        }
         hideCityResults();
       }
     }
@@ -139,7 +153,7 @@
       await nextPaint();
 
       if (!navigator.geolocation) {
-        if (!silent) showError('Your browser doesn’t support location. Please search for a city.');
+        if (!silent) showError(t('location.unsupported'));
         setBusy(false);
         els.cityInput?.focus();
         return;
@@ -161,7 +175,7 @@
                 `https://api.bigdatacloud.net/data/reverse-geocode-client` +
                 `?latitude=${encodeURIComponent(lat)}` +
                 `&longitude=${encodeURIComponent(lon)}` +
-                `&localityLanguage=en`;
+                `&localityLanguage=${encodeURIComponent(getLanguage())}`;
 
               const res = await fetch(url);
               if (!res.ok) return;
@@ -188,7 +202,7 @@
           })();
         },
         () => {
-          if (!silent) showError('Please allow location, or search for a city above.');
+          if (!silent) showError(t('location.denied'));
           setBusy(false);
           els.cityInput?.focus();
         },
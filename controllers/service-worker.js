@@ -0,0 +1,96 @@
+'use strict';
+
+(function registerServiceWorkerController(global) {
+  function createServiceWorkerController(opts) {
+    const {
+      els,
+      testMode,
+      scriptUrl = '/sw.js',
+    } = opts;
+
+    let attached = false;
+    let waitingWorker = null;
+    let reloading = false;
+
+    function showUpdatePrompt(worker) {
+      waitingWorker = worker;
+      if (els.updatePrompt) els.updatePrompt.hidden = false;
+    }
+
+    function hideUpdatePrompt() {
+      if (els.updatePrompt) els.updatePrompt.hidden = true;
+    }
+
+    // A new worker is only an "update" when another one already controls the
+    // page; the very first install should stay silent.
+    function trackInstalling(worker) {
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && global.navigator.serviceWorker.controller) {
+          showUpdatePrompt(worker);
+        }
+      });
+    }
+
+    function applyUpdate() {
+      hideUpdatePrompt();
+      if (!waitingWorker) return;
+      waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    async function register() {
+      const sw = global.navigator.serviceWorker;
+      let registration;
+      try {
+        registration = await sw.register(scriptUrl);
+      } catch (err) {
+        console.warn('IWS_SERVICE_WORKER_REGISTER_FAILED', err);
+        return;
+      }
+
+      if (registration.waiting && sw.controller) showUpdatePrompt(registration.waiting);
+      trackInstalling(registration.installing);
+      registration.addEventListener('updatefound', () => trackInstalling(registration.installing));
+
+      sw.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        global.location.reload();
+      });
+
+      // Long-lived installed sessions should still notice new builds.
+      document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) registration.update().catch(() => {});
+      });
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+      if (testMode) return;
+      if (!global.navigator || !('serviceWorker' in global.navigator)) return;
+
+      if (els.btnUpdateReload) {
+        els.btnUpdateReload.addEventListener('click', () => applyUpdate());
+      }
+      if (els.btnUpdateDismiss) {
+        els.btnUpdateDismiss.addEventListener('click', () => hideUpdatePrompt());
+      }
+
+      if (document.readyState === 'complete') {
+        register();
+      } else {
+        global.addEventListener('load', () => register(), { once: true });
+      }
+    }
+
+    return {
+      attach,
+      applyUpdate,
+    };
+  }
+
+  global.IWSServiceWorkerController = {
+    createServiceWorkerController,
+  };
+})(window);
@@ -0,0 +1,325 @@
+'use strict';
+
+(function registerSettingsController(global) {
+  const SETTINGS_STORAGE_KEY = 'iwannasun_settings_v1';
+  const MAX_ALERT_LOCATIONS = 20;
+  const ALERT_ID_RE = /^-?\d+(\.\d+)?,-?\d+(\.\d+)?$/;
+  const CHART_MODES = ['sun', 'score'];
+  const TIME_FORMATS = ['24', '12'];
+  const TIME_ZONE_MODES = ['location', 'device'];
+  const COLOR_SCHEMES = ['auto', 'light', 'dark'];
+
+  function createSettingsController(opts) {
+    const {
+      els,
+      defaults,
+      testMode,
+      clamp,
+      t,
+      locales = [],
+      onChange,
+      onChartModeChange,
+      onLocaleChange,
+      onTimeDisplayChange,
+      onColorSchemeChange,
+    } = opts;
+
+    let attached = false;
+    let settings = { ...defaults };
+
+    // Sun-alert lead times, in minutes, keyed by rounded "lat,lon".
+    function normalizeAlertLeads(raw) {
+      const out = {};
+      if (!raw || typeof raw !== 'object') return out;
+      Object.entries(raw).slice(0, MAX_ALERT_LOCATIONS).forEach(([id, value]) => {
+        const lead = Number(value);
+        if (!ALERT_ID_RE.test(id) || !Number.isFinite(lead) || lead <= 0) return;
+        out[id] = clamp(Math.round(lead), 1, 120);
+      });
+      return out;
+    }
+
+    // '' follows the browser language.
+    function isKnownLocale(value) {
+      return value === '' || locales.includes(value);
+    }
+
+    function normalizeSettings(raw, base = defaults) {
+      const src = (raw && typeof raw === 'object') ? raw : {};
+      const threshold = Number(src.threshold);
+      const minMinutes = Number(src.minMinutes);
+      return {
+        ...base,
+        threshold: Number.isFinite(threshold)
+          ? clamp(Math.round(threshold), 30, 95)
+          : base.threshold,
+        minMinutes: Number.isFinite(minMinutes)
+          ? clamp(Math.round(minMinutes), 5, 180)
+          : base.minMinutes,
+        alertLeads: normalizeAlertLeads(src.alertLeads !== undefined ? src.alertLeads : base.alertLeads),
+        chartMode: CHART_MODES.includes(src.chartMode) ? src.chartMode : base.chartMode,
+        locale: isKnownLocale(src.locale) ? src.locale : base.locale,
+        timeFormat: TIME_FORMATS.includes(src.timeFormat) ? src.timeFormat : base.timeFormat,
+        timeZoneMode: TIME_ZONE_MODES.includes(src.timeZoneMode) ? src.timeZoneMode : base.timeZoneMode,
+        colorScheme: COLOR_SCHEMES.includes(src.colorScheme) ? src.colorScheme : base.colorScheme,
+      };
+    }
+
+    function loadStoredSettings() {
+      try {
+        const raw = global.localStorage.getItem(SETTINGS_STORAGE_KEY);
+        if (!raw) return null;
+        return normalizeSettings(JSON.parse(raw));
+      } catch {
+        return null;
+      }
+    }
+
+    function saveStoredSettings(value = settings) {
+      try {
+        global.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(value));
+      } catch {
+        // ignore quota / privacy mode
+      }
+    }
+
+    function getSettings() {
+      return settings;
+    }
+
+    function isDefaultSettings(value = settings) {
+      return value.threshold === defaults.threshold && value.minMinutes === defaults.minMinutes;
+    }
+
+    function minutesLabel(minutes) {
+      return minutes >= 60 && minutes % 30 === 0
+        ? t('settings.hours', { count: minutes / 60 })
+        : t('settings.minutes', { count: minutes });
+    }
+
+    function syncInputs() {
+      if (els.settingThreshold) els.settingThreshold.value = String(settings.threshold);
+      if (els.settingThresholdValue) els.settingThresholdValue.textContent = `${settings.threshold}%`;
+      if (els.settingMinMinutes) {
+        const value = String(settings.minMinutes);
+        const hasOption = Array.from(els.settingMinMinutes.options || []).some((o) => o.value === value);
+        if (!hasOption) {
+          const option = document.createElement('option');
+          option.value = value;
+          els.settingMinMinutes.appendChild(option);
+        }
+        // Relabelled on every sync so a language switch reaches them too.
+        Array.from(els.settingMinMinutes.options).forEach((option) => {
+          option.textContent = minutesLabel(Number(option.value));
+        });
+        els.settingMinMinutes.value = value;
+      }
+      if (els.btnSettings) els.btnSettings.classList.toggle('isCustomized', !isDefaultSettings());
+      if (els.chartModeToggle) {
+        els.chartModeToggle.querySelectorAll('[data-chart-mode]').forEach((btn) => {
+          btn.setAttribute('aria-pressed', btn.dataset.chartMode === settings.chartMode ? 'true' : 'false');
+        });
+      }
+      if (els.settingLanguage) els.settingLanguage.value = settings.locale;
+      if (els.settingTimeZone) els.settingTimeZone.value = settings.timeZoneMode;
+      if (els.settingTimeFormat) els.settingTimeFormat.value = settings.timeFormat;
+      if (els.settingColorScheme) els.settingColorScheme.value = settings.colorScheme;
+    }
+
+    // `persist: false` is used for shared-link settings: they shape the view
+    // without overwriting the visitor's own saved preferences.
+    function setSettings(next, { persist = true, notify = true } = {}) {
+      const normalized = normalizeSettings({ ...settings, ...(next || {}) }, settings);
+      const changed = Object.keys(normalized)
+        .some((key) => JSON.stringify(normalized[key]) !== JSON.stringify(settings[key]));
+      settings = normalized;
+      if (persist && !testMode) saveStoredSettings();
+      syncInputs();
+      if (changed && notify && typeof onChange === 'function') onChange(settings);
+    }
+
+    // Personal preferences (alert lead times and the display options below) are
+    // applied on screen and saved on top of the visitor's own stored rules
+    // rather than whatever shared-link rules are on screen.
+    function updateStoredSettings(patch) {
+      settings = { ...settings, ...patch };
+      if (testMode) return;
+      const stored = loadStoredSettings() || normalizeSettings(defaults);
+      saveStoredSettings({ ...stored, ...patch });
+    }
+
+    function setAlertLeads(next) {
+      updateStoredSettings({ alertLeads: normalizeAlertLeads(next) });
+    }
+
+    function getAlertLeads() {
+      return settings.alertLeads || {};
+    }
+
+    function setChartMode(mode) {
+      if (!CHART_MODES.includes(mode) || mode === settings.chartMode) return;
+      updateStoredSettings({ chartMode: mode });
+      syncInputs();
+      if (typeof onChartModeChange === 'function') onChartModeChange(mode);
+    }
+
+    function getChartMode() {
+      return settings.chartMode;
+    }
+
+    function setLocale(locale) {
+      if (!isKnownLocale(locale) || locale === settings.locale) return;
+      updateStoredSettings({ locale });
+      if (typeof onLocaleChange === 'function') onLocaleChange(locale);
+      syncInputs();
+    }
+
+    function getLocale() {
+      return settings.locale;
+    }
+
+    // Clock (12/24h) and which zone times are shown in; shared links never
+    // carry them.
+    function setTimeDisplay(next) {
+      const normalized = normalizeSettings({ ...settings, ...(next || {}) }, settings);
+      const { timeFormat, timeZoneMode } = normalized;
+      if (timeFormat === settings.timeFormat && timeZoneMode === settings.timeZoneMode) return;
+      updateStoredSettings({ timeFormat, timeZoneMode });
+      syncInputs();
+      if (typeof onTimeDisplayChange === 'function') onTimeDisplayChange(getTimeDisplay());
+    }
+
+    function getTimeDisplay() {
+      return { timeFormat: settings.timeFormat, timeZoneMode: settings.timeZoneMode };
+    }
+
+    // 'auto' follows prefers-color-scheme.
+    function setColorScheme(colorScheme) {
+      if (!COLOR_SCHEMES.includes(colorScheme) || colorScheme === settings.colorScheme) return;
+      updateStoredSettings({ colorScheme });
+      syncInputs();
+      if (typeof onColorSchemeChange === 'function') onColorSchemeChange(colorScheme);
+    }
+
+    function getColorScheme() {
+      return settings.colorScheme;
+    }
+
+    // Resetting the sun window rules leaves alert lead times and the display
+    // preferences (chart mode, language, clock, time zone and theme) alone.
+    function resetSettings() {
+      setSettings({ threshold: defaults.threshold, minMinutes: defaults.minMinutes });
+    }
+
+    function setPanelOpen(open) {
+      if (!els.settingsPanel) return;
+      els.settingsPanel.hidden = !open;
+      if (els.btnSettings) els.btnSettings.setAttribute('aria-expanded', open ? 'true' : 'false');
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+
+      if (!testMode) {
+        const stored = loadStoredSettings();
+        if (stored) settings = stored;
+      }
+      syncInputs();
+
+      if (els.btnSettings) {
+        els.btnSettings.addEventListener('click', () => {
+          setPanelOpen(Boolean(els.settingsPanel?.hidden));
+        });
+      }
+
+      if (els.settingThreshold) {
+        els.settingThreshold.addEventListener('input', () => {
+          if (els.settingThresholdValue) {
+            els.settingThresholdValue.textContent = `${els.settingThreshold.value}%`;
+          }
+        });
+        els.settingThreshold.addEventListener('change', () => {
+          setSettings({ threshold: Number(els.settingThreshold.value) });
+        });
+      }
+
+      if (els.settingMinMinutes) {
+        els.settingMinMinutes.addEventListener('change', () => {
+          setSettings({ minMinutes: Number(els.settingMinMinutes.value) });
+        });
+      }
+
+      if (els.btnSettingsReset) {
+        els.btnSettingsReset.addEventListener('click', () => resetSettings());
+      }
+
+      if (els.chartModeToggle) {
+        els.chartModeToggle.addEventListener('click', (e) => {
+          const btn = e.target.closest('[data-chart-mode]');
+          if (btn) setChartMode(btn.dataset.chartMode);
+        });
+      }
+
+      if (els.settingLanguage) {
+        els.settingLanguage.addEventListener('change', () => {
+          setLocale(els.settingLanguage.value);
+        });
+      }
+
+      if (els.settingTimeZone) {
+        els.settingTimeZone.addEventListener('change', () => {
+          setTimeDisplay({ timeZoneMode: els.settingTimeZone.value });
+        });
+      }
+
+      if (els.settingTimeFormat) {
+        els.settingTimeFormat.addEventListener('change', () => {
+          setTimeDisplay({ timeFormat: els.settingTimeFormat.value });
+        });
+      }
+
+      if (els.settingColorScheme) {
+        els.settingColorScheme.addEventListener('change', () => {
+          setColorScheme(els.settingColorScheme.value);
+        });
+      }
+
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && els.settingsPanel && !els.settingsPanel.hidden) {
+          setPanelOpen(false);
+          els.btnSettings?.focus();
+        }
+      });
+
+      document.addEventListener('click', (e) => {
+        if (!els.settingsPanel || els.settingsPanel.hidden) return;
+        if (els.settingsPanel.contains(e.target) || els.btnSettings?.contains(e.target)) return;
+        setPanelOpen(false);
+      });
+    }
+
+    return {
+      attach,
+      getAlertLeads,
+      getChartMode,
+      getColorScheme,
+      getLocale,
+      getSettings,
+      getTimeDisplay,
+      isDefaultSettings,
+      normalizeSettings,
+      resetSettings,
+      setAlertLeads,
+      setChartMode,
+      setColorScheme,
+      setLocale,
+      setSettings,
+      setTimeDisplay,
+    };
+  }
+
+  global.IWSSettingsController = {
+    createSettingsController,
+  };
+})(window);
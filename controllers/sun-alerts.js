@@ -0,0 +1,246 @@
+'use strict';
+
+(function registerSunAlertsController(global) {
+  const DEFAULT_LEAD_MINUTES = 20;
+  const LEAD_OPTIONS = [5, 10, 15, 20, 30, 45, 60];
+
+  // Pure scheduling rule: alert `leadMinutes` before the window starts. Inside
+  // the lead time it fires right away; once the window has begun it is too late.
+  function planSunAlert({ win, leadMinutes, nowMs = Date.now() } = {}) {
+    if (!win) return null;
+    const startMs = new Date(win.start).getTime();
+    const endMs = new Date(win.end).getTime();
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || startMs <= nowMs) return null;
+    const leadMs = Math.max(0, Number(leadMinutes) || 0) * 60000;
+    return {
+      key: `${win.start}|${win.end}`,
+      startMs,
+      endMs,
+      fireAtMs: Math.max(nowMs, startMs - leadMs),
+    };
+  }
+
+  function sunAlertMessage({ label, minutes, until, t }) {
+    const lead = t('alerts.lead', { count: Math.max(1, minutes) });
+    return label
+      ? t('alerts.message', { lead, place: label, until })
+      : t('alerts.messageNoPlace', { lead, until });
+  }
+
+  function createSunAlertsController(opts) {
+    const {
+      els,
+      state,
+      testMode,
+      roundCoord,
+      coordStateDecimals = 3,
+      getAlertLeads,
+      setAlertLeads,
+      getNextWindow,
+      t,
+      fmtTime,
+    } = opts;
+
+    let attached = false;
+    let timer = null;
+    let pendingKey = '';
+    // Windows already alerted, so re-renders inside the lead time stay quiet.
+    const firedKeys = new Set();
+
+    function supported() {
+      return typeof global.Notification === 'function';
+    }
+
+    function permission() {
+      return supported() ? global.Notification.permission : 'unsupported';
+    }
+
+    function permissionHint(value) {
+      if (value === 'denied') return t('alerts.blocked');
+      if (value === 'unsupported') return t('alerts.unsupported');
+      return t('alerts.allow');
+    }
+
+    function currentId() {
+      if (state.lat == null || state.lon == null) return '';
+      const lat = roundCoord(Number(state.lat), coordStateDecimals);
+      const lon = roundCoord(Number(state.lon), coordStateDecimals);
+      return `${lat},${lon}`;
+    }
+
+    function leadFor(id) {
+      const leads = (typeof getAlertLeads === 'function' && getAlertLeads()) || {};
+      const lead = Number(leads[id]);
+      return Number.isFinite(lead) && lead > 0 ? lead : null;
+    }
+
+    function saveLead(id, lead) {
+      if (!id || typeof setAlertLeads !== 'function') return;
+      const leads = { ...((typeof getAlertLeads === 'function' && getAlertLeads()) || {}) };
+      if (lead == null) delete leads[id];
+      else leads[id] = lead;
+      setAlertLeads(leads);
+    }
+
+    function placeLabel() {
+      const label = String(state.label || '').trim();
+      if (!label || label === 'My location') return t('alerts.yourLocation');
+      return label;
+    }
+
+    function setStatus(text) {
+      if (els.sunAlertStatus) els.sunAlertStatus.textContent = text || '';
+    }
+
+    function cancel() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      pendingKey = '';
+    }
+
+    function syncControls() {
+      const id = currentId();
+      const lead = leadFor(id);
+      if (els.sunAlertToggle) {
+        els.sunAlertToggle.disabled = !id;
+        els.sunAlertToggle.setAttribute('aria-pressed', lead ? 'true' : 'false');
+        els.sunAlertToggle.classList.toggle('isActive', Boolean(lead));
+        els.sunAlertToggle.textContent = lead ? t('alerts.alertOn') : t('alerts.alertMe');
+      }
+      if (els.sunAlertLead) {
+        Array.from(els.sunAlertLead.options).forEach((option) => {
+          const text = t('alerts.leadOption', { minutes: option.value });
+          if (option.textContent !== text) option.textContent = text;
+        });
+        if (lead) els.sunAlertLead.value = String(lead);
+      }
+    }
+
+    function showNotification(title, options) {
+      // Android Chrome only allows notifications through a service worker.
+      const sw = global.navigator?.serviceWorker;
+      if (sw?.controller && typeof sw.ready?.then === 'function') {
+        return sw.ready.then((reg) => reg.showNotification(title, options)).catch(() => {});
+      }
+      try {
+        return new global.Notification(title, options);
+      } catch {
+        return null;
+      }
+    }
+
+    function fire(plan, id) {
+      timer = null;
+      pendingKey = '';
+      if (id !== currentId() || firedKeys.has(plan.key)) return;
+      firedKeys.add(plan.key);
+      const minutes = Math.max(1, Math.round((plan.startMs - Date.now()) / 60000));
+      showNotification(sunAlertMessage({
+        label: placeLabel(),
+        minutes,
+        until: fmtTime(plan.endMs),
+        t,
+      }), {
+        tag: `iws-sun-${id}`,
+        icon: '/apple-touch-icon.png',
+      });
+      setStatus(t('alerts.sent', { time: fmtTime(plan.startMs) }));
+    }
+
+    // Called after every render: new data, a settings change or the next
+    // window moving all land here, and a vanished window cancels the timer.
+    function reschedule(nowMs = Date.now()) {
+      syncControls();
+      const id = currentId();
+      const lead = leadFor(id);
+      if (!lead) {
+        cancel();
+        setStatus('');
+        return;
+      }
+      if (permission() !== 'granted') {
+        cancel();
+        setStatus(permissionHint(permission()));
+        return;
+      }
+
+      const win = (typeof getNextWindow === 'function') ? getNextWindow(nowMs) : null;
+      const plan = planSunAlert({ win, leadMinutes: lead, nowMs });
+      if (!plan || firedKeys.has(plan.key)) {
+        cancel();
+        if (!plan) setStatus(state.data ? t('alerts.noWindow') : '');
+        return;
+      }
+
+      setStatus(t('alerts.scheduled', { minutes: lead, time: fmtTime(plan.startMs) }));
+      if (pendingKey === `${id}|${plan.key}|${plan.fireAtMs}`) return;
+      cancel();
+      pendingKey = `${id}|${plan.key}|${plan.fireAtMs}`;
+      timer = setTimeout(() => fire(plan, id), Math.max(0, plan.fireAtMs - nowMs));
+    }
+
+    async function enable() {
+      const id = currentId();
+      if (!id) return;
+      let result = permission();
+      if (result === 'default' && !testMode) {
+        try {
+          result = await global.Notification.requestPermission();
+        } catch {
+          result = permission();
+        }
+      }
+      if (result !== 'granted') {
+        setStatus(permissionHint(result));
+        return;
+      }
+      saveLead(id, Number(els.sunAlertLead?.value) || DEFAULT_LEAD_MINUTES);
+      reschedule();
+    }
+
+    function disable() {
+      saveLead(currentId(), null);
+      reschedule();
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+
+      if (els.sunAlertLead && !els.sunAlertLead.options.length) {
+        els.sunAlertLead.innerHTML = LEAD_OPTIONS
+          .map((m) => `<option value="${m}">${t('alerts.leadOption', { minutes: m })}</option>`)
+          .join('');
+      }
+      syncControls();
+
+      if (els.sunAlertToggle) {
+        els.sunAlertToggle.addEventListener('click', () => {
+          if (leadFor(currentId())) disable();
+          else enable();
+        });
+      }
+
+      if (els.sunAlertLead) {
+        els.sunAlertLead.addEventListener('change', () => {
+          const id = currentId();
+          if (!leadFor(id)) return;
+          saveLead(id, Number(els.sunAlertLead.value) || DEFAULT_LEAD_MINUTES);
+          reschedule();
+        });
+      }
+    }
+
+    return {
+      attach,
+      cancel,
+      reschedule,
+    };
+  }
+
+  global.IWSSunAlertsController = {
+    createSunAlertsController,
+    planSunAlert,
+    sunAlertMessage,
+  };
+})(window);
@@ -0,0 +1,221 @@
+'use strict';
+
+(function registerSunFinderController(global) {
+  const DEFAULT_FROM_HOUR = 10;
+  const DEFAULT_TO_HOUR = 18;
+
+  function createSunFinderController(opts) {
+    const {
+      els,
+      state,
+      concurrency = 2,
+      runWithConcurrency,
+      sampleGrid,
+      fetchForecast,
+      isRateLimited,
+      topSpots = 5,
+      currentDayIndex,
+      selectRanking,
+      renderResults,
+      compassLabel,
+      mixSunColor,
+      clamp,
+      fmtTime,
+      setLocation,
+      fetchDay,
+      fmtHour = (h) => `${String(h).padStart(2, '0')}:00`,
+      t,
+    } = opts;
+
+    let attached = false;
+    let points = [];
+    let centerLabel = '';
+    let runSeq = 0;
+    let abort = null;
+
+    function fillHourSelect(selectEl, fromHour, toHour, selected) {
+      if (!selectEl) return;
+      const parts = [];
+      for (let h = fromHour; h <= toHour; h += 1) {
+        parts.push(`<option value="${h}"${h === selected ? ' selected' : ''}>${fmtHour(h)}</option>`);
+      }
+      selectEl.innerHTML = parts.join('');
+    }
+
+    // Clock preference changes keep the picked hours and only relabel them.
+    function relabelHours() {
+      [els.sunFinderFrom, els.sunFinderTo].forEach((selectEl) => {
+        Array.from(selectEl?.options || []).forEach((option) => {
+          option.textContent = fmtHour(Number(option.value));
+        });
+      });
+    }
+
+    function hourRange() {
+      const fromHour = Number(els.sunFinderFrom?.value ?? DEFAULT_FROM_HOUR);
+      const toHour = Number(els.sunFinderTo?.value ?? DEFAULT_TO_HOUR);
+      return { fromHour, toHour };
+    }
+
+    function setStatus(text) {
+      if (els.sunFinderStatus) els.sunFinderStatus.textContent = text || '';
+    }
+
+    function syncButton() {
+      if (!els.btnSunFinder) return;
+      els.btnSunFinder.disabled = state.lat == null || state.lon == null;
+    }
+
+    function loadedPoints() {
+      return points.filter((p) => p.status === 'ready');
+    }
+
+    function rank() {
+      const { fromHour, toHour } = hourRange();
+      const ranking = selectRanking(loadedPoints(), {
+        dayIndex: currentDayIndex(),
+        fromHour,
+        toHour,
+        limit: topSpots,
+      });
+      renderResults({
+        listEl: els.sunFinderResults,
+        ranking,
+        compassLabel: (deg) => t(`compass.${compassLabel(deg)}`),
+        fmtTime,
+        mixSunColor,
+        clamp,
+        t,
+      });
+      return ranking;
+    }
+
+    function summarize(ranking) {
+      const skipped = points.filter((p) => p.status === 'rate_limited').length;
+      const failed = points.filter((p) => p.status === 'error').length;
+      const parts = [];
+      if (!ranking?.checked) {
+        parts.push(t('finder.noDaylight'));
+      } else {
+        parts.push(t('finder.ranked', { count: ranking.checked }));
+      }
+      if (skipped) parts.push(t('finder.skipped', { count: skipped }));
+      if (failed) parts.push(t('finder.failed', { count: failed }));
+      return parts.join(' ');
+    }
+
+    async function run() {
+      if (state.lat == null || state.lon == null) {
+        setStatus(t('finder.pickLocation'));
+        return;
+      }
+
+      const seq = ++runSeq;
+      if (abort) abort.abort();
+      abort = new AbortController();
+      const { signal } = abort;
+
+      const radiusKm = Number(els.sunFinderRadius?.value || 25);
+      centerLabel = (state.label && state.label !== 'My location') ? state.label : '';
+      points = sampleGrid(state.lat, state.lon, radiusKm).map((p) => ({ ...p, status: 'loading' }));
+      let done = 0;
+      setStatus(t('finder.checking', { count: points.length, radius: radiusKm }));
+      rank();
+
+      const tasks = points.map((point, idx) => async () => {
+        if (seq !== runSeq) return;
+        // A cooldown stops the sweep; already loaded spots still get ranked.
+        if (typeof isRateLimited === 'function' && isRateLimited()) {
+          points[idx] = { ...point, status: 'rate_limited' };
+          return;
+        }
+        const result = await fetchForecast(point, { signal });
+        if (seq !== runSeq || !result) return;
+        points[idx] = { ...point, ...result };
+        done += 1;
+        setStatus(t('finder.progress', { done, count: points.length }));
+        rank();
+      });
+
+      await runWithConcurrency(tasks, concurrency);
+      if (seq !== runSeq) return;
+      setStatus(summarize(rank()));
+    }
+
+    function reset() {
+      runSeq += 1;
+      if (abort) abort.abort();
+      abort = null;
+      points = [];
+      setStatus('');
+      rank();
+      syncButton();
+    }
+
+    // Day, hour range, or sun-rule changes re-rank the spots already loaded.
+    function refresh() {
+      if (!points.length) return;
+      const ranking = rank();
+      if (!points.some((p) => p.status === 'loading')) setStatus(summarize(ranking));
+    }
+
+    function pick(item) {
+      const lat = Number(item.getAttribute('data-lat'));
+      const lon = Number(item.getAttribute('data-lon'));
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+      const place = String(item.getAttribute('data-place') || '');
+      const label = (place && place !== t('finder.here') && centerLabel)
+        ? t('finder.placeOf', { place, center: centerLabel })
+        : (centerLabel || place);
+      setLocation(lat, lon, label);
+      fetchDay(false);
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+
+      fillHourSelect(els.sunFinderFrom, 0, 23, DEFAULT_FROM_HOUR);
+      fillHourSelect(els.sunFinderTo, 1, 24, DEFAULT_TO_HOUR);
+      syncButton();
+
+      if (els.btnSunFinder) {
+        els.btnSunFinder.addEventListener('click', () => run());
+      }
+
+      // Keep the range non-empty by nudging the other end.
+      if (els.sunFinderFrom && els.sunFinderTo) {
+        els.sunFinderFrom.addEventListener('change', () => {
+          const { fromHour, toHour } = hourRange();
+          if (toHour <= fromHour) els.sunFinderTo.value = String(fromHour + 1);
+          refresh();
+        });
+        els.sunFinderTo.addEventListener('change', () => {
+          const { fromHour, toHour } = hourRange();
+          if (fromHour >= toHour) els.sunFinderFrom.value = String(toHour - 1);
+          refresh();
+        });
+      }
+
+      if (els.sunFinderResults) {
+        els.sunFinderResults.addEventListener('click', (e) => {
+          const item = e.target.closest('.sunFinderItem');
+          if (!item || state.isBusy) return;
+          pick(item);
+        });
+      }
+    }
+
+    return {
+      attach,
+      refresh,
+      relabelHours,
+      reset,
+      run,
+    };
+  }
+
+  global.IWSSunFinderController = {
+    createSunFinderController,
+  };
+})(window);
@@ -0,0 +1,111 @@
+'use strict';
+
+(function initDataExportModule(global) {
+  // One CSV column per scalar field; cloud layers are flattened.
+  const CSV_COLUMNS = [
+    ['day_index', (row) => row.day_index],
+    ['time_utc', (row) => row.time_utc],
+    ['time_local', (row) => row.time_local],
+    ['sun_score', (row) => row.sun_score],
+    ['confidence', (row) => row.confidence],
+    ['elevation', (row) => row.elevation],
+    ['azimuth', (row) => row.azimuth],
+    ['is_daylight', (row) => row.is_daylight],
+    ['cloud_low', (row) => row.cloud?.low],
+    ['cloud_mid', (row) => row.cloud?.mid],
+    ['cloud_high', (row) => row.cloud?.high],
+    ['precip_mm', (row) => row.cloud?.precip_mm],
+  ];
+
+  // Rows come from `normalizeTimelineRow`; its `_tUtc` / `_tMs` parse cache
+  // (and any other `_` field added while rendering) stays out of the file.
+  function exportTimelineRow(row) {
+    const out = {};
+    Object.entries(row || {}).forEach(([key, value]) => {
+      if (!key.startsWith('_')) out[key] = value;
+    });
+    return out;
+  }
+
+  function coordValue(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.round(n * 10000) / 10000 : null;
+  }
+
+  function forecastExportHeader({
+    label = '',
+    lat,
+    lon,
+    model = null,
+    meta = {},
+    scope = 'day',
+    dayIndex = 0,
+    nowMs = Date.now(),
+  } = {}) {
+    const header = {
+      location: { label: String(label || ''), lat: coordValue(lat), lon: coordValue(lon) },
+      model: model || null,
+      meta: { ...(meta || {}) },
+      scope: scope === 'all' ? 'all' : 'day',
+      exported_at: new Date(nowMs).toISOString(),
+    };
+    if (header.scope === 'day') header.day_index = dayIndex;
+    return header;
+  }
+
+  // RFC 4180 quoting; numbers and ISO timestamps pass through untouched.
+  function csvCell(value) {
+    if (value == null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function csvHeaderValue(value) {
+    return (value && typeof value === 'object') ? JSON.stringify(value) : String(value ?? '');
+  }
+
+  // The header rides along as `# key: value` comment lines, which spreadsheet
+  // imports and pandas (`comment='#'`) can skip.
+  function buildForecastCsv({ rows = [], header = {} } = {}) {
+    const lines = [];
+    const { location = {}, meta = {}, ...rest } = header;
+    Object.entries(location).forEach(([key, value]) => {
+      lines.push(`# location_${key}: ${csvHeaderValue(value)}`);
+    });
+    Object.entries(rest).forEach(([key, value]) => {
+      lines.push(`# ${key}: ${csvHeaderValue(value)}`);
+    });
+    Object.entries(meta).forEach(([key, value]) => {
+      lines.push(`# meta_${key}: ${csvHeaderValue(value)}`);
+    });
+    lines.push(CSV_COLUMNS.map(([name]) => name).join(','));
+    rows.forEach((row) => {
+      lines.push(CSV_COLUMNS.map(([, pick]) => csvCell(pick(row))).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  function buildForecastJson({ rows = [], header = {} } = {}) {
+    return `${JSON.stringify({ ...header, rows: rows.map(exportTimelineRow) }, null, 2)}\n`;
+  }
+
+  function forecastExportFilename(label, dateKey = '', extension = 'csv') {
+    const slug = String(label || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40);
+    return ['sun-forecast', slug, dateKey].filter(Boolean).join('-') + `.${extension}`;
+  }
+
+  global.IWSDataExport = {
+    CSV_COLUMNS: CSV_COLUMNS.map(([name]) => name),
+    buildForecastCsv,
+    buildForecastJson,
+    exportTimelineRow,
+    forecastExportFilename,
+    forecastExportHeader,
+  };
+})(window);
@@ -0,0 +1,30 @@
+'use strict';
+
+(function initFileDownloadModule(global) {
+  // YYYY-MM-DD in the forecast location's calendar, for download filenames.
+  function locationDateKey(value, timeZone = '') {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(new Date(value));
+  }
+
+  function downloadTextFile(filename, text, type) {
+    const href = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking straight away can cancel the download in some browsers.
+    global.setTimeout(() => URL.revokeObjectURL(href), 1000);
+  }
+
+  global.IWSFileDownload = {
+    downloadTextFile,
+    locationDateKey,
+  };
+})(window);
@@ -0,0 +1,132 @@
+'use strict';
+
+(function initForecastCacheModule(global) {
+  const DB_NAME = 'iwannasun';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'forecasts';
+
+  // Shared with the service worker, which answers offline `/day` requests
+  // from the same store.
+  function forecastCacheKey(lat, lon, decimals = 3) {
+    const rlat = Number(lat).toFixed(decimals);
+    const rlon = Number(lon).toFixed(decimals);
+    return `iwannasun_day_v3_${rlat}_${rlon}`;
+  }
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // IndexedDB-backed forecast store. Records are `{ key, ts, data }` where
+  // `data` is the raw API payload. Every method resolves (never rejects):
+  // storage failures degrade to an in-memory map so the app keeps working in
+  // private mode or when IndexedDB is unavailable.
+  function createForecastCache({
+    indexedDB = global.indexedDB,
+    dbName = DB_NAME,
+    storeName = STORE_NAME,
+  } = {}) {
+    const memory = new Map();
+    let dbPromise = null;
+
+    function openDb() {
+      if (dbPromise) return dbPromise;
+      if (!indexedDB || typeof indexedDB.open !== 'function') {
+        dbPromise = Promise.resolve(null);
+        return dbPromise;
+      }
+      dbPromise = new Promise((resolve) => {
+        let request;
+        try {
+          request = indexedDB.open(dbName, DB_VERSION);
+        } catch {
+          resolve(null);
+          return;
+        }
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      });
+      return dbPromise;
+    }
+
+    async function withStore(mode, fn) {
+      const db = await openDb();
+      if (!db) return undefined;
+      try {
+        const tx = db.transaction(storeName, mode);
+        const done = new Promise((resolve, reject) => {
+          tx.oncomplete = () => resolve();
+          tx.onabort = () => reject(tx.error);
+          tx.onerror = () => reject(tx.error);
+        });
+        const result = await fn(tx.objectStore(storeName));
+        await done;
+        return result;
+      } catch {
+        return undefined;
+      }
+    }
+
+    async function get(key) {
+      const record = await withStore('readonly', (store) => requestToPromise(store.get(key)));
+      if (record && record.ts && record.data) return record;
+      return memory.get(key) || null;
+    }
+
+    async function put(key, data, ts = Date.now()) {
+      const record = { key, ts, data };
+      memory.set(key, record);
+      await withStore('readwrite', (store) => requestToPromise(store.put(record)));
+      return record;
+    }
+
+    async function remove(key) {
+      memory.delete(key);
+      await withStore('readwrite', (store) => requestToPromise(store.delete(key)));
+    }
+
+    // Drops every record older than `maxAgeMs` so visited locations do not
+    // accumulate forever.
+    async function prune(maxAgeMs, nowMs = Date.now()) {
+      const cutoff = nowMs - Number(maxAgeMs || 0);
+      for (const [key, record] of memory) {
+        if (record.ts < cutoff) memory.delete(key);
+      }
+      await withStore('readwrite', (store) => new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+          if (!cursor.value || !(cursor.value.ts >= cutoff)) cursor.delete();
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      }));
+    }
+
+    return {
+      get,
+      put,
+      remove,
+      prune,
+    };
+  }
+
+  global.IWSForecastCache = {
+    createForecastCache,
+    forecastCacheKey,
+  };
+})(typeof window !== 'undefined' ? window : self);
@@ -109,7 +109,98 @@
     return (row && typeof row._tMs === 'number') ? row._tMs : (tUtc(row)?.getTime() ?? NaN);
   }
 
-  function normalizeTimelineRow(rawRow, rowIndex = 0) {
+  const DEG = Math.PI / 180;
+  const sinDeg = (deg) => Math.sin(deg * DEG);
+  const cosDeg = (deg) => Math.cos(deg * DEG);
+  const tanDeg = (deg) => Math.tan(deg * DEG);
+
+  // Atmospheric refraction in degrees for a geometric elevation (NOAA).
+  function refractionDeg(elevation) {
+    if (elevation > 85) return 0;
+    const te = tanDeg(elevation);
+    let arcSeconds;
+    if (elevation > 5) {
+      arcSeconds = 58.1 / te - 0.07 / (te ** 3) + 0.000086 / (te ** 5);
+    } else if (elevation > -0.575) {
+      arcSeconds = 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)));
+    } else {
+      arcSeconds = -20.772 / te;
+    }
+    return arcSeconds / 3600;
+  }
+
+  // NOAA solar position (the Solar Calculator spreadsheet algorithm): apparent
+  // elevation with refraction, and azimuth clockwise from north, in degrees.
+  // Good to about 0.01° for dates between 1901 and 2099.
+  function solarPosition(date, lat, lon) {
+    const ms = date instanceof Date ? date.getTime() : new Date(date).getTime();
+    if (!Number.isFinite(ms) || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+    const jc = (ms / 86400000 + 2440587.5 - 2451545) / 36525;
+    const meanLong = (280.46646 + jc * (36000.76983 + jc * 0.0003032)) % 360;
+    const meanAnom = 357.52911 + jc * (35999.05029 - 0.0001537 * jc);
+    const eccent = 0.016708634 - jc * (0.000042037 + 0.0000001267 * jc);
+    const center = sinDeg(meanAnom) * (1.914602 - jc * (0.004817 + 0.000014 * jc))
+      + sinDeg(2 * meanAnom) * (0.019993 - 0.000101 * jc)
+      + sinDeg(3 * meanAnom) * 0.000289;
+    const omega = 125.04 - 1934.136 * jc;
+    const appLong = meanLong + center - 0.00569 - 0.00478 * sinDeg(omega);
+    const meanObliq = 23 + (26 + (21.448 - jc * (46.815 + jc * (0.00059 - jc * 0.001813))) / 60) / 60;
+    const obliq = meanObliq + 0.00256 * cosDeg(omega);
+    const decl = Math.asin(sinDeg(obliq) * sinDeg(appLong)) / DEG;
+
+    const y = tanDeg(obliq / 2) ** 2;
+    const eqOfTimeMinutes = 4 * (
+      y * sinDeg(2 * meanLong)
+      - 2 * eccent * sinDeg(meanAnom)
+      + 4 * eccent * y * sinDeg(meanAnom) * cosDeg(2 * meanLong)
+      - 0.5 * y * y * sinDeg(4 * meanLong)
+      - 1.25 * eccent * eccent * sinDeg(2 * meanAnom)
+    ) / DEG;
+
+    const utcMinutes = ((ms % 86400000) + 86400000) % 86400000 / 60000;
+    const trueSolarMinutes = (((utcMinutes + eqOfTimeMinutes + 4 * lon) % 1440) + 1440) % 1440;
+    const hourAngle = trueSolarMinutes / 4 - 180;
+
+    const cosZenith = clamp(
+      sinDeg(lat) * sinDeg(decl) + cosDeg(lat) * cosDeg(decl) * cosDeg(hourAngle),
+      -1,
+      1
+    );
+    const zenith = Math.acos(cosZenith) / DEG;
+    const geometricElevation = 90 - zenith;
+
+    const azDenominator = cosDeg(lat) * sinDeg(zenith);
+    let azimuth = 180;
+    if (Math.abs(azDenominator) > 1e-9) {
+      const azFromSouth = Math.acos(clamp((sinDeg(lat) * cosZenith - sinDeg(decl)) / azDenominator, -1, 1)) / DEG;
+      azimuth = hourAngle > 0 ? (azFromSouth + 180) % 360 : (540 - azFromSouth) % 360;
+    }
+
+    return {
+      elevation: geometricElevation + refractionDeg(geometricElevation),
+      azimuth,
+      declination: decl,
+    };
+  }
+
+  // Forecast location as { lat, lon } when both are usable, else null.
+  function normalizeForecastLocation(location) {
+    if (!isPlainObject(location)) return null;
+    const lat = Number(location.lat);
+    const lon = Number(location.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { lat, lon };
+  }
+
+  function isFiniteNumberField(value) {
+    return value != null && value !== '' && Number.isFinite(Number(value));
+  }
+
+  // When the API leaves out the sun geometry, fill it in from the location and
+  // timestamp rather than defaulting to a flat 0° / 180°. Filled rows carry
+  // `geometry_derived: true`. Without a location the old defaults still apply.
+  function normalizeTimelineRow(rawRow, rowIndex = 0, location = null) {
     if (!isPlainObject(rawRow)) {
       throw new ForecastNormalizationError('Malformed forecast row: expected object.', { rowIndex });
     }
@@ -123,7 +214,21 @@
       });
     }
 
-    const elevation = toFiniteNumberOrFallback(rawRow.elevation, 0);
+    const hasElevation = isFiniteNumberField(rawRow.elevation);
+    const hasAzimuth = isFiniteNumberField(rawRow.azimuth);
+    const hasDaylight = typeof rawRow.is_daylight === 'boolean';
+    const where = normalizeForecastLocation(location);
+    // A missing `is_daylight` alone needs no calculator: it follows the elevation.
+    const derived = (where && !(hasElevation && hasAzimuth))
+      ? solarPosition(parsedUtc, where.lat, where.lon)
+      : null;
+
+    const elevation = (!hasElevation && derived)
+      ? Math.round(derived.elevation * 100) / 100
+      : toFiniteNumberOrFallback(rawRow.elevation, 0);
+    const azimuth = (!hasAzimuth && derived)
+      ? Math.round(derived.azimuth * 100) / 100
+      : toFiniteNumberOrFallback(rawRow.azimuth, 180);
     const confidence = normalizeClampedNumber(rawRow.confidence, { fallback: 0, min: 0, max: 1 });
     const sunScore = normalizeClampedNumber(rawRow.sun_score, { fallback: 0, min: 0, max: 100 });
 
@@ -135,8 +240,9 @@
       sun_score: sunScore,
       confidence,
       elevation,
-      azimuth: toFiniteNumberOrFallback(rawRow.azimuth, 180),
-      is_daylight: (typeof rawRow.is_daylight === 'boolean') ? rawRow.is_daylight : elevation > 0,
+      azimuth,
+      is_daylight: hasDaylight ? rawRow.is_daylight : elevation > 0,
+      ...(derived ? { geometry_derived: true } : {}),
       cloud: normalizeCloudFields(rawRow.cloud),
       _tUtc: parsedUtc,
       _tMs: parsedUtc.getTime(),
@@ -165,7 +271,9 @@
     };
   }
 
-  function normalizeForecastPayload(rawData) {
+  // `location` ({ lat, lon }) is where the forecast was requested for; it is
+  // only used to derive sun geometry the payload leaves out.
+  function normalizeForecastPayload(rawData, location = null) {
     if (!isPlainObject(rawData)) {
       throw new ForecastNormalizationError('Malformed forecast payload: expected object.');
     }
@@ -173,7 +281,7 @@
       throw new ForecastNormalizationError('Malformed forecast payload: timeline must be an array.');
     }
 
-    const timeline = rawData.timeline.map((row, idx) => normalizeTimelineRow(row, idx));
+    const timeline = rawData.timeline.map((row, idx) => normalizeTimelineRow(row, idx, location));
     const days = bucketForecastRowsByDay(timeline);
 
     return {
@@ -187,15 +295,46 @@
     };
   }
 
+  // Cached payloads keep the day_index of the day they were fetched on. Once
+  // forecast-local midnight has passed, drop the elapsed days and renumber
+  // the rest so day 0 is today again.
+  function shiftForecastDays(data, dayOffset = 0) {
+    const offset = normalizeDayIndex(dayOffset);
+    if (!data || offset === 0) return data;
+
+    const timeline = (data.timeline || [])
+      .filter((row) => normalizeDayIndex(row?.day_index) >= offset)
+      .map((row) => ({ ...row, day_index: normalizeDayIndex(row.day_index) - offset }));
+
+    let windowsByDay = null;
+    if (isPlainObject(data.next_sunny_window_by_day)) {
+      windowsByDay = {};
+      for (const [key, value] of Object.entries(data.next_sunny_window_by_day)) {
+        const idx = Number(key);
+        if (Number.isFinite(idx) && idx >= offset) windowsByDay[String(idx - offset)] = value;
+      }
+    }
+
+    return {
+      ...data,
+      timeline,
+      days: bucketForecastRowsByDay(timeline),
+      next_sunny_window: windowsByDay ? (windowsByDay['0'] || null) : null,
+      next_sunny_window_by_day: windowsByDay,
+    };
+  }
+
   global.IWSForecastModel = {
     ForecastNormalizationError,
     isPlainObject,
     isDaylightRow,
     tUtc,
     tMs,
+    solarPosition,
     normalizeForecastWindow,
     normalizeTimelineRow,
     normalizeForecastPayload,
     bucketForecastRowsByDay,
+    shiftForecastDays,
   };
 })(window);
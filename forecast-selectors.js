@@ -1,11 +1,43 @@
 'use strict';
 
 (function initForecastSelectorsModule(global) {
+  // Sun quality bands by score, shared by the page and the embed widget.
+  const SUN_QUALITY_BANDS = [
+    { max: 20, key: 'veryWeak', emoji: '☁️' },
+    { max: 40, key: 'weak', emoji: '🌥️' },
+    { max: 60, key: 'limited', emoji: '⛅' },
+    { max: 80, key: 'good', emoji: '🌤️' },
+    { max: 100, key: 'excellent', emoji: '☀️' },
+  ];
+
+  // Default sun-break rule: a stretch of at least 15 minutes at a sun score of
+  // 65 or more. The page passes its own copy in `config`; the embed widget and
+  // the calendar feed read these so all three agree.
+  const SUN_BREAK_DEFAULTS = Object.freeze({ threshold: 65, minMinutes: 15 });
+
+  // Photographers' light by sun elevation in degrees: golden hour from 4°
+  // below to 6° above the horizon, blue hour from 6° to 4° below.
+  const LIGHT_HOUR_BANDS = [
+    { kind: 'blue', minElevation: -6, maxElevation: -4 },
+    { kind: 'golden', minElevation: -4, maxElevation: 6 },
+  ];
+  // Mean sun score over a light hour -> how the sky is likely to look.
+  const LIGHT_HOUR_OUTLOOKS = [
+    { min: 60, key: 'clear' },
+    { min: 35, key: 'mixed' },
+    { min: 0, key: 'cloudy' },
+  ];
+  // Rows further apart than this (a gap in the feed) are not interpolated.
+  const LIGHT_HOUR_MAX_GAP_MS = 3 * 60 * 60 * 1000;
+
   function createForecastSelectors({
     isDaylightRow,
     tUtc,
     tMs,
     localHourForDate,
+    dayNameForDate = null,
+    getSunBreakRule = null,
+    t = null,
     config = {},
   } = {}) {
     if (typeof isDaylightRow !== 'function'
@@ -18,12 +50,16 @@
     const DEFAULT_THRESHOLD = Number(config.DEFAULT_THRESHOLD || 70);
     const MEANINGFUL_WINDOW_MINUTES = Number(config.MEANINGFUL_WINDOW_MINUTES || 20);
     const SUN_BREAK_THRESHOLD = Number(
-      config.SUN_BREAK_THRESHOLD ?? config.SIDE_CARD_THRESHOLD ?? 65
+      config.SUN_BREAK_THRESHOLD ?? config.SIDE_CARD_THRESHOLD ?? SUN_BREAK_DEFAULTS.threshold
     );
     const SUN_BREAK_MINIMUM_MINUTES = Number(
-      config.SUN_BREAK_MINIMUM_MINUTES ?? config.SIDE_CARD_MEANINGFUL_WINDOW_MINUTES ?? 15
+      config.SUN_BREAK_MINIMUM_MINUTES ?? config.SIDE_CARD_MEANINGFUL_WINDOW_MINUTES ?? SUN_BREAK_DEFAULTS.minMinutes
     );
     const TIMELINE_MAX_ROWS = Number(config.TIMELINE_MAX_ROWS || 84);
+    // Copy comes from the app's active locale; English when none is passed.
+    const translate = typeof t === 'function'
+      ? t
+      : global.IWSI18n.createTranslator(global.IWSI18n.DEFAULT_LOCALE).t;
 
     function daylightWindow(dayRows, padMinutes = 30) {
       const rows = dayRows || [];
@@ -50,6 +86,12 @@
       };
     }
 
+    function sunQualityBand(score, isNight) {
+      if (isNight) return { key: 'night', emoji: '🌙' };
+      const s = Math.min(100, Math.max(0, Number(score || 0)));
+      return SUN_QUALITY_BANDS.find((band) => s <= band.max);
+    }
+
     function dayAverages(dayRows) {
       const rows = (dayRows || []).filter((row) => isDaylightRow(row));
       if (!rows.length) return null;
@@ -190,11 +232,190 @@
       return out;
     }
 
+    // Fraction [u0, u1] of the straight line a -> b whose elevation lies in band.
+    function bandSpanOnSegment(a, b, band) {
+      if (a.e === b.e) {
+        return (a.e >= band.minElevation && a.e <= band.maxElevation) ? [0, 1] : null;
+      }
+      const uMin = (band.minElevation - a.e) / (b.e - a.e);
+      const uMax = (band.maxElevation - a.e) / (b.e - a.e);
+      const u0 = Math.max(0, Math.min(uMin, uMax));
+      const u1 = Math.min(1, Math.max(uMin, uMax));
+      return u1 > u0 ? [u0, u1] : null;
+    }
+
+    function lightHourOutlook(meanScore) {
+      if (!Number.isFinite(meanScore)) return null;
+      return LIGHT_HOUR_OUTLOOKS.find((outlook) => meanScore >= outlook.min).key;
+    }
+
+    // Golden and blue hours of the day, earliest first. Edges are interpolated
+    // between rows from their `elevation`; the outlook averages the daylight
+    // `sun_score` across the window. Blue hour has no daylight rows of its own,
+    // so it borrows the outlook of the golden hour it borders.
+    function lightHourWindows(dayRows, nowMs = Date.now()) {
+      const pts = (dayRows || [])
+        .map((row) => ({
+          ms: tMs(row),
+          e: Number(row.elevation),
+          s: isDaylightRow(row) ? Number(row.sun_score) : NaN,
+        }))
+        .filter((p) => Number.isFinite(p.ms) && Number.isFinite(p.e))
+        .sort((a, b) => a.ms - b.ms);
+
+      const spans = [];
+      for (const band of LIGHT_HOUR_BANDS) {
+        let open = null;
+        const close = () => {
+          if (open && open.endMs - open.startMs >= 60000) spans.push(open);
+          open = null;
+        };
+        for (let i = 1; i < pts.length; i += 1) {
+          const a = pts[i - 1];
+          const b = pts[i];
+          const span = (b.ms - a.ms <= LIGHT_HOUR_MAX_GAP_MS) ? bandSpanOnSegment(a, b, band) : null;
+          if (!span) {
+            close();
+            continue;
+          }
+          const startMs = a.ms + (b.ms - a.ms) * span[0];
+          const endMs = a.ms + (b.ms - a.ms) * span[1];
+          if (!open || startMs > open.endMs) {
+            close();
+            open = { kind: band.kind, startMs, endMs, scoreSum: 0, scoreMs: 0 };
+          }
+          open.endMs = endMs;
+          const scores = [a.s, b.s].filter(Number.isFinite);
+          if (scores.length) {
+            const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+            open.scoreSum += mean * (endMs - startMs);
+            open.scoreMs += endMs - startMs;
+          }
+          if (span[1] < 1) close();
+        }
+        close();
+      }
+
+      spans.sort((a, b) => a.startMs - b.startMs);
+      return spans.map((span) => {
+        let meanScore = span.scoreMs > 0 ? span.scoreSum / span.scoreMs : NaN;
+        if (!Number.isFinite(meanScore)) {
+          const golden = spans.find((other) => other.kind === 'golden' && other.scoreMs > 0
+            && (Math.abs(other.startMs - span.endMs) < 60000 || Math.abs(other.endMs - span.startMs) < 60000));
+          if (golden) meanScore = golden.scoreSum / golden.scoreMs;
+        }
+        const startMs = Math.round(span.startMs / 60000) * 60000;
+        const endMs = Math.round(span.endMs / 60000) * 60000;
+        return {
+          kind: span.kind,
+          start: new Date(startMs).toISOString(),
+          end: new Date(endMs).toISOString(),
+          minutes: Math.round((endMs - startMs) / 60000),
+          meanScore: Number.isFinite(meanScore) ? meanScore : null,
+          outlook: lightHourOutlook(meanScore),
+          isActive: nowMs >= startMs && nowMs < endMs,
+          isPast: nowMs >= endMs,
+        };
+      });
+    }
+
+    // Where a row puts the sun: azimuth clockwise from north and elevation,
+    // both in degrees. Rows without usable geometry give null.
+    function sunCompassPoint(row) {
+      if (!row) return null;
+      const azimuth = Number(row.azimuth);
+      const elevation = Number(row.elevation);
+      const ms = tMs(row);
+      if (!Number.isFinite(azimuth) || !Number.isFinite(elevation) || !Number.isFinite(ms)) return null;
+      return {
+        azimuth: ((azimuth % 360) + 360) % 360,
+        elevation,
+        time: new Date(ms).toISOString(),
+        isUp: elevation > 0,
+      };
+    }
+
+    // Azimuths wrap at north, so interpolate along the shorter way round.
+    function lerpAzimuth(a, b, u) {
+      const delta = ((((b - a) % 360) + 540) % 360) - 180;
+      return (((a + delta * u) % 360) + 360) % 360;
+    }
+
+    // The sun's path above the horizon, one segment per stretch of daylight,
+    // with the ends interpolated onto the horizon so each segment meets the
+    // compass rim at sunrise and sunset.
+    function sunArcSegments(rows) {
+      const pts = (rows || [])
+        .map(sunCompassPoint)
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+      const segments = [];
+      let segment = null;
+      for (let i = 0; i < pts.length; i += 1) {
+        const p = pts[i];
+        const prev = pts[i - 1];
+        if (!p.isUp) {
+          segment = null;
+          continue;
+        }
+        if (!segment) {
+          segment = [];
+          segments.push(segment);
+          if (prev) {
+            const u = -prev.elevation / (p.elevation - prev.elevation);
+            segment.push({ azimuth: lerpAzimuth(prev.azimuth, p.azimuth, u), elevation: 0 });
+          }
+        }
+        segment.push({ azimuth: p.azimuth, elevation: p.elevation });
+        const next = pts[i + 1];
+        if (next && !next.isUp) {
+          const u = p.elevation / (p.elevation - next.elevation);
+          segment.push({ azimuth: lerpAzimuth(p.azimuth, next.azimuth, u), elevation: 0 });
+        }
+      }
+      return segments;
+    }
+
+    // Data for the sun compass: the selected day's sun arcs, the sun "now"
+    // (today only), and the part of the path covered by the side card's sun
+    // window. A fallback window tomorrow is traced on tomorrow's rows.
+    function selectCompassViewState(dayIndex, dayRows, days, sideCard, nowMs = Date.now()) {
+      const arcs = sunArcSegments(dayRows);
+      const first = arcs.length ? arcs[0][0] : null;
+      const last = arcs.length ? arcs[arcs.length - 1][arcs[arcs.length - 1].length - 1] : null;
+      const win = sideCard?.win || null;
+      const winDayRows = sideCard?.isFallbackTomorrow ? ((days && days[1]) || []) : dayRows;
+      const windowArc = win ? (sunArcSegments(chartRowsForWindow(winDayRows, {
+        start: new Date(win.start),
+        end: new Date(win.end),
+      }))[0] || []) : [];
+      return {
+        arcs,
+        sunrise: (first && first.elevation === 0) ? first : null,
+        sunset: (last && last !== first && last.elevation === 0) ? last : null,
+        now: Number(dayIndex) === 0 ? sunCompassPoint(nearestNowRow(dayRows, nowMs)) : null,
+        win: windowArc.length ? { start: win.start, end: win.end, arc: windowArc } : null,
+      };
+    }
+
+    // User settings can override the sun-break rule at render time; anything
+    // missing or invalid falls back to the configured 65/15 defaults.
+    function sunBreakRule() {
+      const rule = typeof getSunBreakRule === 'function' ? getSunBreakRule() : null;
+      const threshold = Number(rule?.threshold);
+      const minMinutes = Number(rule?.minMinutes);
+      return {
+        threshold: Number.isFinite(threshold) ? threshold : SUN_BREAK_THRESHOLD,
+        minMinutes: (Number.isFinite(minMinutes) && minMinutes > 0) ? minMinutes : SUN_BREAK_MINIMUM_MINUTES,
+      };
+    }
+
     function sunBreakWindows(dayRows, intervalMinutesHint = 0) {
+      const rule = sunBreakRule();
       return meaningfulWindows(
         dayRows,
-        SUN_BREAK_THRESHOLD,
-        SUN_BREAK_MINIMUM_MINUTES,
+        rule.threshold,
+        rule.minMinutes,
         intervalMinutesHint
       );
     }
@@ -204,6 +425,39 @@
       return wins.length ? wins[0] : null;
     }
 
+    // Every sun-break window of the day, best first: higher mean score wins,
+    // then longer duration, then earlier start.
+    function rankedSunBreakWindows(dayRows, intervalMinutesHint = 0, nowMs = Date.now()) {
+      const rows = dayRows || [];
+      const wins = sunBreakWindows(rows, intervalMinutesHint).map((win) => {
+        const startMs = new Date(win.start).getTime();
+        const endMs = new Date(win.end).getTime();
+        let sum = 0;
+        let n = 0;
+        for (const row of rows) {
+          const ms = tMs(row);
+          if (ms < startMs || ms >= endMs) continue;
+          const score = Number(row.sun_score);
+          if (!Number.isFinite(score)) continue;
+          sum += score;
+          n += 1;
+        }
+        return {
+          ...win,
+          meanScore: n ? sum / n : 0,
+          isActive: nowMs >= startMs && nowMs < endMs,
+          isPast: nowMs >= endMs,
+        };
+      });
+
+      wins.sort((a, b) => (
+        (b.meanScore - a.meanScore)
+        || (b.minutes - a.minutes)
+        || a.start.localeCompare(b.start)
+      ));
+      return wins.map((win, i) => ({ ...win, rank: i + 1 }));
+    }
+
     function pickSideWindowState(dayRows, tomorrowRows, nowMs = Date.now(), intervalMinutesHint = 0) {
       const wins = sunBreakWindows(dayRows, intervalMinutesHint);
       const tomorrowWin = firstSunBreakWindow(tomorrowRows, intervalMinutesHint);
@@ -283,6 +537,17 @@
       return best;
     }
 
+    // "tomorrow" for day 1, forecast-local weekday name for later days.
+    function dayPhraseForRows(dayIndex, dayRows) {
+      if (Number(dayIndex) === 1) return 'tomorrow';
+      const anchor = nearestRowToLocalHour(dayRows, 12);
+      if (anchor && typeof dayNameForDate === 'function') {
+        const name = String(dayNameForDate(tUtc(anchor)) || '').trim();
+        if (name) return name;
+      }
+      return translate('day.numbered', { n: Number(dayIndex) + 1 });
+    }
+
     function buildTomorrowSyntheticDecisionRow(avg, anchor) {
       return {
         sun_score: avg.avgScore,
@@ -305,6 +570,7 @@
           source: 'today_now',
           isToday: true,
           isTomorrow: false,
+          dayPhrase: 'today',
           decisionRow: focusRow,
           contextLabel: 'now',
           chartMaxElevation,
@@ -314,16 +580,19 @@
         };
       }
 
+      const isTomorrow = dayIndex === 1;
+      const dayPhrase = dayPhraseForRows(dayIndex, dayRows);
       const avg = dayAverages(dayRows);
       if (!avg) {
         const fallback = nearestRowToLocalHour(dayRows, 12);
         const themeFallbackRow = fallback ? { ...fallback, _themeFallback: true } : fallback;
         return {
-          source: 'tomorrow_no_daylight',
+          source: isTomorrow ? 'tomorrow_no_daylight' : 'day_no_daylight',
           isToday: false,
-          isTomorrow: true,
+          isTomorrow,
+          dayPhrase,
           decisionRow: themeFallbackRow,
-          contextLabel: 'tomorrow (no daylight)',
+          contextLabel: `${dayPhrase} (no daylight)`,
           chartMaxElevation,
           themeRow: themeFallbackRow,
           score: Number(themeFallbackRow?.sun_score || 0),
@@ -334,11 +603,12 @@
       const anchor = nearestRowToLocalHour(dayRows, 12);
       const synthetic = buildTomorrowSyntheticDecisionRow(avg, anchor);
       return {
-        source: 'tomorrow_daylight_average',
+        source: isTomorrow ? 'tomorrow_daylight_average' : 'day_daylight_average',
         isToday: false,
-        isTomorrow: true,
+        isTomorrow,
+        dayPhrase,
         decisionRow: synthetic,
-        contextLabel: 'tomorrow (daylight average)',
+        contextLabel: `${dayPhrase} (daylight average)`,
         chartMaxElevation,
         themeRow: synthetic,
         score: Number(synthetic.sun_score || 0),
@@ -350,6 +620,26 @@
       const tomorrowRows = (days && days[1]) ? days[1] : [];
       const win = firstSunBreakWindow(dayRows, intervalMinutesHint);
       const tomorrowWin = firstSunBreakWindow(tomorrowRows, intervalMinutesHint);
+      const windows = rankedSunBreakWindows(dayRows, intervalMinutesHint, nowMs);
+
+      if (dayIndex >= 2) {
+        const dayPhrase = dayPhraseForRows(dayIndex, dayRows);
+        const dayParams = { day: dayPhrase, onDay: translate('day.onWeekday', { day: dayPhrase }) };
+        return {
+          mode: 'day_selected',
+          activeWindow: null,
+          nextWindow: win,
+          tomorrowWindow: tomorrowWin,
+          isFallbackTomorrow: false,
+          windows,
+          win,
+          heading: translate('side.dayHeading', dayParams),
+          opts: {
+            heading: translate('side.dayHeading', dayParams),
+            emptySub: translate('side.dayEmpty', dayParams),
+          },
+        };
+      }
 
       if (dayIndex === 1) {
         return {
@@ -358,11 +648,12 @@
           nextWindow: win,
           tomorrowWindow: tomorrowWin,
           isFallbackTomorrow: false,
+          windows,
           win,
-          heading: 'Tomorrow’s likely sun window',
+          heading: translate('side.tomorrowHeading'),
           opts: {
-            heading: 'Tomorrow’s likely sun window',
-            emptySub: 'No meaningful window tomorrow.',
+            heading: translate('side.tomorrowHeading'),
+            emptySub: translate('side.tomorrowEmpty'),
           },
         };
       }
@@ -375,10 +666,11 @@
           nextWindow: side.win,
           tomorrowWindow: tomorrowWin,
           isFallbackTomorrow: false,
+          windows,
           win: side.win,
-          heading: 'Sunlight likely now',
+          heading: translate('side.nowHeading'),
           opts: {
-            heading: 'Sunlight likely now',
+            heading: translate('side.nowHeading'),
             activeNow: true,
           },
         };
@@ -390,10 +682,11 @@
           nextWindow: side.win,
           tomorrowWindow: tomorrowWin,
           isFallbackTomorrow: false,
+          windows,
           win: side.win,
-          heading: 'Next likely sun window today',
+          heading: translate('side.nextTodayHeading'),
           opts: {
-            heading: 'Next likely sun window today',
+            heading: translate('side.nextTodayHeading'),
           },
         };
       }
@@ -403,11 +696,12 @@
         nextWindow: side.win,
         tomorrowWindow: tomorrowWin,
         isFallbackTomorrow: true,
+        windows,
         win: side.win,
-        heading: 'Tomorrow’s likely sun window',
+        heading: translate('side.tomorrowHeading'),
         opts: {
-          heading: 'Tomorrow’s likely sun window',
-          emptySub: 'No meaningful window left today.',
+          heading: translate('side.tomorrowHeading'),
+          emptySub: translate('side.todayEmpty'),
         },
       };
     }
@@ -467,6 +761,133 @@
       };
     }
 
+    function selectWeekStripViewState(days, intervalMinutesHint = 0) {
+      const dayIndexes = Object.keys(days || {})
+        .map((key) => Number(key))
+        .filter((idx) => Number.isFinite(idx) && days[idx]?.length)
+        .sort((a, b) => a - b);
+
+      return {
+        tiles: dayIndexes.map((idx) => {
+          const dayRows = days[idx];
+          const avg = dayAverages(dayRows);
+          return {
+            dayIndex: idx,
+            hasDaylight: Boolean(avg),
+            avgScore: avg ? avg.avgScore : 0,
+            avgConf: avg ? avg.avgConf : 0,
+            bestWindow: firstSunBreakWindow(dayRows, intervalMinutesHint),
+            dayWin: daylightWindow(dayRows, 0),
+          };
+        }),
+      };
+    }
+
+    // Compare mode: one summary per location for the same day index, built
+    // from the same side-card and daylight-average selectors as the main view.
+    // `entries` are `{ id, label, tzName, data, days }`.
+    function selectCompareViewState(entries, dayIndex, nowMs = Date.now()) {
+      let startMs = Infinity;
+      let endMs = -Infinity;
+      let bestId = '';
+      let bestAvg = -Infinity;
+
+      const locations = (entries || []).map((entry) => {
+        const days = entry?.days || null;
+        const dayRows = (days && days[dayIndex]) ? days[dayIndex] : [];
+        const intervalMinutesHint = Number(entry?.data?.meta?.interval_minutes || 0);
+        const chart = selectChartViewState(dayRows);
+        const sideCard = selectSideCardViewState(dayIndex, dayRows, days, nowMs, intervalMinutesHint);
+        const avg = dayAverages(dayRows);
+
+        if (chart.chartRows.length) {
+          startMs = Math.min(startMs, tMs(chart.chartRows[0]));
+          endMs = Math.max(endMs, tMs(chart.chartRows[chart.chartRows.length - 1]));
+        }
+        if (avg && avg.avgScore > bestAvg) {
+          bestAvg = avg.avgScore;
+          bestId = entry.id;
+        }
+
+        return {
+          id: entry.id,
+          label: entry.label,
+          tzName: entry.tzName || null,
+          chartRows: chart.chartRows,
+          nextWindow: sideCard.nextWindow,
+          isFallbackTomorrow: sideCard.isFallbackTomorrow,
+          isActiveNow: Boolean(sideCard.activeWindow),
+          daylightAvgScore: avg ? avg.avgScore : null,
+        };
+      });
+
+      return {
+        dayIndex,
+        locations,
+        bestId,
+        range: (Number.isFinite(startMs) && endMs > startMs) ? { startMs, endMs } : null,
+      };
+    }
+
+    // Sun finder: ranks sampled points by mean sun score over the chosen
+    // forecast-local hours (in the main location's timezone), then by minutes
+    // of sun-break window, then by distance. `points` carry `days`/`data` like
+    // compare entries plus `distanceKm` and `bearingDeg`.
+    function selectSunFinderRanking(points, {
+      dayIndex = 0,
+      fromHour = 0,
+      toHour = 24,
+      nowMs = Date.now(),
+      limit = 5,
+    } = {}) {
+      const rule = sunBreakRule();
+      const scored = [];
+
+      for (const point of (points || [])) {
+        const dayRows = point?.days?.[dayIndex] || [];
+        const rows = dayRows.filter((row) => {
+          if (!isDaylightRow(row)) return false;
+          if (Number(dayIndex) === 0 && tMs(row) < nowMs) return false;
+          const hour = localHourForDate(tUtc(row));
+          return hour >= fromHour && hour < toHour;
+        });
+        if (!rows.length) continue;
+
+        let sum = 0;
+        for (const row of rows) sum += Number(row.sun_score || 0);
+        const windows = meaningfulWindows(
+          rows,
+          rule.threshold,
+          rule.minMinutes,
+          Number(point?.data?.meta?.interval_minutes || 0)
+        );
+        const sunMinutes = windows.reduce((acc, win) => acc + win.minutes, 0);
+        const longest = windows.reduce((best, win) => (!best || win.minutes > best.minutes ? win : best), null);
+
+        scored.push({
+          id: point.id,
+          lat: point.lat,
+          lon: point.lon,
+          distanceKm: Number(point.distanceKm || 0),
+          bearingDeg: Number(point.bearingDeg || 0),
+          meanScore: sum / rows.length,
+          sunMinutes,
+          window: longest,
+        });
+      }
+
+      scored.sort((a, b) => (
+        (b.meanScore - a.meanScore)
+        || (b.sunMinutes - a.sunMinutes)
+        || (a.distanceKm - b.distanceKm)
+      ));
+
+      return {
+        checked: scored.length,
+        top: scored.slice(0, Math.max(0, limit)).map((point, i) => ({ ...point, rank: i + 1 })),
+      };
+    }
+
     function deriveForecastRenderState({ data, days, dayIndex, nowMs = Date.now() }) {
       const dayRows = (days && days[dayIndex]) ? days[dayIndex] : [];
       const intervalMinutesHint = Number(data?.meta?.interval_minutes || 0);
@@ -475,6 +896,9 @@
       const sideCard = selectSideCardViewState(dayIndex, dayRows, days, nowMs, intervalMinutesHint);
       const theme = selectThemeViewState(dayIndex, chart.dayWin, decision.themeRow);
       const timeline = selectTimelineViewState(dayIndex, dayRows, chart.dayWin30, nowMs);
+      const weekStrip = selectWeekStripViewState(days, intervalMinutesHint);
+      const lightHours = lightHourWindows(dayRows, nowMs);
+      const compass = selectCompassViewState(dayIndex, dayRows, days, sideCard, nowMs);
       return {
         dayIndex,
         dayRows,
@@ -483,6 +907,9 @@
         sideCard,
         theme,
         timeline,
+        weekStrip,
+        lightHours,
+        compass,
       };
     }
 
@@ -491,13 +918,19 @@
       dayAverages,
       timelineIntervalMinutes,
       meaningfulWindows,
+      sunBreakRule,
       sunBreakWindows,
+      rankedSunBreakWindows,
       firstSunBreakWindow,
+      lightHourWindows,
+      sunCompassPoint,
+      selectCompassViewState,
       pickSideWindowState,
       chartRowsForWindow,
       maxElevationFromRows,
       nearestNowRow,
       nearestRowToLocalHour,
+      dayPhraseForRows,
       buildTomorrowSyntheticDecisionRow,
       selectDecisionViewState,
       selectSideCardViewState,
@@ -505,11 +938,16 @@
       selectChartViewState,
       visibleTimelineRows,
       selectTimelineViewState,
+      selectWeekStripViewState,
+      selectCompareViewState,
+      selectSunFinderRanking,
       deriveForecastRenderState,
+      sunQualityBand,
     };
   }
 
   global.IWSForecastSelectors = {
+    SUN_BREAK_DEFAULTS,
     createForecastSelectors,
   };
 })(window);
@@ -0,0 +1,1682 @@
+'use strict';
+
+(function initI18nModule(global) {
+  const DEFAULT_LOCALE = 'en';
+  const SUPPORTED_LOCALES = ['en', 'de', 'nl', 'fr', 'es'];
+
+  // Language picker labels, each in its own language.
+  const LOCALE_NAMES = Object.freeze({
+    en: 'English',
+    de: 'Deutsch',
+    nl: 'Nederlands',
+    fr: 'Français',
+    es: 'Español',
+  });
+
+  // The locale only sets date order and month/day names; 12- or 24-hour comes
+  // from the clock setting. English keeps the en-GB day/month order the app
+  // has always used.
+  const TIME_LOCALES = Object.freeze({
+    en: 'en-GB',
+    de: 'de-DE',
+    nl: 'nl-NL',
+    fr: 'fr-FR',
+    es: 'es-ES',
+  });
+
+  // Flat dotted keys. `{name}` is replaced from the params; a value given as
+  // `{ one, other }` is picked by the `count` param with Intl.PluralRules.
+  // Keys missing from a locale fall back to English.
+  const MESSAGES = {
+    en: {
+      'shell.pickPlace': 'Pick a place → get your next sun break',
+      'shell.pickPlaceShort': 'Pick a place for your next sun break',
+      'shell.tagline': 'Find your next sun moment.',
+      'shell.cityTagline': 'Find the next sunny window in {city}.',
+      'shell.toolHeading': 'Sun forecast tool',
+      'shell.differentHeading': 'What makes iwannasun different',
+      'shell.differentCloud': 'Most weather apps show cloud percentage.',
+      'shell.differentSun': 'iwannasun shows when the sunlight really breaks through.',
+      'shell.cityDifferent': 'See when sunlight is most likely to break through in {city}.',
+      'shell.loading': 'Loading forecast…',
+      'shell.loadingDetail': 'Fetching clouds + sun path',
+      'shell.localTime': 'Local time',
+      'shell.localTimeIn': 'Local time ({tz})',
+      'shell.deviceTimeIn': 'Your time ({tz})',
+      'shell.otherZoneLocation': '{time} there',
+      'shell.otherZoneDevice': '{time} your time',
+      'shell.selectDay': 'Select day',
+
+      'location.search': 'Search city',
+      'location.searchPlaceholder': 'Search city…',
+      'location.clear': 'Clear location',
+      'location.useMySpot': 'Use my spot',
+      'location.unsupported': 'Your browser doesn’t support location. Please search for a city.',
+      'location.denied': 'Please allow location, or search for a city above.',
+      'location.this': 'This location',
+
+      'favourites.save': 'Save to favourites',
+      'favourites.remove': 'Remove from favourites',
+      'favourites.saved': 'Saved',
+      'favourites.list': 'Favourite locations',
+      'favourites.subscribe': 'Subscribe to sun windows for {label}',
+      'favourites.subscribeTitle': 'Subscribe in your calendar',
+      'favourites.moveUp': 'Move {label} up',
+      'favourites.moveDown': 'Move {label} down',
+      'favourites.rename': 'Rename {label}',
+      'favourites.delete': 'Delete {label}',
+      'favourites.empty': 'No favourites yet. Star a location to save it.',
+      'favourites.suggestionMeta': '★ Favourite',
+
+      'day.today': 'Today',
+      'day.tomorrow': 'Tomorrow',
+      'day.tomorrowPhrase': 'tomorrow',
+      'day.onWeekday': 'on {day}',
+      'day.numbered': 'day {n}',
+
+      'refresh.button': 'Refresh',
+      'refresh.title': 'Refresh data',
+      'refresh.rateLimitedTitle': 'Rate limited. Try again in {seconds}s.',
+      'refresh.pull': 'Pull to refresh',
+      'refresh.release': 'Release to refresh',
+      'refresh.refreshing': 'Refreshing…',
+
+      'share.button': 'Share',
+      'share.label': 'Share forecast',
+      'share.text': 'Check out the sun forecast here:',
+      'share.copied': 'Link copied',
+      'share.copyFailed': 'Copy failed',
+
+      'settings.button': 'Settings',
+      'settings.label': 'Sun window settings',
+      'settings.threshold': 'Sun threshold',
+      'settings.minWindow': 'Minimum window',
+      'settings.hint': 'Windows count when the sun score stays at or above the threshold for at least this long.',
+      'settings.reset': 'Reset to defaults',
+      'settings.language': 'Language',
+      'settings.languageAuto': 'Automatic',
+      'settings.timeZone': 'Show times in',
+      'settings.timeZoneLocation': 'Location time',
+      'settings.timeZoneDevice': 'My device time',
+      'settings.clock': 'Clock',
+      'settings.clock24': '24-hour',
+      'settings.clock12': '12-hour (am/pm)',
+      'settings.theme': 'Theme',
+      'settings.themeAuto': 'Match system',
+      'settings.themeLight': 'Light',
+      'settings.themeDark': 'Dark',
+      'settings.minutes': '{count} min',
+      'settings.hours': { one: '{count} hour', other: '{count} hours' },
+
+      'week.label': 'Week at a glance',
+      'week.noDaylight': 'No daylight',
+      'week.noWindow': 'No window',
+      'week.tileLabel': '{day}: sun score {score}%, confidence {confidence}%, best window {best}, daylight {daylight}',
+      'week.confidence': 'Conf. {confidence}%',
+      'week.confidenceTitle': 'Average confidence',
+      'week.bestTitle': 'Best sun window',
+      'week.daylightTitle': 'Sunrise – sunset',
+
+      'chart.mode': 'Chart mode',
+      'chart.modeSun': 'Sun path',
+      'chart.modeScore': 'Score curve',
+      'chart.sunAxis': 'Elevation (°)',
+      'chart.sunLegend': 'line intensity = sun score · ribbon = confidence',
+      'chart.sunAria': 'Sun elevation chart with sun score intensity and a confidence ribbon around the sun score',
+      'chart.scoreAxis': 'Sun score (%)',
+      'chart.scoreLegend': 'dashed line = sun threshold · ribbon = confidence',
+      'chart.scoreAria': 'Sun score chart with the sun threshold line, shaded sun windows and a confidence ribbon',
+      'chart.tooltip': '{time} · {score}% · confidence {confidence}%',
+      'chart.point': '{time}, sun score {score}%, confidence {confidence}%',
+      'chart.keyHint': 'Use the left and right arrow keys to step through the forecast, and Home or End to jump to sunrise or sunset.',
+      'preview.label': 'Preview the sky',
+      'preview.now': 'Now',
+      'preview.summary': 'Day overview',
+      'preview.reset': 'Back to now',
+      'chart.tableCaption': 'Sun forecast plotted on the chart',
+      'chart.time': 'Time',
+      'chart.elevation': 'Elevation',
+      'chart.sunScore': 'Sun score',
+      'chart.confidence': 'Confidence',
+      'chart.cloudAria': 'Cloud cover by layer (high, mid, low) and rain, on the same time axis as the sun chart',
+      'chart.cloudHigh': 'High',
+      'chart.cloudMid': 'Mid',
+      'chart.cloudLow': 'Low',
+      'chart.rain': 'Rain',
+      'chart.rainAmount': 'Rain {mm} mm',
+
+      'kpi.scoreNow': 'Sun score now',
+      'kpi.scoreAvg': 'Sun score (avg)',
+      'kpi.score': 'Sun score',
+      'kpi.confidenceNow': 'Confidence now',
+      'kpi.confidenceAvg': 'Confidence (avg)',
+      'kpi.confidence': 'Confidence',
+      'kpi.confidenceNightTitle': 'Sun below horizon (confidence not applicable).',
+      'kpi.confidenceAvgTitle': 'Confidence average across daylight hours (higher = more stable conditions).',
+      'kpi.confidenceTitle': 'Confidence = how reliable the sun score estimate is (higher = more stable conditions).',
+      'kpi.legendLabel': 'Sun quality score legend',
+      'kpi.legend': 'Sun score: 0–20 ☁️ · 20–40 🌥️ · 40–60 ⛅ · 60–80 🌤️ · 80–100 ☀️',
+
+      'quality.night': 'No sun',
+      'quality.veryWeak': 'Very weak sun',
+      'quality.weak': 'Weak sun',
+      'quality.limited': 'Limited sun',
+      'quality.good': 'Good sun',
+      'quality.excellent': 'Excellent sun',
+      'qualityNow.night': 'Sun is below the horizon.',
+      'qualityNow.veryWeak': 'Sunlight is mostly blocked right now.',
+      'qualityNow.weak': 'Only brief or faint sunlight possible.',
+      'qualityNow.limited': 'Sunlight is faint or appears briefly.',
+      'qualityNow.good': 'Sunlight is mostly clear, but slightly faint or briefly blocked.',
+      'qualityNow.excellent': 'Strong, uninterrupted sunlight.',
+      'qualityDay.night': 'The sun stays below the horizon {onDay}.',
+      'qualityDay.veryWeak': 'Direct sunlight looks limited for most of {day}.',
+      'qualityDay.weak': 'Only brief or faint sunlight for most of {day}.',
+      'qualityDay.limited': 'Sunlight is faint or appears briefly {onDay}.',
+      'qualityDay.good': 'Sunlight is mostly clear for much of {day}, but slightly faint.',
+      'qualityDay.excellent': 'Strong sunlight for most of {day}.',
+      'decision.summaryLead': 'Based on daylight sun score average.',
+      'decision.rain': 'Rain may reduce direct sunlight.',
+
+      'timeline.label': 'Sun score timeline',
+      'timeline.time': 'Time',
+      'timeline.confidence': 'Conf.',
+      'timeline.confidenceTitle': 'Confidence',
+      'timeline.rowConfidenceTitle': 'Confidence in prediction',
+      'timeline.sunScore': 'Sun score',
+
+      'side.nextBreak': 'Your next sun break',
+      'side.nowHeading': 'Sunlight likely now',
+      'side.nextTodayHeading': 'Next likely sun window today',
+      'side.tomorrowHeading': 'Tomorrow’s likely sun window',
+      'side.dayHeading': '{day}’s likely sun window',
+      'side.todayEmpty': 'No meaningful window left today.',
+      'side.tomorrowEmpty': 'No meaningful window tomorrow.',
+      'side.dayEmpty': 'No meaningful window {onDay}.',
+      'side.noWindow': 'No sunny window',
+      'side.tryLater': 'Try again later.',
+      'side.until': 'Until {time}',
+      'side.minutesRemaining': { one: '{count} minute likely remaining', other: '{count} minutes likely remaining' },
+      'side.minutesAbove': { one: '{count} minute above threshold', other: '{count} minutes above threshold' },
+      'side.windowsLabel': 'All sun windows, best first',
+      'side.sunrise': 'Sunrise',
+      'side.sunset': 'Sunset',
+      'lightHour.listLabel': 'Golden and blue hour',
+      'lightHour.golden': 'Golden hour',
+      'lightHour.blue': 'Blue hour',
+      'lightHour.outlookSuffix': ', {outlook}',
+      'lightHour.outlook.clear': 'likely clear',
+      'lightHour.outlook.mixed': 'partly cloudy',
+      'lightHour.outlook.cloudy': 'likely cloudy',
+      'sunCompass.heading': 'Where the sun is',
+      'sunCompass.now': 'Sun now: {direction}, {elevation}° up',
+      'sunCompass.nowBelow': 'Sun now: below the horizon',
+      'sunCompass.at': 'At {time}: {direction}, {elevation}° up',
+      'sunCompass.atBelow': 'At {time}: below the horizon',
+      'sunCompass.window': 'Sun break {range}: from {from} to {to}',
+      'sunCompass.riseSet': 'Rises in the {rise}, sets in the {set}',
+      'sunCompass.empty': 'No sun path for this day.',
+      'side.noSunrise': 'No sunrise (sun stays below horizon)',
+      'side.noSunset': 'No sunset (sun stays below horizon)',
+
+      'windows.item': 'Window {rank}: {range}, {minutes} minutes, mean sun score {score}%',
+      'windows.itemNow': 'happening now',
+      'windows.itemPast': 'already passed',
+      'windows.minutes': '{minutes} min',
+      'windows.addLabel': 'Add window {rank}, {range}, to calendar',
+
+      'calendar.addWindow': 'Add to calendar',
+      'calendar.addWindowLabel': 'Add this sun window to your calendar',
+      'calendar.allWindows': 'All windows (.ics)',
+      'calendar.allWindowsLabel': 'Download all of this day’s sun windows as a calendar file',
+      'calendar.nothing': 'No sun window to export',
+      'calendar.downloaded': { one: 'Calendar event downloaded', other: '{count} calendar events downloaded' },
+      'calendar.eventSummary': 'Sun likely at {place}',
+      'calendar.eventSunshine': { one: 'Likely sunshine for {count} minute.', other: 'Likely sunshine for {count} minutes.' },
+      'calendar.eventSunshineScore': { one: 'Likely sunshine for {count} minute (mean sun score {score}%).', other: 'Likely sunshine for {count} minutes (mean sun score {score}%).' },
+      'calendar.feedName': 'Sun windows – {place}',
+      'export.label': 'Export forecast data',
+      'export.scopeLabel': 'Days to export',
+      'export.scopeDay': 'Selected day',
+      'export.scopeAll': 'All days',
+      'export.csv': 'Export CSV',
+      'export.json': 'Export JSON',
+      'export.nothing': 'No forecast data to export',
+      'export.downloaded': { one: '1 forecast row exported', other: '{count} forecast rows exported' },
+      'widget.title': 'Sun forecast',
+      'widget.label': 'Sun forecast for {place}',
+      'widget.loading': 'Loading the forecast…',
+      'widget.noLocation': 'Add lat and lon to the widget address to show a forecast.',
+      'widget.openFull': 'Full forecast on iwannasun',
+
+      'alerts.alertMe': 'Alert me',
+      'alerts.alertOn': 'Alert on',
+      'alerts.leadLabel': 'Alert lead time',
+      'alerts.leadOption': '{minutes} min before',
+      'alerts.blocked': 'Notifications are blocked for this site.',
+      'alerts.unsupported': 'Notifications are not available in this browser.',
+      'alerts.allow': 'Allow notifications to get sun alerts.',
+      'alerts.yourLocation': 'your location',
+      'alerts.sent': 'Alert sent for {time}.',
+      'alerts.noWindow': 'No upcoming sun window today.',
+      'alerts.scheduled': 'Alert {minutes} min before {time}.',
+      'alerts.lead': { one: 'in a minute', other: 'in {count} minutes' },
+      'alerts.message': 'Sun likely {lead} at {place} (until {until})',
+      'alerts.messageNoPlace': 'Sun likely {lead} (until {until})',
+
+      'finder.heading': 'Find sun nearby',
+      'finder.within': 'Within',
+      'finder.from': 'From',
+      'finder.to': 'To',
+      'finder.run': 'Find sun',
+      'finder.resultsLabel': 'Sunniest nearby spots, best first',
+      'finder.pickLocation': 'Pick a location first.',
+      'finder.checking': 'Checking {count} spots within {radius} km…',
+      'finder.progress': 'Checked {done} of {count} spots…',
+      'finder.noDaylight': 'No daylight forecast in that time range.',
+      'finder.ranked': { one: 'Ranked {count} spot.', other: 'Ranked {count} spots.' },
+      'finder.skipped': '{count} skipped while rate limited.',
+      'finder.failed': '{count} could not be loaded.',
+      'finder.here': 'Here',
+      'finder.distance': '{km} km {direction}',
+      'finder.placeOf': '{place} of {center}',
+      'finder.noWindow': 'No sun window',
+      'finder.itemLabel': '{rank}: {place}, {range}, mean sun score {score}%. Switch to this spot.',
+
+      'compass.N': 'N',
+      'compass.NE': 'NE',
+      'compass.E': 'E',
+      'compass.SE': 'SE',
+      'compass.S': 'S',
+      'compass.SW': 'SW',
+      'compass.W': 'W',
+      'compass.NW': 'NW',
+
+      'compare.button': 'Compare',
+      'compare.buttonLabel': 'Compare locations',
+      'compare.heading': 'Compare locations',
+      'compare.close': 'Close',
+      'compare.closeLabel': 'Close comparison',
+      'compare.pick': 'Pick 2–4 of your current and favourite locations',
+      'compare.needMore': 'Star at least one more location to compare it with this one.',
+      'compare.run': 'Compare',
+      'compare.chartAria': 'Sun score curves for the compared locations',
+      'compare.location': 'Location',
+      'compare.nextWindow': 'Next sun window',
+      'compare.daylightAvg': 'Daylight avg',
+      'compare.pickRange': 'Pick {min}–{max} locations to compare.',
+      'compare.comparing': 'Comparing {count} locations…',
+      'compare.someFailed': '{failed} of {count} locations could not be loaded.',
+      'compare.best': 'Sunniest',
+      'compare.loading': 'Loading…',
+      'compare.rateLimited': 'Rate limited. Try again shortly.',
+      'compare.loadFailed': 'Could not load forecast.',
+      'compare.noWindow': 'No sun window',
+      'compare.windowNow': '{range} (now)',
+      'compare.windowTomorrow': '{range} (tomorrow)',
+
+      'stale.data': 'Data from {when}',
+      'stale.offline': 'Offline · data from {when}',
+      'stale.updating': 'Data from {when} · updating…',
+      'stale.title': 'Last fetched {when}',
+
+      'error.noLocation': 'No location set',
+      'error.api': 'API error {status}',
+      'error.network': 'Network error (could not reach API).',
+      'error.malformed': 'Received malformed forecast data. Please try again.',
+      'error.providerRateLimit': 'Rate limited by forecast provider. Please wait.',
+      'error.userRateLimit': 'Slow down, too many requests to our service.',
+      'error.wait': 'Please wait a moment before trying again.',
+      'error.tryAgainIn': '{message} Try again in {seconds}s.',
+
+      'model.fallback': 'Using local geometry fallback (ray unavailable).',
+      'model.fallbackCached': 'Using local geometry fallback (ray unavailable on last successful fetch).',
+
+      'update.text': 'A new version of iwannasun is available.',
+      'update.reload': 'Reload',
+      'update.later': 'Later',
+      'update.dismiss': 'Dismiss update notice',
+    },
+
+    de: {
+      'shell.pickPlace': 'Ort wählen → nächste Sonnenlücke sehen',
+      'shell.pickPlaceShort': 'Ort für die nächste Sonnenlücke wählen',
+      'shell.tagline': 'Finde deinen nächsten Sonnenmoment.',
+      'shell.cityTagline': 'Finde die nächste Sonnenlücke in {city}.',
+      'shell.toolHeading': 'Sonnenvorhersage',
+      'shell.differentHeading': 'Was iwannasun anders macht',
+      'shell.differentCloud': 'Die meisten Wetter-Apps zeigen den Bewölkungsgrad in Prozent.',
+      'shell.differentSun': 'iwannasun zeigt, wann das Sonnenlicht wirklich durchbricht.',
+      'shell.cityDifferent': 'Sieh, wann das Sonnenlicht in {city} am ehesten durchbricht.',
+      'shell.loading': 'Vorhersage wird geladen…',
+      'shell.loadingDetail': 'Wolken und Sonnenbahn werden abgerufen',
+      'shell.localTime': 'Ortszeit',
+      'shell.localTimeIn': 'Ortszeit ({tz})',
+      'shell.deviceTimeIn': 'Deine Zeit ({tz})',
+      'shell.otherZoneLocation': '{time} dort',
+      'shell.otherZoneDevice': '{time} bei dir',
+      'shell.selectDay': 'Tag wählen',
+
+      'location.search': 'Stadt suchen',
+      'location.searchPlaceholder': 'Stadt suchen…',
+      'location.clear': 'Ort löschen',
+      'location.useMySpot': 'Mein Standort',
+      'location.unsupported': 'Dein Browser unterstützt keine Standortabfrage. Bitte suche nach einer Stadt.',
+      'location.denied': 'Bitte erlaube den Standortzugriff oder suche oben nach einer Stadt.',
+      'location.this': 'Dieser Ort',
+
+      'favourites.save': 'Zu Favoriten hinzufügen',
+      'favourites.remove': 'Aus Favoriten entfernen',
+      'favourites.saved': 'Gespeichert',
+      'favourites.list': 'Favorisierte Orte',
+      'favourites.subscribe': 'Sonnenfenster für {label} abonnieren',
+      'favourites.subscribeTitle': 'Im Kalender abonnieren',
+      'favourites.moveUp': '{label} nach oben verschieben',
+      'favourites.moveDown': '{label} nach unten verschieben',
+      'favourites.rename': '{label} umbenennen',
+      'favourites.delete': '{label} löschen',
+      'favourites.empty': 'Noch keine Favoriten. Markiere einen Ort mit dem Stern, um ihn zu speichern.',
+      'favourites.suggestionMeta': '★ Favorit',
+
+      'day.today': 'Heute',
+      'day.tomorrow': 'Morgen',
+      'day.tomorrowPhrase': 'morgen',
+      'day.onWeekday': 'am {day}',
+      'day.numbered': 'Tag {n}',
+
+      'refresh.button': 'Aktualisieren',
+      'refresh.title': 'Daten aktualisieren',
+      'refresh.rateLimitedTitle': 'Zu viele Anfragen. Erneut versuchen in {seconds} s.',
+      'refresh.pull': 'Zum Aktualisieren ziehen',
+      'refresh.release': 'Zum Aktualisieren loslassen',
+      'refresh.refreshing': 'Wird aktualisiert…',
+
+      'share.button': 'Teilen',
+      'share.label': 'Vorhersage teilen',
+      'share.text': 'Sieh dir die Sonnenvorhersage hier an:',
+      'share.copied': 'Link kopiert',
+      'share.copyFailed': 'Kopieren fehlgeschlagen',
+
+      'settings.button': 'Einstellungen',
+      'settings.label': 'Einstellungen für Sonnenfenster',
+      'settings.threshold': 'Sonnenschwelle',
+      'settings.minWindow': 'Mindestdauer',
+      'settings.hint': 'Ein Fenster zählt, wenn der Sonnenwert mindestens so lange auf oder über der Schwelle bleibt.',
+      'settings.reset': 'Auf Standard zurücksetzen',
+      'settings.language': 'Sprache',
+      'settings.languageAuto': 'Automatisch',
+      'settings.timeZone': 'Zeiten anzeigen in',
+      'settings.timeZoneLocation': 'Ortszeit',
+      'settings.timeZoneDevice': 'Zeit meines Geräts',
+      'settings.clock': 'Uhrzeitformat',
+      'settings.clock24': '24 Stunden',
+      'settings.clock12': '12 Stunden (AM/PM)',
+      'settings.theme': 'Design',
+      'settings.themeAuto': 'Wie System',
+      'settings.themeLight': 'Hell',
+      'settings.themeDark': 'Dunkel',
+      'settings.minutes': '{count} Min.',
+      'settings.hours': { one: '{count} Stunde', other: '{count} Stunden' },
+
+      'week.label': 'Die Woche im Überblick',
+      'week.noDaylight': 'Kein Tageslicht',
+      'week.noWindow': 'Kein Fenster',
+      'week.tileLabel': '{day}: Sonnenwert {score} %, Zuverlässigkeit {confidence} %, bestes Fenster {best}, Tageslicht {daylight}',
+      'week.confidence': 'Zuv. {confidence}%',
+      'week.confidenceTitle': 'Durchschnittliche Zuverlässigkeit',
+      'week.bestTitle': 'Bestes Sonnenfenster',
+      'week.daylightTitle': 'Sonnenaufgang – Sonnenuntergang',
+
+      'chart.mode': 'Diagrammart',
+      'chart.modeSun': 'Sonnenbahn',
+      'chart.modeScore': 'Sonnenwert',
+      'chart.sunAxis': 'Höhe (°)',
+      'chart.sunLegend': 'Linienstärke = Sonnenwert · Band = Zuverlässigkeit',
+      'chart.sunAria': 'Diagramm der Sonnenhöhe mit Sonnenwert als Intensität und einem Zuverlässigkeitsband um den Sonnenwert',
+      'chart.scoreAxis': 'Sonnenwert (%)',
+      'chart.scoreLegend': 'gestrichelte Linie = Sonnenschwelle · Band = Zuverlässigkeit',
+      'chart.scoreAria': 'Diagramm des Sonnenwerts mit Schwellenlinie, markierten Sonnenfenstern und einem Zuverlässigkeitsband',
+      'chart.tooltip': '{time} · {score}% · Zuverlässigkeit {confidence}%',
+      'chart.point': '{time}, Sonnenwert {score} %, Zuverlässigkeit {confidence} %',
+      'chart.keyHint': 'Mit den Pfeiltasten links und rechts durch die Vorhersage gehen, mit Pos1 oder Ende zu Sonnenaufgang oder Sonnenuntergang springen.',
+      'preview.label': 'Himmel vorab ansehen',
+      'preview.now': 'Jetzt',
+      'preview.summary': 'Tagesübersicht',
+      'preview.reset': 'Zurück zu jetzt',
+      'chart.tableCaption': 'Sonnenvorhersage aus dem Diagramm',
+      'chart.time': 'Zeit',
+      'chart.elevation': 'Höhe',
+      'chart.sunScore': 'Sonnenwert',
+      'chart.confidence': 'Zuverlässigkeit',
+      'chart.cloudAria': 'Bewölkung nach Schicht (hoch, mittel, tief) und Regen, auf derselben Zeitachse wie das Sonnendiagramm',
+      'chart.cloudHigh': 'Hoch',
+      'chart.cloudMid': 'Mittel',
+      'chart.cloudLow': 'Tief',
+      'chart.rain': 'Regen',
+      'chart.rainAmount': 'Regen {mm} mm',
+
+      'kpi.scoreNow': 'Sonnenwert jetzt',
+      'kpi.scoreAvg': 'Sonnenwert (Ø)',
+      'kpi.score': 'Sonnenwert',
+      'kpi.confidenceNow': 'Zuverlässigkeit jetzt',
+      'kpi.confidenceAvg': 'Zuverlässigkeit (Ø)',
+      'kpi.confidence': 'Zuverlässigkeit',
+      'kpi.confidenceNightTitle': 'Sonne unter dem Horizont (Zuverlässigkeit entfällt).',
+      'kpi.confidenceAvgTitle': 'Durchschnittliche Zuverlässigkeit über die Tageslichtstunden (höher = stabilere Bedingungen).',
+      'kpi.confidenceTitle': 'Zuverlässigkeit = wie verlässlich der Sonnenwert ist (höher = stabilere Bedingungen).',
+      'kpi.legendLabel': 'Legende des Sonnenwerts',
+      'kpi.legend': 'Sonnenwert: 0–20 ☁️ · 20–40 🌥️ · 40–60 ⛅ · 60–80 🌤️ · 80–100 ☀️',
+
+      'quality.night': 'Keine Sonne',
+      'quality.veryWeak': 'Sehr schwache Sonne',
+      'quality.weak': 'Schwache Sonne',
+      'quality.limited': 'Wenig Sonne',
+      'quality.good': 'Gute Sonne',
+      'quality.excellent': 'Ausgezeichnete Sonne',
+      'qualityNow.night': 'Die Sonne steht unter dem Horizont.',
+      'qualityNow.veryWeak': 'Das Sonnenlicht ist gerade größtenteils verdeckt.',
+      'qualityNow.weak': 'Nur kurzes oder schwaches Sonnenlicht möglich.',
+      'qualityNow.limited': 'Das Sonnenlicht ist schwach oder nur kurz zu sehen.',
+      'qualityNow.good': 'Das Sonnenlicht ist meist klar, aber etwas schwach oder kurz verdeckt.',
+      'qualityNow.excellent': 'Kräftiges, ununterbrochenes Sonnenlicht.',
+      'qualityDay.night': 'Die Sonne bleibt {onDay} unter dem Horizont.',
+      'qualityDay.veryWeak': 'Direktes Sonnenlicht bleibt {onDay} größtenteils begrenzt.',
+      'qualityDay.weak': 'Meist nur kurzes oder schwaches Sonnenlicht {onDay}.',
+      'qualityDay.limited': 'Das Sonnenlicht ist {onDay} schwach oder nur kurz zu sehen.',
+      'qualityDay.good': 'Das Sonnenlicht ist {onDay} meist klar, aber etwas schwach.',
+      'qualityDay.excellent': 'Kräftiges Sonnenlicht {onDay} fast den ganzen Tag.',
+      'decision.summaryLead': 'Basierend auf dem durchschnittlichen Sonnenwert bei Tageslicht.',
+      'decision.rain': 'Regen kann das direkte Sonnenlicht verringern.',
+
+      'timeline.label': 'Zeitleiste des Sonnenwerts',
+      'timeline.time': 'Zeit',
+      'timeline.confidence': 'Zuv.',
+      'timeline.confidenceTitle': 'Zuverlässigkeit',
+      'timeline.rowConfidenceTitle': 'Zuverlässigkeit der Vorhersage',
+      'timeline.sunScore': 'Sonnenwert',
+
+      'side.nextBreak': 'Deine nächste Sonnenlücke',
+      'side.nowHeading': 'Jetzt wahrscheinlich Sonne',
+      'side.nextTodayHeading': 'Nächstes wahrscheinliches Sonnenfenster heute',
+      'side.tomorrowHeading': 'Wahrscheinliches Sonnenfenster morgen',
+      'side.dayHeading': 'Wahrscheinliches Sonnenfenster {onDay}',
+      'side.todayEmpty': 'Heute kein nennenswertes Fenster mehr.',
+      'side.tomorrowEmpty': 'Morgen kein nennenswertes Fenster.',
+      'side.dayEmpty': 'Kein nennenswertes Fenster {onDay}.',
+      'side.noWindow': 'Kein sonniges Fenster',
+      'side.tryLater': 'Versuch es später noch einmal.',
+      'side.until': 'Bis {time}',
+      'side.minutesRemaining': { one: 'Noch etwa {count} Minute', other: 'Noch etwa {count} Minuten' },
+      'side.minutesAbove': { one: '{count} Minute über der Schwelle', other: '{count} Minuten über der Schwelle' },
+      'side.windowsLabel': 'Alle Sonnenfenster, das beste zuerst',
+      'side.sunrise': 'Sonnenaufgang',
+      'side.sunset': 'Sonnenuntergang',
+      'lightHour.listLabel': 'Goldene und blaue Stunde',
+      'lightHour.golden': 'Goldene Stunde',
+      'lightHour.blue': 'Blaue Stunde',
+      'lightHour.outlookSuffix': ', {outlook}',
+      'lightHour.outlook.clear': 'wahrscheinlich klar',
+      'lightHour.outlook.mixed': 'teils bewölkt',
+      'lightHour.outlook.cloudy': 'wahrscheinlich bewölkt',
+      'sunCompass.heading': 'Wo die Sonne steht',
+      'sunCompass.now': 'Sonne jetzt: {direction}, {elevation}° hoch',
+      'sunCompass.nowBelow': 'Sonne jetzt: unter dem Horizont',
+      'sunCompass.at': 'Um {time}: {direction}, {elevation}° hoch',
+      'sunCompass.atBelow': 'Um {time}: unter dem Horizont',
+      'sunCompass.window': 'Sonnenlücke {range}: von {from} nach {to}',
+      'sunCompass.riseSet': 'Aufgang im {rise}, Untergang im {set}',
+      'sunCompass.empty': 'Kein Sonnenverlauf für diesen Tag.',
+      'side.noSunrise': 'Kein Sonnenaufgang (Sonne bleibt unter dem Horizont)',
+      'side.noSunset': 'Kein Sonnenuntergang (Sonne bleibt unter dem Horizont)',
+
+      'windows.item': 'Fenster {rank}: {range}, {minutes} Minuten, mittlerer Sonnenwert {score} %',
+      'windows.itemNow': 'gerade jetzt',
+      'windows.itemPast': 'bereits vorbei',
+      'windows.minutes': '{minutes} Min.',
+      'windows.addLabel': 'Fenster {rank}, {range}, zum Kalender hinzufügen',
+
+      'calendar.addWindow': 'Zum Kalender',
+      'calendar.addWindowLabel': 'Dieses Sonnenfenster zum Kalender hinzufügen',
+      'calendar.allWindows': 'Alle Fenster (.ics)',
+      'calendar.allWindowsLabel': 'Alle Sonnenfenster dieses Tages als Kalenderdatei herunterladen',
+      'calendar.nothing': 'Kein Sonnenfenster zum Exportieren',
+      'calendar.downloaded': { one: 'Kalendereintrag heruntergeladen', other: '{count} Kalendereinträge heruntergeladen' },
+      'calendar.eventSummary': 'Wahrscheinlich Sonne in {place}',
+      'calendar.eventSunshine': { one: 'Wahrscheinlich {count} Minute Sonne.', other: 'Wahrscheinlich {count} Minuten Sonne.' },
+      'calendar.eventSunshineScore': { one: 'Wahrscheinlich {count} Minute Sonne (mittlerer Sonnenwert {score} %).', other: 'Wahrscheinlich {count} Minuten Sonne (mittlerer Sonnenwert {score} %).' },
+      'calendar.feedName': 'Sonnenfenster – {place}',
+      'export.label': 'Vorhersagedaten exportieren',
+      'export.scopeLabel': 'Zu exportierende Tage',
+      'export.scopeDay': 'Gewählter Tag',
+      'export.scopeAll': 'Alle Tage',
+      'export.csv': 'Als CSV exportieren',
+      'export.json': 'Als JSON exportieren',
+      'export.nothing': 'Keine Vorhersagedaten zum Exportieren',
+      'export.downloaded': { one: '1 Vorhersagezeile exportiert', other: '{count} Vorhersagezeilen exportiert' },
+      'widget.title': 'Sonnenvorhersage',
+      'widget.label': 'Sonnenvorhersage für {place}',
+      'widget.loading': 'Vorhersage wird geladen…',
+      'widget.noLocation': 'Füge lat und lon zur Widget-Adresse hinzu, um eine Vorhersage zu zeigen.',
+      'widget.openFull': 'Ganze Vorhersage auf iwannasun',
+
+      'alerts.alertMe': 'Benachrichtigen',
+      'alerts.alertOn': 'Alarm an',
+      'alerts.leadLabel': 'Vorlaufzeit des Alarms',
+      'alerts.leadOption': '{minutes} Min. vorher',
+      'alerts.blocked': 'Benachrichtigungen sind für diese Seite blockiert.',
+      'alerts.unsupported': 'Benachrichtigungen sind in diesem Browser nicht verfügbar.',
+      'alerts.allow': 'Erlaube Benachrichtigungen, um Sonnenalarme zu erhalten.',
+      'alerts.yourLocation': 'deinem Standort',
+      'alerts.sent': 'Alarm für {time} gesendet.',
+      'alerts.noWindow': 'Heute kein weiteres Sonnenfenster.',
+      'alerts.scheduled': 'Alarm {minutes} Min. vor {time}.',
+      'alerts.lead': { one: 'in einer Minute', other: 'in {count} Minuten' },
+      'alerts.message': 'Sonne wahrscheinlich {lead} bei {place} (bis {until})',
+      'alerts.messageNoPlace': 'Sonne wahrscheinlich {lead} (bis {until})',
+
+      'finder.heading': 'Sonne in der Nähe finden',
+      'finder.within': 'Umkreis',
+      'finder.from': 'Von',
+      'finder.to': 'Bis',
+      'finder.run': 'Sonne finden',
+      'finder.resultsLabel': 'Sonnigste Orte in der Nähe, der beste zuerst',
+      'finder.pickLocation': 'Wähle zuerst einen Ort.',
+      'finder.checking': '{count} Orte im Umkreis von {radius} km werden geprüft…',
+      'finder.progress': '{done} von {count} Orten geprüft…',
+      'finder.noDaylight': 'In diesem Zeitraum ist kein Tageslicht vorhergesagt.',
+      'finder.ranked': { one: '{count} Ort bewertet.', other: '{count} Orte bewertet.' },
+      'finder.skipped': '{count} wegen zu vieler Anfragen übersprungen.',
+      'finder.failed': '{count} konnten nicht geladen werden.',
+      'finder.here': 'Hier',
+      'finder.distance': '{km} km {direction}',
+      'finder.placeOf': '{place} von {center}',
+      'finder.noWindow': 'Kein Sonnenfenster',
+      'finder.itemLabel': '{rank}: {place}, {range}, mittlerer Sonnenwert {score} %. Zu diesem Ort wechseln.',
+
+      'compass.N': 'N',
+      'compass.NE': 'NO',
+      'compass.E': 'O',
+      'compass.SE': 'SO',
+      'compass.S': 'S',
+      'compass.SW': 'SW',
+      'compass.W': 'W',
+      'compass.NW': 'NW',
+
+      'compare.button': 'Vergleichen',
+      'compare.buttonLabel': 'Orte vergleichen',
+      'compare.heading': 'Orte vergleichen',
+      'compare.close': 'Schließen',
+      'compare.closeLabel': 'Vergleich schließen',
+      'compare.pick': 'Wähle 2–4 deiner aktuellen und favorisierten Orte',
+      'compare.needMore': 'Markiere mindestens einen weiteren Ort als Favorit, um ihn mit diesem zu vergleichen.',
+      'compare.run': 'Vergleichen',
+      'compare.chartAria': 'Sonnenwert-Kurven der verglichenen Orte',
+      'compare.location': 'Ort',
+      'compare.nextWindow': 'Nächstes Sonnenfenster',
+      'compare.daylightAvg': 'Ø bei Tageslicht',
+      'compare.pickRange': 'Wähle {min}–{max} Orte zum Vergleichen.',
+      'compare.comparing': '{count} Orte werden verglichen…',
+      'compare.someFailed': '{failed} von {count} Orten konnten nicht geladen werden.',
+      'compare.best': 'Am sonnigsten',
+      'compare.loading': 'Wird geladen…',
+      'compare.rateLimited': 'Zu viele Anfragen. Bitte gleich erneut versuchen.',
+      'compare.loadFailed': 'Vorhersage konnte nicht geladen werden.',
+      'compare.noWindow': 'Kein Sonnenfenster',
+      'compare.windowNow': '{range} (jetzt)',
+      'compare.windowTomorrow': '{range} (morgen)',
+
+      'stale.data': 'Daten von {when}',
+      'stale.offline': 'Offline · Daten von {when}',
+      'stale.updating': 'Daten von {when} · wird aktualisiert…',
+      'stale.title': 'Zuletzt abgerufen {when}',
+
+      'error.noLocation': 'Kein Ort festgelegt',
+      'error.api': 'API-Fehler {status}',
+      'error.network': 'Netzwerkfehler (API nicht erreichbar).',
+      'error.malformed': 'Fehlerhafte Vorhersagedaten erhalten. Bitte versuche es erneut.',
+      'error.providerRateLimit': 'Der Wetterdienst begrenzt gerade die Anfragen. Bitte warten.',
+      'error.userRateLimit': 'Langsamer bitte, zu viele Anfragen an unseren Dienst.',
+      'error.wait': 'Bitte warte einen Moment, bevor du es erneut versuchst.',
+      'error.tryAgainIn': '{message} Erneut versuchen in {seconds} s.',
+
+      'model.fallback': 'Lokale Geometrie als Ersatz (Strahlmodell nicht verfügbar).',
+      'model.fallbackCached': 'Lokale Geometrie als Ersatz (Strahlmodell beim letzten Abruf nicht verfügbar).',
+
+      'update.text': 'Eine neue Version von iwannasun ist verfügbar.',
+      'update.reload': 'Neu laden',
+      'update.later': 'Später',
+      'update.dismiss': 'Update-Hinweis schließen',
+    },
+
+    nl: {
+      'shell.pickPlace': 'Kies een plek → zie je volgende zonnemoment',
+      'shell.pickPlaceShort': 'Kies een plek voor je volgende zonnemoment',
+      'shell.tagline': 'Vind je volgende zonnemoment.',
+      'shell.cityTagline': 'Vind het volgende zonnige moment in {city}.',
+      'shell.toolHeading': 'Zonvoorspelling',
+      'shell.differentHeading': 'Wat iwannasun anders maakt',
+      'shell.differentCloud': 'De meeste weer-apps tonen het bewolkingspercentage.',
+      'shell.differentSun': 'iwannasun laat zien wanneer het zonlicht echt doorbreekt.',
+      'shell.cityDifferent': 'Zie wanneer het zonlicht in {city} het meest waarschijnlijk doorbreekt.',
+      'shell.loading': 'Voorspelling laden…',
+      'shell.loadingDetail': 'Wolken en zonnebaan ophalen',
+      'shell.localTime': 'Lokale tijd',
+      'shell.localTimeIn': 'Lokale tijd ({tz})',
+      'shell.deviceTimeIn': 'Jouw tijd ({tz})',
+      'shell.otherZoneLocation': '{time} daar',
+      'shell.otherZoneDevice': '{time} bij jou',
+      'shell.selectDay': 'Kies een dag',
+
+      'location.search': 'Zoek een stad',
+      'location.searchPlaceholder': 'Zoek een stad…',
+      'location.clear': 'Locatie wissen',
+      'location.useMySpot': 'Mijn locatie',
+      'location.unsupported': 'Je browser ondersteunt geen locatie. Zoek een stad.',
+      'location.denied': 'Sta locatietoegang toe, of zoek hierboven een stad.',
+      'location.this': 'Deze locatie',
+
+      'favourites.save': 'Opslaan als favoriet',
+      'favourites.remove': 'Verwijderen uit favorieten',
+      'favourites.saved': 'Opgeslagen',
+      'favourites.list': 'Favoriete locaties',
+      'favourites.subscribe': 'Abonneren op zonnevensters voor {label}',
+      'favourites.subscribeTitle': 'Abonneren in je agenda',
+      'favourites.moveUp': '{label} omhoog',
+      'favourites.moveDown': '{label} omlaag',
+      'favourites.rename': '{label} hernoemen',
+      'favourites.delete': '{label} verwijderen',
+      'favourites.empty': 'Nog geen favorieten. Geef een locatie een ster om die op te slaan.',
+      'favourites.suggestionMeta': '★ Favoriet',
+
+      'day.today': 'Vandaag',
+      'day.tomorrow': 'Morgen',
+      'day.tomorrowPhrase': 'morgen',
+      'day.onWeekday': 'op {day}',
+      'day.numbered': 'dag {n}',
+
+      'refresh.button': 'Vernieuwen',
+      'refresh.title': 'Gegevens vernieuwen',
+      'refresh.rateLimitedTitle': 'Te veel verzoeken. Probeer het over {seconds} s opnieuw.',
+      'refresh.pull': 'Trek om te vernieuwen',
+      'refresh.release': 'Laat los om te vernieuwen',
+      'refresh.refreshing': 'Vernieuwen…',
+
+      'share.button': 'Delen',
+      'share.label': 'Voorspelling delen',
+      'share.text': 'Bekijk hier de zonvoorspelling:',
+      'share.copied': 'Link gekopieerd',
+      'share.copyFailed': 'Kopiëren mislukt',
+
+      'settings.button': 'Instellingen',
+      'settings.label': 'Instellingen voor zonnevensters',
+      'settings.threshold': 'Zondrempel',
+      'settings.minWindow': 'Minimale duur',
+      'settings.hint': 'Een venster telt als de zonscore minstens zo lang op of boven de drempel blijft.',
+      'settings.reset': 'Standaardwaarden herstellen',
+      'settings.language': 'Taal',
+      'settings.languageAuto': 'Automatisch',
+      'settings.timeZone': 'Tijden tonen in',
+      'settings.timeZoneLocation': 'Tijd ter plaatse',
+      'settings.timeZoneDevice': 'Tijd van mijn apparaat',
+      'settings.clock': 'Klok',
+      'settings.clock24': '24-uurs',
+      'settings.clock12': '12-uurs (a.m./p.m.)',
+      'settings.theme': 'Thema',
+      'settings.themeAuto': 'Zoals systeem',
+      'settings.themeLight': 'Licht',
+      'settings.themeDark': 'Donker',
+      'settings.minutes': '{count} min',
+      'settings.hours': { one: '{count} uur', other: '{count} uur' },
+
+      'week.label': 'De week in één oogopslag',
+      'week.noDaylight': 'Geen daglicht',
+      'week.noWindow': 'Geen venster',
+      'week.tileLabel': '{day}: zonscore {score}%, betrouwbaarheid {confidence}%, beste venster {best}, daglicht {daylight}',
+      'week.confidence': 'Betr. {confidence}%',
+      'week.confidenceTitle': 'Gemiddelde betrouwbaarheid',
+      'week.bestTitle': 'Beste zonnevenster',
+      'week.daylightTitle': 'Zonsopkomst – zonsondergang',
+
+      'chart.mode': 'Grafiekweergave',
+      'chart.modeSun': 'Zonnebaan',
+      'chart.modeScore': 'Scorecurve',
+      'chart.sunAxis': 'Hoogte (°)',
+      'chart.sunLegend': 'lijnintensiteit = zonscore · band = betrouwbaarheid',
+      'chart.sunAria': 'Grafiek van de zonshoogte met de zonscore als intensiteit en een betrouwbaarheidsband rond de zonscore',
+      'chart.scoreAxis': 'Zonscore (%)',
+      'chart.scoreLegend': 'stippellijn = zondrempel · band = betrouwbaarheid',
+      'chart.scoreAria': 'Grafiek van de zonscore met de drempellijn, gemarkeerde zonnevensters en een betrouwbaarheidsband',
+      'chart.tooltip': '{time} · {score}% · betrouwbaarheid {confidence}%',
+      'chart.point': '{time}, zonscore {score}%, betrouwbaarheid {confidence}%',
+      'chart.keyHint': 'Gebruik de pijltjestoetsen links en rechts om door de voorspelling te gaan, en Home of End om naar zonsopkomst of zonsondergang te springen.',
+      'preview.label': 'Bekijk de lucht vooraf',
+      'preview.now': 'Nu',
+      'preview.summary': 'Dagoverzicht',
+      'preview.reset': 'Terug naar nu',
+      'chart.tableCaption': 'Zonvoorspelling uit de grafiek',
+      'chart.time': 'Tijd',
+      'chart.elevation': 'Hoogte',
+      'chart.sunScore': 'Zonscore',
+      'chart.confidence': 'Betrouwbaarheid',
+      'chart.cloudAria': 'Bewolking per laag (hoog, midden, laag) en regen, op dezelfde tijdas als de zongrafiek',
+      'chart.cloudHigh': 'Hoog',
+      'chart.cloudMid': 'Midden',
+      'chart.cloudLow': 'Laag',
+      'chart.rain': 'Regen',
+      'chart.rainAmount': 'Regen {mm} mm',
+
+      'kpi.scoreNow': 'Zonscore nu',
+      'kpi.scoreAvg': 'Zonscore (gem.)',
+      'kpi.score': 'Zonscore',
+      'kpi.confidenceNow': 'Betrouwbaarheid nu',
+      'kpi.confidenceAvg': 'Betrouwbaarheid (gem.)',
+      'kpi.confidence': 'Betrouwbaarheid',
+      'kpi.confidenceNightTitle': 'Zon onder de horizon (betrouwbaarheid niet van toepassing).',
+      'kpi.confidenceAvgTitle': 'Gemiddelde betrouwbaarheid over de daglichturen (hoger = stabielere omstandigheden).',
+      'kpi.confidenceTitle': 'Betrouwbaarheid = hoe zeker de zonscore is (hoger = stabielere omstandigheden).',
+      'kpi.legendLabel': 'Legenda van de zonscore',
+      'kpi.legend': 'Zonscore: 0–20 ☁️ · 20–40 🌥️ · 40–60 ⛅ · 60–80 🌤️ · 80–100 ☀️',
+
+      'quality.night': 'Geen zon',
+      'quality.veryWeak': 'Zeer zwakke zon',
+      'quality.weak': 'Zwakke zon',
+      'quality.limited': 'Beperkte zon',
+      'quality.good': 'Goede zon',
+      'quality.excellent': 'Uitstekende zon',
+      'qualityNow.night': 'De zon staat onder de horizon.',
+      'qualityNow.veryWeak': 'Het zonlicht wordt nu grotendeels tegengehouden.',
+      'qualityNow.weak': 'Alleen kort of zwak zonlicht mogelijk.',
+      'qualityNow.limited': 'Het zonlicht is zwak of komt maar kort door.',
+      'qualityNow.good': 'Het zonlicht is meestal helder, maar wat zwak of af en toe onderbroken.',
+      'qualityNow.excellent': 'Sterk, ononderbroken zonlicht.',
+      'qualityDay.night': 'De zon blijft {onDay} onder de horizon.',
+      'qualityDay.veryWeak': 'Direct zonlicht lijkt {onDay} grotendeels beperkt.',
+      'qualityDay.weak': 'Meestal maar kort of zwak zonlicht {onDay}.',
+      'qualityDay.limited': 'Het zonlicht is {onDay} zwak of komt maar kort door.',
+      'qualityDay.good': 'Het zonlicht is {onDay} meestal helder, maar wat zwak.',
+      'qualityDay.excellent': 'Sterk zonlicht {onDay} voor het grootste deel van de dag.',
+      'decision.summaryLead': 'Gebaseerd op de gemiddelde zonscore bij daglicht.',
+      'decision.rain': 'Regen kan het directe zonlicht verminderen.',
+
+      'timeline.label': 'Tijdlijn van de zonscore',
+      'timeline.time': 'Tijd',
+      'timeline.confidence': 'Betr.',
+      'timeline.confidenceTitle': 'Betrouwbaarheid',
+      'timeline.rowConfidenceTitle': 'Betrouwbaarheid van de voorspelling',
+      'timeline.sunScore': 'Zonscore',
+
+      'side.nextBreak': 'Je volgende zonnemoment',
+      'side.nowHeading': 'Nu waarschijnlijk zon',
+      'side.nextTodayHeading': 'Volgende waarschijnlijke zonnevenster vandaag',
+      'side.tomorrowHeading': 'Waarschijnlijk zonnevenster morgen',
+      'side.dayHeading': 'Waarschijnlijk zonnevenster {onDay}',
+      'side.todayEmpty': 'Vandaag geen noemenswaardig venster meer.',
+      'side.tomorrowEmpty': 'Morgen geen noemenswaardig venster.',
+      'side.dayEmpty': 'Geen noemenswaardig venster {onDay}.',
+      'side.noWindow': 'Geen zonnig venster',
+      'side.tryLater': 'Probeer het later opnieuw.',
+      'side.until': 'Tot {time}',
+      'side.minutesRemaining': { one: 'Nog waarschijnlijk {count} minuut', other: 'Nog waarschijnlijk {count} minuten' },
+      'side.minutesAbove': { one: '{count} minuut boven de drempel', other: '{count} minuten boven de drempel' },
+      'side.windowsLabel': 'Alle zonnevensters, beste eerst',
+      'side.sunrise': 'Zonsopkomst',
+      'side.sunset': 'Zonsondergang',
+      'lightHour.listLabel': 'Gouden en blauw uur',
+      'lightHour.golden': 'Gouden uur',
+      'lightHour.blue': 'Blauw uur',
+      'lightHour.outlookSuffix': ', {outlook}',
+      'lightHour.outlook.clear': 'waarschijnlijk helder',
+      'lightHour.outlook.mixed': 'half bewolkt',
+      'lightHour.outlook.cloudy': 'waarschijnlijk bewolkt',
+      'sunCompass.heading': 'Waar de zon staat',
+      'sunCompass.now': 'Zon nu: {direction}, {elevation}° hoog',
+      'sunCompass.nowBelow': 'Zon nu: onder de horizon',
+      'sunCompass.at': 'Om {time}: {direction}, {elevation}° hoog',
+      'sunCompass.atBelow': 'Om {time}: onder de horizon',
+      'sunCompass.window': 'Zonnemoment {range}: van {from} naar {to}',
+      'sunCompass.riseSet': 'Komt op in het {rise}, gaat onder in het {set}',
+      'sunCompass.empty': 'Geen zonnebaan voor deze dag.',
+      'side.noSunrise': 'Geen zonsopkomst (zon blijft onder de horizon)',
+      'side.noSunset': 'Geen zonsondergang (zon blijft onder de horizon)',
+
+      'windows.item': 'Venster {rank}: {range}, {minutes} minuten, gemiddelde zonscore {score}%',
+      'windows.itemNow': 'nu bezig',
+      'windows.itemPast': 'al voorbij',
+      'windows.minutes': '{minutes} min',
+      'windows.addLabel': 'Venster {rank}, {range}, aan agenda toevoegen',
+
+      'calendar.addWindow': 'Aan agenda toevoegen',
+      'calendar.addWindowLabel': 'Dit zonnevenster aan je agenda toevoegen',
+      'calendar.allWindows': 'Alle vensters (.ics)',
+      'calendar.allWindowsLabel': 'Alle zonnevensters van deze dag als agendabestand downloaden',
+      'calendar.nothing': 'Geen zonnevenster om te exporteren',
+      'calendar.downloaded': { one: 'Agenda-item gedownload', other: '{count} agenda-items gedownload' },
+      'calendar.eventSummary': 'Waarschijnlijk zon in {place}',
+      'calendar.eventSunshine': { one: 'Waarschijnlijk {count} minuut zon.', other: 'Waarschijnlijk {count} minuten zon.' },
+      'calendar.eventSunshineScore': { one: 'Waarschijnlijk {count} minuut zon (gemiddelde zonscore {score}%).', other: 'Waarschijnlijk {count} minuten zon (gemiddelde zonscore {score}%).' },
+      'calendar.feedName': 'Zonnevensters – {place}',
+      'export.label': 'Verwachtingsgegevens exporteren',
+      'export.scopeLabel': 'Te exporteren dagen',
+      'export.scopeDay': 'Gekozen dag',
+      'export.scopeAll': 'Alle dagen',
+      'export.csv': 'CSV exporteren',
+      'export.json': 'JSON exporteren',
+      'export.nothing': 'Geen verwachtingsgegevens om te exporteren',
+      'export.downloaded': { one: '1 verwachtingsregel geëxporteerd', other: '{count} verwachtingsregels geëxporteerd' },
+      'widget.title': 'Zonverwachting',
+      'widget.label': 'Zonverwachting voor {place}',
+      'widget.loading': 'Verwachting laden…',
+      'widget.noLocation': 'Voeg lat en lon toe aan het widgetadres om een verwachting te tonen.',
+      'widget.openFull': 'Volledige verwachting op iwannasun',
+
+      'alerts.alertMe': 'Waarschuw me',
+      'alerts.alertOn': 'Melding aan',
+      'alerts.leadLabel': 'Tijd vooraf voor de melding',
+      'alerts.leadOption': '{minutes} min vooraf',
+      'alerts.blocked': 'Meldingen zijn geblokkeerd voor deze site.',
+      'alerts.unsupported': 'Meldingen zijn niet beschikbaar in deze browser.',
+      'alerts.allow': 'Sta meldingen toe om zonmeldingen te krijgen.',
+      'alerts.yourLocation': 'je locatie',
+      'alerts.sent': 'Melding verstuurd voor {time}.',
+      'alerts.noWindow': 'Vandaag geen zonnevenster meer.',
+      'alerts.scheduled': 'Melding {minutes} min voor {time}.',
+      'alerts.lead': { one: 'over een minuut', other: 'over {count} minuten' },
+      'alerts.message': 'Waarschijnlijk zon {lead} bij {place} (tot {until})',
+      'alerts.messageNoPlace': 'Waarschijnlijk zon {lead} (tot {until})',
+
+      'finder.heading': 'Zon in de buurt vinden',
+      'finder.within': 'Binnen',
+      'finder.from': 'Van',
+      'finder.to': 'Tot',
+      'finder.run': 'Zon vinden',
+      'finder.resultsLabel': 'Zonnigste plekken in de buurt, beste eerst',
+      'finder.pickLocation': 'Kies eerst een locatie.',
+      'finder.checking': '{count} plekken binnen {radius} km controleren…',
+      'finder.progress': '{done} van {count} plekken gecontroleerd…',
+      'finder.noDaylight': 'Geen daglicht voorspeld in dat tijdvak.',
+      'finder.ranked': { one: '{count} plek gerangschikt.', other: '{count} plekken gerangschikt.' },
+      'finder.skipped': '{count} overgeslagen door te veel verzoeken.',
+      'finder.failed': '{count} konden niet worden geladen.',
+      'finder.here': 'Hier',
+      'finder.distance': '{km} km {direction}',
+      'finder.placeOf': '{place} van {center}',
+      'finder.noWindow': 'Geen zonnevenster',
+      'finder.itemLabel': '{rank}: {place}, {range}, gemiddelde zonscore {score}%. Naar deze plek gaan.',
+
+      'compass.N': 'N',
+      'compass.NE': 'NO',
+      'compass.E': 'O',
+      'compass.SE': 'ZO',
+      'compass.S': 'Z',
+      'compass.SW': 'ZW',
+      'compass.W': 'W',
+      'compass.NW': 'NW',
+
+      'compare.button': 'Vergelijken',
+      'compare.buttonLabel': 'Locaties vergelijken',
+      'compare.heading': 'Locaties vergelijken',
+      'compare.close': 'Sluiten',
+      'compare.closeLabel': 'Vergelijking sluiten',
+      'compare.pick': 'Kies 2–4 van je huidige en favoriete locaties',
+      'compare.needMore': 'Markeer nog minstens één locatie als favoriet om hem met deze te vergelijken.',
+      'compare.run': 'Vergelijken',
+      'compare.chartAria': 'Zonscorecurves van de vergeleken locaties',
+      'compare.location': 'Locatie',
+      'compare.nextWindow': 'Volgend zonnevenster',
+      'compare.daylightAvg': 'Gem. bij daglicht',
+      'compare.pickRange': 'Kies {min}–{max} locaties om te vergelijken.',
+      'compare.comparing': '{count} locaties vergelijken…',
+      'compare.someFailed': '{failed} van {count} locaties konden niet worden geladen.',
+      'compare.best': 'Zonnigst',
+      'compare.loading': 'Laden…',
+      'compare.rateLimited': 'Te veel verzoeken. Probeer het zo opnieuw.',
+      'compare.loadFailed': 'Voorspelling kon niet worden geladen.',
+      'compare.noWindow': 'Geen zonnevenster',
+      'compare.windowNow': '{range} (nu)',
+      'compare.windowTomorrow': '{range} (morgen)',
+
+      'stale.data': 'Gegevens van {when}',
+      'stale.offline': 'Offline · gegevens van {when}',
+      'stale.updating': 'Gegevens van {when} · bijwerken…',
+      'stale.title': 'Laatst opgehaald {when}',
+
+      'error.noLocation': 'Geen locatie ingesteld',
+      'error.api': 'API-fout {status}',
+      'error.network': 'Netwerkfout (API niet bereikbaar).',
+      'error.malformed': 'Ongeldige voorspellingsgegevens ontvangen. Probeer het opnieuw.',
+      'error.providerRateLimit': 'De weerdienst beperkt het aantal verzoeken. Even geduld.',
+      'error.userRateLimit': 'Rustig aan, te veel verzoeken aan onze dienst.',
+      'error.wait': 'Wacht even voordat je het opnieuw probeert.',
+      'error.tryAgainIn': '{message} Probeer het over {seconds} s opnieuw.',
+
+      'model.fallback': 'Lokale geometrie als terugval (straalmodel niet beschikbaar).',
+      'model.fallbackCached': 'Lokale geometrie als terugval (straalmodel niet beschikbaar bij de laatste update).',
+
+      'update.text': 'Er is een nieuwe versie van iwannasun beschikbaar.',
+      'update.reload': 'Opnieuw laden',
+      'update.later': 'Later',
+      'update.dismiss': 'Updatemelding sluiten',
+    },
+
+    fr: {
+      'shell.pickPlace': 'Choisissez un lieu → voyez votre prochaine éclaircie',
+      'shell.pickPlaceShort': 'Choisissez un lieu pour votre prochaine éclaircie',
+      'shell.tagline': 'Trouvez votre prochain moment de soleil.',
+      'shell.cityTagline': 'Trouvez la prochaine éclaircie à {city}.',
+      'shell.toolHeading': 'Outil de prévision du soleil',
+      'shell.differentHeading': 'Ce qui rend iwannasun différent',
+      'shell.differentCloud': 'La plupart des applis météo affichent un pourcentage de nuages.',
+      'shell.differentSun': 'iwannasun montre quand le soleil perce vraiment.',
+      'shell.cityDifferent': 'Voyez quand le soleil a le plus de chances de percer à {city}.',
+      'shell.loading': 'Chargement des prévisions…',
+      'shell.loadingDetail': 'Récupération des nuages et de la course du soleil',
+      'shell.localTime': 'Heure locale',
+      'shell.localTimeIn': 'Heure locale ({tz})',
+      'shell.deviceTimeIn': 'Votre heure ({tz})',
+      'shell.otherZoneLocation': '{time} là-bas',
+      'shell.otherZoneDevice': '{time} chez vous',
+      'shell.selectDay': 'Choisir le jour',
+
+      'location.search': 'Rechercher une ville',
+      'location.searchPlaceholder': 'Rechercher une ville…',
+      'location.clear': 'Effacer le lieu',
+      'location.useMySpot': 'Ma position',
+      'location.unsupported': 'Votre navigateur ne prend pas en charge la localisation. Recherchez une ville.',
+      'location.denied': 'Autorisez la localisation ou recherchez une ville ci-dessus.',
+      'location.this': 'Ce lieu',
+
+      'favourites.save': 'Ajouter aux favoris',
+      'favourites.remove': 'Retirer des favoris',
+      'favourites.saved': 'Favoris',
+      'favourites.list': 'Lieux favoris',
+      'favourites.subscribe': 'S’abonner aux fenêtres de soleil pour {label}',
+      'favourites.subscribeTitle': 'S’abonner dans votre agenda',
+      'favourites.moveUp': 'Monter {label}',
+      'favourites.moveDown': 'Descendre {label}',
+      'favourites.rename': 'Renommer {label}',
+      'favourites.delete': 'Supprimer {label}',
+      'favourites.empty': 'Aucun favori pour l’instant. Ajoutez une étoile à un lieu pour l’enregistrer.',
+      'favourites.suggestionMeta': '★ Favori',
+
+      'day.today': 'Aujourd’hui',
+      'day.tomorrow': 'Demain',
+      'day.tomorrowPhrase': 'demain',
+      'day.onWeekday': '{day}',
+      'day.numbered': 'jour {n}',
+
+      'refresh.button': 'Actualiser',
+      'refresh.title': 'Actualiser les données',
+      'refresh.rateLimitedTitle': 'Trop de requêtes. Réessayez dans {seconds} s.',
+      'refresh.pull': 'Tirer pour actualiser',
+      'refresh.release': 'Relâcher pour actualiser',
+      'refresh.refreshing': 'Actualisation…',
+
+      'share.button': 'Partager',
+      'share.label': 'Partager les prévisions',
+      'share.text': 'Découvrez les prévisions d’ensoleillement ici :',
+      'share.copied': 'Lien copié',
+      'share.copyFailed': 'Échec de la copie',
+
+      'settings.button': 'Réglages',
+      'settings.label': 'Réglages des fenêtres de soleil',
+      'settings.threshold': 'Seuil de soleil',
+      'settings.minWindow': 'Durée minimale',
+      'settings.hint': 'Une fenêtre compte lorsque le score de soleil reste au niveau du seuil ou au-dessus pendant au moins cette durée.',
+      'settings.reset': 'Rétablir les valeurs par défaut',
+      'settings.language': 'Langue',
+      'settings.languageAuto': 'Automatique',
+      'settings.timeZone': 'Afficher les heures en',
+      'settings.timeZoneLocation': 'Heure du lieu',
+      'settings.timeZoneDevice': 'Heure de mon appareil',
+      'settings.clock': 'Format horaire',
+      'settings.clock24': '24 heures',
+      'settings.clock12': '12 heures (AM/PM)',
+      'settings.theme': 'Thème',
+      'settings.themeAuto': 'Comme le système',
+      'settings.themeLight': 'Clair',
+      'settings.themeDark': 'Sombre',
+      'settings.minutes': '{count} min',
+      'settings.hours': { one: '{count} heure', other: '{count} heures' },
+
+      'week.label': 'La semaine en un coup d’œil',
+      'week.noDaylight': 'Pas de jour',
+      'week.noWindow': 'Aucune fenêtre',
+      'week.tileLabel': '{day} : score de soleil {score} %, fiabilité {confidence} %, meilleure fenêtre {best}, jour {daylight}',
+      'week.confidence': 'Fiab. {confidence} %',
+      'week.confidenceTitle': 'Fiabilité moyenne',
+      'week.bestTitle': 'Meilleure fenêtre de soleil',
+      'week.daylightTitle': 'Lever – coucher du soleil',
+
+      'chart.mode': 'Type de graphique',
+      'chart.modeSun': 'Course du soleil',
+      'chart.modeScore': 'Courbe du score',
+      'chart.sunAxis': 'Hauteur (°)',
+      'chart.sunLegend': 'intensité du trait = score de soleil · bande = fiabilité',
+      'chart.sunAria': 'Graphique de la hauteur du soleil avec le score de soleil en intensité et une bande de fiabilité autour du score',
+      'chart.scoreAxis': 'Score de soleil (%)',
+      'chart.scoreLegend': 'ligne pointillée = seuil de soleil · bande = fiabilité',
+      'chart.scoreAria': 'Graphique du score de soleil avec la ligne de seuil, les fenêtres de soleil ombrées et une bande de fiabilité',
+      'chart.tooltip': '{time} · {score} % · fiabilité {confidence} %',
+      'chart.point': '{time}, score de soleil {score} %, fiabilité {confidence} %',
+      'chart.keyHint': 'Utilisez les flèches gauche et droite pour parcourir les prévisions, et Début ou Fin pour aller au lever ou au coucher du soleil.',
+      'preview.label': 'Aperçu du ciel',
+      'preview.now': 'Maintenant',
+      'preview.summary': 'Vue de la journée',
+      'preview.reset': 'Revenir à maintenant',
+      'chart.tableCaption': 'Prévisions d’ensoleillement du graphique',
+      'chart.time': 'Heure',
+      'chart.elevation': 'Hauteur',
+      'chart.sunScore': 'Score de soleil',
+      'chart.confidence': 'Fiabilité',
+      'chart.cloudAria': 'Couverture nuageuse par couche (haute, moyenne, basse) et pluie, sur le même axe horaire que le graphique du soleil',
+      'chart.cloudHigh': 'Hauts',
+      'chart.cloudMid': 'Moyens',
+      'chart.cloudLow': 'Bas',
+      'chart.rain': 'Pluie',
+      'chart.rainAmount': 'Pluie {mm} mm',
+
+      'kpi.scoreNow': 'Score de soleil actuel',
+      'kpi.scoreAvg': 'Score de soleil (moy.)',
+      'kpi.score': 'Score de soleil',
+      'kpi.confidenceNow': 'Fiabilité actuelle',
+      'kpi.confidenceAvg': 'Fiabilité (moy.)',
+      'kpi.confidence': 'Fiabilité',
+      'kpi.confidenceNightTitle': 'Soleil sous l’horizon (fiabilité sans objet).',
+      'kpi.confidenceAvgTitle': 'Fiabilité moyenne sur les heures de jour (plus élevée = conditions plus stables).',
+      'kpi.confidenceTitle': 'Fiabilité = degré de confiance du score de soleil (plus élevée = conditions plus stables).',
+      'kpi.legendLabel': 'Légende du score de soleil',
+      'kpi.legend': 'Score de soleil : 0–20 ☁️ · 20–40 🌥️ · 40–60 ⛅ · 60–80 🌤️ · 80–100 ☀️',
+
+      'quality.night': 'Pas de soleil',
+      'quality.veryWeak': 'Soleil très faible',
+      'quality.weak': 'Soleil faible',
+      'quality.limited': 'Soleil limité',
+      'quality.good': 'Bon soleil',
+      'quality.excellent': 'Excellent soleil',
+      'qualityNow.night': 'Le soleil est sous l’horizon.',
+      'qualityNow.veryWeak': 'La lumière du soleil est en grande partie masquée pour l’instant.',
+      'qualityNow.weak': 'Soleil bref ou faible seulement.',
+      'qualityNow.limited': 'La lumière du soleil est faible ou n’apparaît que brièvement.',
+      'qualityNow.good': 'Le soleil est plutôt dégagé, mais un peu faible ou brièvement masqué.',
+      'qualityNow.excellent': 'Soleil franc et continu.',
+      'qualityDay.night': 'Le soleil reste sous l’horizon {onDay}.',
+      'qualityDay.veryWeak': 'Le soleil direct semble limité la majeure partie de la journée {onDay}.',
+      'qualityDay.weak': 'Soleil bref ou faible la majeure partie de la journée {onDay}.',
+      'qualityDay.limited': 'La lumière du soleil est faible ou n’apparaît que brièvement {onDay}.',
+      'qualityDay.good': 'Le soleil est plutôt dégagé une bonne partie de la journée {onDay}, mais un peu faible.',
+      'qualityDay.excellent': 'Soleil franc la majeure partie de la journée {onDay}.',
+      'decision.summaryLead': 'D’après la moyenne du score de soleil pendant la journée.',
+      'decision.rain': 'La pluie peut réduire le soleil direct.',
+
+      'timeline.label': 'Chronologie du score de soleil',
+      'timeline.time': 'Heure',
+      'timeline.confidence': 'Fiab.',
+      'timeline.confidenceTitle': 'Fiabilité',
+      'timeline.rowConfidenceTitle': 'Fiabilité de la prévision',
+      'timeline.sunScore': 'Score de soleil',
+
+      'side.nextBreak': 'Votre prochaine éclaircie',
+      'side.nowHeading': 'Soleil probable maintenant',
+      'side.nextTodayHeading': 'Prochaine fenêtre de soleil probable aujourd’hui',
+      'side.tomorrowHeading': 'Fenêtre de soleil probable demain',
+      'side.dayHeading': 'Fenêtre de soleil probable {onDay}',
+      'side.todayEmpty': 'Plus de fenêtre notable aujourd’hui.',
+      'side.tomorrowEmpty': 'Aucune fenêtre notable demain.',
+      'side.dayEmpty': 'Aucune fenêtre notable {onDay}.',
+      'side.noWindow': 'Aucune fenêtre ensoleillée',
+      'side.tryLater': 'Réessayez plus tard.',
+      'side.until': 'Jusqu’à {time}',
+      'side.minutesRemaining': { one: 'Encore {count} minute probable', other: 'Encore {count} minutes probables' },
+      'side.minutesAbove': { one: '{count} minute au-dessus du seuil', other: '{count} minutes au-dessus du seuil' },
+      'side.windowsLabel': 'Toutes les fenêtres de soleil, la meilleure d’abord',
+      'side.sunrise': 'Lever du soleil',
+      'side.sunset': 'Coucher du soleil',
+      'lightHour.listLabel': 'Heure dorée et heure bleue',
+      'lightHour.golden': 'Heure dorée',
+      'lightHour.blue': 'Heure bleue',
+      'lightHour.outlookSuffix': ', {outlook}',
+      'lightHour.outlook.clear': 'ciel probablement dégagé',
+      'lightHour.outlook.mixed': 'partiellement nuageux',
+      'lightHour.outlook.cloudy': 'probablement nuageux',
+      'sunCompass.heading': 'Où est le soleil',
+      'sunCompass.now': 'Soleil maintenant : {direction}, {elevation}° de haut',
+      'sunCompass.nowBelow': 'Soleil maintenant : sous l’horizon',
+      'sunCompass.at': 'À {time} : {direction}, {elevation}° de haut',
+      'sunCompass.atBelow': 'À {time} : sous l’horizon',
+      'sunCompass.window': 'Éclaircie {range} : du {from} au {to}',
+      'sunCompass.riseSet': 'Se lève au {rise}, se couche au {set}',
+      'sunCompass.empty': 'Pas de course du soleil pour ce jour.',
+      'side.noSunrise': 'Pas de lever (le soleil reste sous l’horizon)',
+      'side.noSunset': 'Pas de coucher (le soleil reste sous l’horizon)',
+
+      'windows.item': 'Fenêtre {rank} : {range}, {minutes} minutes, score de soleil moyen {score} %',
+      'windows.itemNow': 'en cours',
+      'windows.itemPast': 'déjà passée',
+      'windows.minutes': '{minutes} min',
+      'windows.addLabel': 'Ajouter la fenêtre {rank}, {range}, à l’agenda',
+
+      'calendar.addWindow': 'Ajouter à l’agenda',
+      'calendar.addWindowLabel': 'Ajouter cette fenêtre de soleil à votre agenda',
+      'calendar.allWindows': 'Toutes les fenêtres (.ics)',
+      'calendar.allWindowsLabel': 'Télécharger toutes les fenêtres de soleil de ce jour dans un fichier d’agenda',
+      'calendar.nothing': 'Aucune fenêtre de soleil à exporter',
+      'calendar.downloaded': { one: 'Événement téléchargé', other: '{count} événements téléchargés' },
+      'calendar.eventSummary': 'Soleil probable à {place}',
+      'calendar.eventSunshine': { one: 'Soleil probable pendant {count} minute.', other: 'Soleil probable pendant {count} minutes.' },
+      'calendar.eventSunshineScore': { one: 'Soleil probable pendant {count} minute (score de soleil moyen {score} %).', other: 'Soleil probable pendant {count} minutes (score de soleil moyen {score} %).' },
+      'calendar.feedName': 'Fenêtres de soleil – {place}',
+      'export.label': 'Exporter les données de prévision',
+      'export.scopeLabel': 'Jours à exporter',
+      'export.scopeDay': 'Jour sélectionné',
+      'export.scopeAll': 'Tous les jours',
+      'export.csv': 'Exporter en CSV',
+      'export.json': 'Exporter en JSON',
+      'export.nothing': 'Aucune donnée de prévision à exporter',
+      'export.downloaded': { one: '1 ligne de prévision exportée', other: '{count} lignes de prévision exportées' },
+      'widget.title': 'Prévision de soleil',
+      'widget.label': 'Prévision de soleil pour {place}',
+      'widget.loading': 'Chargement de la prévision…',
+      'widget.noLocation': 'Ajoutez lat et lon à l’adresse du widget pour afficher une prévision.',
+      'widget.openFull': 'Prévision complète sur iwannasun',
+
+      'alerts.alertMe': 'M’alerter',
+      'alerts.alertOn': 'Alerte activée',
+      'alerts.leadLabel': 'Délai de l’alerte',
+      'alerts.leadOption': '{minutes} min avant',
+      'alerts.blocked': 'Les notifications sont bloquées pour ce site.',
+      'alerts.unsupported': 'Les notifications ne sont pas disponibles dans ce navigateur.',
+      'alerts.allow': 'Autorisez les notifications pour recevoir les alertes soleil.',
+      'alerts.yourLocation': 'votre position',
+      'alerts.sent': 'Alerte envoyée pour {time}.',
+      'alerts.noWindow': 'Plus de fenêtre de soleil aujourd’hui.',
+      'alerts.scheduled': 'Alerte {minutes} min avant {time}.',
+      'alerts.lead': { one: 'dans une minute', other: 'dans {count} minutes' },
+      'alerts.message': 'Soleil probable {lead} à {place} (jusqu’à {until})',
+      'alerts.messageNoPlace': 'Soleil probable {lead} (jusqu’à {until})',
+
+      'finder.heading': 'Trouver du soleil à proximité',
+      'finder.within': 'Rayon',
+      'finder.from': 'De',
+      'finder.to': 'À',
+      'finder.run': 'Trouver du soleil',
+      'finder.resultsLabel': 'Endroits les plus ensoleillés à proximité, le meilleur d’abord',
+      'finder.pickLocation': 'Choisissez d’abord un lieu.',
+      'finder.checking': 'Vérification de {count} endroits dans un rayon de {radius} km…',
+      'finder.progress': '{done} endroits vérifiés sur {count}…',
+      'finder.noDaylight': 'Aucune lumière du jour prévue sur cette plage horaire.',
+      'finder.ranked': { one: '{count} endroit classé.', other: '{count} endroits classés.' },
+      'finder.skipped': '{count} ignorés à cause de la limite de requêtes.',
+      'finder.failed': '{count} n’ont pas pu être chargés.',
+      'finder.here': 'Ici',
+      'finder.distance': '{km} km {direction}',
+      'finder.placeOf': '{place} de {center}',
+      'finder.noWindow': 'Aucune fenêtre de soleil',
+      'finder.itemLabel': '{rank} : {place}, {range}, score de soleil moyen {score} %. Aller à cet endroit.',
+
+      'compass.N': 'N',
+      'compass.NE': 'NE',
+      'compass.E': 'E',
+      'compass.SE': 'SE',
+      'compass.S': 'S',
+      'compass.SW': 'SO',
+      'compass.W': 'O',
+      'compass.NW': 'NO',
+
+      'compare.button': 'Comparer',
+      'compare.buttonLabel': 'Comparer des lieux',
+      'compare.heading': 'Comparer des lieux',
+      'compare.close': 'Fermer',
+      'compare.closeLabel': 'Fermer la comparaison',
+      'compare.pick': 'Choisissez 2 à 4 lieux parmi le lieu actuel et vos favoris',
+      'compare.needMore': 'Ajoutez au moins un autre lieu en favori pour le comparer à celui-ci.',
+      'compare.run': 'Comparer',
+      'compare.chartAria': 'Courbes du score de soleil des lieux comparés',
+      'compare.location': 'Lieu',
+      'compare.nextWindow': 'Prochaine fenêtre de soleil',
+      'compare.daylightAvg': 'Moy. en journée',
+      'compare.pickRange': 'Choisissez {min} à {max} lieux à comparer.',
+      'compare.comparing': 'Comparaison de {count} lieux…',
+      'compare.someFailed': '{failed} lieux sur {count} n’ont pas pu être chargés.',
+      'compare.best': 'Le plus ensoleillé',
+      'compare.loading': 'Chargement…',
+      'compare.rateLimited': 'Trop de requêtes. Réessayez dans un instant.',
+      'compare.loadFailed': 'Impossible de charger les prévisions.',
+      'compare.noWindow': 'Aucune fenêtre de soleil',
+      'compare.windowNow': '{range} (maintenant)',
+      'compare.windowTomorrow': '{range} (demain)',
+
+      'stale.data': 'Données de {when}',
+      'stale.offline': 'Hors ligne · données de {when}',
+      'stale.updating': 'Données de {when} · mise à jour…',
+      'stale.title': 'Dernière récupération {when}',
+
+      'error.noLocation': 'Aucun lieu défini',
+      'error.api': 'Erreur API {status}',
+      'error.network': 'Erreur réseau (API injoignable).',
+      'error.malformed': 'Données de prévision invalides reçues. Veuillez réessayer.',
+      'error.providerRateLimit': 'Le fournisseur météo limite les requêtes. Veuillez patienter.',
+      'error.userRateLimit': 'Doucement, trop de requêtes vers notre service.',
+      'error.wait': 'Veuillez patienter un instant avant de réessayer.',
+      'error.tryAgainIn': '{message} Réessayez dans {seconds} s.',
+
+      'model.fallback': 'Géométrie locale utilisée en secours (modèle de rayons indisponible).',
+      'model.fallbackCached': 'Géométrie locale utilisée en secours (modèle de rayons indisponible lors de la dernière récupération).',
+
+      'update.text': 'Une nouvelle version d’iwannasun est disponible.',
+      'update.reload': 'Recharger',
+      'update.later': 'Plus tard',
+      'update.dismiss': 'Ignorer la mise à jour',
+    },
+
+    es: {
+      'shell.pickPlace': 'Elige un lugar → mira tu próximo rato de sol',
+      'shell.pickPlaceShort': 'Elige un lugar para tu próximo rato de sol',
+      'shell.tagline': 'Encuentra tu próximo rato de sol.',
+      'shell.cityTagline': 'Encuentra el próximo rato de sol en {city}.',
+      'shell.toolHeading': 'Herramienta de previsión solar',
+      'shell.differentHeading': 'Qué hace diferente a iwannasun',
+      'shell.differentCloud': 'La mayoría de las apps del tiempo muestran el porcentaje de nubes.',
+      'shell.differentSun': 'iwannasun muestra cuándo el sol de verdad se abre paso.',
+      'shell.cityDifferent': 'Mira cuándo es más probable que el sol se abra paso en {city}.',
+      'shell.loading': 'Cargando pronóstico…',
+      'shell.loadingDetail': 'Obteniendo nubes y trayectoria del sol',
+      'shell.localTime': 'Hora local',
+      'shell.localTimeIn': 'Hora local ({tz})',
+      'shell.deviceTimeIn': 'Tu hora ({tz})',
+      'shell.otherZoneLocation': '{time} allí',
+      'shell.otherZoneDevice': '{time} tu hora',
+      'shell.selectDay': 'Elegir día',
+
+      'location.search': 'Buscar ciudad',
+      'location.searchPlaceholder': 'Buscar ciudad…',
+      'location.clear': 'Borrar ubicación',
+      'location.useMySpot': 'Mi ubicación',
+      'location.unsupported': 'Tu navegador no admite la ubicación. Busca una ciudad.',
+      'location.denied': 'Permite el acceso a la ubicación o busca una ciudad arriba.',
+      'location.this': 'Esta ubicación',
+
+      'favourites.save': 'Guardar en favoritos',
+      'favourites.remove': 'Quitar de favoritos',
+      'favourites.saved': 'Guardados',
+      'favourites.list': 'Ubicaciones favoritas',
+      'favourites.subscribe': 'Suscribirse a las ventanas de sol de {label}',
+      'favourites.subscribeTitle': 'Suscribirse en tu calendario',
+      'favourites.moveUp': 'Subir {label}',
+      'favourites.moveDown': 'Bajar {label}',
+      'favourites.rename': 'Renombrar {label}',
+      'favourites.delete': 'Eliminar {label}',
+      'favourites.empty': 'Aún no hay favoritos. Marca una ubicación con la estrella para guardarla.',
+      'favourites.suggestionMeta': '★ Favorito',
+
+      'day.today': 'Hoy',
+      'day.tomorrow': 'Mañana',
+      'day.tomorrowPhrase': 'mañana',
+      'day.onWeekday': 'el {day}',
+      'day.numbered': 'día {n}',
+
+      'refresh.button': 'Actualizar',
+      'refresh.title': 'Actualizar datos',
+      'refresh.rateLimitedTitle': 'Demasiadas solicitudes. Inténtalo de nuevo en {seconds} s.',
+      'refresh.pull': 'Desliza para actualizar',
+      'refresh.release': 'Suelta para actualizar',
+      'refresh.refreshing': 'Actualizando…',
+
+      'share.button': 'Compartir',
+      'share.label': 'Compartir pronóstico',
+      'share.text': 'Mira aquí el pronóstico de sol:',
+      'share.copied': 'Enlace copiado',
+      'share.copyFailed': 'No se pudo copiar',
+
+      'settings.button': 'Ajustes',
+      'settings.label': 'Ajustes de las ventanas de sol',
+      'settings.threshold': 'Umbral de sol',
+      'settings.minWindow': 'Duración mínima',
+      'settings.hint': 'Una ventana cuenta cuando la puntuación de sol se mantiene en el umbral o por encima al menos este tiempo.',
+      'settings.reset': 'Restablecer valores',
+      'settings.language': 'Idioma',
+      'settings.languageAuto': 'Automático',
+      'settings.timeZone': 'Mostrar horas en',
+      'settings.timeZoneLocation': 'Hora del lugar',
+      'settings.timeZoneDevice': 'Hora de mi dispositivo',
+      'settings.clock': 'Formato de hora',
+      'settings.clock24': '24 horas',
+      'settings.clock12': '12 horas (a. m./p. m.)',
+      'settings.theme': 'Tema',
+      'settings.themeAuto': 'Según el sistema',
+      'settings.themeLight': 'Claro',
+      'settings.themeDark': 'Oscuro',
+      'settings.minutes': '{count} min',
+      'settings.hours': { one: '{count} hora', other: '{count} horas' },
+
+      'week.label': 'La semana de un vistazo',
+      'week.noDaylight': 'Sin luz diurna',
+      'week.noWindow': 'Sin ventana',
+      'week.tileLabel': '{day}: puntuación de sol {score} %, fiabilidad {confidence} %, mejor ventana {best}, luz diurna {daylight}',
+      'week.confidence': 'Fiab. {confidence} %',
+      'week.confidenceTitle': 'Fiabilidad media',
+      'week.bestTitle': 'Mejor ventana de sol',
+      'week.daylightTitle': 'Amanecer – atardecer',
+
+      'chart.mode': 'Tipo de gráfico',
+      'chart.modeSun': 'Trayectoria solar',
+      'chart.modeScore': 'Curva de puntuación',
+      'chart.sunAxis': 'Altura (°)',
+      'chart.sunLegend': 'intensidad de la línea = puntuación de sol · banda = fiabilidad',
+      'chart.sunAria': 'Gráfico de la altura del sol con la puntuación de sol como intensidad y una banda de fiabilidad alrededor de la puntuación',
+      'chart.scoreAxis': 'Puntuación de sol (%)',
+      'chart.scoreLegend': 'línea discontinua = umbral de sol · banda = fiabilidad',
+      'chart.scoreAria': 'Gráfico de la puntuación de sol con la línea de umbral, las ventanas de sol sombreadas y una banda de fiabilidad',
+      'chart.tooltip': '{time} · {score} % · fiabilidad {confidence} %',
+      'chart.point': '{time}, puntuación de sol {score} %, fiabilidad {confidence} %',
+      'chart.keyHint': 'Usa las flechas izquierda y derecha para recorrer el pronóstico, e Inicio o Fin para saltar al amanecer o al atardecer.',
+      'preview.label': 'Vista previa del cielo',
+      'preview.now': 'Ahora',
+      'preview.summary': 'Resumen del día',
+      'preview.reset': 'Volver a ahora',
+      'chart.tableCaption': 'Pronóstico de sol del gráfico',
+      'chart.time': 'Hora',
+      'chart.elevation': 'Altura',
+      'chart.sunScore': 'Puntuación de sol',
+      'chart.confidence': 'Fiabilidad',
+      'chart.cloudAria': 'Nubosidad por capa (alta, media, baja) y lluvia, en el mismo eje de tiempo que el gráfico del sol',
+      'chart.cloudHigh': 'Altas',
+      'chart.cloudMid': 'Medias',
+      'chart.cloudLow': 'Bajas',
+      'chart.rain': 'Lluvia',
+      'chart.rainAmount': 'Lluvia {mm} mm',
+
+      'kpi.scoreNow': 'Puntuación de sol ahora',
+      'kpi.scoreAvg': 'Puntuación de sol (media)',
+      'kpi.score': 'Puntuación de sol',
+      'kpi.confidenceNow': 'Fiabilidad ahora',
+      'kpi.confidenceAvg': 'Fiabilidad (media)',
+      'kpi.confidence': 'Fiabilidad',
+      'kpi.confidenceNightTitle': 'Sol bajo el horizonte (la fiabilidad no se aplica).',
+      'kpi.confidenceAvgTitle': 'Fiabilidad media durante las horas de luz (más alta = condiciones más estables).',
+      'kpi.confidenceTitle': 'Fiabilidad = cuánto se puede confiar en la puntuación de sol (más alta = condiciones más estables).',
+      'kpi.legendLabel': 'Leyenda de la puntuación de sol',
+      'kpi.legend': 'Puntuación de sol: 0–20 ☁️ · 20–40 🌥️ · 40–60 ⛅ · 60–80 🌤️ · 80–100 ☀️',
+
+      'quality.night': 'Sin sol',
+      'quality.veryWeak': 'Sol muy débil',
+      'quality.weak': 'Sol débil',
+      'quality.limited': 'Sol limitado',
+      'quality.good': 'Buen sol',
+      'quality.excellent': 'Sol excelente',
+      'qualityNow.night': 'El sol está bajo el horizonte.',
+      'qualityNow.veryWeak': 'La luz del sol está casi bloqueada ahora mismo.',
+      'qualityNow.weak': 'Solo es posible un sol breve o débil.',
+      'qualityNow.limited': 'La luz del sol es débil o aparece brevemente.',
+      'qualityNow.good': 'La luz del sol es mayormente clara, pero algo débil o tapada a ratos.',
+      'qualityNow.excellent': 'Sol intenso e ininterrumpido.',
+      'qualityDay.night': 'El sol se queda bajo el horizonte {onDay}.',
+      'qualityDay.veryWeak': 'El sol directo parece limitado durante casi todo el día {onDay}.',
+      'qualityDay.weak': 'Solo sol breve o débil durante casi todo el día {onDay}.',
+      'qualityDay.limited': 'La luz del sol es débil o aparece brevemente {onDay}.',
+      'qualityDay.good': 'La luz del sol es mayormente clara buena parte del día {onDay}, pero algo débil.',
+      'qualityDay.excellent': 'Sol intenso durante casi todo el día {onDay}.',
+      'decision.summaryLead': 'Según la puntuación media de sol durante el día.',
+      'decision.rain': 'La lluvia puede reducir el sol directo.',
+
+      'timeline.label': 'Cronología de la puntuación de sol',
+      'timeline.time': 'Hora',
+      'timeline.confidence': 'Fiab.',
+      'timeline.confidenceTitle': 'Fiabilidad',
+      'timeline.rowConfidenceTitle': 'Fiabilidad del pronóstico',
+      'timeline.sunScore': 'Puntuación de sol',
+
+      'side.nextBreak': 'Tu próximo rato de sol',
+      'side.nowHeading': 'Probablemente sol ahora',
+      'side.nextTodayHeading': 'Próxima ventana de sol probable hoy',
+      'side.tomorrowHeading': 'Ventana de sol probable mañana',
+      'side.dayHeading': 'Ventana de sol probable {onDay}',
+      'side.todayEmpty': 'No queda ninguna ventana relevante hoy.',
+      'side.tomorrowEmpty': 'Ninguna ventana relevante mañana.',
+      'side.dayEmpty': 'Ninguna ventana relevante {onDay}.',
+      'side.noWindow': 'Ninguna ventana soleada',
+      'side.tryLater': 'Vuelve a intentarlo más tarde.',
+      'side.until': 'Hasta las {time}',
+      'side.minutesRemaining': { one: 'Probablemente queda {count} minuto', other: 'Probablemente quedan {count} minutos' },
+      'side.minutesAbove': { one: '{count} minuto por encima del umbral', other: '{count} minutos por encima del umbral' },
+      'side.windowsLabel': 'Todas las ventanas de sol, la mejor primero',
+      'side.sunrise': 'Amanecer',
+      'side.sunset': 'Atardecer',
+      'lightHour.listLabel': 'Hora dorada y hora azul',
+      'lightHour.golden': 'Hora dorada',
+      'lightHour.blue': 'Hora azul',
+      'lightHour.outlookSuffix': ', {outlook}',
+      'lightHour.outlook.clear': 'probablemente despejado',
+      'lightHour.outlook.mixed': 'parcialmente nublado',
+      'lightHour.outlook.cloudy': 'probablemente nublado',
+      'sunCompass.heading': 'Dónde está el sol',
+      'sunCompass.now': 'Sol ahora: {direction}, {elevation}° de altura',
+      'sunCompass.nowBelow': 'Sol ahora: bajo el horizonte',
+      'sunCompass.at': 'A las {time}: {direction}, {elevation}° de altura',
+      'sunCompass.atBelow': 'A las {time}: bajo el horizonte',
+      'sunCompass.window': 'Rato de sol {range}: del {from} al {to}',
+      'sunCompass.riseSet': 'Sale por el {rise}, se pone por el {set}',
+      'sunCompass.empty': 'No hay recorrido del sol para este día.',
+      'side.noSunrise': 'Sin amanecer (el sol se queda bajo el horizonte)',
+      'side.noSunset': 'Sin atardecer (el sol se queda bajo el horizonte)',
+
+      'windows.item': 'Ventana {rank}: {range}, {minutes} minutos, puntuación media de sol {score} %',
+      'windows.itemNow': 'ahora mismo',
+      'windows.itemPast': 'ya pasada',
+      'windows.minutes': '{minutes} min',
+      'windows.addLabel': 'Añadir la ventana {rank}, {range}, al calendario',
+
+      'calendar.addWindow': 'Añadir al calendario',
+      'calendar.addWindowLabel': 'Añadir esta ventana de sol a tu calendario',
+      'calendar.allWindows': 'Todas las ventanas (.ics)',
+      'calendar.allWindowsLabel': 'Descargar todas las ventanas de sol de este día como archivo de calendario',
+      'calendar.nothing': 'No hay ventana de sol que exportar',
+      'calendar.downloaded': { one: 'Evento de calendario descargado', other: '{count} eventos de calendario descargados' },
+      'calendar.eventSummary': 'Sol probable en {place}',
+      'calendar.eventSunshine': { one: 'Sol probable durante {count} minuto.', other: 'Sol probable durante {count} minutos.' },
+      'calendar.eventSunshineScore': { one: 'Sol probable durante {count} minuto (puntuación media de sol {score} %).', other: 'Sol probable durante {count} minutos (puntuación media de sol {score} %).' },
+      'calendar.feedName': 'Ventanas de sol – {place}',
+      'export.label': 'Exportar datos del pronóstico',
+      'export.scopeLabel': 'Días a exportar',
+      'export.scopeDay': 'Día seleccionado',
+      'export.scopeAll': 'Todos los días',
+      'export.csv': 'Exportar CSV',
+      'export.json': 'Exportar JSON',
+      'export.nothing': 'No hay datos del pronóstico para exportar',
+      'export.downloaded': { one: '1 fila del pronóstico exportada', other: '{count} filas del pronóstico exportadas' },
+      'widget.title': 'Pronóstico de sol',
+      'widget.label': 'Pronóstico de sol para {place}',
+      'widget.loading': 'Cargando el pronóstico…',
+      'widget.noLocation': 'Añade lat y lon a la dirección del widget para mostrar un pronóstico.',
+      'widget.openFull': 'Pronóstico completo en iwannasun',
+
+      'alerts.alertMe': 'Avísame',
+      'alerts.alertOn': 'Aviso activado',
+      'alerts.leadLabel': 'Antelación del aviso',
+      'alerts.leadOption': '{minutes} min antes',
+      'alerts.blocked': 'Las notificaciones están bloqueadas para este sitio.',
+      'alerts.unsupported': 'Las notificaciones no están disponibles en este navegador.',
+      'alerts.allow': 'Permite las notificaciones para recibir avisos de sol.',
+      'alerts.yourLocation': 'tu ubicación',
+      'alerts.sent': 'Aviso enviado para las {time}.',
+      'alerts.noWindow': 'No hay más ventanas de sol hoy.',
+      'alerts.scheduled': 'Aviso {minutes} min antes de las {time}.',
+      'alerts.lead': { one: 'en un minuto', other: 'en {count} minutos' },
+      'alerts.message': 'Probablemente sol {lead} en {place} (hasta las {until})',
+      'alerts.messageNoPlace': 'Probablemente sol {lead} (hasta las {until})',
+
+      'finder.heading': 'Buscar sol cerca',
+      'finder.within': 'Radio',
+      'finder.from': 'Desde',
+      'finder.to': 'Hasta',
+      'finder.run': 'Buscar sol',
+      'finder.resultsLabel': 'Lugares más soleados cerca, el mejor primero',
+      'finder.pickLocation': 'Elige primero una ubicación.',
+      'finder.checking': 'Comprobando {count} lugares en un radio de {radius} km…',
+      'finder.progress': '{done} de {count} lugares comprobados…',
+      'finder.noDaylight': 'No hay luz diurna prevista en esa franja horaria.',
+      'finder.ranked': { one: '{count} lugar clasificado.', other: '{count} lugares clasificados.' },
+      'finder.skipped': '{count} omitidos por el límite de solicitudes.',
+      'finder.failed': '{count} no se pudieron cargar.',
+      'finder.here': 'Aquí',
+      'finder.distance': '{km} km {direction}',
+      'finder.placeOf': '{place} de {center}',
+      'finder.noWindow': 'Sin ventana de sol',
+      'finder.itemLabel': '{rank}: {place}, {range}, puntuación media de sol {score} %. Cambiar a este lugar.',
+
+      'compass.N': 'N',
+      'compass.NE': 'NE',
+      'compass.E': 'E',
+      'compass.SE': 'SE',
+      'compass.S': 'S',
+      'compass.SW': 'SO',
+      'compass.W': 'O',
+      'compass.NW': 'NO',
+
+      'compare.button': 'Comparar',
+      'compare.buttonLabel': 'Comparar ubicaciones',
+      'compare.heading': 'Comparar ubicaciones',
+      'compare.close': 'Cerrar',
+      'compare.closeLabel': 'Cerrar la comparación',
+      'compare.pick': 'Elige de 2 a 4 entre tu ubicación actual y tus favoritas',
+      'compare.needMore': 'Marca al menos otra ubicación como favorita para compararla con esta.',
+      'compare.run': 'Comparar',
+      'compare.chartAria': 'Curvas de puntuación de sol de las ubicaciones comparadas',
+      'compare.location': 'Ubicación',
+      'compare.nextWindow': 'Próxima ventana de sol',
+      'compare.daylightAvg': 'Media diurna',
+      'compare.pickRange': 'Elige de {min} a {max} ubicaciones para comparar.',
+      'compare.comparing': 'Comparando {count} ubicaciones…',
+      'compare.someFailed': 'No se pudieron cargar {failed} de {count} ubicaciones.',
+      'compare.best': 'La más soleada',
+      'compare.loading': 'Cargando…',
+      'compare.rateLimited': 'Demasiadas solicitudes. Inténtalo de nuevo en breve.',
+      'compare.loadFailed': 'No se pudo cargar el pronóstico.',
+      'compare.noWindow': 'Sin ventana de sol',
+      'compare.windowNow': '{range} (ahora)',
+      'compare.windowTomorrow': '{range} (mañana)',
+
+      'stale.data': 'Datos de las {when}',
+      'stale.offline': 'Sin conexión · datos de las {when}',
+      'stale.updating': 'Datos de las {when} · actualizando…',
+      'stale.title': 'Última descarga {when}',
+
+      'error.noLocation': 'No hay ubicación',
+      'error.api': 'Error de la API {status}',
+      'error.network': 'Error de red (no se pudo acceder a la API).',
+      'error.malformed': 'Se recibieron datos de pronóstico no válidos. Inténtalo de nuevo.',
+      'error.providerRateLimit': 'El proveedor meteorológico está limitando las solicitudes. Espera un momento.',
+      'error.userRateLimit': 'Más despacio, demasiadas solicitudes a nuestro servicio.',
+      'error.wait': 'Espera un momento antes de volver a intentarlo.',
+      'error.tryAgainIn': '{message} Inténtalo de nuevo en {seconds} s.',
+
+      'model.fallback': 'Usando geometría local de respaldo (modelo de rayos no disponible).',
+      'model.fallbackCached': 'Usando geometría local de respaldo (modelo de rayos no disponible en la última descarga).',
+
+      'update.text': 'Hay una nueva versión de iwannasun disponible.',
+      'update.reload': 'Recargar',
+      'update.later': 'Más tarde',
+      'update.dismiss': 'Descartar el aviso de actualización',
+    },
+  };
+
+  function normalizeLocale(value) {
+    const base = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(base) ? base : '';
+  }
+
+  // First supported language among `candidates` (e.g. navigator.languages),
+  // matched on the primary subtag so "de-AT" picks German.
+  function detectLocale(candidates = []) {
+    for (const candidate of candidates || []) {
+      const locale = normalizeLocale(candidate);
+      if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  // Numbers are written in the locale's style ("1,5" in German).
+  function interpolate(template, params, numberFormat) {
+    return String(template).replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params ? params[name] : null;
+      if (value == null) return match;
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  }
+
+  function createTranslator(locale = DEFAULT_LOCALE) {
+    const resolved = normalizeLocale(locale) || DEFAULT_LOCALE;
+    const messages = MESSAGES[resolved];
+    const fallback = MESSAGES[DEFAULT_LOCALE];
+    const numberFormat = new Intl.NumberFormat(TIME_LOCALES[resolved], {
+      maximumFractionDigits: 2,
+      useGrouping: false,
+    });
+    let pluralRules = null;
+    try {
+      pluralRules = new Intl.PluralRules(resolved);
+    } catch {
+      // Without plural rules every count reads as "other".
+    }
+
+    function t(key, params = null) {
+      let value = messages[key] ?? fallback[key];
+      if (value == null) return key;
+      if (typeof value === 'object') {
+        const category = pluralRules ? pluralRules.select(Number(params?.count ?? 0)) : 'other';
+        value = value[category] ?? value.other;
+      }
+      return interpolate(value, params, numberFormat);
+    }
+
+    return {
+      locale: resolved,
+      timeLocale: TIME_LOCALES[resolved],
+      t,
+    };
+  }
+
+  // Static shell copy is marked up with `data-i18n` (text) and
+  // `data-i18n-aria-label` / `data-i18n-title` / `data-i18n-placeholder`
+  // (attributes), so the HTML stays readable English without scripts. City
+  // pages pass `{city}` through a `data-i18n-params` JSON object.
+  function staticParams(el) {
+    const raw = el.getAttribute('data-i18n-params');
+    if (!raw) return undefined;
+    try { return JSON.parse(raw); } catch { return undefined; }
+  }
+
+  function applyStaticTranslations(root, t) {
+    if (!root || typeof t !== 'function') return;
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.getAttribute('data-i18n'), staticParams(el));
+    });
+    ['aria-label', 'title', 'placeholder'].forEach((attr) => {
+      root.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+        el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+      });
+    });
+  }
+
+  // The one HTML escaper for labels, place names, and messages written into
+  // `innerHTML` by the renderers and controllers.
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, (c) => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;',
+    }[c]));
+  }
+
+  global.IWSI18n = {
+    DEFAULT_LOCALE,
+    LOCALE_NAMES,
+    SUPPORTED_LOCALES,
+    applyStaticTranslations,
+    createTranslator,
+    detectLocale,
+    escapeHtml,
+    normalizeLocale,
+  };
+})(window);
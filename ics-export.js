@@ -0,0 +1,161 @@
+'use strict';
+
+(function initIcsExportModule(global) {
+  const ICS_PRODID = '-//iwannasun//Sun windows//EN';
+  const ICS_UID_DOMAIN = 'iwannasun.com';
+  // RFC 5545 caps content lines at 75 octets before folding.
+  const ICS_LINE_OCTETS = 75;
+
+  function icsEscape(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  function icsDateTime(value) {
+    const d = value instanceof Date ? value : new Date(value);
+    return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  function utf8Length(ch) {
+    const code = ch.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code < 0x10000) return 3;
+    return 4;
+  }
+
+  // Continuation lines start with a space, which counts toward their limit.
+  function foldLine(line) {
+    const out = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of String(line)) {
+      const size = utf8Length(ch);
+      const limit = out.length ? ICS_LINE_OCTETS - 1 : ICS_LINE_OCTETS;
+      if (octets + size > limit) {
+        out.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += ch;
+      octets += size;
+    }
+    out.push(current);
+    return out.join('\r\n ');
+  }
+
+  function coordText(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? String(Math.round(n * 1000) / 1000) : '';
+  }
+
+  function placeName(label, lat, lon) {
+    const text = String(label || '').trim();
+    if (text && text.toLowerCase() !== 'my location') return text;
+    return `${coordText(lat)}, ${coordText(lon)}`;
+  }
+
+  // Stable per location and start time, so re-importing updates the event.
+  function sunWindowUid(win, lat, lon) {
+    return `${icsDateTime(win.start)}-${coordText(lat)}_${coordText(lon)}@${ICS_UID_DOMAIN}`;
+  }
+
+  function sunWindowEventLines(win, {
+    label,
+    lat,
+    lon,
+    url = '',
+    dtStamp,
+    t,
+  }) {
+    const place = placeName(label, lat, lon);
+    const minutes = Math.max(0, Math.round(Number(win.minutes)
+      || (new Date(win.end).getTime() - new Date(win.start).getTime()) / 60000));
+    const score = Number(win.meanScore);
+    const details = [
+      Number.isFinite(score)
+        ? t('calendar.eventSunshineScore', { count: minutes, score: Math.round(score) })
+        : t('calendar.eventSunshine', { count: minutes }),
+      `${place} (${coordText(lat)}, ${coordText(lon)})`,
+    ];
+    if (url) details.push(url);
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${sunWindowUid(win, lat, lon)}`,
+      `DTSTAMP:${dtStamp}`,
+      `DTSTART:${icsDateTime(win.start)}`,
+      `DTEND:${icsDateTime(win.end)}`,
+      `SUMMARY:${icsEscape(t('calendar.eventSummary', { place }))}`,
+      `LOCATION:${icsEscape(place)}`,
+    ];
+    if (coordText(lat) && coordText(lon)) lines.push(`GEO:${coordText(lat)};${coordText(lon)}`);
+    lines.push(`DESCRIPTION:${icsEscape(details.join('\n'))}`);
+    if (url) lines.push(`URL:${url}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    return lines;
+  }
+
+  // Windows must already be normalized (`normalizeForecastWindow`): ISO
+  // `start`/`end` strings with `end` after `start`. Event text comes from `t`;
+  // English when none is passed.
+  function buildSunWindowsIcs({
+    windows,
+    label = '',
+    lat,
+    lon,
+    url = '',
+    nowMs = Date.now(),
+    calendarName = '',
+    refreshMinutes = 0,
+    t = global.IWSI18n.createTranslator(global.IWSI18n.DEFAULT_LOCALE).t,
+  } = {}) {
+    const dtStamp = icsDateTime(nowMs);
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${ICS_PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+    ];
+    if (calendarName) lines.push(`X-WR-CALNAME:${icsEscape(calendarName)}`);
+    // Subscribed feeds tell calendar apps how often to poll.
+    if (refreshMinutes > 0) {
+      lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${Math.round(refreshMinutes)}M`);
+      lines.push(`X-PUBLISHED-TTL:PT${Math.round(refreshMinutes)}M`);
+    }
+    (windows || []).filter(Boolean).forEach((win) => {
+      lines.push(...sunWindowEventLines(win, {
+        label,
+        lat,
+        lon,
+        url,
+        dtStamp,
+        t,
+      }));
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+  }
+
+  function sunWindowsIcsFilename(label, dateKey = '') {
+    const slug = String(label || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40);
+    return ['sun-windows', slug, dateKey].filter(Boolean).join('-') + '.ics';
+  }
+
+  global.IWSIcsExport = {
+    buildSunWindowsIcs,
+    icsDateTime,
+    icsEscape,
+    sunWindowsIcsFilename,
+  };
+})(window);
@@ -16,27 +16,91 @@
     tooltipFill: 'rgba(255,255,255,0.94)',
     tooltipStroke: 'rgba(20,24,28,0.10)',
     tooltipText: 'rgba(20,24,28,0.82)',
+    confidenceBand: 'rgba(74,112,150,0.16)',
+    scoreLine: 'rgba(46,78,112,0.92)',
+    goldenHourBand: 'rgba(236,150,52,0.22)',
+    blueHourBand: 'rgba(70,104,178,0.20)',
   });
 
+  // Dark app theme and the solar API page: light strokes on a dark canvas.
   const DARK_CHART_COLORS = Object.freeze({
-    gridStroke: 'rgba(0,0,0,0.10)',
-    baseStroke: 'rgba(0,0,0,0.26)',
-    nowStroke: 'rgba(0,0,0,0.22)',
+    gridStroke: 'rgba(226,234,244,0.12)',
+    baseStroke: 'rgba(226,234,244,0.26)',
+    nowStroke: 'rgba(226,234,244,0.26)',
     atmosphereTop: 'rgba(255,248,236,0.06)',
     atmosphereMid: 'rgba(255,255,255,0.015)',
     atmosphereBottom: 'rgba(255,255,255,0.00)',
+    nowHalo: 'rgba(244,184,96,0.30)',
     nowDotFill: 'rgba(255,244,226,0.95)',
     nowDotStroke: 'rgba(255,248,232,0.92)',
+    hoverGuide: 'rgba(226,234,244,0.32)',
+    hoverDotFill: 'rgba(20,26,36,0.92)',
+    tooltipFill: 'rgba(22,28,38,0.94)',
+    tooltipStroke: 'rgba(226,234,244,0.14)',
+    tooltipText: 'rgba(236,241,247,0.90)',
+    confidenceBand: 'rgba(214,228,244,0.14)',
+    scoreLine: 'rgba(232,240,250,0.88)',
+    goldenHourBand: 'rgba(244,168,72,0.24)',
+    blueHourBand: 'rgba(104,140,220,0.26)',
   });
 
+  const COLOR_SCHEME_DARK = 'dark';
+
+  function chartPalette(colorScheme = 'light') {
+    const solarPage = Boolean(document.body && document.body.classList.contains('solarApiPage'));
+    return (colorScheme === COLOR_SCHEME_DARK || solarPage) ? DARK_CHART_COLORS : LIGHT_CHART_COLORS;
+  }
+
+  // Shared by the sun chart and the cloud-layer panel so their columns line up.
+  const CHART_PAD_X = 14;
+
+  // Lanes top to bottom follow altitude: high cloud, mid, low, then rain.
+  const CLOUD_LANES = Object.freeze([
+    { key: 'high', labelKey: 'chart.cloudHigh', color: 'rgba(168,186,206,0.78)' },
+    { key: 'mid', labelKey: 'chart.cloudMid', color: 'rgba(128,144,164,0.78)' },
+    { key: 'low', labelKey: 'chart.cloudLow', color: 'rgba(92,104,120,0.80)' },
+  ]);
+  const CLOUD_RAIN_COLOR = 'rgba(58,118,196,0.78)';
+  // Rain bars scale to at least this many mm so drizzle reads as drizzle.
+  const CLOUD_RAIN_SCALE_MM = 2;
+
+  // The confidence ribbon spans score ± this many points at zero confidence
+  // and collapses onto the score line at full confidence.
+  const CONFIDENCE_BAND_SPREAD = 30;
+  // Below this the score line turns dashed so weak stretches stand out.
+  const LOW_CONFIDENCE = 0.5;
+  const SCORE_AXIS_TICKS = [100, 75, 50, 25, 0];
+
+  // "sun" plots solar elevation with score-tinted segments; "score" plots the
+  // sun score itself on a 0-100 axis with the sun-break threshold line.
+  const CHART_MODE_SUN = 'sun';
+  const CHART_MODE_SCORE = 'score';
+  const SCORE_MODE_GRID_STEP = 20;
+
+  // `tzName` is the zone the x-axis labels are shown in and `hour12` their
+  // clock; either changing means new labels.
   function chartAxisKeyForRows(rows, {
     tzName = '',
+    hour12 = false,
     maxElevOverride = null,
     maxElevationFromRows,
+    mode = CHART_MODE_SUN,
   } = {}) {
     const chartRows = rows || [];
     if (!chartRows.length) return '';
 
+    // Score mode has a fixed 0-100 axis, so elevation does not enter its key.
+    if (mode === CHART_MODE_SCORE) {
+      return [
+        tzName || '',
+        hour12 ? 'h12' : 'h23',
+        CHART_MODE_SCORE,
+        chartRows.length,
+        chartRows[0]?.time_utc || '',
+        chartRows[chartRows.length - 1]?.time_utc || '',
+      ].join('|');
+    }
+
     let maxElev = maxElevOverride;
     if (!Number.isFinite(maxElev) && typeof maxElevationFromRows === 'function') {
       maxElev = maxElevationFromRows(chartRows);
@@ -44,6 +108,7 @@
     const axisMaxElev = Math.max(10, Math.ceil(Math.max(1, Number(maxElev || 0)) / 10) * 10);
     return [
       tzName || '',
+      hour12 ? 'h12' : 'h23',
       axisMaxElev,
       chartRows.length,
       chartRows[0]?.time_utc || '',
@@ -51,22 +116,47 @@
     ].join('|');
   }
 
+  // Per-row score and the ribbon bounds drawn around it on the score axis.
+  function confidenceBandForRows(rows, clamp) {
+    return (rows || []).map((row) => {
+      const score = clamp(Number(row.sun_score || 0), 0, 100);
+      const confidence = clamp(Number(row.confidence || 0), 0, 1);
+      const spread = CONFIDENCE_BAND_SPREAD * (1 - confidence);
+      return {
+        score,
+        confidence,
+        low: clamp(score - spread, 0, 100),
+        high: clamp(score + spread, 0, 100),
+        lowConfidence: confidence < LOW_CONFIDENCE,
+      };
+    });
+  }
+
   function renderChart({
     canvas,
     ctx,
     yAxisEl,
+    scoreAxisEl = null,
     xAxisEl,
     dayRows,
     win = null,
     rowsOverride = null,
     prevAxisKey = '',
     hover = null,
+    windows = [],
+    lightHours = [],
+    focusedWindowStart = '',
     tzName = '',
+    hour12 = false,
+    colorScheme = 'light',
+    mode = CHART_MODE_SUN,
+    threshold = null,
     daylightWindow,
     chartRowsForWindow,
     maxElevationFromRows,
     mixSunColor,
     clamp,
+    t,
     fmtTime,
     tUtc,
   } = {}) {
@@ -96,6 +186,7 @@
 
     function clearAxes() {
       if (yAxisEl) yAxisEl.innerHTML = '';
+      if (scoreAxisEl) scoreAxisEl.innerHTML = '';
       if (xAxisEl) xAxisEl.innerHTML = '';
     }
 
@@ -119,16 +210,31 @@
     const elevs = rows.map((r) => Math.max(0, Number(r.elevation || 0)));
     const maxElevRaw = Math.max(...elevs, 1);
     const maxElev = Math.max(10, Math.ceil(maxElevRaw / 10) * 10);
+    const scoreMode = mode === CHART_MODE_SCORE;
     const axisKey = chartAxisKeyForRows(rows, {
       tzName,
+      hour12,
       maxElevOverride: maxElev,
       maxElevationFromRows,
+      mode,
     });
 
     if (yAxisEl && axisKey !== prevAxisKey) {
       const ticks = [];
-      for (let d = maxElev; d >= 0; d -= 10) ticks.push(d);
-      yAxisEl.innerHTML = ticks.map((d) => `<div>${d}°</div>`).join('');
+      if (scoreMode) {
+        for (let s = 100; s >= 0; s -= SCORE_MODE_GRID_STEP) ticks.push(`${s}%`);
+      } else {
+        for (let d = maxElev; d >= 0; d -= 10) ticks.push(`${d}°`);
+      }
+      yAxisEl.innerHTML = ticks.map((t) => `<div>${t}</div>`).join('');
+    }
+
+    // The secondary score axis never changes scale, so it only needs filling
+    // after a clear. Score mode already has the score on the main axis.
+    if (scoreAxisEl && scoreMode) {
+      scoreAxisEl.innerHTML = '';
+    } else if (scoreAxisEl && !scoreAxisEl.childElementCount) {
+      scoreAxisEl.innerHTML = SCORE_AXIS_TICKS.map((s) => `<div>${s}%</div>`).join('');
     }
 
     if (xAxisEl && axisKey !== prevAxisKey) {
@@ -150,11 +256,10 @@
       xAxisEl.innerHTML = labels.map((t) => `<div>${t}</div>`).join('');
     }
 
-    const padX = 14;
+    const padX = CHART_PAD_X;
     const padTop = 14;
     const padBottom = 18;
-    const lightAtmosphere = Boolean(document.body && !document.body.classList.contains('solarApiPage'));
-    const palette = lightAtmosphere ? LIGHT_CHART_COLORS : DARK_CHART_COLORS;
+    const palette = chartPalette(colorScheme);
     const { gridStroke, baseStroke, nowStroke } = palette;
 
     const yOf = (e) => {
@@ -163,12 +268,18 @@
       return clamp(yy, padTop, h - padBottom);
     };
     const xOf = (i) => rows.length === 1 ? w / 2 : padX + (i / (rows.length - 1)) * (w - 2 * padX);
+    const yOfScore = (s) => (h - padBottom) - (clamp(s, 0, 100) / 100) * (h - padTop - padBottom);
 
     ctx.lineWidth = 1;
     ctx.setLineDash([3, 4]);
     ctx.strokeStyle = gridStroke;
-    for (let d = 0; d <= maxElev; d += 10) {
-      const y = yOf(d);
+    const gridLines = [];
+    if (scoreMode) {
+      for (let s = 0; s <= 100; s += SCORE_MODE_GRID_STEP) gridLines.push(yOfScore(s));
+    } else {
+      for (let d = 0; d <= maxElev; d += 10) gridLines.push(yOf(d));
+    }
+    for (const y of gridLines) {
       ctx.beginPath();
       ctx.moveTo(padX, y);
       ctx.lineTo(w - padX, y);
@@ -178,10 +289,71 @@
 
     const pts = rows.map((r, i) => {
       const e = Math.max(0, Number(r.elevation || 0));
-      return { x: xOf(i), y: yOf(e), e, s: Number(r.sun_score || 0), t: tUtc(r) };
+      const s = Number(r.sun_score || 0);
+      return { x: xOf(i), y: scoreMode ? yOfScore(s) : yOf(e), e, s, t: tUtc(r) };
     });
 
-    const geom = { w, padX, ptsLen: pts.length };
+    const t0ms = pts[0].t.getTime();
+    const t1ms = pts[pts.length - 1].t.getTime();
+    const xOfMs = (ms) => padX + clamp((ms - t0ms) / Math.max(1, (t1ms - t0ms)), 0, 1) * (w - 2 * padX);
+
+    // Golden and blue hours glow up from the horizon line, under the sun
+    // windows, so they read as light rather than as another score band.
+    for (const lightHour of (lightHours || [])) {
+      const startMs = new Date(lightHour.start).getTime();
+      const endMs = new Date(lightHour.end).getTime();
+      if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) continue;
+      if (endMs <= t0ms || startMs >= t1ms) continue;
+
+      const x0 = xOfMs(startMs);
+      const x1 = xOfMs(endMs);
+      if (x1 - x0 < 1) continue;
+
+      const glow = ctx.createLinearGradient(0, h - padBottom, 0, padTop);
+      glow.addColorStop(0, lightHour.kind === 'golden' ? palette.goldenHourBand : palette.blueHourBand);
+      glow.addColorStop(1, 'rgba(0,0,0,0)');
+      ctx.fillStyle = glow;
+      ctx.fillRect(x0, padTop, x1 - x0, h - padTop - padBottom);
+    }
+
+    // Sun windows sit behind the curve as shaded bands; the focused one
+    // (picked from the side card) gets a stronger fill and edge lines.
+    for (const sunWin of (windows || [])) {
+      const startMs = new Date(sunWin.start).getTime();
+      const endMs = new Date(sunWin.end).getTime();
+      if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) continue;
+      if (endMs <= t0ms || startMs >= t1ms) continue;
+
+      const x0 = xOfMs(startMs);
+      const x1 = xOfMs(endMs);
+      if (x1 - x0 < 1) continue;
+
+      const focused = Boolean(focusedWindowStart) && sunWin.start === focusedWindowStart;
+      const t = clamp(Number(sunWin.meanScore || 0) / 100, 0, 1);
+      ctx.fillStyle = mixSunColor(t, focused ? 0.26 : 0.12);
+      ctx.fillRect(x0, padTop, x1 - x0, h - padTop - padBottom);
+
+      if (focused) {
+        ctx.strokeStyle = mixSunColor(t, 0.70);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x0, padTop);
+        ctx.lineTo(x0, h - padBottom);
+        ctx.moveTo(x1, padTop);
+        ctx.lineTo(x1, h - padBottom);
+        ctx.stroke();
+      }
+    }
+
+    // Home/End on the focused chart jump to the first/last sunlit column.
+    const daylightIdx = pts.map((p, i) => (p.e > 0 ? i : -1)).filter((i) => i >= 0);
+    const geom = {
+      w,
+      padX,
+      ptsLen: pts.length,
+      firstDaylightIdx: daylightIdx.length ? daylightIdx[0] : 0,
+      lastDaylightIdx: daylightIdx.length ? daylightIdx[daylightIdx.length - 1] : pts.length - 1,
+    };
 
     const avgScore = pts.reduce((acc, p) => acc + p.s, 0) / Math.max(1, pts.length);
     const tAvg = clamp(avgScore / 100, 0, 1);
@@ -207,6 +379,59 @@
     ctx.fillStyle = atmosphereGrad;
     ctx.fill();
 
+    // Confidence ribbon on the score axis: wide where the forecast is unsure,
+    // with a thin score line that dims and dashes through low-confidence rows.
+    const band = confidenceBandForRows(rows, clamp);
+    ctx.beginPath();
+    band.forEach((b, i) => {
+      if (i === 0) ctx.moveTo(pts[i].x, yOfScore(b.high));
+      else ctx.lineTo(pts[i].x, yOfScore(b.high));
+    });
+    for (let i = band.length - 1; i >= 0; i -= 1) ctx.lineTo(pts[i].x, yOfScore(band[i].low));
+    ctx.closePath();
+    ctx.fillStyle = palette.confidenceBand;
+    ctx.fill();
+
+    // In score mode the main curve is the score itself, so only the ribbon
+    // is added to it.
+    if (!scoreMode) {
+      ctx.save();
+      ctx.lineWidth = 1.2;
+      ctx.strokeStyle = palette.scoreLine;
+      for (let i = 1; i < band.length; i += 1) {
+        const a = band[i - 1];
+        const b = band[i];
+        ctx.globalAlpha = 0.25 + 0.75 * ((a.confidence + b.confidence) / 2);
+        ctx.setLineDash(a.lowConfidence || b.lowConfidence ? [3, 3] : []);
+        ctx.beginPath();
+        ctx.moveTo(pts[i - 1].x, yOfScore(a.score));
+        ctx.lineTo(pts[i].x, yOfScore(b.score));
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    const thresholdValue = Number(threshold);
+    if (scoreMode && Number.isFinite(thresholdValue)) {
+      const y = yOfScore(thresholdValue);
+      ctx.save();
+      ctx.strokeStyle = palette.scoreLine;
+      ctx.globalAlpha = 0.7;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(padX, y);
+      ctx.lineTo(w - padX, y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.font = '600 11px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'bottom';
+      ctx.fillStyle = palette.scoreLine;
+      ctx.fillText(`${Math.round(thresholdValue)}%`, w - padX - 2, y - 2);
+      ctx.restore();
+    }
+
     ctx.lineWidth = 2.3;
     ctx.lineCap = 'round';
     ctx.beginPath();
@@ -255,8 +480,6 @@
     }
 
     const now = Date.now();
-    const t0ms = pts[0].t.getTime();
-    const t1ms = pts[pts.length - 1].t.getTime();
     if (now >= t0ms && now <= t1ms) {
       const u = clamp((now - t0ms) / Math.max(1, (t1ms - t0ms)), 0, 1);
       const xn = padX + u * (w - 2 * padX);
@@ -273,7 +496,7 @@
       const idx = Math.round(u * (pts.length - 1));
       const p = pts[clamp(idx, 0, pts.length - 1)];
 
-      ctx.fillStyle = LIGHT_CHART_COLORS.nowHalo;
+      ctx.fillStyle = palette.nowHalo;
       ctx.beginPath();
       ctx.arc(xn, p.y, 5, 0, Math.PI * 2);
       ctx.fill();
@@ -292,12 +515,13 @@
 
     if (hover?.active && hover.idx >= 0 && hover.idx < pts.length) {
       const hp = pts[hover.idx];
-      const t = clamp(Number(hp.s || 0) / 100, 0, 1);
-      const dotColor = mixSunColor(t, 1);
-      const label = `${fmtTime(hp.t)} · ${Math.round(hp.s)}%`;
+      const sunT = clamp(Number(hp.s || 0) / 100, 0, 1);
+      const dotColor = mixSunColor(sunT, 1);
+      const confidencePct = Math.round(band[hover.idx].confidence * 100);
+      const label = t('chart.tooltip', { time: fmtTime(hp.t), score: Math.round(hp.s), confidence: confidencePct });
 
       ctx.save();
-      ctx.strokeStyle = LIGHT_CHART_COLORS.hoverGuide;
+      ctx.strokeStyle = palette.hoverGuide;
       ctx.lineWidth = 1;
       ctx.setLineDash([2, 4]);
       ctx.beginPath();
@@ -306,7 +530,7 @@
       ctx.stroke();
       ctx.setLineDash([]);
 
-      ctx.fillStyle = LIGHT_CHART_COLORS.hoverDotFill;
+      ctx.fillStyle = palette.hoverDotFill;
       ctx.beginPath();
       ctx.arc(hp.x, hp.y, 5, 0, Math.PI * 2);
       ctx.fill();
@@ -316,6 +540,13 @@
       ctx.arc(hp.x, hp.y, 3, 0, Math.PI * 2);
       ctx.fill();
 
+      if (!scoreMode) {
+        ctx.strokeStyle = palette.scoreLine;
+        ctx.beginPath();
+        ctx.arc(hp.x, yOfScore(band[hover.idx].score), 3, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
       ctx.font = '600 12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
       ctx.textBaseline = 'middle';
       const txPad = 7;
@@ -325,24 +556,170 @@
       let tipX = Math.round(hp.x - tipW / 2);
       tipX = clamp(tipX, padX + 2, w - padX - tipW - 2);
 
-      ctx.fillStyle = LIGHT_CHART_COLORS.tooltipFill;
-      ctx.strokeStyle = LIGHT_CHART_COLORS.tooltipStroke;
+      ctx.fillStyle = palette.tooltipFill;
+      ctx.strokeStyle = palette.tooltipStroke;
       ctx.lineWidth = 1;
       ctx.beginPath();
       ctx.rect(tipX, tipY, tipW, tipH);
       ctx.fill();
       ctx.stroke();
 
-      ctx.fillStyle = LIGHT_CHART_COLORS.tooltipText;
+      ctx.fillStyle = palette.tooltipText;
       ctx.fillText(label, tipX + txPad, tipY + tipH / 2);
       ctx.restore();
     }
 
-    return { axisKey, geom };
+    return { axisKey, geom, rows };
+  }
+
+  // Spoken form of one chart column, e.g. "13:20, sun score 74%, confidence 61%".
+  function chartPointText({ row, t, fmtTime, tUtc } = {}) {
+    if (!row) return '';
+    const score = Math.round(Number(row.sun_score || 0));
+    const confidence = Math.round(Number(row.confidence || 0) * 100);
+    return t('chart.point', { time: fmtTime(tUtc(row)), score, confidence });
+  }
+
+  // Offscreen table with the same rows the canvas plots, for screen readers.
+  function renderChartTable({
+    tableBodyEl,
+    rows = [],
+    fmtTime,
+    tUtc,
+  } = {}) {
+    if (!tableBodyEl) return;
+    tableBodyEl.innerHTML = (rows || []).map((row) => {
+      const elevation = Math.round(Number(row.elevation || 0));
+      const score = Math.round(Number(row.sun_score || 0));
+      const confidence = Math.round(Number(row.confidence || 0) * 100);
+      return `<tr><th scope="row">${fmtTime(tUtc(row))}</th><td>${elevation}°</td>`
+        + `<td>${score}%</td><td>${confidence}%</td></tr>`;
+    }).join('');
+  }
+
+  // Stacked cloud-layer panel drawn under the sun chart from the same rows, so
+  // column i here is column i there and the hover index carries over.
+  function renderCloudLayers({
+    canvas,
+    ctx,
+    rows = [],
+    hover = null,
+    colorScheme = 'light',
+    clamp,
+    t,
+    fmtTime,
+    tUtc,
+  } = {}) {
+    if (!canvas || !ctx) return;
+    const palette = chartPalette(colorScheme);
+
+    const rect = canvas.getBoundingClientRect();
+    const cssW = Math.max(1, Math.round(rect.width || canvas.clientWidth || 0));
+    const cssH = Math.max(1, Math.round(rect.height || canvas.clientHeight || 0));
+    if (cssW <= 1 || cssH <= 1) return;
+
+    const dpr = Math.min(2, global.devicePixelRatio || 1);
+    const targetW = Math.round(cssW * dpr);
+    const targetH = Math.round(cssH * dpr);
+    if (canvas.width !== targetW || canvas.height !== targetH) {
+      canvas.width = targetW;
+      canvas.height = targetH;
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    const w = cssW;
+    const h = cssH;
+    ctx.clearRect(0, 0, w, h);
+    if (!rows || !rows.length) return;
+
+    const padX = CHART_PAD_X;
+    const padTop = 6;
+    const padBottom = 6;
+    const laneCount = CLOUD_LANES.length + 1;
+    const laneGap = 3;
+    const laneH = (h - padTop - padBottom - laneGap * (laneCount - 1)) / laneCount;
+    const laneTop = (lane) => padTop + lane * (laneH + laneGap);
+    const xOf = (i) => rows.length === 1 ? w / 2 : padX + (i / (rows.length - 1)) * (w - 2 * padX);
+    const colW = rows.length === 1 ? (w - 2 * padX) : (w - 2 * padX) / (rows.length - 1);
+
+    function drawColumn(i, lane, fraction, color) {
+      const height = laneH * clamp(fraction, 0, 1);
+      if (height <= 0) return;
+      const x0 = clamp(xOf(i) - colW / 2, padX, w - padX);
+      const x1 = clamp(xOf(i) + colW / 2, padX, w - padX);
+      ctx.fillStyle = color;
+      ctx.fillRect(x0, laneTop(lane) + laneH - height, Math.max(1, x1 - x0), height);
+    }
+
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 4]);
+    ctx.strokeStyle = palette.gridStroke;
+    for (let lane = 0; lane < laneCount; lane += 1) {
+      const y = laneTop(lane) + laneH + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(padX, y);
+      ctx.lineTo(w - padX, y);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    const maxRain = Math.max(CLOUD_RAIN_SCALE_MM, ...rows.map((r) => Number(r.cloud?.precip_mm || 0)));
+    rows.forEach((row, i) => {
+      CLOUD_LANES.forEach((layer, lane) => {
+        drawColumn(i, lane, Number(row.cloud?.[layer.key] || 0) / 100, layer.color);
+      });
+      drawColumn(i, CLOUD_LANES.length, Number(row.cloud?.precip_mm || 0) / maxRain, CLOUD_RAIN_COLOR);
+    });
+
+    if (hover?.active && hover.idx >= 0 && hover.idx < rows.length) {
+      const row = rows[hover.idx];
+      const x = xOf(hover.idx);
+      const cloud = row.cloud || {};
+      const label = [
+        fmtTime(tUtc(row)),
+        ...CLOUD_LANES.map((layer) => `${t(layer.labelKey)} ${Math.round(Number(cloud[layer.key] || 0))}%`),
+        t('chart.rainAmount', { mm: Number(cloud.precip_mm || 0).toFixed(1) }),
+      ].join(' · ');
+
+      ctx.save();
+      ctx.strokeStyle = palette.hoverGuide;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 4]);
+      ctx.beginPath();
+      ctx.moveTo(x, padTop);
+      ctx.lineTo(x, h - padBottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.font = '600 11px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+      ctx.textBaseline = 'middle';
+      const txPad = 6;
+      const tipH = 18;
+      const tipW = Math.ceil(ctx.measureText(label).width) + txPad * 2;
+      const tipX = clamp(Math.round(x - tipW / 2), 2, Math.max(2, w - tipW - 2));
+      const tipY = padTop;
+
+      ctx.fillStyle = palette.tooltipFill;
+      ctx.strokeStyle = palette.tooltipStroke;
+      ctx.beginPath();
+      ctx.rect(tipX, tipY, tipW, tipH);
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.fillStyle = palette.tooltipText;
+      ctx.fillText(label, tipX + txPad, tipY + tipH / 2);
+      ctx.restore();
+    }
   }
 
   global.IWSRenderChart = {
+    CHART_MODE_SCORE,
+    CHART_MODE_SUN,
     chartAxisKeyForRows,
+    chartPointText,
+    confidenceBandForRows,
     renderChart,
+    renderChartTable,
+    renderCloudLayers,
   };
 })(window);
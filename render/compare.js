@@ -0,0 +1,198 @@
+'use strict';
+
+(function initCompareRenderModule(global) {
+  const esc = global.IWSI18n.escapeHtml;
+
+  // Series colors are picked for contrast with each other, not from the sun
+  // score ramp, so the overlaid curves stay distinguishable.
+  const COMPARE_SERIES_COLORS = Object.freeze([
+    'rgb(224, 144, 47)',
+    'rgb(58, 123, 213)',
+    'rgb(47, 158, 110)',
+    'rgb(181, 72, 125)',
+  ]);
+
+  const COMPARE_CHART_COLORS = Object.freeze({
+    gridStroke: 'rgba(20,24,28,0.12)',
+    nowStroke: 'rgba(20,24,28,0.24)',
+  });
+
+  // Matches DARK_CHART_COLORS in render/chart.js.
+  const DARK_COMPARE_CHART_COLORS = Object.freeze({
+    gridStroke: 'rgba(226,234,244,0.12)',
+    nowStroke: 'rgba(226,234,244,0.26)',
+  });
+
+  function compareSeriesColor(idx) {
+    return COMPARE_SERIES_COLORS[Math.abs(Number(idx) || 0) % COMPARE_SERIES_COLORS.length];
+  }
+
+  function renderCompareChart({
+    canvas,
+    ctx,
+    yAxisEl,
+    xAxisEl,
+    rows,
+    range,
+    colorScheme = 'light',
+    clamp,
+    fmtTime,
+    tMs,
+  } = {}) {
+    if (!canvas || !ctx) return;
+    const palette = colorScheme === 'dark' ? DARK_COMPARE_CHART_COLORS : COMPARE_CHART_COLORS;
+
+    const rect = canvas.getBoundingClientRect();
+    const cssW = Math.max(1, Math.round(rect.width || canvas.clientWidth || 0));
+    const cssH = Math.max(1, Math.round(rect.height || canvas.clientHeight || 0));
+    if (cssW <= 1 || cssH <= 1) return;
+
+    const dpr = Math.min(2, global.devicePixelRatio || 1);
+    const targetW = Math.round(cssW * dpr);
+    const targetH = Math.round(cssH * dpr);
+    if (canvas.width !== targetW || canvas.height !== targetH) {
+      canvas.width = targetW;
+      canvas.height = targetH;
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    const w = cssW;
+    const h = cssH;
+    ctx.clearRect(0, 0, w, h);
+
+    const series = (rows || []).filter((row) => row.location?.chartRows?.length);
+    if (!range || !series.length) {
+      if (yAxisEl) yAxisEl.innerHTML = '';
+      if (xAxisEl) xAxisEl.innerHTML = '';
+      return;
+    }
+
+    const { startMs, endMs } = range;
+    const padX = 14;
+    const padTop = 14;
+    const padBottom = 18;
+    const xOfMs = (ms) => padX + clamp((ms - startMs) / Math.max(1, endMs - startMs), 0, 1) * (w - 2 * padX);
+    const yOfScore = (score) => {
+      const usableH = h - padTop - padBottom;
+      return (h - padBottom) - (clamp(Number(score || 0), 0, 100) / 100) * usableH;
+    };
+
+    if (yAxisEl) {
+      yAxisEl.innerHTML = [100, 75, 50, 25, 0].map((v) => `<div>${v}%</div>`).join('');
+    }
+
+    // Axis times follow the first location's timezone (the one on screen).
+    if (xAxisEl) {
+      const tzName = series[0].location.tzName || '';
+      const steps = 4;
+      const labels = [];
+      for (let k = 0; k <= steps; k += 1) {
+        labels.push(fmtTime(new Date(startMs + (k / steps) * (endMs - startMs)), tzName));
+      }
+      xAxisEl.innerHTML = labels.map((t) => `<div>${t}</div>`).join('');
+    }
+
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 4]);
+    ctx.strokeStyle = palette.gridStroke;
+    for (let v = 0; v <= 100; v += 25) {
+      const y = yOfScore(v);
+      ctx.beginPath();
+      ctx.moveTo(padX, y);
+      ctx.lineTo(w - padX, y);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    for (const row of series) {
+      const pts = row.location.chartRows.map((r) => ({
+        x: xOfMs(tMs(r)),
+        y: yOfScore(r.sun_score),
+      }));
+
+      ctx.save();
+      ctx.lineWidth = row.id === rows[0]?.id ? 2.6 : 2;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.strokeStyle = row.color;
+      ctx.beginPath();
+      pts.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      });
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    const now = Date.now();
+    if (now >= startMs && now <= endMs) {
+      const xn = xOfMs(now);
+      ctx.strokeStyle = palette.nowStroke;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 4]);
+      ctx.beginPath();
+      ctx.moveTo(xn, padTop);
+      ctx.lineTo(xn, h - padBottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+
+  function renderCompareTable({
+    tableBodyEl,
+    rows,
+    bestId = '',
+    t,
+    fmtTime,
+    mixSunColor,
+    clamp,
+  } = {}) {
+    if (!tableBodyEl) return;
+
+    tableBodyEl.innerHTML = (rows || []).map((row) => {
+      const label = esc(row.label);
+      const swatch = `<span class="compareSwatch" style="background:${row.color}" aria-hidden="true"></span>`;
+      const best = row.id === bestId && (rows || []).length > 1;
+      const nameCell = `<th scope="row" class="compareName">${swatch}<span>${label}</span>`
+        + `${best ? `<span class="compareBest">${t('compare.best')}</span>` : ''}</th>`;
+
+      if (row.status === 'loading') {
+        return `<tr class="isLoading">${nameCell}<td colspan="2" class="muted">${t('compare.loading')}</td></tr>`;
+      }
+      if (row.status === 'rate_limited') {
+        return `<tr class="isError">${nameCell}<td colspan="2" class="muted">${t('compare.rateLimited')}</td></tr>`;
+      }
+      if (row.status !== 'ready' || !row.location) {
+        return `<tr class="isError">${nameCell}<td colspan="2" class="muted">${t('compare.loadFailed')}</td></tr>`;
+      }
+
+      const loc = row.location;
+      let windowText = t('compare.noWindow');
+      if (loc.nextWindow) {
+        const range = `${fmtTime(loc.nextWindow.start, loc.tzName)}–${fmtTime(loc.nextWindow.end, loc.tzName)}`;
+        windowText = range;
+        if (loc.isActiveNow) windowText = t('compare.windowNow', { range });
+        else if (loc.isFallbackTomorrow) windowText = t('compare.windowTomorrow', { range });
+      }
+
+      let avgText = '—';
+      let avgStyle = '';
+      if (Number.isFinite(loc.daylightAvgScore)) {
+        const score = Math.round(loc.daylightAvgScore);
+        avgText = `${score}%`;
+        avgStyle = ` style="color:${mixSunColor(clamp(score / 100, 0, 1), 1)}"`;
+      }
+
+      return `<tr${best ? ' class="isBest"' : ''}>${nameCell}`
+        + `<td class="compareWindow">${windowText}</td>`
+        + `<td class="compareAvg"${avgStyle}>${avgText}</td>`
+        + '</tr>';
+    }).join('');
+  }
+
+  global.IWSRenderCompare = {
+    compareSeriesColor,
+    renderCompareChart,
+    renderCompareTable,
+  };
+})(window);
@@ -0,0 +1,135 @@
+'use strict';
+
+(function initCompassRenderModule(global) {
+  // Sky plot in a -100..100 viewBox: north up, the horizon on the rim and the
+  // zenith in the middle, so a higher sun sits closer to the center.
+  const HORIZON_R = 80;
+  const LABEL_R = 92;
+  const ELEVATION_RINGS = [30, 60];
+  const CARDINALS = [
+    { key: 'N', azimuth: 0 },
+    { key: 'E', azimuth: 90 },
+    { key: 'S', azimuth: 180 },
+    { key: 'W', azimuth: 270 },
+  ];
+
+  function radiusForElevation(elevation) {
+    const e = Math.min(90, Math.max(0, Number(elevation) || 0));
+    return HORIZON_R * (90 - e) / 90;
+  }
+
+  function polar(azimuth, radius) {
+    const a = azimuth * Math.PI / 180;
+    return {
+      x: Math.round(radius * Math.sin(a) * 10) / 10,
+      y: Math.round(-radius * Math.cos(a) * 10) / 10,
+    };
+  }
+
+  function skyXY(point) {
+    return polar(point.azimuth, radiusForElevation(point.elevation));
+  }
+
+  function polylinePoints(arc) {
+    return arc.map((point) => {
+      const { x, y } = skyXY(point);
+      return `${x},${y}`;
+    }).join(' ');
+  }
+
+  function sunCompassCaption({ compass, focus, isHover, t, fmtTime, directionLabel }) {
+    const lines = [];
+    if (focus) {
+      const direction = directionLabel(focus.azimuth);
+      const elevation = Math.round(focus.elevation);
+      if (isHover) {
+        const time = fmtTime(focus.time);
+        lines.push(focus.isUp
+          ? t('sunCompass.at', { time, direction, elevation })
+          : t('sunCompass.atBelow', { time }));
+      } else {
+        lines.push(focus.isUp ? t('sunCompass.now', { direction, elevation }) : t('sunCompass.nowBelow'));
+      }
+    }
+    if (compass.win) {
+      const { arc } = compass.win;
+      lines.push(t('sunCompass.window', {
+        range: `${fmtTime(compass.win.start)}–${fmtTime(compass.win.end)}`,
+        from: directionLabel(arc[0].azimuth),
+        to: directionLabel(arc[arc.length - 1].azimuth),
+      }));
+    }
+    if (compass.sunrise && compass.sunset) {
+      lines.push(t('sunCompass.riseSet', {
+        rise: directionLabel(compass.sunrise.azimuth),
+        set: directionLabel(compass.sunset.azimuth),
+      }));
+    }
+    return lines;
+  }
+
+  // `focus` is the chart's hovered or previewed row as a compass point; without
+  // one the marker shows the sun now. Rebuilt on every hover: it is a handful
+  // of SVG nodes.
+  function renderSunCompass({
+    svgEl,
+    captionEl,
+    compass,
+    focus = null,
+    t,
+    fmtTime,
+    directionLabel,
+  } = {}) {
+    if (!svgEl) return;
+
+    // No forecast yet shows a dash; a day the sun never rises says so.
+    if (!compass || !compass.arcs.length) {
+      svgEl.innerHTML = '';
+      if (captionEl) captionEl.textContent = compass ? t('sunCompass.empty') : '—';
+      return;
+    }
+
+    const sun = focus || compass.now;
+    const parts = [
+      `<circle class="compassRing" r="${HORIZON_R}"></circle>`,
+      ...ELEVATION_RINGS.map((e) => `<circle class="compassGrid" r="${Math.round(radiusForElevation(e) * 10) / 10}"></circle>`),
+      ...CARDINALS.map(({ key, azimuth }) => {
+        const tick = polar(azimuth, HORIZON_R);
+        const inner = polar(azimuth, HORIZON_R - 6);
+        const label = polar(azimuth, LABEL_R);
+        return `<line class="compassTick" x1="${inner.x}" y1="${inner.y}" x2="${tick.x}" y2="${tick.y}"></line>`
+          + `<text class="compassCardinal" x="${label.x}" y="${label.y}">${t(`compass.${key}`)}</text>`;
+      }),
+      ...compass.arcs.map((arc) => `<polyline class="compassArc" points="${polylinePoints(arc)}"></polyline>`),
+    ];
+    if (compass.win) {
+      parts.push(`<polyline class="compassWindow" points="${polylinePoints(compass.win.arc)}"></polyline>`);
+    }
+    if (sun) {
+      // Below the horizon the marker waits on the rim at the sun's bearing.
+      const { x, y } = skyXY(sun);
+      const classes = ['compassSun'];
+      if (!sun.isUp) classes.push('isBelow');
+      if (focus) classes.push('isFocus');
+      parts.push(`<line class="compassRay" x1="0" y1="0" x2="${x}" y2="${y}"></line>`);
+      parts.push(`<circle class="${classes.join(' ')}" cx="${x}" cy="${y}" r="7"></circle>`);
+    }
+    svgEl.innerHTML = parts.join('');
+
+    if (captionEl) {
+      captionEl.innerHTML = sunCompassCaption({
+        compass,
+        focus: sun,
+        isHover: Boolean(focus),
+        t,
+        fmtTime,
+        directionLabel,
+      }).map((line) => `<span>${line}</span>`).join('');
+    }
+  }
+
+  global.IWSRenderCompass = {
+    renderSunCompass,
+    sunCompassCaption,
+  };
+})(window);
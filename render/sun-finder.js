@@ -0,0 +1,55 @@
+'use strict';
+
+(function initSunFinderRenderModule(global) {
+  // Points within this distance of the center are the current location.
+  const HERE_KM = 0.5;
+
+  function sunFinderPlaceLabel(point, compassLabel, t) {
+    if (Number(point.distanceKm) < HERE_KM) return t('finder.here');
+    return t('finder.distance', { km: Math.round(point.distanceKm), direction: compassLabel(point.bearingDeg) });
+  }
+
+  function renderSunFinderResults({
+    listEl,
+    ranking,
+    compassLabel,
+    t,
+    fmtTime,
+    mixSunColor,
+    clamp,
+  } = {}) {
+    if (!listEl) return;
+
+    const top = ranking?.top || [];
+    if (!top.length) {
+      listEl.hidden = true;
+      listEl.innerHTML = '';
+      return;
+    }
+
+    listEl.innerHTML = top.map((point) => {
+      const place = sunFinderPlaceLabel(point, compassLabel, t);
+      const score = Math.round(Number(point.meanScore || 0));
+      const color = mixSunColor(clamp(score / 100, 0, 1), 1);
+      const range = point.window
+        ? `${fmtTime(point.window.start)}–${fmtTime(point.window.end)}`
+        : t('finder.noWindow');
+
+      return '<li>'
+        + `<button type="button" class="sunFinderItem" data-lat="${point.lat}" data-lon="${point.lon}" data-place="${place}"`
+        + ` aria-label="${t('finder.itemLabel', { rank: point.rank, place, range, score })}">`
+        + `<span class="sunFinderRank">${point.rank}</span>`
+        + `<span class="sunFinderPlace">${place}</span>`
+        + `<span class="sunFinderWindow">${range}</span>`
+        + `<span class="sunFinderScore" style="color:${color}">${score}%</span>`
+        + '</button>'
+        + '</li>';
+    }).join('');
+    listEl.hidden = false;
+  }
+
+  global.IWSRenderSunFinder = {
+    renderSunFinderResults,
+    sunFinderPlaceLabel,
+  };
+})(window);
@@ -4,6 +4,7 @@
   function renderTimeline({
     timelineEl,
     visibleRows,
+    t,
     fmtTime,
     tUtc,
     isDaylightRow,
@@ -15,7 +16,9 @@
     const parts = [];
     parts.push(
       '<div class="trow trowHead muted small">'
-        + '<div>Time</div><div title="Confidence">Conf.</div><div>Sun score</div></div>'
+        + `<div>${t('timeline.time')}</div>`
+        + `<div title="${t('timeline.confidenceTitle')}">${t('timeline.confidence')}</div>`
+        + `<div>${t('timeline.sunScore')}</div></div>`
     );
 
     for (const row of (visibleRows || [])) {
@@ -31,9 +34,9 @@
       const gradient = `linear-gradient(90deg, ${mixSunColor(0, 0.6)}, ${color})`;
 
       parts.push(
-        '<div class="trow">'
+        `<div class="trow" data-time="${dt.toISOString()}">`
           + `<div class="muted">${timeLabel}</div>`
-          + `<div class="muted" title="Confidence in prediction">${confidence == null ? '—' : (confidence + '%')}</div>`
+          + `<div class="muted" title="${t('timeline.rowConfidenceTitle')}">${confidence == null ? '—' : (confidence + '%')}</div>`
           + '<div>'
           + `<div class="scoreNum" style="color:${color}">${score}%</div>`
           + `<div class="bar"><div style="width:${width}%;background:${gradient};opacity:${opacity}"></div></div>`
@@ -48,6 +51,7 @@
   function renderTimelineState({
     timelineEl,
     timelineState,
+    t,
     fmtTime,
     tUtc,
     isDaylightRow,
@@ -65,6 +69,7 @@
     renderTimeline({
       timelineEl,
       visibleRows: timelineState.visibleRows,
+      t,
       fmtTime,
       tUtc,
       isDaylightRow,
@@ -73,8 +78,37 @@
     });
   }
 
+  // Marks the rows inside [start, end) and scrolls the timeline so the first
+  // of them sits at the top. Falls back to the nearest later row when the
+  // window starts before the visible rows (e.g. earlier today).
+  function scrollTimelineToWindow(timelineEl, win) {
+    if (!timelineEl || !win) return false;
+    const startMs = new Date(win.start).getTime();
+    const endMs = new Date(win.end).getTime();
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) return false;
+
+    let target = null;
+    for (const rowEl of timelineEl.querySelectorAll('.trow[data-time]')) {
+      const ms = new Date(rowEl.getAttribute('data-time')).getTime();
+      const inside = ms >= startMs && ms < endMs;
+      rowEl.classList.toggle('isInFocusedWindow', inside);
+      if (!target && ms >= startMs) target = rowEl;
+    }
+    if (!target) return false;
+
+    const head = timelineEl.querySelector('.trowHead');
+    const headH = head ? head.getBoundingClientRect().height : 0;
+    const offset = target.getBoundingClientRect().top - timelineEl.getBoundingClientRect().top;
+    timelineEl.scrollTop += offset - headH;
+    if (typeof timelineEl.scrollIntoView === 'function') {
+      timelineEl.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+    return true;
+  }
+
   global.IWSRenderTimeline = {
     renderTimeline,
     renderTimelineState,
+    scrollTimelineToWindow,
   };
 })(window);
@@ -0,0 +1,77 @@
+'use strict';
+
+(function initWeekRenderModule(global) {
+  function renderWeekStrip({
+    stripEl,
+    weekState,
+    selectedIndex = 0,
+    dayLabel,
+    t,
+    fmtTime,
+    mixSunColor,
+    clamp,
+  } = {}) {
+    if (!stripEl) return;
+
+    const tiles = weekState?.tiles || [];
+    if (tiles.length < 2) {
+      stripEl.style.display = 'none';
+      stripEl.innerHTML = '';
+      return;
+    }
+
+    const parts = tiles.map((tile) => {
+      const label = dayLabel(tile.dayIndex);
+      const selected = tile.dayIndex === Number(selectedIndex);
+
+      if (!tile.hasDaylight) {
+        return `<button type="button" class="weekTile${selected ? ' isSelected' : ''}" data-day="${tile.dayIndex}" aria-pressed="${selected}">`
+          + `<span class="weekTileDay">${label}</span>`
+          + '<span class="weekTileScore">—</span>'
+          + `<span class="weekTileMeta">${t('week.noDaylight')}</span>`
+          + '</button>';
+      }
+
+      const score = Math.round(Number(tile.avgScore || 0));
+      const confidence = Math.round(Number(tile.avgConf || 0) * 100);
+      const colorT = clamp(score / 100, 0, 1);
+      const color = mixSunColor(colorT, 1);
+      const gradient = `linear-gradient(90deg, ${mixSunColor(0, 0.6)}, ${color})`;
+      const best = tile.bestWindow
+        ? `${fmtTime(tile.bestWindow.start)}–${fmtTime(tile.bestWindow.end)}`
+        : t('week.noWindow');
+      const sunTimes = tile.dayWin
+        ? `${fmtTime(tile.dayWin.start)}–${fmtTime(tile.dayWin.end)}`
+        : '—';
+
+      return `<button type="button" class="weekTile${selected ? ' isSelected' : ''}" data-day="${tile.dayIndex}" aria-pressed="${selected}"`
+        + ` aria-label="${t('week.tileLabel', { day: label, score, confidence, best, daylight: sunTimes })}">`
+        + `<span class="weekTileDay">${label}</span>`
+        + `<span class="weekTileScore" style="color:${color}">${score}%</span>`
+        + `<span class="bar weekTileBar"><span style="width:${clamp(score, 0, 100)}%;background:${gradient}"></span></span>`
+        + `<span class="weekTileMeta" title="${t('week.confidenceTitle')}">${t('week.confidence', { confidence })}</span>`
+        + `<span class="weekTileMeta weekTileBest" title="${t('week.bestTitle')}">${best}</span>`
+        + `<span class="weekTileMeta" title="${t('week.daylightTitle')}">${sunTimes}</span>`
+        + '</button>';
+    });
+
+    stripEl.style.display = '';
+    stripEl.innerHTML = parts.join('');
+  }
+
+  // Selection changes should not rebuild the strip, only move the marker.
+  function setWeekStripSelection(stripEl, selectedIndex = 0) {
+    if (!stripEl) return;
+    const target = String(Number(selectedIndex));
+    for (const tile of stripEl.querySelectorAll('.weekTile')) {
+      const selected = tile.getAttribute('data-day') === target;
+      tile.classList.toggle('isSelected', selected);
+      tile.setAttribute('aria-pressed', selected ? 'true' : 'false');
+    }
+  }
+
+  global.IWSRenderWeek = {
+    renderWeekStrip,
+    setWeekStripSelection,
+  };
+})(window);
@@ -0,0 +1,74 @@
+'use strict';
+
+(function initWidgetRenderModule(global) {
+  const esc = global.IWSI18n.escapeHtml;
+
+  // Same copy as the page's next-window card (`renderNextWindow` in app.js).
+  function widgetWindowText(side, { t, fmtTime, nowMs }) {
+    const win = side?.win;
+    if (!win) {
+      return { range: t('side.noWindow'), sub: side?.emptySub || t('side.tryLater') };
+    }
+    if (side.activeNow) {
+      const rem = Math.max(0, Math.round((new Date(win.end).getTime() - nowMs) / 60000));
+      return { range: t('side.until', { time: fmtTime(win.end) }), sub: t('side.minutesRemaining', { count: rem }) };
+    }
+    const mins = (win.minutes != null)
+      ? win.minutes
+      : Math.max(0, Math.round((new Date(win.end) - new Date(win.start)) / 60000));
+    return {
+      range: `${fmtTime(win.start)} – ${fmtTime(win.end)}`,
+      sub: t('side.minutesAbove', { count: mins }),
+    };
+  }
+
+  // The widget owns `rootEl` and rebuilds it on every render; it is small
+  // enough that diffing would cost more than it saves.
+  function renderSunWidget({
+    rootEl,
+    view,
+    t,
+    fmtTime,
+    nowMs = Date.now(),
+  } = {}) {
+    if (!rootEl || !view) return;
+
+    const place = view.label || t('widget.title');
+    rootEl.setAttribute('aria-label', t('widget.label', { place }));
+    rootEl.dataset.status = view.status;
+
+    if (view.status !== 'ready') {
+      rootEl.innerHTML = `<p class="sunWidgetHead"><span class="sunWidgetPlace">${esc(place)}</span></p>`
+        + `<p class="sunWidgetMessage" role="status">${esc(view.message)}</p>`;
+      return;
+    }
+
+    const { now, side } = view;
+    const score = Math.round(Number(now.score || 0));
+    const scoreText = now.isNight ? '' : `${t('kpi.scoreNow')} ${score}%`;
+    const windowText = widgetWindowText(side, { t, fmtTime, nowMs });
+
+    rootEl.innerHTML = '<p class="sunWidgetHead">'
+      + `<span class="sunWidgetPlace">${esc(place)}</span>`
+      + `<span class="sunWidgetTime">${esc(fmtTime(nowMs))}</span>`
+      + '</p>'
+      + '<div class="sunWidgetNow">'
+      + `<span class="sunWidgetEmoji" aria-hidden="true">${now.emoji}</span>`
+      + '<span>'
+      + `<span class="sunWidgetQuality">${esc(t(`quality.${now.qualityKey}`))}</span>`
+      + (scoreText ? `<span class="sunWidgetScore">${esc(scoreText)}</span>` : '')
+      + '</span>'
+      + '</div>'
+      + `<div class="sunWidgetNext${side.win ? ' good' : ' bad'}">`
+      + `<span class="sunWidgetHeading">${esc(side.heading)}</span>`
+      + `<span class="sunWidgetWindow">${esc(windowText.range)}</span>`
+      + `<span class="sunWidgetSub">${esc(windowText.sub)}</span>`
+      + '</div>'
+      + `<a class="sunWidgetLink" href="${esc(view.fullUrl)}" target="_blank" rel="noopener">${esc(t('widget.openFull'))}</a>`;
+  }
+
+  global.IWSRenderWidget = {
+    renderSunWidget,
+    widgetWindowText,
+  };
+})(window);
@@ -0,0 +1,99 @@
+'use strict';
+
+(function initWindowsRenderModule(global) {
+  function renderSunWindowList({
+    listEl,
+    windows,
+    focusedStart = '',
+    t,
+    fmtTime,
+    mixSunColor,
+    clamp,
+  } = {}) {
+    if (!listEl) return;
+
+    const wins = windows || [];
+    if (!wins.length) {
+      listEl.style.display = 'none';
+      listEl.innerHTML = '';
+      return;
+    }
+
+    const parts = wins.map((win) => {
+      const range = `${fmtTime(win.start)}–${fmtTime(win.end)}`;
+      const minutes = Math.max(0, Math.round(Number(win.minutes || 0)));
+      const score = Math.round(Number(win.meanScore || 0));
+      const color = mixSunColor(clamp(score / 100, 0, 1), 1);
+      const focused = Boolean(focusedStart) && win.start === focusedStart;
+      const classes = ['sunWindowItem'];
+      if (win.isActive) classes.push('isActive');
+      if (win.isPast) classes.push('isPast');
+      if (focused) classes.push('isFocused');
+      const status = win.isActive ? `, ${t('windows.itemNow')}` : (win.isPast ? `, ${t('windows.itemPast')}` : '');
+      const rangeLabel = t('windows.item', { rank: win.rank, range, minutes, score });
+
+      return '<li>'
+        + `<button type="button" class="${classes.join(' ')}" data-start="${win.start}" data-end="${win.end}" aria-pressed="${focused}"`
+        + ` aria-label="${rangeLabel}${status}">`
+        + `<span class="sunWindowRank">${win.rank}</span>`
+        + `<span class="sunWindowRange">${range}</span>`
+        + `<span class="sunWindowMeta">${t('windows.minutes', { minutes })}</span>`
+        + `<span class="sunWindowScore" style="color:${color}">${score}%</span>`
+        + '</button>'
+        + `<button type="button" class="sunWindowIcs" data-start="${win.start}" data-end="${win.end}"`
+        + ` aria-label="${t('windows.addLabel', { rank: win.rank, range })}" title="${t('calendar.addWindow')}">.ics</button>`
+        + '</li>';
+    });
+
+    listEl.style.display = '';
+    listEl.innerHTML = parts.join('');
+  }
+
+  // "Golden hour 19:42–20:31, likely clear", one line per light hour.
+  function renderLightHourList({
+    listEl,
+    lightHours,
+    t,
+    fmtTime,
+  } = {}) {
+    if (!listEl) return;
+
+    const items = lightHours || [];
+    if (!items.length) {
+      listEl.hidden = true;
+      listEl.innerHTML = '';
+      return;
+    }
+
+    listEl.hidden = false;
+    listEl.innerHTML = items.map((item) => {
+      const name = t(`lightHour.${item.kind}`);
+      const range = `${fmtTime(item.start)}–${fmtTime(item.end)}`;
+      const outlook = item.outlook ? t(`lightHour.outlook.${item.outlook}`) : '';
+      const classes = ['lightHourItem', item.kind === 'golden' ? 'isGolden' : 'isBlue'];
+      if (item.isActive) classes.push('isActive');
+      if (item.isPast) classes.push('isPast');
+      return `<li class="${classes.join(' ')}">`
+        + `<span class="lightHourName">${name}</span>`
+        + `<span class="lightHourRange">${range}</span>`
+        + (outlook ? `<span class="lightHourOutlook">${t('lightHour.outlookSuffix', { outlook })}</span>` : '')
+        + '</li>';
+    }).join('');
+  }
+
+  // Focus changes come from clicks, so only move the marker instead of rebuilding.
+  function setSunWindowListFocus(listEl, focusedStart = '') {
+    if (!listEl) return;
+    for (const item of listEl.querySelectorAll('.sunWindowItem')) {
+      const focused = Boolean(focusedStart) && item.getAttribute('data-start') === focusedStart;
+      item.classList.toggle('isFocused', focused);
+      item.setAttribute('aria-pressed', focused ? 'true' : 'false');
+    }
+  }
+
+  global.IWSRenderWindows = {
+    renderLightHourList,
+    renderSunWindowList,
+    setSunWindowListFocus,
+  };
+})(window);
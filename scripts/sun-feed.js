@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Subscribable sun-window calendar feed.
+ * Responsibilities: fetch `/day` for one location, derive sun windows with the
+ * same forecast model and selector code the page runs, and answer with a
+ * rolling iCalendar feed that calendar apps poll via `webcal://`.
+ *
+ * Usage: node scripts/sun-feed.js [--port 8787] [--api http://127.0.0.1:8000] [--site https://iwannasun.com]
+ * Feed:  GET /feed.ics?lat=52.37&lon=4.9&label=Amsterdam[&threshold=65&min_minutes=15&lang=de]
+ *
+ * No dependencies: the browser modules are loaded as-is into a `vm` context.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const BROWSER_MODULES = ['i18n.js', 'forecast-model.js', 'forecast-selectors.js', 'ics-export.js'];
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_API_BASE = 'http://127.0.0.1:8000';
+const DEFAULT_SITE_URL = 'https://iwannasun.com/';
+// Match DAYS in app.js so the feed covers the same days as the page.
+const FEED_DAYS = 7;
+const FEED_REFRESH_MINUTES = 60;
+const FEED_CACHE_SECONDS = 30 * 60;
+const UPSTREAM_TIMEOUT_MS = 15000;
+
+function loadForecastModules(root = ROOT) {
+  const sandbox = {};
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  for (const file of BROWSER_MODULES) {
+    vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), sandbox, { filename: file });
+  }
+  return {
+    i18n: sandbox.IWSI18n,
+    model: sandbox.IWSForecastModel,
+    createForecastSelectors: sandbox.IWSForecastSelectors.createForecastSelectors,
+    sunBreakDefaults: sandbox.IWSForecastSelectors.SUN_BREAK_DEFAULTS,
+    ics: sandbox.IWSIcsExport,
+  };
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = Number(value);
+  if (value == null || value === '' || !Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(n)));
+}
+
+// Same ranges the settings panel allows; defaults come from the selectors.
+function feedRuleFromQuery(params, defaults) {
+  return {
+    threshold: clampInt(params.get('threshold'), 30, 95, defaults.threshold),
+    minMinutes: clampInt(params.get('min_minutes'), 5, 180, defaults.minMinutes),
+  };
+}
+
+// Every upcoming sun window across the payload's days, oldest first. Windows
+// that already ended drop out, so the feed rolls forward on each poll.
+function sunFeedWindows(modules, rawPayload, { rule, nowMs = Date.now(), location = null } = {}) {
+  const { model, createForecastSelectors } = modules;
+  const data = model.normalizeForecastPayload(rawPayload, location);
+  const selectors = createForecastSelectors({
+    isDaylightRow: model.isDaylightRow,
+    tUtc: model.tUtc,
+    tMs: model.tMs,
+    // Only needed by hour-based selectors, which the feed does not use.
+    localHourForDate: (date) => new Date(date).getUTCHours(),
+    getSunBreakRule: () => rule,
+  });
+  const activeRule = selectors.sunBreakRule();
+  const intervalMinutesHint = Number(data.meta?.interval_minutes || 0);
+
+  return Object.keys(data.days)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .flatMap((dayIndex) => selectors.meaningfulWindows(
+      data.days[dayIndex],
+      activeRule.threshold,
+      activeRule.minMinutes,
+      intervalMinutesHint
+    ))
+    .map(model.normalizeForecastWindow)
+    .filter((win) => win && new Date(win.end).getTime() > nowMs);
+}
+
+// Errors are JSON (`{ "error": ... }`) so scripts polling the feed can tell
+// them from a calendar body.
+function sendError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify({ error: message }));
+}
+
+function createSunFeedHandler({
+  apiBase = DEFAULT_API_BASE,
+  siteUrl = DEFAULT_SITE_URL,
+  fetchImpl = globalThis.fetch,
+  now = () => Date.now(),
+  modules = loadForecastModules(),
+} = {}) {
+  async function respond(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/feed.ics') {
+      sendError(res, 404, 'Not found.');
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendError(res, 405, 'Method not allowed.', { Allow: 'GET' });
+      return;
+    }
+
+    const lat = Number(url.searchParams.get('lat'));
+    const lon = Number(url.searchParams.get('lon'));
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      sendError(res, 400, 'lat and lon are required.');
+      return;
+    }
+    const label = String(url.searchParams.get('label') || '').trim().slice(0, 80);
+    const rule = feedRuleFromQuery(url.searchParams, modules.sunBreakDefaults);
+    // Event text follows `lang`, the page's locale when the link was made.
+    const { t } = modules.i18n.createTranslator(url.searchParams.get('lang') || modules.i18n.DEFAULT_LOCALE);
+
+    const dayUrl = new URL('/day', `${apiBase}/`);
+    dayUrl.searchParams.set('lat', String(lat));
+    dayUrl.searchParams.set('lon', String(lon));
+    dayUrl.searchParams.set('days', String(FEED_DAYS));
+
+    let upstream;
+    try {
+      upstream = await fetchImpl(dayUrl.toString(), { signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS) });
+    } catch {
+      sendError(res, 502, 'Forecast service unreachable.');
+      return;
+    }
+    // Calendar apps retry on 503 + Retry-After, so the API cooldown carries over.
+    // The API answers 429 when rate limited, or 503 when it sheds load.
+    if (upstream.status === 429 || upstream.status === 503) {
+      sendError(res, 503, 'Forecast service is rate limited.', {
+        'Retry-After': upstream.headers.get('Retry-After') || '60',
+      });
+      return;
+    }
+    if (!upstream.ok) {
+      sendError(res, 502, `Forecast service answered ${upstream.status}.`);
+      return;
+    }
+
+    const nowMs = now();
+    let windows;
+    try {
+      windows = sunFeedWindows(modules, await upstream.json(), { rule, nowMs, location: { lat, lon } });
+    } catch {
+      sendError(res, 502, 'Forecast service returned an unreadable forecast.');
+      return;
+    }
+
+    const link = new URL(siteUrl);
+    link.searchParams.set('lat', String(lat));
+    link.searchParams.set('lon', String(lon));
+    if (label) link.searchParams.set('label', label);
+
+    const place = label || `${lat}, ${lon}`;
+    const body = modules.ics.buildSunWindowsIcs({
+      windows,
+      label,
+      lat,
+      lon,
+      url: link.toString(),
+      nowMs,
+      calendarName: t('calendar.feedName', { place }),
+      refreshMinutes: FEED_REFRESH_MINUTES,
+      t,
+    });
+    res.writeHead(200, {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': `public, max-age=${FEED_CACHE_SECONDS}`,
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.end(body);
+  }
+
+  // A bug past the checks above answers 500 instead of leaving the request
+  // hanging on an unhandled rejection.
+  return async function handleSunFeedRequest(req, res) {
+    try {
+      await respond(req, res);
+    } catch {
+      if (!res.headersSent) sendError(res, 500, 'Feed failed.');
+      else res.end();
+    }
+  };
+}
+
+function readArg(args, name, fallback) {
+  const idx = args.indexOf(`--${name}`);
+  return (idx >= 0 && args[idx + 1]) ? args[idx + 1] : fallback;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const port = Number(readArg(args, 'port', DEFAULT_PORT));
+  const handler = createSunFeedHandler({
+    apiBase: readArg(args, 'api', DEFAULT_API_BASE),
+    siteUrl: readArg(args, 'site', DEFAULT_SITE_URL),
+  });
+  http.createServer(handler).listen(port, '127.0.0.1', () => {
+    console.log(`Sun feed on http://127.0.0.1:${port}/feed.ics?lat=52.37&lon=4.9&label=Amsterdam`);
+  });
+}
+
+module.exports = {
+  createSunFeedHandler,
+  feedRuleFromQuery,
+  loadForecastModules,
+  sunFeedWindows,
+};
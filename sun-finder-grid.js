@@ -0,0 +1,90 @@
+'use strict';
+
+(function initSunFinderGridModule(global) {
+  const EARTH_RADIUS_KM = 6371;
+  const KM_PER_DEGREE_LAT = 111.32;
+  const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const toDeg = (rad) => (rad * 180) / Math.PI;
+
+  function roundTo(value, decimals) {
+    const f = 10 ** decimals;
+    return Math.round(Number(value) * f) / f;
+  }
+
+  function wrapLongitude(lon) {
+    return ((((lon + 180) % 360) + 360) % 360) - 180;
+  }
+
+  // Great-circle distance (haversine).
+  function distanceKm(lat1, lon1, lat2, lon2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  // Initial bearing from point 1 to point 2, 0–360° clockwise from north.
+  function bearingDeg(lat1, lon1, lat2, lon2) {
+    const y = Math.sin(toRad(lon2 - lon1)) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2))
+      - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lon2 - lon1));
+    return (toDeg(Math.atan2(y, x)) + 360) % 360;
+  }
+
+  function compassLabel(deg) {
+    const idx = Math.round((((Number(deg) % 360) + 360) % 360) / 45) % COMPASS_POINTS.length;
+    return COMPASS_POINTS[idx];
+  }
+
+  // Center plus two rings of six points (inner at half the radius, outer at
+  // the full radius, rotated 30° so the rings interleave). Thirteen points
+  // keep a search to a modest number of `/day` requests at any radius.
+  function sampleSunFinderGrid(lat, lon, radiusKm, { decimals = 3 } = {}) {
+    const centerLat = Number(lat);
+    const centerLon = Number(lon);
+    const radius = Math.max(0, Number(radiusKm) || 0);
+    if (!Number.isFinite(centerLat) || !Number.isFinite(centerLon)) return [];
+
+    const rings = [
+      { distance: radius / 2, offsetDeg: 0 },
+      { distance: radius, offsetDeg: 30 },
+    ];
+    const points = [{ lat: roundTo(centerLat, decimals), lon: roundTo(centerLon, decimals) }];
+    if (radius > 0) {
+      const cosLat = Math.max(0.01, Math.cos(toRad(centerLat)));
+      for (const ring of rings) {
+        for (let k = 0; k < 6; k += 1) {
+          const theta = toRad(ring.offsetDeg + k * 60);
+          const pLat = centerLat + (ring.distance * Math.cos(theta)) / KM_PER_DEGREE_LAT;
+          const pLon = centerLon + (ring.distance * Math.sin(theta)) / (KM_PER_DEGREE_LAT * cosLat);
+          if (pLat < -90 || pLat > 90) continue;
+          points.push({ lat: roundTo(pLat, decimals), lon: roundTo(wrapLongitude(pLon), decimals) });
+        }
+      }
+    }
+
+    const seen = new Set();
+    return points.filter((p) => {
+      const id = `${p.lat},${p.lon}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    }).map((p) => ({
+      id: `${p.lat},${p.lon}`,
+      lat: p.lat,
+      lon: p.lon,
+      distanceKm: distanceKm(centerLat, centerLon, p.lat, p.lon),
+      bearingDeg: bearingDeg(centerLat, centerLon, p.lat, p.lon),
+    }));
+  }
+
+  global.IWSSunFinderGrid = {
+    bearingDeg,
+    compassLabel,
+    distanceKm,
+    sampleSunFinderGrid,
+  };
+})(window);
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Service worker for the installable forecast app.
+ * Responsibilities: precache the page shell (HTML, JS modules, styles, icons),
+ * serve it offline, and answer `/day` requests from the forecast cache when
+ * the network is unavailable.
+ *
+ * Bump CACHE_VERSION whenever a shipped shell file changes; the page then
+ * shows an update prompt and activates the new worker on request.
+ */
+
+const CACHE_VERSION = 'v36';
+const SHELL_CACHE = `iwannasun-shell-${CACHE_VERSION}`;
+const PAGE_CACHE = `iwannasun-pages-${CACHE_VERSION}`;
+
+// Keep in sync with the script/style/icon tags in index.html.
+const SHELL_ASSETS = [
+  '/',
+  '/index.html',
+  '/site.webmanifest',
+  '/favicon.ico',
+  '/favicon-16x16.png',
+  '/favicon-32x32.png',
+  '/apple-touch-icon.png',
+  '/android-chrome-192x192.png',
+  '/android-chrome-512x512.png',
+  '/iwannasunlogowtext.svg',
+  '/styles/base.css',
+  '/styles/theme-atmosphere.css',
+  '/styles/components-forecast.css',
+  '/styles/components-location.css',
+  '/styles/components-chart.css',
+  '/forecast-model.js',
+  '/forecast-cache.js',
+  '/sun-finder-grid.js',
+  '/task-pool.js',
+  '/ics-export.js',
+  '/file-download.js',
+  '/data-export.js',
+  '/i18n.js',
+  '/forecast-selectors.js',
+  '/render/timeline.js',
+  '/render/week.js',
+  '/render/windows.js',
+  '/render/compare.js',
+  '/render/sun-finder.js',
+  '/render/compass.js',
+  '/render/chart.js',
+  '/theme/atmosphere.js',
+  '/controllers/location.js',
+  '/controllers/interactions.js',
+  '/controllers/settings.js',
+  '/controllers/favourites.js',
+  '/controllers/compare.js',
+  '/controllers/sun-finder.js',
+  '/controllers/data-export.js',
+  '/controllers/calendar.js',
+  '/controllers/compass.js',
+  '/controllers/sun-alerts.js',
+  '/controllers/service-worker.js',
+  '/app.js',
+];
+
+// Matches COORD_CACHE_KEY_DECIMALS in app.js so both sides share records.
+const FORECAST_CACHE_KEY_DECIMALS = 3;
+
+importScripts('/forecast-cache.js');
+const forecastCache = self.IWSForecastCache.createForecastCache();
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_ASSETS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([SHELL_CACHE, PAGE_CACHE]);
+    const keys = await caches.keys();
+    await Promise.all(
+      keys
+        .filter((key) => key.startsWith('iwannasun-') && !keep.has(key))
+        .map((key) => caches.delete(key))
+    );
+    await self.clients.claim();
+  })());
+});
+
+// The page asks a waiting worker to take over once the user accepts the
+// update prompt.
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Sun alerts: tapping one brings back an open tab, or opens the app.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length) return windows[0].focus();
+    return self.clients.openWindow('/');
+  })());
+});
+
+function isDayRequest(url) {
+  return url.pathname === '/day' && url.searchParams.has('lat') && url.searchParams.has('lon');
+}
+
+// Network first; when offline, answer with the last forecast the page stored
+// for these coordinates. `X-IWS-Cached-At` tells the page how old it is.
+async function handleDayRequest(request, url) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const key = self.IWSForecastCache.forecastCacheKey(
+      url.searchParams.get('lat'),
+      url.searchParams.get('lon'),
+      FORECAST_CACHE_KEY_DECIMALS
+    );
+    const record = await forecastCache.get(key);
+    if (!record) throw err;
+    return new Response(JSON.stringify(record.data), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-IWS-Cached-At': String(record.ts),
+      },
+    });
+  }
+}
+
+// Pages (index and city landing pages) go to the network first so content
+// stays current, with the cached copy or the app shell as the offline answer.
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(PAGE_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    const shell = await caches.match('/index.html');
+    if (shell) return shell;
+    throw err;
+  }
+}
+
+async function handleShellAsset(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (isDayRequest(url)) {
+    event.respondWith(handleDayRequest(request, url));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (SHELL_ASSETS.includes(url.pathname)) {
+    event.respondWith(handleShellAsset(request));
+  }
+});
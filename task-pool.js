@@ -0,0 +1,21 @@
+'use strict';
+
+(function initTaskPoolModule(global) {
+  // Runs async `tasks` with at most `limit` in flight, so multi-location
+  // features never burst more requests at the API than the main view would.
+  async function runWithConcurrency(tasks, limit) {
+    let next = 0;
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, tasks.length)) }, async () => {
+      while (next < tasks.length) {
+        const task = tasks[next];
+        next += 1;
+        await task();
+      }
+    });
+    await Promise.all(workers);
+  }
+
+  global.IWSTaskPool = {
+    runWithConcurrency,
+  };
+})(window);
@@ -21,12 +21,22 @@
     decisionContext: document.getElementById('decisionContext'),
     nextWindow: document.getElementById('nextWindow'),
     nextWindowSub: document.getElementById('nextWindowSub'),
+    sunWindowList: document.getElementById('sunWindowList'),
     sunriseTime: document.getElementById('sunriseTime'),
     sunsetTime: document.getElementById('sunsetTime'),
+    lightHourList: document.getElementById('lightHourList'),
+    sunCompass: document.getElementById('sunCompass'),
+    sunCompassCaption: document.getElementById('sunCompassCaption'),
     timeline: document.getElementById('timeline'),
     modelModeNote: document.getElementById('modelModeNote'),
     xAxis: document.getElementById('xAxis'),
+    skyPreview: document.getElementById('skyPreview'),
+    skyPreviewTime: document.getElementById('skyPreviewTime'),
+    btnSkyPreviewNow: document.getElementById('btnSkyPreviewNow'),
+    chartLive: document.getElementById('chartLive'),
+    chartTableBody: document.getElementById('chartTableBody'),
     yAxis: document.getElementById('yAxis'),
+    scoreAxis: document.getElementById('scoreAxis'),
     canvas: document.getElementById('sunChart'),
   };
 
@@ -201,6 +211,7 @@
     if (els.sunriseTime) els.sunriseTime.textContent = '';
     if (els.sunsetTime) els.sunsetTime.textContent = '';
     if (els.timeline) els.timeline.innerHTML = '';
+    if (els.sunWindowList) els.sunWindowList.innerHTML = '';
     if (els.modelModeNote) els.modelModeNote.textContent = '';
     if (els.xAxis) els.xAxis.innerHTML = '';
     if (els.yAxis) els.yAxis.innerHTML = '';
@@ -334,6 +345,437 @@
     assertEqual(state.opts.heading, 'Tomorrow’s likely sun window', 'Tomorrow heading should stay unchanged.');
   });
 
+  test('User sun-window settings flow into the side-card without new data', () => {
+    const rows = [
+      row({ timeUtc: '2026-06-02T10:00:00Z', dayIndex: 1, score: 64, confidence: 0.45, elevation: 12 }),
+      row({ timeUtc: '2026-06-02T10:10:00Z', dayIndex: 1, score: 65, confidence: 0.6, elevation: 18 }),
+      row({ timeUtc: '2026-06-02T10:20:00Z', dayIndex: 1, score: 71, confidence: 0.68, elevation: 20 }),
+      row({ timeUtc: '2026-06-02T10:30:00Z', dayIndex: 1, score: 40, confidence: 0.4, elevation: 16 }),
+    ];
+    try {
+      api.setSelectorTestSettings({ threshold: 70, minMinutes: 10 });
+      const strict = api.selectSideCardViewState(1, rows, { 1: rows }, toMs('2026-06-01T12:00:00Z'), 10);
+      assertEqual(strict.win.start, '2026-06-02T10:20:00.000Z', 'A higher threshold should skip rows below it.');
+      assertEqual(strict.win.end, '2026-06-02T10:30:00.000Z', 'A single row should satisfy a 10-minute minimum.');
+
+      api.setSelectorTestSettings({ threshold: 65, minMinutes: 30 });
+      const long = api.selectSideCardViewState(1, rows, { 1: rows }, toMs('2026-06-01T12:00:00Z'), 10);
+      assertEqual(long.win, null, 'A longer minimum duration should drop the 20-minute window.');
+    } finally {
+      api.setSelectorTestSettings(null);
+    }
+  });
+
+  test('Compare view summarizes each location with the shared side-card and daylight-average rules', () => {
+    const coast = [
+      row({ timeUtc: '2026-06-02T10:00:00Z', dayIndex: 1, score: 80, confidence: 0.8, elevation: 40 }),
+      row({ timeUtc: '2026-06-02T10:10:00Z', dayIndex: 1, score: 85, confidence: 0.8, elevation: 41 }),
+      row({ timeUtc: '2026-06-02T10:20:00Z', dayIndex: 1, score: 90, confidence: 0.8, elevation: 42 }),
+    ];
+    const town = [
+      row({ timeUtc: '2026-06-02T10:30:00Z', dayIndex: 1, score: 20, confidence: 0.5, elevation: 43 }),
+      row({ timeUtc: '2026-06-02T10:40:00Z', dayIndex: 1, score: 30, confidence: 0.5, elevation: 44 }),
+    ];
+    const view = api.selectCompareViewState([
+      { id: 'town', label: 'Town', tzName: 'UTC', data: { meta: { interval_minutes: 10 } }, days: { 1: town } },
+      { id: 'coast', label: 'Coast', tzName: 'UTC', data: { meta: { interval_minutes: 10 } }, days: { 1: coast } },
+    ], 1, toMs('2026-06-01T12:00:00Z'));
+
+    assertEqual(view.locations.map((loc) => loc.id).join('|'), 'town|coast', 'Locations should keep the picked order.');
+    assertEqual(view.bestId, 'coast', 'The highest daylight average should be marked sunniest.');
+    assertApprox(view.locations[1].daylightAvgScore, 85, 1e-9, 'Daylight average should match dayAverages.');
+    assertEqual(view.locations[0].nextWindow, null, 'Low scores should produce no sun window.');
+    assertEqual(view.locations[1].nextWindow.start, '2026-06-02T10:00:00.000Z', 'Next window should come from the side-card selector.');
+    assertEqual(view.range.startMs, toMs('2026-06-02T10:00:00Z'), 'Range should start at the earliest chart row.');
+    assertEqual(view.range.endMs, toMs('2026-06-02T10:40:00Z'), 'Range should end at the latest chart row.');
+  });
+
+  test('Sun finder grid samples the center plus two interleaved rings', () => {
+    const points = api.sampleSunFinderGrid(52.37, 4.9, 20);
+    assertEqual(points.length, 13, 'Grid should hold the center and twelve ring points.');
+    assertEqual(points[0].id, '52.37,4.9', 'The center should come first with a coordinate id.');
+    assertApprox(points[0].distanceKm, 0, 1e-9, 'The center should sit at distance zero.');
+    points.slice(1, 7).forEach((p) => assertApprox(p.distanceKm, 10, 0.2, 'Inner ring should sit at half the radius.'));
+    points.slice(7).forEach((p) => assertApprox(p.distanceKm, 20, 0.2, 'Outer ring should sit at the full radius.'));
+    assertApprox(points[1].bearingDeg, 0, 0.5, 'The first inner point should lie due north.');
+    assertEqual(api.sampleSunFinderGrid(52.37, 4.9, 0).length, 1, 'A zero radius should only check the center.');
+  });
+
+  test('Sun finder ranks spots by mean score inside the chosen hours', () => {
+    const spot = (id, distanceKm, scores) => ({
+      id,
+      distanceKm,
+      bearingDeg: 90,
+      data: { meta: { interval_minutes: 60 } },
+      days: {
+        1: scores.map((score, i) => row({
+          timeUtc: `2026-06-02T${String(9 + i).padStart(2, '0')}:00:00Z`,
+          dayIndex: 1,
+          score,
+          confidence: 0.6,
+          elevation: 30,
+        })),
+      },
+    });
+    // 09:00 scores are outside the 10–13 range and must not count.
+    const points = [
+      spot('near', 5, [100, 70, 70, 70]),
+      spot('far', 30, [0, 90, 90, 60]),
+      spot('tie', 40, [0, 70, 70, 70]),
+    ];
+    const ranking = withTimezone('UTC', () => api.selectSunFinderRanking(points, {
+      dayIndex: 1,
+      fromHour: 10,
+      toHour: 13,
+      limit: 3,
+    }));
+
+    assertEqual(ranking.checked, 3, 'Every spot with rows in range should be scored.');
+    assertEqual(ranking.top.map((p) => p.id).join('|'), 'far|near|tie', 'Higher mean score should win, then the closer spot on ties.');
+    assertApprox(ranking.top[1].meanScore, 70, 1e-9, 'Mean score should only use rows inside the hour range.');
+    assertEqual(ranking.top[0].window.start, '2026-06-02T10:00:00.000Z', 'Window should come from meaningfulWindows.');
+    assertEqual(ranking.top[0].window.minutes, 120, 'Window should cover the two qualifying hours.');
+    assertEqual(ranking.top[2].rank, 3, 'Ranks should be one-based.');
+  });
+
+  test('Sun alerts target only today\'s upcoming window and fire the lead time before it', () => {
+    const { data, days } = renderFixtureData();
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 1, isBusy: false });
+    const win = api.nextSunAlertWindow(toMs('2026-06-01T09:30:00Z'));
+    assertEqual(win?.start, '2026-06-01T10:00:00.000Z', 'Alerts should follow today\'s next window even when another day is shown.');
+    assertEqual(api.nextSunAlertWindow(toMs('2026-06-01T10:12:00Z')), null, 'An active window should not schedule an alert.');
+    assertEqual(api.nextSunAlertWindow(toMs('2026-06-01T11:00:00Z')), null, 'Tomorrow\'s fallback window should not schedule an alert.');
+
+    const plan = api.planSunAlert({ win, leadMinutes: 20, nowMs: toMs('2026-06-01T09:00:00Z') });
+    assertEqual(plan.fireAtMs, toMs('2026-06-01T09:40:00Z'), 'Alerts should fire the lead time before the window starts.');
+    const late = api.planSunAlert({ win, leadMinutes: 20, nowMs: toMs('2026-06-01T09:50:00Z') });
+    assertEqual(late.fireAtMs, toMs('2026-06-01T09:50:00Z'), 'Inside the lead time the alert should fire right away.');
+    assertEqual(
+      api.sunAlertMessage({ label: 'Amsterdam', minutes: 20, until: '15:40' }),
+      'Sun likely in 20 minutes at Amsterdam (until 15:40)',
+      'Alert text should name the place, lead, and window end.'
+    );
+  });
+
+  test('Calendar export writes one event per sun window with location details', () => {
+    const { data, days } = renderFixtureData();
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 0, isBusy: false });
+    const windows = api.calendarWindowsForDay(0);
+    assertEqual(windows.length, 1, 'Export should use the day\'s sun-break windows.');
+
+    const ics = api.buildSunWindowsIcs({
+      windows: windows.map(api.normalizeForecastWindow),
+      label: 'Den Haag, Zuid-Holland',
+      lat: 52.0705,
+      lon: 4.3007,
+      nowMs: toMs('2026-06-01T08:00:00Z'),
+    });
+    const lines = ics.split('\r\n');
+    assertEqual(lines[0], 'BEGIN:VCALENDAR', 'Output should be an iCalendar document.');
+    assertEqual(lines.filter((line) => line === 'BEGIN:VEVENT').length, 1, 'Each window should become one event.');
+    assertEqual(lines.includes('DTSTART:20260601T100000Z'), true, 'Event start should come from the window start in UTC.');
+    assertEqual(lines.includes('DTEND:20260601T103000Z'), true, 'Event end should come from the window end in UTC.');
+    assertEqual(lines.includes('LOCATION:Den Haag\\, Zuid-Holland'), true, 'Commas in the label should be escaped.');
+    assertEqual(lines.includes('GEO:52.071;4.301'), true, 'Coordinates should be included.');
+    assertEqual(lines.every((line) => line.length <= 75), true, 'Long lines should be folded.');
+    assertEqual(lines.includes('SUMMARY:Sun likely at Den Haag\\, Zuid-Holland'), true, 'Event text should default to English.');
+
+    const german = api.buildSunWindowsIcs({
+      windows: windows.map(api.normalizeForecastWindow),
+      label: 'Den Haag',
+      lat: 52.0705,
+      lon: 4.3007,
+      nowMs: toMs('2026-06-01T08:00:00Z'),
+      t: window.IWSI18n.createTranslator('de').t,
+    });
+    assertEqual(german.includes('SUMMARY:Wahrscheinlich Sonne in Den Haag\r\n'), true, 'Event text should follow the passed translator.');
+    assertEqual(german.replace(/\r\n /g, '').includes('Wahrscheinlich 30 Minuten Sonne'), true, 'The description should be translated too.');
+  });
+
+  test('Embed widget reads its URL and renders sun now plus the next window on its own root', () => {
+    const widget = window.IWSWidget;
+    const bad = widget.readWidgetOptionsFromUrl('https://iwannasun.com/widget/?lat=abc&theme=neon');
+    assertEqual(bad.hasLocation, false, 'Missing coordinates should be reported.');
+    assertEqual(bad.theme, 'atmospheric', 'Unknown themes should fall back to atmospheric.');
+
+    const options = widget.readWidgetOptionsFromUrl('https://iwannasun.com/widget/?lat=52.37&lon=4.9&label=Caf%C3%A9%20%3CZon%3E&theme=DARK&threshold=200');
+    assertEqual(options.hasLocation, true, 'Valid coordinates should be accepted.');
+    assertEqual(options.label, 'Café <Zon>', 'The label should be decoded.');
+    assertEqual(options.theme, 'dark', 'Themes should be case-insensitive.');
+    assertEqual(options.rule.threshold, 95, 'Rule overrides should be clamped like shared links.');
+    assertEqual(options.rule.minMinutes, window.IWSForecastSelectors.SUN_BREAK_DEFAULTS.minMinutes, 'Missing rule values should use the shared defaults.');
+
+    const { days } = renderFixtureData();
+    const data = api.normalizeForecastPayload({
+      meta: { tz_name: 'UTC', interval_minutes: 10 },
+      timeline: [...days[0], ...days[1]],
+    });
+    const i18n = window.IWSI18n.createTranslator('en');
+    const selectors = widget.createWidgetSelectors({
+      model: window.IWSForecastModel,
+      tzName: 'UTC',
+      rule: { threshold: 65, minMinutes: 15 },
+      t: i18n.t,
+    });
+    const nowMs = toMs('2026-06-01T09:52:00Z');
+    const view = widget.selectWidgetViewState({ data, options, selectors, nowMs });
+    assertEqual(view.now.qualityKey, 'veryWeak', 'Sun now should use the row nearest to now.');
+    assertEqual(view.side.win.start, '2026-06-01T10:00:00.000Z', 'The next window should come from the side-card selector.');
+    assertEqual(view.fullUrl.includes('label=Caf%C3%A9+%3CZon%3E'), true, 'The full-forecast link should carry the location.');
+
+    const rootEl = document.createElement('section');
+    window.IWSRenderWidget.renderSunWidget({
+      rootEl,
+      view,
+      t: i18n.t,
+      fmtTime: (value) => new Date(value).toISOString().slice(11, 16),
+      nowMs,
+    });
+    assertEqual(rootEl.querySelector('.sunWidgetPlace').textContent, 'Café <Zon>', 'Labels should be escaped, not parsed.');
+    assertEqual(rootEl.querySelector('.sunWidgetWindow').textContent, '10:00 – 10:30', 'The window range should use location time.');
+    assertEqual(rootEl.querySelector('.sunWidgetHeading').textContent, 'Next likely sun window today', 'The heading should match the page copy.');
+    assertEqual(rootEl.querySelector('.sunWidgetScore').textContent, 'Sun score now 20%', 'The score now should be shown in daylight.');
+  });
+
+  test('Data export writes the selected day or all days as CSV and JSON with a metadata header', () => {
+    const { data } = renderFixtureData();
+    const fixtureDays = renderFixtureData().days;
+    const days = {
+      0: fixtureDays[0].map((r, idx) => api.normalizeTimelineRow(r, idx)),
+      1: fixtureDays[1].map((r, idx) => api.normalizeTimelineRow(r, idx)),
+    };
+    api.setSelectorTestAppState({ data: { ...data, model: 'ray' }, days, tzName: 'UTC', dayIndex: 1, isBusy: false });
+
+    const dayRows = api.exportRowsForScope('day');
+    const allRows = api.exportRowsForScope('all');
+    assertEqual(dayRows.length, 5, 'Day scope should export the selected day only.');
+    assertEqual(allRows.length, 11, 'All-days scope should export every day.');
+    assertEqual(allRows[0].time_utc, '2026-06-01T09:50:00.000Z', 'All days should start with day 0.');
+
+    const header = api.forecastExportHeader({
+      label: 'Den Haag, Zuid-Holland',
+      lat: 52.07052,
+      lon: 4.30073,
+      model: 'ray',
+      meta: data.meta,
+      scope: 'day',
+      dayIndex: 1,
+      nowMs: toMs('2026-06-01T08:00:00Z'),
+    });
+    const lines = api.buildForecastCsv({ rows: dayRows, header }).split('\r\n');
+    assertEqual(lines.includes('# location_label: Den Haag, Zuid-Holland'), true, 'The CSV header should name the location.');
+    assertEqual(lines.includes('# location_lat: 52.0705'), true, 'The CSV header should carry the coordinates.');
+    assertEqual(lines.includes('# model: ray'), true, 'The CSV header should carry the model.');
+    assertEqual(lines.includes('# meta_tz_name: UTC'), true, 'Forecast meta should be copied into the CSV header.');
+    const columnsAt = lines.indexOf('day_index,time_utc,time_local,sun_score,confidence,elevation,azimuth,is_daylight,cloud_low,cloud_mid,cloud_high,precip_mm');
+    assertNotEqual(columnsAt, -1, 'The CSV should have one named column per field.');
+    assertEqual(lines[columnsAt + 1], '1,2026-06-02T10:00:00.000Z,2026-06-02T10:00:00Z,52,0.45,4,180,true,0,0,0,0', 'Rows should follow the column order.');
+    assertEqual(lines.filter((line) => line && !line.startsWith('#')).length, 6, 'Each row should become one CSV line.');
+
+    const json = JSON.parse(api.buildForecastJson({ rows: dayRows, header }));
+    assertEqual(json.location.label, 'Den Haag, Zuid-Holland', 'The JSON header should name the location.');
+    assertEqual(json.meta.interval_minutes, 10, 'Forecast meta should be copied into the JSON header.');
+    assertEqual(json.day_index, 1, 'Day exports should record the day index.');
+    assertEqual(json.rows.length, 5, 'Every exported row should be in the JSON.');
+    assertEqual(json.rows[0].cloud.low, 0, 'Cloud layers should stay nested in JSON.');
+    assertEqual('_tUtc' in json.rows[0] || '_tMs' in json.rows[0], false, 'Internal parse fields should be stripped.');
+  });
+
+  test('Favourites reorder, rename, and lead matching city suggestions', () => {
+    const favourites = api.getSelectorTestFavouritesController();
+    try {
+      favourites.addFavourite(52.3676, 4.9041, 'Amsterdam');
+      favourites.addFavourite(51.9225, 4.47917, 'Rotterdam');
+      favourites.addFavourite(52.36761, 4.90412, 'Amsterdam again');
+      assertEqual(favourites.getFavourites().length, 2, 'Saving the same rounded coordinates twice should be a no-op.');
+
+      favourites.moveFavourite('51.923,4.479', -1);
+      assertEqual(favourites.getFavourites().map((fav) => fav.label).join('|'), 'Rotterdam|Amsterdam', 'Moving up should reorder the list.');
+
+      favourites.renameFavourite('52.368,4.904', 'Home');
+      favourites.renameFavourite('51.923,4.479', '   ');
+      assertEqual(favourites.getFavourites().map((fav) => fav.label).join('|'), 'Rotterdam|Home', 'Blank renames should keep the old label.');
+
+      const matches = favourites.matchFavourites('ho');
+      assertEqual(matches.length, 1, 'Only favourites whose label contains the query should match.');
+      assertEqual(matches[0].name, 'Home', 'Matches should use the geocoding row shape.');
+      assertEqual(matches[0].latitude, 52.368, 'Matches should carry rounded coordinates.');
+      assertEqual(matches[0].isFavourite, true, 'Matches should be flagged for the suggestion list.');
+      assertEqual(favourites.matchFavourites(' ').length, 0, 'Blank queries should not match.');
+    } finally {
+      favourites.getFavourites().forEach((fav) => favourites.removeFavourite(fav.id));
+    }
+    assertEqual(favourites.getFavourites().length, 0, 'Deleting should empty the store.');
+  });
+
+  test('Favourites panel stays open while its list is edited', () => {
+    const favourites = api.getSelectorTestFavouritesController();
+    const panel = document.getElementById('favouritesPanel');
+    const list = document.getElementById('favouritesList');
+    const clickAction = (action, id) => list.querySelector(`[data-action="${action}"][data-id="${id}"]`).click();
+    try {
+      favourites.addFavourite(52.3676, 4.9041, 'Amsterdam');
+      favourites.addFavourite(51.9225, 4.47917, 'Rotterdam');
+      favourites.addFavourite(48.8566, 2.3522, 'Paris');
+      document.getElementById('btnFavourites').click();
+      assertEqual(panel.hidden, false, 'The switcher should open the panel.');
+
+      clickAction('down', '52.368,4.904');
+      assertEqual(panel.hidden, false, 'Moving a favourite should keep the panel open.');
+      clickAction('rename', '52.368,4.904');
+      assertEqual(panel.hidden, false, 'Starting a rename should keep the panel open.');
+      assert(list.querySelector('.favouriteRename'), 'The rename field should stay in the open panel.');
+      clickAction('delete', '48.857,2.352');
+      assertEqual(panel.hidden, false, 'Deleting a favourite should keep the panel open.');
+
+      document.body.click();
+      assertEqual(panel.hidden, true, 'Clicking outside should still close the panel.');
+    } finally {
+      favourites.getFavourites().forEach((fav) => favourites.removeFavourite(fav.id));
+      panel.hidden = true;
+    }
+  });
+
+  test('Sun-break rule falls back to the 65/15 defaults', () => {
+    const rule = api.sunBreakRule();
+    assertEqual(rule.threshold, 65, 'Default threshold should stay at 65.');
+    assertEqual(rule.minMinutes, 15, 'Default minimum duration should stay at 15 minutes.');
+  });
+
+  test('Later-day decision uses the daylight-average path with a forecast-local weekday label', () => {
+    const rows = [
+      row({ timeUtc: '2026-06-05T09:00:00Z', dayIndex: 4, score: 30, confidence: 0.5, elevation: 20 }),
+      row({ timeUtc: '2026-06-05T12:00:00Z', dayIndex: 4, score: 90, confidence: 0.7, elevation: 50 }),
+      row({ timeUtc: '2026-06-05T15:00:00Z', dayIndex: 4, score: 60, confidence: 0.9, elevation: 30 }),
+    ];
+    const state = withTimezone('UTC', () => api.selectDecisionViewState(4, rows, 50));
+    assertEqual(state.source, 'day_daylight_average', 'Days after tomorrow should use the generic daylight-average source.');
+    assertEqual(state.isTomorrow, false, 'Days after tomorrow should not be flagged as tomorrow.');
+    assertEqual(state.dayPhrase, 'Friday', 'Day phrase should be the forecast-local weekday.');
+    assertEqual(state.contextLabel, 'Friday (daylight average)', 'Context label should use the weekday instead of "tomorrow".');
+    assertEqual(state.decisionRow.time_utc, '2026-06-05T12:00:00Z', 'Synthetic row should anchor to forecast-local noon.');
+    assertApprox(state.score, 60, 1e-9, 'Synthetic score should average daylight rows.');
+  });
+
+  test('Later-day side-card uses a weekday heading and the same sun-break rule', () => {
+    const rows = [
+      row({ timeUtc: '2026-06-06T10:00:00Z', dayIndex: 5, score: 70, confidence: 0.6, elevation: 30 }),
+      row({ timeUtc: '2026-06-06T10:10:00Z', dayIndex: 5, score: 72, confidence: 0.6, elevation: 31 }),
+      row({ timeUtc: '2026-06-06T10:20:00Z', dayIndex: 5, score: 20, confidence: 0.6, elevation: 32 }),
+    ];
+    const state = withTimezone('UTC', () => api.selectSideCardViewState(5, rows, { 5: rows }, toMs('2026-06-01T12:00:00Z'), 10));
+    assertEqual(state.mode, 'day_selected', 'Days after tomorrow should use the generic day mode.');
+    assertEqual(state.win.start, '2026-06-06T10:00:00.000Z', 'Window should come from the selected day rows.');
+    assertEqual(state.opts.heading, 'Saturday’s likely sun window', 'Heading should use the weekday name.');
+    assertEqual(state.opts.emptySub, 'No meaningful window on Saturday.', 'Empty copy should use the weekday name.');
+  });
+
+  test('Language switch translates selector copy, day names and plural messages', () => {
+    const i18n = window.IWSI18n;
+    const de = i18n.createTranslator('de');
+    assertEqual(de.t('calendar.downloaded', { count: 1 }), 'Kalendereintrag heruntergeladen', 'One should pick the singular form.');
+    assertEqual(de.t('calendar.downloaded', { count: 3 }), '3 Kalendereinträge heruntergeladen', 'Other counts should pick the plural form.');
+    assertEqual(de.t('settings.hours', { count: 1.5 }), '1,5 Stunden', 'Numbers should use the locale decimal separator.');
+    assertEqual(de.t('no.such.key'), 'no.such.key', 'Unknown keys should fall back to the key itself.');
+    assertEqual(i18n.detectLocale(['pt-BR', 'nl-BE']), 'nl', 'Detection should take the first supported primary language.');
+    assertEqual(i18n.detectLocale(['pt-BR']), 'en', 'Unsupported languages should fall back to English.');
+    assertEqual(i18n.escapeHtml(`<b>Tom's & "Co"</b>`), '&lt;b&gt;Tom&#39;s &amp; &quot;Co&quot;&lt;/b&gt;', 'Markup text should be escaped once, in one place.');
+
+    const shell = document.createElement('div');
+    shell.innerHTML = '<h1 data-i18n="shell.cityTagline" data-i18n-params=\'{"city":"Köln"}\'>Find the next sunny window in Köln.</h1>';
+    i18n.applyStaticTranslations(shell, de.t);
+    assertEqual(shell.textContent, 'Finde die nächste Sonnenlücke in Köln.', 'Shell copy should take its params from data-i18n-params.');
+
+    const rows = [
+      row({ timeUtc: '2026-06-06T10:00:00Z', dayIndex: 5, score: 70, confidence: 0.6, elevation: 30 }),
+      row({ timeUtc: '2026-06-06T10:10:00Z', dayIndex: 5, score: 72, confidence: 0.6, elevation: 31 }),
+      row({ timeUtc: '2026-06-06T10:20:00Z', dayIndex: 5, score: 20, confidence: 0.6, elevation: 32 }),
+    ];
+    const nowMs = toMs('2026-06-01T12:00:00Z');
+    api.setSelectorTestLocale('de');
+    try {
+      const tomorrow = api.selectSideCardViewState(1, [], { 1: [] }, nowMs, 10);
+      assertEqual(tomorrow.opts.heading, 'Wahrscheinliches Sonnenfenster morgen', 'Tomorrow heading should be translated.');
+      const later = withTimezone('UTC', () => api.selectSideCardViewState(5, rows, { 5: rows }, nowMs, 10));
+      assertEqual(later.opts.heading, 'Wahrscheinliches Sonnenfenster am Samstag', 'Weekday headings should use the German day name.');
+      assertEqual(els.daySelect.options[0].textContent, 'Heute', 'Day picker labels should follow the language.');
+      assertEqual(document.documentElement.lang, 'de', 'The document language should follow the picker.');
+    } finally {
+      api.setSelectorTestLocale('');
+    }
+    assertEqual(els.daySelect.options[0].textContent, 'Today', 'Resetting should return to English.');
+  });
+
+  test('Day bucketing keeps a full seven-day horizon', () => {
+    const timeline = [];
+    for (let d = 0; d < 7; d += 1) {
+      timeline.push(row({ timeUtc: `2026-06-0${d + 1}T12:00:00Z`, dayIndex: d, score: 50 }));
+    }
+    const days = api.bucketForecastRowsByDay(timeline.reverse());
+    assertEqual(Object.keys(days).length, 7, 'Every forecast day should get its own bucket.');
+    assertEqual(days[6][0].time_utc, '2026-06-07T12:00:00Z', 'Late days should keep their rows.');
+  });
+
+  test('Week strip summarizes every forecast day with averages, best window, and daylight span', () => {
+    const { days } = renderFixtureData();
+    const strip = api.selectWeekStripViewState(days, 10);
+    assertEqual(strip.tiles.length, 2, 'Each bucketed day should produce a tile.');
+    assertEqual(strip.tiles[1].dayIndex, 1, 'Tiles should stay in day order.');
+    assertApprox(strip.tiles[1].avgScore, (52 + 65 + 80 + 68 + 62) / 5, 1e-9, 'Tile score should be the daylight average.');
+    assertEqual(strip.tiles[1].bestWindow.start, '2026-06-02T12:00:00.000Z', 'Tile window should use the sun-break rule.');
+    assertEqual(strip.tiles[0].dayWin.end.toISOString(), '2026-06-01T10:30:00.000Z', 'Tile daylight span should end at the last daylight row.');
+  });
+
+  test('Switching days moves the week-strip marker without rebuilding the tiles', () => {
+    resetRenderRig();
+    const weekStrip = document.getElementById('weekStrip');
+    const { data, days } = renderFixtureData();
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 0, isBusy: false });
+    withFixedNow(toMs('2026-06-01T10:12:00Z'), () => api.render());
+    assertEqual(weekStrip.querySelectorAll('.weekTile').length, 2, 'Render should build one tile per day.');
+
+    const firstTile = weekStrip.querySelector('.weekTile');
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 1, isBusy: false });
+    withFixedNow(toMs('2026-06-01T10:12:00Z'), () => api.render());
+    assertEqual(weekStrip.querySelector('.weekTile'), firstTile, 'Day switches should keep the existing tile nodes.');
+    assertEqual(weekStrip.querySelector('.isSelected')?.getAttribute('data-day'), '1', 'Selected marker should follow the day select.');
+  });
+
+  test('Side-card lists every sun window of the day ranked by mean score', () => {
+    const rows = [
+      row({ timeUtc: '2026-06-01T09:00:00Z', score: 70, confidence: 0.6, elevation: 10 }),
+      row({ timeUtc: '2026-06-01T09:10:00Z', score: 72, confidence: 0.6, elevation: 12 }),
+      row({ timeUtc: '2026-06-01T09:20:00Z', score: 20, confidence: 0.4, elevation: 14 }),
+      row({ timeUtc: '2026-06-01T11:00:00Z', score: 88, confidence: 0.8, elevation: 30 }),
+      row({ timeUtc: '2026-06-01T11:10:00Z', score: 92, confidence: 0.8, elevation: 32 }),
+      row({ timeUtc: '2026-06-01T11:20:00Z', score: 25, confidence: 0.4, elevation: 33 }),
+    ];
+    const state = api.selectSideCardViewState(0, rows, {}, toMs('2026-06-01T10:00:00Z'), 10);
+    assertEqual(state.mode, 'next_today', 'The headline should still point at the next window.');
+    assertEqual(state.windows.length, 2, 'Every window of the day should be listed.');
+    assertEqual(state.windows[0].start, '2026-06-01T11:00:00.000Z', 'The higher-scoring window should rank first.');
+    assertEqual(state.windows[0].rank, 1, 'Ranks should start at one.');
+    assertApprox(state.windows[0].meanScore, 90, 1e-9, 'Mean score should average the rows inside the window.');
+    assertEqual(state.windows[1].isPast, true, 'Earlier windows should be flagged as past.');
+    assertEqual(state.windows[0].isPast, false, 'Later windows should not be flagged as past.');
+  });
+
+  test('Picking a listed sun window marks it and the matching timeline rows', () => {
+    resetRenderRig();
+    const { data, days } = renderFixtureData();
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 1, isBusy: false });
+    withFixedNow(toMs('2026-06-01T10:12:00Z'), () => api.render());
+    const items = els.sunWindowList.querySelectorAll('.sunWindowItem');
+    assertEqual(items.length, 1, 'Render should list the selected day windows.');
+
+    withFixedNow(toMs('2026-06-01T10:12:00Z'), () => items[0].click());
+    assertEqual(items[0].classList.contains('isFocused'), true, 'The clicked window should be marked as focused.');
+    const marked = els.timeline.querySelectorAll('.isInFocusedWindow');
+    assertEqual(marked[0]?.getAttribute('data-time'), '2026-06-02T12:00:00.000Z', 'Timeline marking should start at the window start.');
+    assertEqual(marked.length, 4, 'Every timeline row inside the window (through 14:00) should be marked.');
+    assertEqual(api.getSelectorTestInternals().focusedWindow?.start, '2026-06-02T12:00:00.000Z', 'Focused window should drive the chart band.');
+  });
+
   test('Today theme selection passes sunrise and sunset as twilight context', () => {
     const rows = [
       row({ timeUtc: '2026-06-01T06:00:00Z', score: 42, confidence: 0.5, elevation: 2 }),
@@ -476,6 +918,66 @@
     );
   });
 
+  test('Solar position matches published ephemeris values', () => {
+    const { solarPosition } = window.IWSForecastModel;
+    // NREL SPA reference case (Reda & Andreas 2004): Golden, Colorado.
+    const golden = solarPosition('2003-10-17T19:30:30Z', 39.742476, -105.1786);
+    assertApprox(golden.elevation, 90 - 50.11162, 0.02, 'Elevation should match the SPA reference.');
+    assertApprox(golden.azimuth, 194.34024, 0.02, 'Azimuth should match the SPA reference.');
+
+    const solstice = solarPosition('2024-06-20T20:51:00Z', 0, 0);
+    assertApprox(solstice.declination, 23.4387, 0.01, 'Declination should peak at the June solstice.');
+    const equinox = solarPosition('2024-03-20T03:06:00Z', 0, 0);
+    assertApprox(equinox.declination, 0, 0.01, 'Declination should cross zero at the March equinox.');
+
+    // Sydney around local solar noon: sun due north, low in the winter sky.
+    const sydney = solarPosition('2024-06-21T01:57:00Z', -33.8688, 151.2093);
+    assertApprox(Math.cos(sydney.azimuth * Math.PI / 180), 1, 0.001, 'Southern-hemisphere noon sun should stand in the north.');
+    assertApprox(sydney.elevation, 90 - 33.8688 - 23.4387, 0.1, 'Noon elevation should follow latitude and declination.');
+    assertEqual(solarPosition('bad', 52, 4), null, 'Invalid timestamps should give no position.');
+  });
+
+  test('Rows without sun geometry get it derived from the location and are flagged', () => {
+    const where = { lat: 39.742476, lon: -105.1786 };
+    const bare = { time_utc: '2003-10-17T19:30:30Z', sun_score: 60 };
+    const derived = api.normalizeTimelineRow(bare, 0, where);
+    assertApprox(derived.elevation, 39.89, 0.02, 'Missing elevation should be computed.');
+    assertApprox(derived.azimuth, 194.34, 0.02, 'Missing azimuth should be computed.');
+    assertEqual(derived.is_daylight, true, 'Daylight should follow the derived elevation.');
+    assertEqual(derived.geometry_derived, true, 'Derived rows should be flagged.');
+
+    const night = api.normalizeTimelineRow({ time_utc: '2003-10-18T06:00:00Z' }, 1, where);
+    assert(night.elevation < 0, 'Night rows should get a negative elevation.');
+    assertEqual(night.is_daylight, false, 'Night rows should not count as daylight.');
+
+    const unplaced = api.normalizeTimelineRow(bare, 0);
+    assertEqual(unplaced.elevation, 0, 'Without a location the elevation default should stay.');
+    assertEqual(unplaced.azimuth, 180, 'Without a location the azimuth default should stay.');
+    assertEqual(unplaced.geometry_derived, undefined, 'Rows without a location should not be flagged.');
+
+    const supplied = api.normalizeTimelineRow({
+      ...bare,
+      elevation: 12,
+      azimuth: 250,
+      is_daylight: true,
+    }, 0, where);
+    assertEqual(supplied.elevation, 12, 'API elevation should win over the calculator.');
+    assertEqual(supplied.azimuth, 250, 'API azimuth should win over the calculator.');
+    assertEqual(supplied.geometry_derived, undefined, 'Rows with full API geometry should not be flagged.');
+
+    const partial = api.normalizeTimelineRow({ ...bare, elevation: 12 }, 0, where);
+    assertEqual(partial.elevation, 12, 'Supplied elevation should be kept when only azimuth is missing.');
+    assertApprox(partial.azimuth, 194.34, 0.02, 'Only the missing azimuth should be derived.');
+    assertEqual(partial.geometry_derived, true, 'Partially derived rows should be flagged.');
+
+    const daylightOnly = api.normalizeTimelineRow({ ...bare, elevation: -3, azimuth: 250 }, 0, where);
+    assertEqual(daylightOnly.is_daylight, false, 'Missing daylight should follow the supplied elevation.');
+    assertEqual(daylightOnly.geometry_derived, undefined, 'Rows missing only is_daylight should not be flagged.');
+
+    const payload = api.normalizeForecastPayload({ timeline: [bare] }, where);
+    assertEqual(payload.timeline[0].geometry_derived, true, 'Payload normalization should pass the location through.');
+  });
+
   test('Optional normalization defaults remain predictable for clouds, meta, and windows', () => {
     const normalized = api.normalizeForecastPayload({
       meta: { tz_name: '   ', interval_minutes: 'bad' },
@@ -536,6 +1038,26 @@
     assertEqual(derived.start, '2026-06-01T10:00:00.000Z', 'Derived windows should keep normalized ISO timestamps.');
   });
 
+  test('Cached forecasts are renumbered so day zero is today again', () => {
+    const payload = api.normalizeForecastPayload({
+      meta: { tz_name: 'UTC', interval_minutes: 60 },
+      timeline: [
+        { time_utc: '2026-06-01T12:00:00Z', day_index: 0, sun_score: 40, confidence: 0.5, elevation: 50 },
+        { time_utc: '2026-06-02T12:00:00Z', day_index: 1, sun_score: 70, confidence: 0.6, elevation: 50 },
+        { time_utc: '2026-06-03T12:00:00Z', day_index: 2, sun_score: 90, confidence: 0.7, elevation: 50 },
+      ],
+      next_sunny_window_by_day: {
+        1: { start: '2026-06-02T12:00:00Z', end: '2026-06-02T13:00:00Z' },
+      },
+    });
+    const shifted = api.shiftForecastDays(payload, 1);
+    assertEqual(shifted.timeline.length, 2, 'Elapsed days should be dropped.');
+    assertEqual(shifted.days[0][0].time_utc, '2026-06-02T12:00:00.000Z', 'The next fetched day should become day zero.');
+    assertEqual(shifted.days[1][0].day_index, 1, 'Later days should be renumbered.');
+    assertEqual(shifted.next_sunny_window_by_day['0'].start, '2026-06-02T12:00:00.000Z', 'Per-day windows should follow their day.');
+    assertEqual(api.shiftForecastDays(payload, 0), payload, 'A same-day cache should be used as-is.');
+  });
+
   test('Unchanged derived snapshots do not plan unnecessary surface updates', () => {
     const nowMs = toMs('2026-06-01T10:12:00Z');
     const { renderState, snapshot } = renderSnapshotAt({ nowMs });
@@ -631,6 +1153,118 @@
     assertEqual(after.chartAxisKey, before.chartAxisKey, 'Hover redraws should preserve the same chart-axis key.');
   });
 
+  test('Cloud-layer panel stacks low/mid/high and rain per chart column and shares the hover index', () => {
+    const calls = [];
+    const fakeCtx = new Proxy({}, {
+      get(target, prop) {
+        if (prop in target) return target[prop];
+        if (prop === 'measureText') return () => ({ width: 40 });
+        return (...args) => calls.push([prop, ...args]);
+      },
+      set(target, prop, value) {
+        target[prop] = value;
+        return true;
+      },
+    });
+    const canvas = document.createElement('canvas');
+    canvas.getBoundingClientRect = () => ({ width: 320, height: 80 });
+    const rows = [
+      row({ timeUtc: '2026-06-01T10:00:00Z', score: 20, elevation: 20, low: 80 }),
+      row({ timeUtc: '2026-06-01T10:10:00Z', score: 20, elevation: 21, mid: 40, high: 100, precip: 1.2 }),
+    ];
+
+    withTimezone('UTC', () => api.renderCloudLayers({
+      canvas,
+      ctx: fakeCtx,
+      rows,
+      hover: { active: true, idx: 1 },
+      clamp: (v, lo, hi) => Math.max(lo, Math.min(hi, v)),
+      fmtTime: () => '10:10',
+      tUtc: (r) => new Date(r.time_utc),
+    }));
+
+    const bars = calls.filter(([name]) => name === 'fillRect');
+    assertEqual(bars.length, 4, 'Only non-zero layers should draw: low for 10:00, mid/high/rain for 10:10.');
+    const text = calls.find(([name]) => name === 'fillText');
+    assertEqual(text?.[1], '10:10 · High 100% · Mid 40% · Low 0% · Rain 1.2 mm', 'Hover should describe the same column as the sun chart.');
+  });
+
+  test('Confidence ribbon widens as confidence drops and fills the secondary score axis', () => {
+    const band = api.confidenceBandForRows([
+      row({ timeUtc: '2026-06-01T10:00:00Z', score: 60, confidence: 1 }),
+      row({ timeUtc: '2026-06-01T10:10:00Z', score: 60, confidence: 0.4 }),
+      row({ timeUtc: '2026-06-01T10:20:00Z', score: 90, confidence: 0 }),
+    ]);
+    assertEqual(band[0].high - band[0].low, 0, 'Full confidence should collapse the ribbon onto the score line.');
+    assertApprox(band[1].low, 42, 0.001, 'Ribbon should spread 30 points scaled by missing confidence.');
+    assertApprox(band[1].high, 78, 0.001, 'Ribbon should be symmetric around the score.');
+    assertEqual(band[1].lowConfidence, true, 'Confidence under 0.5 should mark a low-confidence stretch.');
+    assertEqual(band[0].lowConfidence, false, 'Confident rows should not be marked.');
+    assertEqual(band[2].high, 100, 'Ribbon should stay on the 0-100 score axis.');
+
+    resetRenderRig();
+    const { data, days } = renderFixtureData();
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 0, isBusy: false });
+    withFixedNow(toMs('2026-06-01T10:12:00Z'), () => api.redrawChartOnly());
+    assertEqual(els.scoreAxis.textContent, '100%75%50%25%0%', 'Score axis should label the ribbon scale.');
+  });
+
+  test('Score-curve chart mode swaps to a fixed 0-100 axis and rebuilds axes only on the mode switch', () => {
+    resetRenderRig();
+    const { data, days } = renderFixtureData();
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 0, isBusy: false });
+    withFixedNow(toMs('2026-06-01T10:12:00Z'), () => api.redrawChartOnly());
+    const sunAxisKey = api.getSelectorTestInternals().chartAxisKey;
+    assertEqual(els.yAxis.textContent.endsWith('0°'), true, 'Sun-path mode should label elevation.');
+
+    try {
+      api.setSelectorTestSettings({ chartMode: 'score' });
+      withFixedNow(toMs('2026-06-01T10:12:00Z'), () => api.redrawChartOnly());
+      const scoreAxisKey = api.getSelectorTestInternals().chartAxisKey;
+      assertNotEqual(scoreAxisKey, sunAxisKey, 'Switching mode should change the chart-axis key.');
+      assertEqual(els.yAxis.textContent, '100%80%60%40%20%0%', 'Score mode should label a 0-100 score axis.');
+      assertEqual(els.scoreAxis.textContent, '', 'Score mode should drop the now redundant secondary axis.');
+
+      els.yAxis.innerHTML = 'y sentinel';
+      api.setSelectorTestChartHover({ active: true, idx: 1 });
+      withFixedNow(toMs('2026-06-01T10:13:00Z'), () => api.redrawChartOnly());
+      assertEqual(els.yAxis.innerHTML, 'y sentinel', 'Score-mode hover redraws should reuse the cached axis.');
+      assertEqual(api.getSelectorTestInternals().chartAxisKey, scoreAxisKey, 'Score-mode axis key should stay stable.');
+    } finally {
+      api.setSelectorTestChartHover({ active: false });
+      api.setSelectorTestSettings(null);
+    }
+  });
+
+  test('Keyboard chart exploration steps columns, jumps to sunrise/sunset and mirrors the rows in a table', () => {
+    resetRenderRig();
+    const { data, days } = renderFixtureData();
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 0, isBusy: false });
+    const press = (key) => withTimezone('UTC', () => withFixedNow(toMs('2026-06-01T10:12:00Z'), () => {
+      els.canvas.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    }));
+
+    try {
+      withTimezone('UTC', () => withFixedNow(toMs('2026-06-01T10:12:00Z'), () => api.render()));
+      const tableRows = Array.from(els.chartTableBody.querySelectorAll('tr'));
+      assertEqual(tableRows.length, api.getSelectorTestInternals().chartGeom.ptsLen, 'Table should have one row per chart column.');
+      assertEqual(tableRows[1]?.textContent, '10:0012°66%60%', 'Table rows should carry time, elevation, score and confidence.');
+
+      press('End');
+      assertEqual(api.getSelectorTestInternals().chartHover.idx, 4, 'End should jump to the last sunlit column.');
+      assertEqual(els.chartLive.textContent, '10:30, sun score 30%, confidence 40%', 'Moves should be announced.');
+
+      press('ArrowLeft');
+      assertEqual(api.getSelectorTestInternals().chartHover.idx, 3, 'ArrowLeft should step back one column.');
+      assertEqual(els.chartLive.textContent, '10:20, sun score 78%, confidence 68%', 'Each step should be announced.');
+
+      press('Home');
+      assertEqual(api.getSelectorTestInternals().chartHover.idx, 0, 'Home should jump to the first sunlit column.');
+    } finally {
+      api.setSelectorTestChartHover({ active: false });
+    }
+  });
+
   test('Chart-axis rebuild gating still responds only to real axis-input changes', () => {
     resetRenderRig();
     const { data, days } = renderFixtureData();
@@ -652,6 +1286,191 @@
     assertNotEqual(els.yAxis.innerHTML, 'y sentinel', 'Changed axis inputs should rebuild y-axis markup.');
   });
 
+  test('Clock and time-zone preferences flow through formatting, local hours, the time pill and the chart axis', () => {
+    resetRenderRig();
+    const { data, days } = renderFixtureData();
+    const nowMs = toMs('2026-06-01T10:12:00Z');
+    const rowMs = toMs('2026-06-01T10:00:00Z');
+    const deviceDiffers = new Date(nowMs).getTimezoneOffset() !== -540;
+    api.setSelectorTestAppState({ data, days, tzName: 'Asia/Tokyo', dayIndex: 0, isBusy: false });
+    try {
+      assertEqual(api.localHourForDate(new Date(rowMs)), 19, 'Location time should read Tokyo hours by default.');
+      withFixedNow(nowMs, () => api.render());
+      const locationAxisKey = api.getSelectorTestInternals().chartAxisKey;
+      assertEqual(/^1[89]:\d\d$/.test(els.chartTableBody.querySelector('th').textContent), true, 'Default clock should be 24-hour location time.');
+
+      api.setSelectorTestSettings({ timeFormat: '12' });
+      withFixedNow(nowMs, () => api.render());
+      assertEqual(/pm/i.test(els.chartTableBody.querySelector('th').textContent), true, 'The 12-hour clock should mark pm times.');
+      assertNotEqual(api.getSelectorTestInternals().chartAxisKey, locationAxisKey, 'Switching the clock should rebuild the chart axis.');
+
+      api.setSelectorTestSettings({ timeFormat: '24', timeZoneMode: 'device' });
+      const device = new Date(rowMs);
+      assertEqual(
+        api.localHourForDate(device),
+        device.getHours() + device.getMinutes() / 60,
+        'Device time should read hours on the device clock.'
+      );
+      withFixedNow(nowMs, () => api.render());
+      assertEqual(els.timePill.textContent.includes(' · '), deviceDiffers, 'The time pill should show both clocks only when they differ.');
+      if (deviceDiffers) {
+        assertNotEqual(api.getSelectorTestInternals().chartAxisKey, locationAxisKey, 'Device time should rebuild the chart axis.');
+      }
+    } finally {
+      api.setSelectorTestSettings(null);
+      resetRenderRig();
+    }
+  });
+
+  test('Golden and blue hour are interpolated from elevation, scored from daylight rows and listed on the side card', () => {
+    resetRenderRig();
+    // 3° lower every 10 minutes: 6° falls at 18:13:20, -4° at 18:46:40, -6° at 18:53:20.
+    const elevations = [10, 7, 4, 1, -2, -5, -8];
+    const rows = elevations.map((elevation, i) => row({
+      timeUtc: new Date(toMs('2026-06-01T18:00:00Z') + i * 600000).toISOString(),
+      score: elevation > 0 ? 80 : 0,
+      confidence: 0.7,
+      elevation,
+      isDaylight: elevation > 0,
+    }));
+    const hours = api.lightHourWindows(rows, toMs('2026-06-01T12:00:00Z'));
+    assertEqual(hours.map((item) => item.kind).join(','), 'golden,blue', 'Golden hour should come before the evening blue hour.');
+    assertEqual(hours[0].start, '2026-06-01T18:13:00.000Z', 'Golden hour should start where 6° is crossed between rows.');
+    assertEqual(hours[0].end, '2026-06-01T18:47:00.000Z', 'Golden hour should end at -4°.');
+    assertEqual(hours[1].end, '2026-06-01T18:53:00.000Z', 'Blue hour should end at -6°.');
+    assertEqual(hours[0].outlook, 'clear', 'Golden hour should average the daylight scores.');
+    assertEqual(hours[1].outlook, 'clear', 'Blue hour should borrow the bordering golden hour outlook.');
+
+    api.setSelectorTestAppState({
+      data: { meta: { tz_name: 'UTC', interval_minutes: 10 } },
+      days: { 0: rows },
+      tzName: 'UTC',
+      dayIndex: 0,
+      isBusy: false,
+    });
+    try {
+      withFixedNow(toMs('2026-06-01T18:05:00Z'), () => api.render());
+      const items = Array.from(els.lightHourList.querySelectorAll('li')).map((li) => li.textContent);
+      assertEqual(els.lightHourList.hidden, false, 'The side card should show the light hours.');
+      assertEqual(items[0], 'Golden hour18:13–18:47, likely clear', 'The side card should name the window, its range and the outlook.');
+    } finally {
+      resetRenderRig();
+    }
+  });
+
+  test('Sun compass traces the day arc, the next window and the sun now, and follows the chart hover', () => {
+    resetRenderRig();
+    // Amsterdam in early June, geometry left to the solar position fallback.
+    const data = api.normalizeForecastPayload({
+      meta: { tz_name: 'UTC', interval_minutes: 60 },
+      timeline: Array.from({ length: 24 }, (_, hour) => ({
+        time_utc: new Date(toMs('2026-06-01T00:00:00Z') + hour * 3600000).toISOString(),
+        day_index: 0,
+        sun_score: (hour >= 10 && hour < 13) ? 80 : 20,
+        confidence: 0.7,
+      })),
+    }, { lat: 52.37, lon: 4.9 });
+    const nowMs = toMs('2026-06-01T08:00:00Z');
+
+    const sideCard = api.selectSideCardViewState(0, data.days[0], data.days, nowMs, 60);
+    const compass = api.selectCompassViewState(0, data.days[0], data.days, sideCard, nowMs);
+    assertEqual(compass.sunrise.elevation, 0, 'The arc should start on the horizon.');
+    assert(compass.sunrise.azimuth > 35 && compass.sunrise.azimuth < 60, 'A June sunrise should be in the north-east.');
+    assert(compass.sunset.azimuth > 300 && compass.sunset.azimuth < 325, 'A June sunset should be in the north-west.');
+    assertEqual(compass.arcs.length, 1, 'One day should give one arc.');
+    assert(compass.arcs[0].every((point) => point.elevation >= 0), 'The arc should stay above the horizon.');
+    assertEqual(compass.win.arc.length, 4, 'The window arc should cover the window rows.');
+    assert(compass.now.isUp, 'The morning sun should be up.');
+    assertEqual(api.sunCompassPoint(data.days[0][0]).isUp, false, 'The midnight sun should be below the horizon.');
+    assertEqual(api.selectCompassViewState(1, data.days[0], data.days, sideCard, nowMs).now, null,
+      'Other days should have no sun now.');
+
+    api.setSelectorTestAppState({ data, days: data.days, tzName: 'UTC', dayIndex: 0, isBusy: false });
+    try {
+      withFixedNow(nowMs, () => api.render());
+      const lines = () => Array.from(els.sunCompassCaption.querySelectorAll('span')).map((el) => el.textContent);
+      assertEqual(lines()[0], 'Sun now: E, 39° up', 'The caption should give the sun now.');
+      assertEqual(lines()[1], 'Sun break 10:00–13:00: from SE to SW', 'The caption should give the window directions.');
+      assertEqual(lines()[2], 'Rises in the NE, sets in the NW', 'The caption should give sunrise and sunset directions.');
+      assertEqual(els.sunCompass.querySelectorAll('.compassWindow').length, 1, 'The window should be drawn on the arc.');
+      assertEqual(els.sunCompass.querySelector('.compassSun').classList.contains('isFocus'), false,
+        'Without a hover the marker should be the sun now.');
+
+      const last = api.getSelectorTestInternals().chartGeom.ptsLen - 1;
+      api.setSelectorTestChartHover({ active: true, idx: last });
+      withFixedNow(nowMs, () => api.redrawChartOnly(nowMs));
+      assertEqual(lines()[0], 'At 19:00: NW, 6° up', 'Hovering should follow the hovered column.');
+      assert(els.sunCompass.querySelector('.compassSun').classList.contains('isFocus'), 'The marker should show the hovered sun.');
+      api.setSelectorTestChartHover({ active: false });
+      withFixedNow(nowMs, () => api.redrawChartOnly(nowMs));
+      assertEqual(lines()[0], 'Sun now: E, 39° up', 'Leaving the chart should go back to the sun now.');
+    } finally {
+      resetRenderRig();
+    }
+  });
+
+  test('Sky preview re-themes for the hovered or scrubbed chart column and goes back to now', () => {
+    resetRenderRig();
+    const { data, days } = renderFixtureData();
+    const nowMs = toMs('2026-06-01T10:12:00Z');
+    const skyTop = () => document.documentElement.style.getPropertyValue('--atm-sky-top');
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 0, isBusy: false });
+    try {
+      withFixedNow(nowMs, () => api.render());
+      const nowSky = skyTop();
+      assertEqual(els.skyPreviewTime.textContent, 'Now', 'Without a preview the slider should read now.');
+      const last = api.getSelectorTestInternals().chartGeom.ptsLen - 1;
+      assertEqual(els.skyPreview.max, String(last), 'The slider should span the chart columns.');
+
+      api.setSelectorTestChartHover({ active: true, idx: last });
+      withFixedNow(nowMs, () => api.redrawChartOnly(nowMs));
+      const previewSky = skyTop();
+      assertNotEqual(previewSky, nowSky, 'Hovering a dusk column should re-theme the sky.');
+      api.setSelectorTestChartHover({ active: false });
+      withFixedNow(nowMs, () => api.redrawChartOnly(nowMs));
+      assertEqual(skyTop(), nowSky, 'Leaving the chart should return the sky to now.');
+
+      els.skyPreview.value = String(last);
+      withFixedNow(nowMs, () => els.skyPreview.dispatchEvent(new Event('input')));
+      assertEqual(skyTop(), previewSky, 'The slider should preview the same column as hovering it.');
+      assertEqual(els.skyPreviewTime.textContent, '10:40', 'The slider should show the previewed time.');
+      assertEqual(els.btnSkyPreviewNow.hidden, false, 'A preview should offer the way back to now.');
+      withFixedNow(nowMs, () => els.btnSkyPreviewNow.click());
+      assertEqual(skyTop(), nowSky, 'Back to now should restore the live sky.');
+      assertEqual(els.btnSkyPreviewNow.hidden, true, 'The reset button should hide again.');
+    } finally {
+      resetRenderRig();
+    }
+  });
+
+  test('Dark color scheme darkens the sky and cards and repaints score colours, and the manual choice wins', () => {
+    resetRenderRig();
+    const { data, days } = renderFixtureData();
+    const nowMs = toMs('2026-06-01T10:12:00Z');
+    const noon = row({ timeUtc: '2026-06-01T10:00:00Z', score: 90, confidence: 0.8, elevation: 50 });
+    const barBackground = () => els.timeline.querySelector('.bar > div')?.style.background || '';
+    api.setSelectorTestAppState({ data, days, tzName: 'UTC', dayIndex: 0, isBusy: false });
+    try {
+      assertEqual(api.setSelectorTestColorScheme('auto'), 'light', 'Auto should stay light when the system has no dark preference.');
+      const lightTheme = api.computeAtmosphericTheme(noon);
+      withFixedNow(nowMs, () => api.render());
+      const lightBar = barBackground();
+
+      assertEqual(api.setSelectorTestColorScheme('dark'), 'dark', 'A manual dark choice should override the system preference.');
+      assertEqual(document.documentElement.dataset.colorScheme, 'dark', 'The CSS hook should follow the resolved scheme.');
+      const darkTheme = api.computeAtmosphericTheme(noon);
+      assertEqual(darkTheme.card.startsWith('rgba(22, 28, 38,'), true, 'Dark cards should be dark glass.');
+      assertEqual(lightTheme.card.startsWith('rgba(255, 255, 255,'), true, 'Light cards should stay white glass.');
+      assertNotEqual(darkTheme.skyTop, lightTheme.skyTop, 'The dark sky should differ from the light sky.');
+      withFixedNow(nowMs, () => api.render());
+      assertNotEqual(barBackground(), lightBar, 'Timeline bars should repaint in the dark score palette.');
+    } finally {
+      api.setSelectorTestColorScheme('auto');
+      resetRenderRig();
+    }
+    assertEqual(document.documentElement.dataset.colorScheme, 'light', 'Going back to auto should restore the light scheme.');
+  });
+
   const results = tests.map(({ name, fn }) => {
     try {
       fn();
@@ -0,0 +1,153 @@
+'use strict';
+
+// Run with: node --test test/sun-feed.test.js
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { test, before, after } = require('node:test');
+
+const { createSunFeedHandler } = require('../scripts/sun-feed.js');
+
+const NOW_MS = Date.parse('2026-06-01T11:00:00Z');
+
+function row(timeUtc, dayIndex, score) {
+  return {
+    time_utc: timeUtc,
+    day_index: dayIndex,
+    sun_score: score,
+    confidence: 0.7,
+    elevation: 30,
+    is_daylight: true,
+  };
+}
+
+// Day 0 has a morning window that has already ended by NOW_MS and an
+// afternoon one; day 1 has one window that only passes a lower threshold.
+const PAYLOAD = {
+  meta: { tz_name: 'UTC', interval_minutes: 30 },
+  timeline: [
+    row('2026-06-01T09:00:00Z', 0, 80),
+    row('2026-06-01T09:30:00Z', 0, 80),
+    row('2026-06-01T10:00:00Z', 0, 10),
+    row('2026-06-01T13:00:00Z', 0, 90),
+    row('2026-06-01T13:30:00Z', 0, 90),
+    row('2026-06-01T14:00:00Z', 0, 10),
+    row('2026-06-02T12:00:00Z', 1, 55),
+    row('2026-06-02T12:30:00Z', 1, 55),
+    row('2026-06-02T13:00:00Z', 1, 10),
+  ],
+};
+
+let dayServer;
+let feedServer;
+let dayRequests = [];
+let dayStatus = 200;
+let dayBody = PAYLOAD;
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+let feedBase = '';
+
+before(async () => {
+  dayServer = http.createServer((req, res) => {
+    dayRequests.push(new URL(req.url, 'http://localhost'));
+    if (dayStatus !== 200) {
+      res.writeHead(dayStatus, { 'Content-Type': 'application/json', 'Retry-After': '12' });
+      res.end(JSON.stringify({ detail: 'slow down' }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(dayBody));
+  });
+  const apiBase = await listen(dayServer);
+  feedServer = http.createServer(createSunFeedHandler({ apiBase, now: () => NOW_MS }));
+  feedBase = await listen(feedServer);
+});
+
+after(() => {
+  feedServer.close();
+  dayServer.close();
+});
+
+function events(body) {
+  return body.split('\r\n').filter((line) => line.startsWith('DTSTART:'));
+}
+
+test('feed emits upcoming sun windows across days as VEVENTs', async () => {
+  dayRequests = [];
+  dayStatus = 200;
+  const res = await fetch(`${feedBase}/feed.ics?lat=52.37&lon=4.9&label=Amsterdam`);
+  const body = await res.text();
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/calendar/);
+  assert.equal(dayRequests.length, 1);
+  assert.equal(dayRequests[0].pathname, '/day');
+  assert.equal(dayRequests[0].searchParams.get('lat'), '52.37');
+  assert.equal(dayRequests[0].searchParams.get('days'), '7');
+
+  assert.deepEqual(events(body), ['DTSTART:20260601T130000Z']);
+  assert.ok(body.includes('DTEND:20260601T140000Z\r\n'));
+  assert.ok(body.includes('X-WR-CALNAME:Sun windows – Amsterdam\r\n'));
+  assert.ok(body.includes('REFRESH-INTERVAL;VALUE=DURATION:PT60M\r\n'));
+  assert.ok(body.includes('GEO:52.37;4.9\r\n'));
+});
+
+test('feed event text follows the lang query', async () => {
+  dayStatus = 200;
+  const res = await fetch(`${feedBase}/feed.ics?lat=52.37&lon=4.9&label=Amsterdam&lang=de`);
+  const body = await res.text();
+
+  assert.equal(res.status, 200);
+  assert.ok(body.includes('X-WR-CALNAME:Sonnenfenster – Amsterdam\r\n'));
+  assert.ok(body.includes('SUMMARY:Wahrscheinlich Sonne in Amsterdam\r\n'));
+});
+
+test('feed applies the threshold and minimum length from the query', async () => {
+  dayStatus = 200;
+  const res = await fetch(`${feedBase}/feed.ics?lat=52.37&lon=4.9&threshold=50&min_minutes=30`);
+  const body = await res.text();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(events(body), ['DTSTART:20260601T130000Z', 'DTSTART:20260602T120000Z']);
+});
+
+test('feed maps API rate limits to 503 with Retry-After and rejects bad coordinates', async () => {
+  dayStatus = 429;
+  const limited = await fetch(`${feedBase}/feed.ics?lat=52.37&lon=4.9`);
+  assert.equal(limited.status, 503);
+  assert.equal(limited.headers.get('retry-after'), '12');
+
+  const missing = await fetch(`${feedBase}/feed.ics?lat=91&lon=4.9`);
+  assert.equal(missing.status, 400);
+
+  const unknown = await fetch(`${feedBase}/other`);
+  assert.equal(unknown.status, 404);
+});
+
+test('feed treats an API 503 as rate limited and malformed forecasts as 502 JSON errors', async () => {
+  dayStatus = 503;
+  const shed = await fetch(`${feedBase}/feed.ics?lat=52.37&lon=4.9`);
+  assert.equal(shed.status, 503);
+  assert.equal(shed.headers.get('retry-after'), '12');
+
+  dayStatus = 500;
+  const failed = await fetch(`${feedBase}/feed.ics?lat=52.37&lon=4.9`);
+  assert.equal(failed.status, 502);
+  assert.match(failed.headers.get('content-type'), /^application\/json/);
+  assert.match((await failed.json()).error, /answered 500/);
+
+  dayStatus = 200;
+  dayBody = { timeline: [{ sun_score: 80 }] };
+  try {
+    const malformed = await fetch(`${feedBase}/feed.ics?lat=52.37&lon=4.9`);
+    assert.equal(malformed.status, 502);
+    assert.match(malformed.headers.get('content-type'), /^application\/json/);
+    assert.match((await malformed.json()).error, /unreadable forecast/);
+  } finally {
+    dayBody = PAYLOAD;
+  }
+});
@@ -5,6 +5,34 @@
 
   const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
 
+  // Sky and card inputs per color scheme. Dark keeps the same score, elevation,
+  // and twilight response but sits in night blues under dark glass cards, so a
+  // sunny noon reads as a lit dusk instead of a bright flash.
+  const SKY_SCHEMES = Object.freeze({
+    light: Object.freeze({
+      hue: [205, -10],
+      sat: [18, 70],
+      top: [56, 24],
+      mid: [72, 18],
+      bottom: [88, 10],
+      night: Object.freeze({ alpha: 0.55, top: [250, 55, 38], mid: [248, 50, 45], bottom: [245, 45, 58] }),
+      twilightAlpha: 0.5,
+      cardRgb: '255, 255, 255',
+      card: [0.60, -0.04, 0.54, 0.72],
+    }),
+    dark: Object.freeze({
+      hue: [222, -14],
+      sat: [30, 30],
+      top: [9, 9],
+      mid: [13, 9],
+      bottom: [18, 10],
+      night: Object.freeze({ alpha: 0.6, top: [235, 50, 4], mid: [232, 45, 6], bottom: [228, 40, 9] }),
+      twilightAlpha: 0.3,
+      cardRgb: '22, 28, 38',
+      card: [0.72, -0.06, 0.62, 0.78],
+    }),
+  });
+
   function toNumberOrNaN(v) {
     const n = Number(v);
     return Number.isFinite(n) ? n : NaN;
@@ -83,22 +111,25 @@
       : now;
     const elevClamped = Number.isFinite(elev) ? clamp(elev, -10, 90) : 0;
     const isTomorrowSummary = Boolean(row && row._themeFallback === true);
+    const scheme = SKY_SCHEMES[opts.colorScheme] || SKY_SCHEMES.light;
+    const lerp = ([base, span]) => base + span * sunT;
 
-    const dayHue = 205 - 10 * sunT;
-    const daySat = 18 + 70 * sunT;
-    const topL = 56 + 24 * sunT;
-    const midL = 72 + 18 * sunT;
-    const botL = 88 + 10 * sunT;
+    const dayHue = lerp(scheme.hue);
+    const daySat = lerp(scheme.sat);
+    const topL = lerp(scheme.top);
+    const midL = lerp(scheme.mid);
+    const botL = lerp(scheme.bottom);
 
     const baseTop = { h: dayHue, s: clamp(daySat * 0.95, 0, 100), l: clamp(topL, 0, 100) };
     const baseMid = { h: dayHue, s: clamp(daySat * 0.75, 0, 100), l: clamp(midL, 0, 100) };
     const baseBottom = { h: dayHue, s: clamp(daySat * 0.36, 0, 100), l: clamp(botL, 0, 100) };
 
     const nightT = isTomorrowSummary ? 0 : clamp((0 - elevClamped) / 10, 0, 1);
-    const nightAlpha = 0.55 * nightT;
-    const nightTop = { h: 250, s: 55, l: 38, a: nightAlpha };
-    const nightMid = { h: 248, s: 50, l: 45, a: nightAlpha };
-    const nightBottom = { h: 245, s: 45, l: 58, a: nightAlpha };
+    const nightAlpha = scheme.night.alpha * nightT;
+    const nightHsl = ([h, s, l]) => ({ h, s, l, a: nightAlpha });
+    const nightTop = nightHsl(scheme.night.top);
+    const nightMid = nightHsl(scheme.night.mid);
+    const nightBottom = nightHsl(scheme.night.bottom);
 
     const skyTopRgb = overlayRgb(
       hslToRgb(baseTop.h, baseTop.s, baseTop.l),
@@ -132,13 +163,14 @@
       : 0;
     const twilightRaw = Math.max(sunriseW, sunsetW);
     const twilightW = isTomorrowSummary ? 0 : twilightRaw;
-    const twAlpha = clamp(twilightW * 0.5, 0, 1);
+    const twAlpha = clamp(twilightW * scheme.twilightAlpha, 0, 1);
     const twTop = `hsl(280 70% 60% / ${(twAlpha * 0.8).toFixed(3)})`;
     const twMid = `hsl(330 75% 70% / ${(twAlpha * 1.0).toFixed(3)})`;
     const twBottom = `hsl(30 80% 75% / ${(twAlpha * 0.9).toFixed(3)})`;
 
-    const cardAlpha = clamp(0.60 - 0.04 * sunT, 0.54, 0.72);
-    const cardAlpha2 = clamp(cardAlpha - 0.07, 0.46, 0.64);
+    const [cardBase, cardSpan, cardMin, cardMax] = scheme.card;
+    const cardAlpha = clamp(cardBase + cardSpan * sunT, cardMin, cardMax);
+    const cardAlpha2 = clamp(cardAlpha - 0.07, cardMin - 0.08, cardMax - 0.08);
 
     return {
       skyTop,
@@ -147,8 +179,8 @@
       twTop,
       twMid,
       twBottom,
-      card: `rgba(255, 255, 255, ${cardAlpha.toFixed(3)})`,
-      card2: `rgba(255, 255, 255, ${cardAlpha2.toFixed(3)})`,
+      card: `rgba(${scheme.cardRgb}, ${cardAlpha.toFixed(3)})`,
+      card2: `rgba(${scheme.cardRgb}, ${cardAlpha2.toFixed(3)})`,
     };
   }
 
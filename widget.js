@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * Embeddable "sun now + next window" card for third-party sites.
+ * Responsibilities: read the location and theme from the widget URL, fetch
+ * the forecast, and render it with the same model, selectors, and copy as the
+ * page. It owns its root element only and never touches app.js or its `els`.
+ *
+ * Embed: <iframe src="https://iwannasun.com/widget/?lat=52.37&lon=4.9&label=Amsterdam&theme=light"
+ *          width="320" height="220" style="border:0" title="Sun forecast"></iframe>
+ */
+
+(function initSunWidget(global) {
+  const API_BASE =
+    (global.location.hostname === '127.0.0.1' || global.location.hostname === 'localhost')
+      ? 'http://127.0.0.1:8000'
+      : 'https://api.iwannasun.com';
+  const SITE_URL = 'https://iwannasun.com/';
+  // Today for "now" and tomorrow for the fallback window.
+  const WIDGET_DAYS = 2;
+  const WIDGET_THEMES = ['atmospheric', 'light', 'dark'];
+  const WIDGET_TICK_MS = 60 * 1000;
+  const WIDGET_REFRESH_MS = 30 * 60 * 1000;
+
+  function clampInt(value, min, max, fallback) {
+    const n = Number(value);
+    if (value == null || value === '' || !Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, Math.round(n)));
+  }
+
+  // Same parameters as shared page links (`readViewStateFromUrl` in app.js),
+  // plus `theme` and `lang`. Rule ranges match the settings panel; defaults
+  // come from the selectors module.
+  function readWidgetOptionsFromUrl(href = global.location.href) {
+    const defaults = global.IWSForecastSelectors.SUN_BREAK_DEFAULTS;
+    let url;
+    try {
+      url = new URL(href);
+    } catch {
+      return { hasLocation: false, theme: WIDGET_THEMES[0] };
+    }
+    const params = url.searchParams;
+    const lat = Number(params.get('lat'));
+    const lon = Number(params.get('lon'));
+    const hasLocation = Number.isFinite(lat) && Number.isFinite(lon)
+      && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+      && !(lat === 0 && lon === 0);
+    const theme = String(params.get('theme') || '').toLowerCase();
+    return {
+      hasLocation,
+      lat,
+      lon,
+      label: String(params.get('label') || '').trim(),
+      theme: WIDGET_THEMES.includes(theme) ? theme : WIDGET_THEMES[0],
+      lang: String(params.get('lang') || ''),
+      rule: {
+        threshold: clampInt(params.get('threshold'), 30, 95, defaults.threshold),
+        minMinutes: clampInt(params.get('min_minutes'), 5, 180, defaults.minMinutes),
+      },
+    };
+  }
+
+  function fullForecastUrl({ lat, lon, label }, siteUrl = SITE_URL) {
+    const url = new URL(siteUrl);
+    url.searchParams.set('lat', String(lat));
+    url.searchParams.set('lon', String(lon));
+    if (label) url.searchParams.set('label', label);
+    return url.toString();
+  }
+
+  function createTimeFormatter(timeLocale, tzName) {
+    const opts = { hour: '2-digit', minute: '2-digit' };
+    try {
+      return new Intl.DateTimeFormat(timeLocale, tzName ? { ...opts, timeZone: tzName } : opts);
+    } catch {
+      return new Intl.DateTimeFormat(timeLocale, opts);
+    }
+  }
+
+  function createWidgetSelectors({ model, tzName, rule, t }) {
+    const hourFormat = createTimeFormatter('en-GB', tzName);
+    return global.IWSForecastSelectors.createForecastSelectors({
+      isDaylightRow: model.isDaylightRow,
+      tUtc: model.tUtc,
+      tMs: model.tMs,
+      localHourForDate: (date) => {
+        const parts = hourFormat.formatToParts(new Date(date));
+        const hh = Number(parts.find((p) => p.type === 'hour')?.value);
+        const mm = Number(parts.find((p) => p.type === 'minute')?.value);
+        return (hh % 24) + ((Number.isFinite(mm) ? mm : 0) / 60);
+      },
+      getSunBreakRule: () => rule,
+      t,
+    });
+  }
+
+  // Everything the card shows, derived from a normalized payload.
+  function selectWidgetViewState({
+    data,
+    options,
+    selectors,
+    nowMs = Date.now(),
+    siteUrl = SITE_URL,
+  }) {
+    const days = data.days || {};
+    const todayRows = days[0] || [];
+    const nowRow = selectors.nearestNowRow(todayRows, nowMs);
+    const isNight = !global.IWSForecastModel.isDaylightRow(nowRow);
+    const band = selectors.sunQualityBand(nowRow?.sun_score, isNight);
+    const intervalMinutesHint = Number(data.meta?.interval_minutes || 0);
+    const side = selectors.selectSideCardViewState(0, todayRows, days, nowMs, intervalMinutesHint);
+    return {
+      status: 'ready',
+      label: options.label,
+      nowRow,
+      now: {
+        score: Number(nowRow?.sun_score || 0),
+        isNight,
+        qualityKey: band.key,
+        emoji: band.emoji,
+      },
+      side: {
+        heading: side.heading,
+        win: side.win,
+        activeNow: Boolean(side.opts?.activeNow),
+        emptySub: side.opts?.emptySub || '',
+      },
+      dayWin: selectors.daylightWindow(todayRows, 0),
+      fullUrl: fullForecastUrl(options, siteUrl),
+    };
+  }
+
+  // Atmospheric colours are scoped to the widget root so a host page that
+  // mounts the widget inline keeps its own background.
+  function applyWidgetTheme(rootEl, theme, view) {
+    rootEl.dataset.theme = theme;
+    const atmosphere = global.IWSAtmosphereTheme;
+    if (theme !== 'atmospheric' || !atmosphere || view?.status !== 'ready') return;
+    const twilight = view.dayWin ? { sunrise: view.dayWin.start, sunset: view.dayWin.end } : null;
+    const colors = atmosphere.computeAtmosphericTheme(view.nowRow, twilight);
+    rootEl.style.setProperty('--atm-sky-top', colors.skyTop);
+    rootEl.style.setProperty('--atm-sky-mid', colors.skyMid);
+    rootEl.style.setProperty('--atm-sky-bottom', colors.skyBottom);
+    rootEl.style.setProperty('--atm-tw-top', colors.twTop);
+    rootEl.style.setProperty('--atm-tw-mid', colors.twMid);
+    rootEl.style.setProperty('--atm-tw-bottom', colors.twBottom);
+  }
+
+  function mountSunWidget(rootEl, {
+    options = readWidgetOptionsFromUrl(),
+    fetchImpl = (...args) => global.fetch(...args),
+    now = () => Date.now(),
+    apiBase = API_BASE,
+    siteUrl = SITE_URL,
+  } = {}) {
+    const model = global.IWSForecastModel;
+    const i18nModule = global.IWSI18n;
+    if (!rootEl || !model || !i18nModule || !global.IWSForecastSelectors || !global.IWSRenderWidget) {
+      throw new Error('IWS widget modules failed to load.');
+    }
+
+    const locale = i18nModule.normalizeLocale(options.lang)
+      || i18nModule.detectLocale(global.navigator?.languages || [global.navigator?.language]);
+    const i18n = i18nModule.createTranslator(locale);
+    const { t } = i18n;
+    rootEl.lang = i18n.locale;
+
+    let data = null;
+    let selectors = null;
+    let fmt = createTimeFormatter(i18n.timeLocale, '');
+    let lastLoadMs = 0;
+    let timer = null;
+    let view = {
+      status: options.hasLocation ? 'loading' : 'no_location',
+      label: options.label,
+      message: t(options.hasLocation ? 'widget.loading' : 'widget.noLocation'),
+    };
+
+    function draw() {
+      const nowMs = now();
+      if (data) {
+        view = selectWidgetViewState({
+          data,
+          options,
+          selectors,
+          nowMs,
+          siteUrl,
+        });
+      }
+      applyWidgetTheme(rootEl, options.theme, view);
+      global.IWSRenderWidget.renderSunWidget({
+        rootEl,
+        view,
+        t,
+        fmtTime: (value) => fmt.format(new Date(value)),
+        nowMs,
+      });
+    }
+
+    async function load() {
+      const url = new URL('/day', `${apiBase}/`);
+      url.searchParams.set('lat', String(options.lat));
+      url.searchParams.set('lon', String(options.lon));
+      url.searchParams.set('days', String(WIDGET_DAYS));
+      lastLoadMs = now();
+      let message = '';
+      try {
+        const res = await fetchImpl(url.toString());
+        if (res.status === 429) {
+          message = t('error.wait');
+        } else if (!res.ok) {
+          message = t('error.api', { status: res.status });
+        } else {
+          const next = model.normalizeForecastPayload(await res.json(), options);
+          const tzName = next.meta?.tz_name || '';
+          data = next;
+          selectors = createWidgetSelectors({
+            model,
+            tzName,
+            rule: options.rule,
+            t,
+          });
+          fmt = createTimeFormatter(i18n.timeLocale, tzName);
+        }
+      } catch (e) {
+        message = (e instanceof model.ForecastNormalizationError) ? t('error.malformed') : t('error.network');
+      }
+      // A failed refresh keeps showing the last good forecast.
+      if (message && !data) view = { status: 'error', label: options.label, message };
+      draw();
+    }
+
+    function tick() {
+      if (now() - lastLoadMs >= WIDGET_REFRESH_MS) {
+        load();
+      } else {
+        draw();
+      }
+    }
+
+    draw();
+    if (!options.hasLocation) return { destroy() {} };
+    const ready = load();
+    timer = global.setInterval(tick, WIDGET_TICK_MS);
+    return {
+      ready,
+      destroy() {
+        global.clearInterval(timer);
+      },
+    };
+  }
+
+  global.IWSWidget = {
+    WIDGET_THEMES,
+    createWidgetSelectors,
+    fullForecastUrl,
+    mountSunWidget,
+    readWidgetOptionsFromUrl,
+    selectWidgetViewState,
+  };
+
+  global.addEventListener('DOMContentLoaded', () => {
+    const rootEl = global.document.getElementById('sunWidget');
+    if (rootEl) mountSunWidget(rootEl);
+  });
+})(window);